@@ -0,0 +1,40 @@
+/**
+ * One-off migration that gives gigs posted before campus restrictions a `campusScope` of ['all'], so they show
+ * up when students browse gigs open to their campus.
+ *
+ *   node scripts/backfill-campus-scope.mjs            # dry run, prints what would change
+ *   node scripts/backfill-campus-scope.mjs --apply    # writes the changes
+ *
+ * Safe to re-run: gigs that already have a scope are skipped. Uses application default credentials, or the
+ * emulator when FIRESTORE_EMULATOR_HOST is set.
+ */
+import { initializeApp } from 'firebase-admin/app';
+import { getFirestore } from 'firebase-admin/firestore';
+import { getCampusScope } from '../src/campuses.js';
+
+const BATCH_LIMIT = 450;
+const apply = process.argv.includes('--apply');
+
+initializeApp({ projectId: process.env.GCLOUD_PROJECT || 'campus-gig-app' });
+const db = getFirestore();
+
+const run = async () => {
+    const snapshot = await db.collection('gigs').get();
+    const refs = snapshot.docs.filter(gig => !Array.isArray(gig.data().campusScope)).map(gig => gig.ref);
+    console.log(`${refs.length} of ${snapshot.size} gig(s) have no campus scope.`);
+    if (!apply) {
+        console.log('Re-run with --apply to open them to all campuses.');
+        return;
+    }
+    for (let i = 0; i < refs.length; i += BATCH_LIMIT) {
+        const batch = db.batch();
+        refs.slice(i, i + BATCH_LIMIT).forEach(ref => batch.update(ref, { campusScope: getCampusScope([]) }));
+        await batch.commit();
+    }
+    console.log('Done.');
+};
+
+run().catch(error => {
+    console.error('Campus scope migration failed:', error);
+    process.exit(1);
+});
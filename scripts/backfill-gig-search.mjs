@@ -0,0 +1,63 @@
+/**
+ * One-off migration that gives gigs posted before search existed their search fields (`skillTags`,
+ * `searchKeywords`) and a `proposalCount`, so they show up in skill and keyword searches and sort by proposals.
+ * Fields that are missing or out of date are rebuilt; proposalCount is recounted from the gig's proposals,
+ * leaving out withdrawn ones.
+ *
+ *   node scripts/backfill-gig-search.mjs            # dry run, prints what would change
+ *   node scripts/backfill-gig-search.mjs --apply    # writes the changes
+ *
+ * Safe to re-run: gigs that are already up to date are skipped. Uses application default credentials, or the
+ * emulator when FIRESTORE_EMULATOR_HOST is set.
+ */
+import { initializeApp } from 'firebase-admin/app';
+import { getFirestore } from 'firebase-admin/firestore';
+import { buildGigSearchFields } from '../src/gigSearch.js';
+import { PROPOSAL_STATUS } from '../src/proposals.js';
+
+const BATCH_LIMIT = 450;
+const apply = process.argv.includes('--apply');
+
+initializeApp({ projectId: process.env.GCLOUD_PROJECT || 'campus-gig-app' });
+const db = getFirestore();
+
+const sameList = (a, b) => Array.isArray(b) && a.length === b.length && a.every((item, index) => item === b[index]);
+
+const run = async () => {
+    const proposalsSnapshot = await db.collection('proposals').select('gigId', 'status').get();
+    const proposalCounts = {};
+    proposalsSnapshot.docs.forEach(proposalDoc => {
+        const { gigId, status } = proposalDoc.data();
+        if (status !== PROPOSAL_STATUS.WITHDRAWN) proposalCounts[gigId] = (proposalCounts[gigId] || 0) + 1;
+    });
+
+    const gigsSnapshot = await db.collection('gigs').get();
+    const updates = [];
+    gigsSnapshot.docs.forEach(gigDoc => {
+        const gig = gigDoc.data();
+        const { skillTags, searchKeywords } = buildGigSearchFields({ ...gig, skills: gig.skills || [] });
+        const update = {};
+        if (!sameList(skillTags, gig.skillTags)) update.skillTags = skillTags;
+        if (!sameList(searchKeywords, gig.searchKeywords)) update.searchKeywords = searchKeywords;
+        if (gig.proposalCount !== (proposalCounts[gigDoc.id] || 0)) update.proposalCount = proposalCounts[gigDoc.id] || 0;
+        if (Object.keys(update).length > 0) updates.push({ ref: gigDoc.ref, update });
+    });
+
+    updates.forEach(({ ref, update }) => console.log(`- ${ref.path}: ${Object.keys(update).join(', ')}`));
+    console.log(`${updates.length} of ${gigsSnapshot.size} gig(s) to update.`);
+    if (!apply) {
+        console.log('Re-run with --apply to write these changes.');
+        return;
+    }
+    for (let i = 0; i < updates.length; i += BATCH_LIMIT) {
+        const batch = db.batch();
+        updates.slice(i, i + BATCH_LIMIT).forEach(({ ref, update }) => batch.update(ref, update));
+        await batch.commit();
+    }
+    console.log('Done.');
+};
+
+run().catch(error => {
+    console.error('Gig search backfill failed:', error);
+    process.exit(1);
+});
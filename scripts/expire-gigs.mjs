@@ -0,0 +1,117 @@
+/**
+ * Closes open gigs past their application deadline (or idle for GIG_INACTIVITY_DAYS), expires their pending
+ * proposals and tells the students, and reminds clients whose gigs expire within a few days. A gig is only closed
+ * once its reminder is EXPIRY_REMINDER_DAYS old, so overdue gigs that were never reminded get the reminder first.
+ * Schedule it once a day (cron, Cloud Scheduler, ...); already-reminded gigs are skipped.
+ *
+ *   node scripts/expire-gigs.mjs                          # closes and reminds
+ *   node scripts/expire-gigs.mjs --dry-run                # prints what would happen
+ *   node scripts/expire-gigs.mjs --now=2024-07-01         # pretends it is that date, for trying it out
+ *
+ * Against a local emulator (firebase emulators:start):
+ *
+ *   FIRESTORE_EMULATOR_HOST=localhost:8080 GCLOUD_PROJECT=demo-campusgig node scripts/expire-gigs.mjs
+ *
+ * Uses application default credentials, or the emulator when FIRESTORE_EMULATOR_HOST is set.
+ */
+import { initializeApp } from 'firebase-admin/app';
+import { getFirestore, FieldValue } from 'firebase-admin/firestore';
+import { GIG_INACTIVITY_DAYS, buildExpiryHistoryEntry, buildExpiryUpdates, describeExpiryReminder, describeGigExpired, describeProposalExpired, getExpiresAt, planExpiryRun } from '../src/gigExpiry.js';
+import { NOTIFICATION_CATEGORIES } from '../src/notifications.js';
+import { PROPOSAL_STATUS } from '../src/proposals.js';
+
+const BATCH_LIMIT = 450;
+const dryRun = process.argv.includes('--dry-run');
+const nowArg = process.argv.find(arg => arg.startsWith('--now='));
+const now = nowArg ? new Date(nowArg.slice('--now='.length)) : new Date();
+const options = { inactivityDays: Number(process.env.GIG_INACTIVITY_DAYS) || GIG_INACTIVITY_DAYS };
+
+// The expiry the reminder announces: for overdue gigs, the end of the grace period it starts.
+const remindedExpiresAt = (gig) => getExpiresAt({ ...gig, expiryReminderSentAt: now }, options);
+
+initializeApp({ projectId: process.env.GCLOUD_PROJECT || 'campus-gig-app' });
+const db = getFirestore();
+
+const notification = (userId, { title, message }, link) => ({
+    userId, title, message, link, category: NOTIFICATION_CATEGORIES.GIG_STATUS, read: false, archived: false, createdAt: now,
+});
+
+const commitInChunks = async (writes) => {
+    for (let i = 0; i < writes.length; i += BATCH_LIMIT) {
+        const batch = db.batch();
+        writes.slice(i, i + BATCH_LIMIT).forEach(write => write(batch));
+        await batch.commit();
+    }
+};
+
+// Each proposal takes two writes (its status and the student's notification); the gig and the client's
+// notification take the last two.
+const PROPOSALS_PER_TRANSACTION = Math.floor((BATCH_LIMIT - 2) / 2);
+
+// Each transaction re-reads the gig, so one accepted or extended while the run was going is left alone: it is no
+// longer open, or no longer due, and nothing is written. Gigs with more pending proposals than fit in one
+// transaction have them expired a chunk at a time and the gig closed with the last chunk, so a run that dies
+// halfway leaves the gig open for the next run to finish. Returns the number of proposals expired, or null if the
+// gig was skipped.
+const expireGig = async (gig) => {
+    const gigRef = db.doc(`gigs/${gig.id}`);
+    const pendingQuery = db.collection('proposals').where('gigId', '==', gig.id).where('status', '==', PROPOSAL_STATUS.PENDING).limit(PROPOSALS_PER_TRANSACTION + 1);
+    let expired = 0;
+    for (;;) {
+        const result = await db.runTransaction(async (transaction) => {
+            const gigDoc = await transaction.get(gigRef);
+            const fresh = { id: gigDoc.id, ...gigDoc.data() };
+            if (!gigDoc.exists || fresh.status !== 'open' || planExpiryRun([fresh], now, options).expire.length === 0) return null;
+            const pending = await transaction.get(pendingQuery);
+            const proposalDocs = pending.docs.slice(0, PROPOSALS_PER_TRANSACTION);
+            proposalDocs.forEach(proposalDoc => {
+                transaction.update(proposalDoc.ref, { status: PROPOSAL_STATUS.EXPIRED, expiredAt: now });
+                transaction.set(db.collection('notifications').doc(), notification(proposalDoc.data().studentId, describeProposalExpired(fresh), `gig/${gig.id}`));
+            });
+            const done = pending.size <= PROPOSALS_PER_TRANSACTION;
+            if (done) {
+                transaction.set(db.collection('notifications').doc(), notification(gig.clientId, describeGigExpired(fresh), `gig/${gig.id}`));
+                transaction.update(gigRef, { ...buildExpiryUpdates(now), statusHistory: FieldValue.arrayUnion(buildExpiryHistoryEntry(fresh, now)) });
+            }
+            return { count: proposalDocs.length, done };
+        });
+        if (!result) return null;
+        expired += result.count;
+        if (result.done) return expired;
+    }
+};
+
+const remindClient = (gig) => commitInChunks([
+    batch => batch.set(db.collection('notifications').doc(), notification(gig.clientId, describeExpiryReminder(gig, remindedExpiresAt(gig)), `gig/${gig.id}`)),
+    batch => batch.update(db.doc(`gigs/${gig.id}`), { expiryReminderSentAt: now }),
+]);
+
+const run = async () => {
+    const snapshot = await db.collection('gigs').where('status', '==', 'open').get();
+    const gigs = snapshot.docs.map(gigDoc => ({ id: gigDoc.id, ...gigDoc.data() }));
+    const { expire, remind } = planExpiryRun(gigs, now, options);
+    console.log(`${snapshot.size} open gig(s) as of ${now.toISOString()}: ${expire.length} to expire, ${remind.length} to remind.`);
+    if (dryRun) {
+        expire.forEach(gig => console.log(`- expire ${gig.id} "${gig.title}" (expired ${getExpiresAt(gig, options).toISOString()})`));
+        remind.forEach(gig => console.log(`- remind ${gig.id} "${gig.title}" (expires ${remindedExpiresAt(gig).toISOString()})`));
+        return;
+    }
+    let expiredGigs = 0;
+    let expiredProposals = 0;
+    for (const gig of expire) {
+        const count = await expireGig(gig);
+        if (count === null) {
+            console.log(`- skipped ${gig.id} "${gig.title}": no longer open or no longer due`);
+            continue;
+        }
+        expiredGigs += 1;
+        expiredProposals += count;
+    }
+    for (const gig of remind) await remindClient(gig);
+    console.log(`Done: ${expiredGigs} gig(s) and ${expiredProposals} proposal(s) expired, ${remind.length} reminder(s) sent.`);
+};
+
+run().catch(error => {
+    console.error('Gig expiry run failed:', error);
+    process.exit(1);
+});
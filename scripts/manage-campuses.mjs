@@ -0,0 +1,48 @@
+/**
+ * Maintains the `campuses` collection that student email verification and campus-restricted gigs read from.
+ *
+ *   node scripts/manage-campuses.mjs list
+ *   node scripts/manage-campuses.mjs add mit "Massachusetts Institute of Technology" mit.edu alum.mit.edu
+ *   node scripts/manage-campuses.mjs remove mit
+ *
+ * `add` creates the campus or replaces its name and domains. Domains match student emails exactly, so list
+ * each subdomain students sign in with. Uses application default credentials, or the emulator when
+ * FIRESTORE_EMULATOR_HOST is set.
+ */
+import { initializeApp } from 'firebase-admin/app';
+import { getFirestore } from 'firebase-admin/firestore';
+import { normalizeDomains } from '../src/campuses.js';
+
+const [command, id, name, ...domains] = process.argv.slice(2);
+
+initializeApp({ projectId: process.env.GCLOUD_PROJECT || 'campus-gig-app' });
+const db = getFirestore();
+
+const commands = {
+    list: async () => {
+        const snapshot = await db.collection('campuses').orderBy('name').get();
+        snapshot.docs.forEach(campus => console.log(`- ${campus.id}: ${campus.data().name} [${(campus.data().domains || []).join(', ')}]`));
+        console.log(`${snapshot.size} campus(es).`);
+    },
+    add: async () => {
+        const campusDomains = normalizeDomains(domains);
+        if (!id || !name || campusDomains.length === 0) throw new Error('Usage: add <id> <name> <domain...>');
+        await db.collection('campuses').doc(id).set({ name, domains: campusDomains });
+        console.log(`Saved ${id}: ${name} [${campusDomains.join(', ')}]`);
+    },
+    remove: async () => {
+        if (!id) throw new Error('Usage: remove <id>');
+        await db.collection('campuses').doc(id).delete();
+        console.log(`Removed ${id}. Students already verified there keep their membership.`);
+    },
+};
+
+if (!commands[command]) {
+    console.error(`Unknown command "${command || ''}". Use list, add or remove.`);
+    process.exit(1);
+}
+
+commands[command]().catch(error => {
+    console.error('Campus update failed:', error);
+    process.exit(1);
+});
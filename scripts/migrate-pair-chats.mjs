@@ -0,0 +1,90 @@
+/**
+ * One-off migration from pair-keyed chats (chats/{uidA_uidB}) to per-gig threads (chats/gig_{gigId}).
+ *
+ * Each legacy message is copied into the thread of the gig the pair was working on when it was sent
+ * (see assignLegacyMessages in src/chat.js). Legacy chats are marked with `migratedTo`, not deleted.
+ *
+ *   node scripts/migrate-pair-chats.mjs            # dry run, prints the plan
+ *   node scripts/migrate-pair-chats.mjs --apply    # writes the threads
+ *
+ * Uses application default credentials, or the emulator when FIRESTORE_EMULATOR_HOST is set.
+ */
+import { initializeApp } from 'firebase-admin/app';
+import { getFirestore, FieldValue } from 'firebase-admin/firestore';
+import { assignLegacyMessages, buildGigThread, isLegacyChatId } from '../src/chat.js';
+
+const BATCH_LIMIT = 450;
+const apply = process.argv.includes('--apply');
+
+initializeApp({ projectId: process.env.GCLOUD_PROJECT || 'campus-gig-app' });
+const db = getFirestore();
+
+const findPairGigs = async ([uidA, uidB]) => {
+    const [forward, reverse] = await Promise.all([
+        db.collection('gigs').where('clientId', '==', uidA).where('acceptedStudentId', '==', uidB).get(),
+        db.collection('gigs').where('clientId', '==', uidB).where('acceptedStudentId', '==', uidA).get(),
+    ]);
+    return [...forward.docs, ...reverse.docs].map(gigDoc => ({ id: gigDoc.id, ...gigDoc.data() }));
+};
+
+const writeInBatches = async (writes) => {
+    for (let i = 0; i < writes.length; i += BATCH_LIMIT) {
+        const batch = db.batch();
+        writes.slice(i, i + BATCH_LIMIT).forEach(write => write(batch));
+        await batch.commit();
+    }
+};
+
+const migrateChat = async (chatRef) => {
+    const legacy = await chatRef.get();
+    if (legacy.exists && legacy.data().migratedTo) return { skipped: true };
+
+    const [messagesSnapshot, gigs] = await Promise.all([
+        chatRef.collection('messages').orderBy('createdAt', 'asc').get(),
+        findPairGigs(chatRef.id.split('_')),
+    ]);
+    const messages = messagesSnapshot.docs.map(messageDoc => ({ id: messageDoc.id, ...messageDoc.data() }));
+    const assignments = assignLegacyMessages(messages, gigs);
+    const threadIds = Object.keys(assignments);
+    if (messages.length > 0 && threadIds.length === 0) return { orphaned: messages.length };
+
+    const writes = [];
+    threadIds.forEach(threadId => {
+        const gig = gigs.find(candidate => `gig_${candidate.id}` === threadId);
+        const { id, ...thread } = buildGigThread(gig);
+        const threadMessages = assignments[threadId];
+        const last = threadMessages[threadMessages.length - 1];
+        writes.push(batch => batch.set(db.doc(`chats/${id}`), {
+            ...thread,
+            lastMessageText: last.text || `Attachment: ${last.attachment?.name}`,
+            lastMessageAt: last.createdAt,
+            lastSenderId: last.senderId,
+        }, { merge: true }));
+        // History predates read receipts, so it is treated as already read.
+        threadMessages.forEach(({ id: messageId, ...message }) => {
+            writes.push(batch => batch.set(db.doc(`chats/${id}/messages/${messageId}`), { readAt: message.createdAt, ...message }));
+        });
+    });
+    writes.push(batch => batch.set(chatRef, { migratedTo: threadIds, migratedAt: FieldValue.serverTimestamp() }, { merge: true }));
+
+    if (apply) await writeInBatches(writes);
+    return { threads: threadIds.map(threadId => `${threadId} (${assignments[threadId].length} messages)`) };
+};
+
+const run = async () => {
+    // listDocuments also returns chats that only exist as a parent of their messages.
+    const chatRefs = (await db.collection('chats').listDocuments()).filter(chatRef => isLegacyChatId(chatRef.id));
+    console.log(`${apply ? 'Migrating' : 'Dry run:'} ${chatRefs.length} legacy chat(s).`);
+    for (const chatRef of chatRefs) {
+        const result = await migrateChat(chatRef);
+        if (result.skipped) console.log(`- ${chatRef.id}: already migrated`);
+        else if (result.orphaned) console.warn(`- ${chatRef.id}: ${result.orphaned} message(s) with no matching gig, left in place`);
+        else console.log(`- ${chatRef.id} -> ${result.threads.join(', ') || 'no messages'}`);
+    }
+    if (!apply) console.log('Re-run with --apply to write these changes.');
+};
+
+run().catch(error => {
+    console.error('Chat migration failed:', error);
+    process.exit(1);
+});
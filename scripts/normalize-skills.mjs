@@ -0,0 +1,61 @@
+/**
+ * One-off migration that rewrites `skills` on gigs and users to canonical names from the skills catalogue
+ * (src/skills.js), dropping duplicates such as "React" + "reactjs". Gigs also get their search fields rebuilt
+ * from the normalized skills, including gigs whose skills were already canonical but whose search fields are
+ * missing or out of date.
+ *
+ *   node scripts/normalize-skills.mjs            # dry run, prints what would change
+ *   node scripts/normalize-skills.mjs --apply    # writes the changes
+ *
+ * Safe to re-run: documents that are already normalized are skipped. Uses application default credentials,
+ * or the emulator when FIRESTORE_EMULATOR_HOST is set.
+ */
+import { initializeApp } from 'firebase-admin/app';
+import { getFirestore } from 'firebase-admin/firestore';
+import { buildGigSearchFields } from '../src/gigSearch.js';
+import { normalizeSkills } from '../src/skills.js';
+
+const BATCH_LIMIT = 450;
+const apply = process.argv.includes('--apply');
+
+initializeApp({ projectId: process.env.GCLOUD_PROJECT || 'campus-gig-app' });
+const db = getFirestore();
+
+const sameList = (a, b) => Array.isArray(b) && a.length === b.length && a.every((item, index) => item === b[index]);
+
+const collectUpdates = async (collectionName, buildUpdate) => {
+    const snapshot = await db.collection(collectionName).get();
+    const updates = [];
+    snapshot.docs.forEach(docSnapshot => {
+        const data = docSnapshot.data();
+        if (!Array.isArray(data.skills)) return;
+        const update = buildUpdate(data, normalizeSkills(data.skills));
+        if (Object.entries(update).every(([field, value]) => sameList(value, data[field]))) return;
+        updates.push({ ref: docSnapshot.ref, before: data.skills, update });
+    });
+    return updates;
+};
+
+const run = async () => {
+    const gigUpdates = await collectUpdates('gigs', (gig, skills) => ({ skills, ...buildGigSearchFields({ ...gig, skills }) }));
+    const userUpdates = await collectUpdates('users', (user, skills) => ({ skills }));
+    const updates = [...gigUpdates, ...userUpdates];
+
+    updates.forEach(({ ref, before, update }) => console.log(`- ${ref.path}: [${before.join(', ')}] -> [${update.skills.join(', ')}]`));
+    console.log(`${updates.length} document(s) to update (${gigUpdates.length} gigs, ${userUpdates.length} users).`);
+    if (!apply) {
+        console.log('Re-run with --apply to write these changes.');
+        return;
+    }
+    for (let i = 0; i < updates.length; i += BATCH_LIMIT) {
+        const batch = db.batch();
+        updates.slice(i, i + BATCH_LIMIT).forEach(({ ref, update }) => batch.update(ref, update));
+        await batch.commit();
+    }
+    console.log('Done.');
+};
+
+run().catch(error => {
+    console.error('Skill migration failed:', error);
+    process.exit(1);
+});
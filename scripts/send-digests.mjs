@@ -0,0 +1,44 @@
+/**
+ * Sends the daily email digest to every user who opted in (notificationPrefs.emailDigest).
+ * Schedule it once a day (cron, Cloud Scheduler, ...); users already mailed in the last 24 hours are skipped.
+ *
+ *   MAIL_TRANSPORT=console node scripts/send-digests.mjs
+ *
+ * MAIL_TRANSPORT picks the transport from src/mail.js (console, capture, webhook with MAIL_WEBHOOK_URL).
+ * APP_URL is used for links in the email. Uses application default credentials, or the emulator when
+ * FIRESTORE_EMULATOR_HOST is set.
+ */
+import { initializeApp } from 'firebase-admin/app';
+import { getFirestore, FieldValue } from 'firebase-admin/firestore';
+import { getMailTransport } from '../src/mail.js';
+import { sendDigests } from '../src/notifications.js';
+
+initializeApp({ projectId: process.env.GCLOUD_PROJECT || 'campus-gig-app' });
+const db = getFirestore();
+
+const loadNotifications = async (user, since) => {
+    let notificationsQuery = db.collection('notifications').where('userId', '==', user.id).orderBy('createdAt', 'desc');
+    if (since) notificationsQuery = notificationsQuery.where('createdAt', '>', since);
+    const snapshot = await notificationsQuery.limit(200).get();
+    return snapshot.docs.map(notificationDoc => ({ id: notificationDoc.id, ...notificationDoc.data() }));
+};
+
+const run = async () => {
+    const usersSnapshot = await db.collection('users').where('notificationPrefs.emailDigest', '==', true).get();
+    const users = usersSnapshot.docs.map(userDoc => ({ id: userDoc.id, ...userDoc.data() }));
+    const results = await sendDigests(users, loadNotifications, getMailTransport(), { appUrl: process.env.APP_URL || '' });
+
+    const delivered = results.filter(result => !result.error);
+    if (delivered.length > 0) {
+        const batch = db.batch();
+        delivered.forEach(result => batch.update(db.doc(`users/${result.userId}`), { lastDigestAt: FieldValue.serverTimestamp() }));
+        await batch.commit();
+    }
+    results.filter(result => result.error).forEach(result => console.error(`- ${result.userId}: ${result.error}`));
+    console.log(`Digests: ${results.filter(result => result.sent > 0).length} sent, ${results.length} due, ${users.length} opted in.`);
+};
+
+run().catch(error => {
+    console.error('Digest run failed:', error);
+    process.exit(1);
+});
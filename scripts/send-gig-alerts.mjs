@@ -0,0 +1,119 @@
+/**
+ * Sends "matching gig" alerts for gigs posted in the last day that haven't been alerted yet, to students whose
+ * skills match (see src/gigAlerts.js). Schedule it every few minutes (cron, Cloud Scheduler, ...). Each gig is
+ * claimed by stamping alertsSentAt in a transaction, so overlapping runs never alert the same gig twice, and each
+ * student's gigAlertLog is re-read and updated in the transaction that alerts them, so the daily limit holds.
+ *
+ *   node scripts/send-gig-alerts.mjs              # sends alerts
+ *   node scripts/send-gig-alerts.mjs --dry-run    # prints what would be sent
+ *
+ * Uses application default credentials, or the emulator when FIRESTORE_EMULATOR_HOST is set.
+ */
+import { initializeApp } from 'firebase-admin/app';
+import { getFirestore } from 'firebase-admin/firestore';
+import { GIG_ALERT_WINDOW_MS, describeGigAlert, getAlertQuerySkills, getRecentAlerts, planGigAlerts, selectAlertRecipients } from '../src/gigAlerts.js';
+import { NOTIFICATION_CATEGORIES } from '../src/notifications.js';
+
+// Each alert takes two writes (the notification and the student's gigAlertLog).
+const STUDENTS_PER_TRANSACTION = 200;
+const STUDENT_PAGE_SIZE = 500;
+const dryRun = process.argv.includes('--dry-run');
+
+initializeApp({ projectId: process.env.GCLOUD_PROJECT || 'campus-gig-app' });
+const db = getFirestore();
+
+const toDate = (value) => (value?.toDate ? value.toDate() : new Date(value));
+
+// Returns false if the gig was already claimed by another run, or is no longer open.
+const claimGig = (gig, now) => db.runTransaction(async (transaction) => {
+    const gigRef = db.doc(`gigs/${gig.id}`);
+    const gigDoc = await transaction.get(gigRef);
+    if (!gigDoc.exists || gigDoc.data().status !== 'open' || gigDoc.data().alertsSentAt) return false;
+    transaction.update(gigRef, { alertsSentAt: now });
+    return true;
+});
+
+// Re-reads the students so an alert sent by an overlapping run counts against the limit, then alerts and logs
+// them together. Returns the students alerted, with their updated gigAlertLog.
+const alertStudents = (gig, students, now) => db.runTransaction(async (transaction) => {
+    const studentDocs = await transaction.getAll(...students.map(student => db.doc(`users/${student.id}`)));
+    const fresh = studentDocs.filter(studentDoc => studentDoc.exists).map(studentDoc => ({ id: studentDoc.id, ...studentDoc.data() }));
+    return selectAlertRecipients(gig, fresh, now.getTime()).map(({ student, matched }) => {
+        const { title, message } = describeGigAlert(gig, matched);
+        const gigAlertLog = [...getRecentAlerts(student, now.getTime()), now];
+        transaction.set(db.collection('notifications').doc(), {
+            userId: student.id, title, message, link: `gig/${gig.id}`, category: NOTIFICATION_CATEGORIES.GIG_MATCHES, gigId: gig.id, read: false, archived: false, createdAt: now,
+        });
+        transaction.update(db.doc(`users/${student.id}`), { gigAlertLog });
+        return { ...student, gigAlertLog };
+    });
+});
+
+// The gig is claimed before anything is sent: a run that dies halfway drops the rest of that gig's alerts rather
+// than risk sending them twice.
+const sendGigAlerts = async (gig, candidates, studentsById, now) => {
+    if (!(await claimGig(gig, now))) return null;
+    const recipients = selectAlertRecipients(gig, candidates, now.getTime()).map(({ student }) => student);
+    let sent = 0;
+    for (let i = 0; i < recipients.length; i += STUDENTS_PER_TRANSACTION) {
+        const alerted = await alertStudents(gig, recipients.slice(i, i + STUDENTS_PER_TRANSACTION), now);
+        alerted.forEach(student => { studentsById[student.id].gigAlertLog = student.gigAlertLog; });
+        sent += alerted.length;
+    }
+    return sent;
+};
+
+// Students are read a page at a time; the same student matching several gigs is read once.
+const loadCandidates = async (gig, studentsById) => {
+    const querySkills = getAlertQuerySkills(gig.skills);
+    if (querySkills.length === 0) return [];
+    const base = db.collection('users').where('role', '==', 'student').where('skills', 'array-contains-any', querySkills).limit(STUDENT_PAGE_SIZE);
+    const candidates = [];
+    let last = null;
+    do {
+        const snapshot = await (last ? base.startAfter(last) : base).get();
+        snapshot.docs.forEach(studentDoc => {
+            if (!studentsById[studentDoc.id]) studentsById[studentDoc.id] = { id: studentDoc.id, ...studentDoc.data() };
+            candidates.push(studentsById[studentDoc.id]);
+        });
+        last = snapshot.docs.length === STUDENT_PAGE_SIZE ? snapshot.docs[snapshot.docs.length - 1] : null;
+    } while (last);
+    return candidates;
+};
+
+const run = async () => {
+    const now = new Date();
+    const since = new Date(now.getTime() - GIG_ALERT_WINDOW_MS);
+    const gigsSnapshot = await db.collection('gigs').where('status', '==', 'open').where('postedAt', '>', since).orderBy('postedAt', 'desc').get();
+    // Gigs posted while this run is going are left for the next one.
+    const gigs = gigsSnapshot.docs.map(gigDoc => ({ id: gigDoc.id, ...gigDoc.data() })).filter(gig => !gig.alertsSentAt && toDate(gig.postedAt) <= now);
+
+    const studentsById = {};
+    const candidatesByGig = {};
+    for (const gig of gigs) candidatesByGig[gig.id] = await loadCandidates(gig, studentsById);
+
+    if (dryRun) {
+        const { alerts, logs } = planGigAlerts(gigs, candidatesByGig, now.getTime());
+        console.log(`${gigs.length} new gig(s): ${alerts.length} alert(s) to ${Object.keys(logs).length} student(s).`);
+        gigs.forEach(gig => console.log(`- ${gig.id} "${gig.title}": ${alerts.filter(alert => alert.gig.id === gig.id).length} alert(s)`));
+        return;
+    }
+    // Oldest first, as planGigAlerts does, so earlier gigs take the students' daily allowance first.
+    const ordered = [...gigs].sort((a, b) => toDate(a.postedAt) - toDate(b.postedAt));
+    let alertCount = 0;
+    for (const gig of ordered) {
+        const sent = await sendGigAlerts(gig, candidatesByGig[gig.id], studentsById, now);
+        if (sent === null) {
+            console.log(`- skipped ${gig.id} "${gig.title}": already alerted by another run, or no longer open`);
+            continue;
+        }
+        console.log(`- ${gig.id} "${gig.title}": ${sent} alert(s)`);
+        alertCount += sent;
+    }
+    console.log(`Done: ${alertCount} alert(s) for ${gigs.length} new gig(s).`);
+};
+
+run().catch(error => {
+    console.error('Gig alerts run failed:', error);
+    process.exit(1);
+});
@@ -0,0 +1,92 @@
+/**
+ * Notifies students about gigs posted since their saved searches were last checked, and warns them when a saved
+ * gig is closing soon, was taken or closed. Schedule it every hour or so (cron, Cloud Scheduler, ...); each search
+ * remembers when it was last checked and each saved gig its last warning, so nothing is sent twice.
+ *
+ *   node scripts/send-saved-alerts.mjs              # sends alerts
+ *   node scripts/send-saved-alerts.mjs --dry-run    # prints what would be sent
+ *
+ * Students who turned off in-app "Saved Gigs & Searches" notifications are skipped (their searches still advance).
+ * Uses application default credentials, or the emulator when FIRESTORE_EMULATOR_HOST is set.
+ */
+import { initializeApp } from 'firebase-admin/app';
+import { getFirestore } from 'firebase-admin/firestore';
+import { isOpenToCampus } from '../src/campuses.js';
+import { NOTIFICATION_CATEGORIES, getNotificationPrefs } from '../src/notifications.js';
+import { describeSavedGigWarning, describeSearchMatches, findNewMatches, getSearchLink, planSavedGigWarnings } from '../src/savedGigs.js';
+
+const BATCH_LIMIT = 450;
+const dryRun = process.argv.includes('--dry-run');
+
+initializeApp({ projectId: process.env.GCLOUD_PROJECT || 'campus-gig-app' });
+const db = getFirestore();
+
+const toDate = (value) => (value?.toDate ? value.toDate() : new Date(value));
+
+const loadDocs = async (collectionName, ids) => {
+    const byId = {};
+    const unique = [...new Set(ids)];
+    for (let i = 0; i < unique.length; i += BATCH_LIMIT) {
+        const snapshots = await db.getAll(...unique.slice(i, i + BATCH_LIMIT).map(id => db.doc(`${collectionName}/${id}`)));
+        snapshots.filter(snapshot => snapshot.exists).forEach(snapshot => { byId[snapshot.id] = { id: snapshot.id, ...snapshot.data() }; });
+    }
+    return byId;
+};
+
+const commitInChunks = async (writes) => {
+    for (let i = 0; i < writes.length; i += BATCH_LIMIT) {
+        const batch = db.batch();
+        writes.slice(i, i + BATCH_LIMIT).forEach(write => write(batch));
+        await batch.commit();
+    }
+};
+
+const run = async () => {
+    const now = new Date();
+    const notification = (userId, { title, message }, link) => ({
+        userId, title, message, link, category: NOTIFICATION_CATEGORIES.SAVED, read: false, archived: false, createdAt: now,
+    });
+    const writes = [];
+    const report = [];
+
+    const searches = (await db.collection('savedSearches').get()).docs.map(searchDoc => ({ id: searchDoc.id, ...searchDoc.data() }));
+    const savedGigs = (await db.collection('savedGigs').get()).docs.map(savedDoc => ({ id: savedDoc.id, ...savedDoc.data() }));
+    const users = await loadDocs('users', [...searches, ...savedGigs].map(item => item.userId));
+    const wantsAlerts = (userId) => Boolean(users[userId]) && getNotificationPrefs(users[userId]).categories[NOTIFICATION_CATEGORIES.SAVED].inApp;
+
+    if (searches.length > 0) {
+        const since = new Date(Math.min(...searches.map(search => toDate(search.lastCheckedAt).getTime())));
+        const gigsSnapshot = await db.collection('gigs').where('status', '==', 'open').where('postedAt', '>', since).orderBy('postedAt', 'desc').get();
+        // Gigs posted while this run is going are left for the next one.
+        const gigs = gigsSnapshot.docs.map(gigDoc => ({ id: gigDoc.id, ...gigDoc.data() })).filter(gig => toDate(gig.postedAt) <= now);
+        searches.forEach(search => {
+            const campusId = users[search.userId]?.campus?.id;
+            const matches = findNewMatches(search, gigs).filter(gig => gig.clientId !== search.userId && isOpenToCampus(gig, campusId));
+            if (matches.length > 0 && wantsAlerts(search.userId)) {
+                writes.push(batch => batch.set(db.collection('notifications').doc(), notification(search.userId, describeSearchMatches(search, matches), getSearchLink(search.filters))));
+                report.push(`- ${search.userId}: ${matches.length} new match(es) for "${search.name}"`);
+            }
+            writes.push(batch => batch.update(db.doc(`savedSearches/${search.id}`), { lastCheckedAt: now }));
+        });
+    }
+
+    const gigsById = await loadDocs('gigs', savedGigs.map(saved => saved.gigId));
+    planSavedGigWarnings(savedGigs, gigsById, now).forEach(({ saved, warning }) => {
+        if (wantsAlerts(saved.userId)) {
+            writes.push(batch => batch.set(db.collection('notifications').doc(), notification(saved.userId, describeSavedGigWarning(saved, warning), `gig/${saved.gigId}`)));
+            report.push(`- ${saved.userId}: saved gig ${saved.gigId} is ${warning}`);
+        }
+        writes.push(batch => batch.update(db.doc(`savedGigs/${saved.id}`), { warning }));
+    });
+
+    console.log(`${searches.length} saved search(es), ${savedGigs.length} saved gig(s): ${report.length} alert(s) to send.`);
+    report.forEach(line => console.log(line));
+    if (dryRun) return;
+    await commitInChunks(writes);
+    console.log('Done.');
+};
+
+run().catch(error => {
+    console.error('Saved alerts run failed:', error);
+    process.exit(1);
+});
@@ -0,0 +1,38 @@
+/**
+ * Grants or revokes the admin role. Admins can't be created from the app, so the first one is set up here.
+ *
+ *   node scripts/set-admin.mjs grant ada@example.edu
+ *   node scripts/set-admin.mjs revoke ada@example.edu
+ *
+ * Revoking restores the role the user had before (student or client). Uses application default credentials,
+ * or the emulator when FIRESTORE_EMULATOR_HOST is set.
+ */
+import { initializeApp } from 'firebase-admin/app';
+import { getFirestore } from 'firebase-admin/firestore';
+
+const [command, email] = process.argv.slice(2);
+
+initializeApp({ projectId: process.env.GCLOUD_PROJECT || 'campus-gig-app' });
+const db = getFirestore();
+
+const run = async () => {
+    if (!['grant', 'revoke'].includes(command) || !email) throw new Error('Usage: set-admin.mjs <grant|revoke> <email>');
+    const snapshot = await db.collection('users').where('email', '==', email).get();
+    if (snapshot.empty) throw new Error(`No user with email ${email}.`);
+    const [userDoc] = snapshot.docs;
+    const { role, previousRole } = userDoc.data();
+    if (command === 'grant') {
+        if (role === 'admin') return console.log(`${email} is already an admin.`);
+        await userDoc.ref.update({ role: 'admin', previousRole: role });
+        console.log(`${email} is now an admin (was ${role}).`);
+    } else {
+        if (role !== 'admin') return console.log(`${email} is not an admin.`);
+        await userDoc.ref.update({ role: previousRole || 'student', previousRole: null });
+        console.log(`${email} is now a ${previousRole || 'student'}.`);
+    }
+};
+
+run().catch(error => {
+    console.error('Admin update failed:', error);
+    process.exit(1);
+});
@@ -1,4 +1,4 @@
-import React, { useState, useEffect, createContext, useContext, useRef } from 'react';
+import React, { useState, useEffect, createContext, useContext, useRef, useCallback, useMemo } from 'react';
 import { initializeApp } from 'firebase/app';
 import { 
     getAuth, 
@@ -7,7 +7,9 @@ import {
     createUserWithEmailAndPassword, 
     signInWithEmailAndPassword, 
     onAuthStateChanged, 
-    signOut 
+    signOut,
+    sendEmailVerification,
+    reload
 } from 'firebase/auth';
 import { 
     getFirestore, 
@@ -23,10 +25,42 @@ import {
     orderBy,
     limit,
     updateDoc,
-    getDocs
+    getDocs,
+    runTransaction,
+    arrayUnion,
+    writeBatch,
+    startAfter,
+    increment,
+    deleteDoc,
+    deleteField,
+    serverTimestamp
 } from 'firebase/firestore';
-import { Home, Briefcase, User, LogIn, LogOut, PlusCircle, Search, Clock, Award, Users, CheckCircle, Edit, BrainCircuit, X, Send, School, Building, ExternalLink, Bell, MessageCircle, Bot, Menu } from 'lucide-react';
+import { Home, Briefcase, User, LogIn, LogOut, PlusCircle, Search, Clock, Award, Users, CheckCircle, Edit, BrainCircuit, X, Send, School, Building, ExternalLink, Bell, MessageCircle, Bot, Menu, Star, DollarSign, Bookmark, Columns, Paperclip, Check, CheckCheck, Sparkles, BadgeCheck, GraduationCap, Shield, Trash2, Flag, Ban, Calendar, MapPin, Save, BookmarkCheck, BarChart3, Download } from 'lucide-react';
+import { getStorage, ref as storageRef, uploadBytes, getDownloadURL } from 'firebase/storage';
 import { motion, AnimatePresence } from 'framer-motion';
+import { DEFAULT_FILTERS, GIG_PAGE_SIZE, MAX_SKILL_FILTERS, SORT_OPTIONS, buildGigSearchFields, buildSearchConstraints, matchesFilters, parseSearchParams, serializeFilters } from './gigSearch';
+import { MILESTONE_STATUS, TRANSITION_SETTLEMENTS, applyPayment, buildLedgerEntries, getPaymentProvider, getSettleableMilestones, groupLedgerByGig, splitIntoMilestones, validateMilestones } from './payments';
+import { buildBlock, filterBlockedGigs, filterBlockedProposals, filterBlockedThreads, getBlockId, isBlocked } from './blocks';
+import { buildCampusMembership, normalizeDomains, describeCampusScope, findCampusByEmail, getRestrictedCampusIds, isOpenToCampus, isVerifiedStudent } from './campuses';
+import { buildVerification, getEmailDomain, getVerificationError, isVerifiedClient, summarizeClientHistory } from './clients';
+import { ATTACHMENT_TYPES, PRESENCE_TIMEOUT_MS, THREAD_KIND, TYPING_TIMEOUT_MS, buildGigThread, buildProposalThread, describeThread, formatFileSize, getThreadId, getUnreadCount, isImageAttachment, isTyping, shouldNotifyRecipient, isLegacyChatId, sortThreads, toThread, validateAttachment } from './chat';
+import { DEFAULT_MATCH_THRESHOLD, MATCH_THRESHOLD_OPTIONS } from './gigAlerts';
+import { MODERATION_ACTIONS, REPORT_DETAILS_MAX_LENGTH, REPORT_REASONS, REPORT_STATUS, REPORT_TARGET_LABELS, SUSPENSION_DAYS_OPTIONS, buildAccountModeration, buildAuditEntry, buildGigRestore, buildGigTakedown, buildReport, describeAuditEntry, getAccountStatus, getSuspendedUntil, groupReports, isAccountRestricted, isTakenDown, validateReport } from './moderation';
+import { NOTIFICATION_CATEGORIES, NOTIFICATION_CATEGORY_LABELS, NOTIFICATION_PAGE_SIZE, filterNotifications, getBellNotifications, getNotificationPrefs } from './notifications';
+import { isStorageUrl, normalizeLink } from './links';
+import { MAX_PORTFOLIO_PROJECTS, MAX_PROJECT_FILES, MAX_PROJECT_LINKS, PHOTO_MAX_DIMENSION, PHOTO_TYPES, PORTFOLIO_FILE_TYPES, PORTFOLIO_IMAGE_MAX_DIMENSION, buildPortfolio, createProject, getLinkableGigs, getPortfolioProjects, getResizedDimensions, isResizableImage, validatePhoto, validatePortfolio, validatePortfolioFile } from './portfolio';
+import { PROPOSAL_STATUS, canDecide, canWithdraw, getProposalsToReject, getSkillOverlap, hasActiveProposal, planAcceptance, shouldNotifyProposalEdit } from './proposals';
+import { buildSkillProfile, getProfileTags, recommendGigs } from './recommendations';
+import { DEFAULT_RESUME_TEMPLATE, RESUME_EXTRACTION_PROMPT, RESUME_TEMPLATES, getResumeFileKind, getResumeSections, getResumeTemplate, mergeImportedProfile, parseAiResume, parseJsonResume, parseTextResume, validateResumeFile } from './resume';
+import { getReviewId, getReviewTarget, isValidRating, summarizeRatings } from './reviews';
+import { SAVED_GIG_WARNING_LABELS, SAVED_SEARCH_LIMIT, buildSavedGig, buildSavedSearch, describeSearch, getSavedGigId, getSavedGigWarning, getSearchLink, isGigSaved } from './savedGigs';
+import { SKILL_CATEGORIES, normalizeSkill, normalizeSkills, searchSkills, toSkillTag } from './skills';
+import { PROPOSAL_FILTERS, PROPOSAL_SORTS, filterProposals, getCompletedEarnings, getEarningsByMonth, getUpcomingDeadlines, summarizeProposals } from './studentStats';
+import { getLoginRedirect, getSafeRedirect, matchRoute, parseQuery, resolveAccess, toPath } from './router';
+import { DRAFT_AUTOSAVE_MS, EMPTY_GIG_FORM, MAX_GIG_ATTACHMENTS, MAX_OPENINGS, PRICING_LABELS, PRICING_TYPES, WORK_MODES, WORK_MODE_LABELS, applyTemplate, buildDraft, buildGigFields, buildTemplate, describeDeadline, describeEstimate, describePrice, describeWorkMode, gigToForm, isDraftEmpty, validateGigForm } from './gigForm';
+import { ANALYTICS_DAYS, buildBidStatsChange, buildProposalStatsUpdate, formatHours, getProposalsOverTime, getSpendByMonth, summarizeGig, summarizeGigs, toAnalyticsCsv } from './clientAnalytics';
+import { EXTENSION_DAYS, buildExtension, getExpiresAt, isExpiringSoon, isPastExpiry } from './gigExpiry';
+import { GIG_STATUS_LABELS, GIG_TRANSITIONS, canTransition, getAvailableActions, getGigRole, getTransitionUpdates, getTransitionRecipients, describeTransition } from './gigLifecycle';
 
 // --- Firebase Configuration ---
 const firebaseConfig = {
@@ -45,7 +79,337 @@ const GEMINI_API_KEY = process.env.REACT_APP_GEMINI_API_KEY
 const app = initializeApp(firebaseConfig);
 const auth = getAuth(app);
 const db = getFirestore(app);
+const storage = getStorage(app);
 const googleProvider = new GoogleAuthProvider();
+const paymentProvider = getPaymentProvider();
+
+// --- Firestore Helpers ---
+// `about` names the gig, proposal or chat the sender and recipient share ({ gigId }, { proposalId } or { chatId });
+// the security rules only let users notify their counterparties there.
+const buildNotification = (userId, title, message, link, category, about = {}) => ({ userId, title, message, link, category, ...about, read: false, archived: false, createdAt: Timestamp.now() });
+
+// Applies the same update to many notifications; ids beyond one batch's write limit go in further batches.
+const updateNotifications = async (ids, updates) => {
+    for (let i = 0; i < ids.length; i += 450) {
+        const batch = writeBatch(db);
+        ids.slice(i, i + 450).forEach(id => (updates ? batch.update(doc(db, 'notifications', id), updates) : batch.delete(doc(db, 'notifications', id))));
+        await batch.commit();
+    }
+};
+
+const deleteNotifications = (ids) => updateNotifications(ids, null);
+
+// Covers unread notifications that have not been loaded into the panel yet.
+const markAllNotificationsRead = async (uid) => {
+    const snapshot = await getDocs(query(collection(db, 'notifications'), where('userId', '==', uid), where('read', '==', false)));
+    await updateNotifications(snapshot.docs.map(d => d.id), { read: true });
+};
+
+// Resolves true once the sign-in email is confirmed; otherwise sends the confirmation email and resolves false.
+const confirmSignInEmail = async (firebaseUser) => {
+    await reload(firebaseUser);
+    if (!firebaseUser.emailVerified) {
+        await sendEmailVerification(firebaseUser);
+        return false;
+    }
+    // Refresh the ID token so the rules see the email_verified claim.
+    await firebaseUser.getIdToken(true);
+    return true;
+};
+
+// Verifies a client's organization from their confirmed sign-in email. The verified flag is copied onto their
+// gigs so cards can show the badge without reading the client.
+const verifyClientOrganization = async (firebaseUser) => {
+    if (!(await confirmSignInEmail(firebaseUser))) return 'sent';
+    const gigsSnapshot = await getDocs(query(collection(db, 'gigs'), where('clientId', '==', firebaseUser.uid)));
+    const writes = [
+        writer => writer.update(doc(db, 'users', firebaseUser.uid), { verification: buildVerification(firebaseUser.email, Timestamp.now()) }),
+        ...gigsSnapshot.docs.map(gigDoc => writer => writer.update(gigDoc.ref, { clientVerified: true })),
+    ];
+    for (let i = 0; i < writes.length; i += 450) {
+        const batch = writeBatch(db);
+        writes.slice(i, i + 450).forEach(write => write(batch));
+        await batch.commit();
+    }
+    return 'verified';
+};
+
+// Joins a student to the campus whose email domain matches their confirmed sign-in email.
+const verifyStudentCampus = async (firebaseUser, campuses) => {
+    const campus = findCampusByEmail(campuses, firebaseUser.email);
+    if (!campus) return 'unknown';
+    if (!(await confirmSignInEmail(firebaseUser))) return 'sent';
+    await updateDoc(doc(db, 'users', firebaseUser.uid), { campus: buildCampusMembership(campus, firebaseUser.email, Timestamp.now()) });
+    return 'verified';
+};
+
+const submitReport = (target, form, reporterId) => addDoc(collection(db, 'reports'), buildReport(target, form, reporterId, Timestamp.now()));
+
+const blockUser = (blockerId, blockedId) => setDoc(doc(db, 'blocks', getBlockId(blockerId, blockedId)), buildBlock(blockerId, blockedId, Timestamp.now()));
+
+const unblockUser = (blockerId, blockedId) => deleteDoc(doc(db, 'blocks', getBlockId(blockerId, blockedId)));
+
+// Applies a moderation change and its audit log entry in one batch. `admin` is { uid, name }. The rules only accept
+// the change if the admin's audit cursor points at a new entry about the same target.
+const moderate = async (admin, action, target, reason, apply) => {
+    const batch = writeBatch(db);
+    const entryRef = doc(collection(db, 'auditLog'));
+    apply(batch);
+    batch.set(entryRef, buildAuditEntry(admin, action, target, reason, serverTimestamp()));
+    batch.set(doc(db, 'auditCursors', admin.uid), { entryId: entryRef.id });
+    await batch.commit();
+};
+
+// Resolves to the `moderation` field written on the account.
+const moderateAccount = async (admin, action, account, { reason = '', days } = {}) => {
+    const moderation = buildAccountModeration(action, { adminId: admin.uid, reason, days });
+    await moderate(admin, action, { targetType: 'user', targetId: account.id, targetLabel: account.name || account.email || '' }, reason, batch => {
+        batch.update(doc(db, 'users', account.id), { moderation });
+    });
+    return moderation;
+};
+
+const moderateGig = (admin, action, gig, reason = '') => moderate(admin, action, { targetType: 'gig', targetId: gig.id, targetLabel: gig.title }, reason, batch => {
+    const updates = action === 'takeDownGig' ? buildGigTakedown(gig, { adminId: admin.uid, reason }) : buildGigRestore(gig, { adminId: admin.uid });
+    batch.update(doc(db, 'gigs', gig.id), { ...updates, statusHistory: arrayUnion({ from: gig.status, to: updates.status, action, by: admin.uid, at: Timestamp.now() }) });
+    const message = action === 'takeDownGig' ? `"${gig.title}" was taken down by a moderator.${reason ? ` Reason: ${reason}` : ''}` : `"${gig.title}" was restored by a moderator.`;
+    batch.set(doc(collection(db, 'notifications')), buildNotification(gig.clientId, action === 'takeDownGig' ? 'Gig Taken Down' : 'Gig Restored', message, `gig/${gig.id}`, NOTIFICATION_CATEGORIES.GIG_STATUS));
+});
+
+// Blanks the message for both participants; the report keeps a copy of what was said.
+const removeChatMessage = (admin, chatId, messageId, reason = '') => moderate(admin, 'removeMessage', { targetType: 'message', targetId: messageId, targetLabel: `message in ${chatId}` }, reason, batch => {
+    batch.update(doc(db, 'chats', chatId, 'messages', messageId), { removed: true, text: '', attachment: null });
+});
+
+// Closes every open report in a review group with the same outcome.
+const closeReports = (admin, group, status, resolution = '') => moderate(admin, status === REPORT_STATUS.RESOLVED ? 'resolveReport' : 'dismissReport', { targetType: group.targetType, targetId: group.targetId, targetLabel: group.latest.targetLabel || '' }, resolution, batch => {
+    group.reports.forEach(report => batch.update(doc(db, 'reports', report.id), { status, resolution, resolvedBy: admin.uid, resolvedAt: Timestamp.now() }));
+});
+
+const pendingProposalsQuery = (gigId) => query(collection(db, 'proposals'), where('gigId', '==', gigId), where('status', '==', PROPOSAL_STATUS.PENDING));
+
+// Cancelling an open gig closes its pending proposals and tells their students.
+const closeProposals = (writer, gig, proposals) => {
+    proposals.forEach(p => {
+        writer.update(doc(db, 'proposals', p.id), { status: PROPOSAL_STATUS.CLOSED });
+        writer.set(doc(collection(db, 'notifications')), buildNotification(p.studentId, 'Gig Cancelled', `The client cancelled "${gig.title}", so it is no longer taking proposals.`, `gig/${gig.id}`, NOTIFICATION_CATEGORIES.PROPOSALS, { proposalId: p.id }));
+    });
+};
+
+// Moves a gig through its lifecycle, re-checking status and permissions against the stored gig. `escrow` holds
+// the escrow movements ({ type, references }) that settle the gig, recorded in the same transaction.
+const transitionGig = async (gigId, action, uid, details = {}, escrow = null) => {
+    const gigRef = doc(db, 'gigs', gigId);
+    const pendingRefs = action === 'cancel' ? (await getDocs(pendingProposalsQuery(gigId))).docs.map(d => d.ref) : [];
+    const gig = await runTransaction(db, async (transaction) => {
+        const gigSnap = await transaction.get(gigRef);
+        const pendingSnaps = await Promise.all(pendingRefs.map(ref => transaction.get(ref)));
+        if (!gigSnap.exists()) throw new Error('Gig not found.');
+        const gig = { id: gigSnap.id, ...gigSnap.data() };
+        if (!canTransition(gig, action, uid)) throw new Error('This action is not available for this gig.');
+        const { to } = GIG_TRANSITIONS[action];
+        transaction.update(gigRef, {
+            ...getTransitionUpdates(gig, action, details),
+            ...(escrow ? recordEscrow(transaction, gig, escrow.type, escrow.references) : {}),
+            status: to,
+            statusHistory: arrayUnion({ from: gig.status, to, action, by: uid, at: Timestamp.now() }),
+        });
+        const { title, message } = describeTransition(action, gig.title, details.note);
+        getTransitionRecipients(gig, uid).forEach(userId => {
+            transaction.set(doc(collection(db, 'notifications')), buildNotification(userId, title, message, `gig/${gigId}`, NOTIFICATION_CATEGORIES.GIG_STATUS, { gigId }));
+        });
+        if (action === 'cancel' && gig.status === 'open') closeProposals(transaction, gig, pendingSnaps.filter(snap => snap.exists() && snap.data().status === PROPOSAL_STATUS.PENDING).map(snap => ({ id: snap.id, ...snap.data() })));
+        return gig;
+    });
+
+    // Proposals sent while the transaction ran are closed afterwards; none can arrive once the gig is cancelled.
+    if (action === 'cancel' && gig.status === 'open') {
+        const stragglers = await getDocs(pendingProposalsQuery(gigId));
+        if (!stragglers.empty) {
+            const batch = writeBatch(db);
+            closeProposals(batch, gig, stragglers.docs.map(d => ({ id: d.id, ...d.data() })));
+            await batch.commit();
+        }
+    }
+};
+
+const rejectProposals = (writer, gig, proposals) => {
+    proposals.forEach(p => {
+        writer.update(doc(db, 'proposals', p.id), { status: 'rejected' });
+        writer.set(doc(collection(db, 'notifications')), buildNotification(p.studentId, 'Proposal Not Selected', `The client chose another proposal for "${gig.title}". Keep applying!`, `gig/${gig.id}`, NOTIFICATION_CATEGORIES.PROPOSALS, { proposalId: p.id }));
+    });
+};
+
+// Accepts one proposal and rejects every other pending one in a single transaction. The gig must still be open,
+// so double clicks or two tabs can't accept twice.
+const acceptProposal = async (gigId, proposalId, uid) => {
+    const gigRef = doc(db, 'gigs', gigId);
+    const proposalRef = doc(db, 'proposals', proposalId);
+    const pendingSnapshot = await getDocs(query(collection(db, 'proposals'), where('gigId', '==', gigId), where('status', '==', 'pending')));
+    const otherRefs = pendingSnapshot.docs.filter(d => d.id !== proposalId).map(d => d.ref);
+
+    const gig = await runTransaction(db, async (transaction) => {
+        const gigSnap = await transaction.get(gigRef);
+        const proposalSnap = await transaction.get(proposalRef);
+        const otherSnaps = await Promise.all(otherRefs.map(ref => transaction.get(ref)));
+        const gigData = gigSnap.exists() ? { id: gigSnap.id, ...gigSnap.data() } : null;
+        const proposal = proposalSnap.exists() ? { id: proposalSnap.id, ...proposalSnap.data() } : null;
+        const others = otherSnaps.filter(snap => snap.exists()).map(snap => ({ id: snap.id, ...snap.data() }));
+        const { gigUpdate, historyEntry, rejected } = planAcceptance(gigData, proposal, others, uid, Timestamp.now());
+
+        transaction.update(gigRef, { ...gigUpdate, statusHistory: arrayUnion(historyEntry) });
+        transaction.update(proposalRef, { status: 'accepted' });
+        transaction.set(doc(collection(db, 'notifications')), buildNotification(proposal.studentId, 'Proposal Accepted!', `Congratulations! Your proposal for "${gigData.title}" was accepted.`, `gig/${gigId}`, NOTIFICATION_CATEGORIES.PROPOSALS, { proposalId }));
+        rejectProposals(transaction, gigData, rejected);
+        return gigData;
+    });
+
+    // Proposals created while the transaction ran are swept up afterwards.
+    const stragglers = await getDocs(query(collection(db, 'proposals'), where('gigId', '==', gigId), where('status', '==', 'pending')));
+    const lateRejections = getProposalsToReject(stragglers.docs.map(d => ({ id: d.id, ...d.data() })), proposalId);
+    if (lateRejections.length > 0) {
+        const batch = writeBatch(db);
+        rejectProposals(batch, gig, lateRejections);
+        await batch.commit();
+    }
+};
+
+const toIncrements = (amounts) => Object.fromEntries(Object.entries(amounts).map(([path, amount]) => [path, increment(amount)]));
+
+// Updates a proposal and notifies the other party in one transaction. A withdrawn proposal also comes off the
+// gig's counters and an edited bid moves them, naming the proposal so the security rules can check the writes
+// belong together. The stored bid is read in the transaction, so the counters change by what they hold.
+const updateProposal = async (proposal, updates, notification = null) => {
+    const proposalRef = doc(db, 'proposals', proposal.id);
+    const gigRef = doc(db, 'gigs', proposal.gigId);
+    await runTransaction(db, async (transaction) => {
+        const proposalSnap = await transaction.get(proposalRef);
+        const gigSnap = await transaction.get(gigRef);
+        if (!proposalSnap.exists()) throw new Error('This proposal no longer exists.');
+        const { bidAmount } = proposalSnap.data();
+        const gig = gigSnap.exists() ? gigSnap.data() : {};
+        transaction.update(proposalRef, updates);
+        if (updates.status === PROPOSAL_STATUS.WITHDRAWN) {
+            transaction.update(gigRef, { ...toIncrements({ proposalCount: -1, ...buildBidStatsChange(gig, bidAmount, null) }), lastWithdrawnProposalId: proposal.id });
+        } else if (updates.bidAmount !== undefined && updates.bidAmount !== bidAmount) {
+            transaction.update(gigRef, { ...toIncrements(buildBidStatsChange(gig, bidAmount, updates.bidAmount)), lastEditedProposalId: proposal.id });
+        }
+        if (notification) transaction.set(doc(collection(db, 'notifications')), notification);
+    });
+};
+
+const uploadChatAttachment = async (chatId, file) => {
+    const path = `chats/${chatId}/${Date.now()}_${file.name}`;
+    const snapshot = await uploadBytes(storageRef(storage, path), file, { contentType: file.type });
+    return { url: await getDownloadURL(snapshot.ref), name: file.name, size: file.size, contentType: file.type, path };
+};
+
+const uploadGigAttachment = async (clientId, file) => {
+    const path = `gigs/${clientId}/${Date.now()}_${file.name}`;
+    const snapshot = await uploadBytes(storageRef(storage, path), file, { contentType: file.type });
+    return { url: await getDownloadURL(snapshot.ref), name: file.name, size: file.size, contentType: file.type, path };
+};
+
+// Shrinks JPEG, PNG and WebP images to fit maxDimension before upload; anything else is returned as is.
+const resizeImage = async (file, maxDimension) => {
+    if (!isResizableImage(file)) return file;
+    const bitmap = await createImageBitmap(file);
+    const { width, height } = getResizedDimensions(bitmap.width, bitmap.height, maxDimension);
+    if (width === bitmap.width && height === bitmap.height) return file;
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    canvas.getContext('2d').drawImage(bitmap, 0, 0, width, height);
+    const blob = await new Promise(resolve => canvas.toBlob(resolve, file.type, 0.85));
+    return blob ? new File([blob], file.name, { type: blob.type }) : file;
+};
+
+// Profile photos and portfolio files live under users/{uid}/{folder}/ and are public like the profile itself.
+const uploadProfileFile = async (uid, folder, file, maxDimension) => {
+    const resized = await resizeImage(file, maxDimension);
+    const path = `users/${uid}/${folder}/${Date.now()}_${file.name}`;
+    const snapshot = await uploadBytes(storageRef(storage, path), resized, { contentType: resized.type });
+    return { url: await getDownloadURL(snapshot.ref), name: file.name, size: resized.size, contentType: resized.type, path };
+};
+
+const saveGig = (userId, gig) => setDoc(doc(db, 'savedGigs', getSavedGigId(userId, gig.id)), buildSavedGig(userId, gig, Timestamp.now()));
+
+const unsaveGig = (userId, gigId) => deleteDoc(doc(db, 'savedGigs', getSavedGigId(userId, gigId)));
+
+// Fetches one page of open gigs matching the filters, starting after the given document cursor.
+const searchGigs = async (filters, cursor = null) => {
+    const constraints = buildSearchConstraints(filters).map(c => (c.type === 'where' ? where(c.field, c.op, c.value) : orderBy(c.field, c.direction)));
+    if (cursor) constraints.push(startAfter(cursor));
+    const snapshot = await getDocs(query(collection(db, 'gigs'), ...constraints, limit(GIG_PAGE_SIZE)));
+    return {
+        gigs: snapshot.docs.map(d => ({ id: d.id, ...d.data() })).filter(gig => matchesFilters(gig, filters)),
+        cursor: snapshot.docs[snapshot.docs.length - 1] || null,
+        hasMore: snapshot.docs.length === GIG_PAGE_SIZE,
+    };
+};
+
+// Moves escrow for a gig's milestones through the payment provider, stopping at the first failure. The movements
+// that went through are returned alongside the error: the money has moved, so they must be recorded either way.
+const moveEscrow = async (gig, type, milestoneIds = null) => {
+    const targets = getSettleableMilestones(gig.milestones, type).filter(m => !milestoneIds || milestoneIds.includes(m.id));
+    const references = {};
+    for (const milestone of targets) {
+        try {
+            const { reference } = type === 'fund'
+                ? await paymentProvider.createEscrow({ gigId: gig.id, milestoneId: milestone.id, amount: milestone.amount, payerId: gig.clientId })
+                : await paymentProvider[type]({ escrowReference: milestone.fundReference, amount: milestone.amount, payeeId: type === 'release' ? gig.acceptedStudentId : gig.clientId });
+            references[milestone.id] = reference;
+        } catch (error) {
+            return { references, error };
+        }
+    }
+    return { references, error: null };
+};
+
+// Writes the ledger entries and student notification for escrow movements with `writer` (a batch or transaction),
+// and returns the gig fields to update alongside them.
+const recordEscrow = (writer, gig, type, references) => {
+    const entries = buildLedgerEntries(gig, type, references, { provider: paymentProvider.name, createdAt: Timestamp.now() });
+    if (entries.length === 0) return {};
+    entries.forEach(({ id, entry }) => writer.set(doc(db, 'payments', id), entry));
+    const amount = `$${entries.reduce((total, { entry }) => total + entry.amount, 0).toFixed(2)}`;
+    const notification = {
+        fund: ['Escrow Funded', `${amount} has been placed in escrow for "${gig.title}".`],
+        release: ['Payment Released', `${amount} has been released to you for "${gig.title}".`],
+        refund: ['Escrow Refunded', `${amount} in escrow for "${gig.title}" was refunded to the client.`],
+    }[type];
+    writer.set(doc(collection(db, 'notifications')), buildNotification(gig.acceptedStudentId, ...notification, `gig/${gig.id}`, NOTIFICATION_CATEGORIES.PAYMENTS, { gigId: gig.id }));
+    return { milestones: applyPayment(gig.milestones, type, references) };
+};
+
+const commitEscrow = async (gig, type, references) => {
+    const batch = writeBatch(db);
+    const updates = recordEscrow(batch, gig, type, references);
+    if (!updates.milestones) return;
+    batch.update(doc(db, 'gigs', gig.id), updates);
+    await batch.commit();
+};
+
+// Moves escrow and records what went through, even if a later milestone fails.
+const settleMilestones = async (gig, type, milestoneIds = null) => {
+    const { references, error } = await moveEscrow(gig, type, milestoneIds);
+    await commitEscrow(gig, type, references);
+    if (error) throw error;
+};
+
+// Writes the reviewer's single review for a completed gig; fails if they already left one.
+const submitReview = async (gig, reviewer, { rating, comment }) => {
+    const target = getReviewTarget(gig, reviewer.uid);
+    if (!target) throw new Error('You can only review completed gigs you took part in.');
+    if (!isValidRating(rating)) throw new Error('Please choose a rating from 1 to 5 stars.');
+    const reviewRef = doc(db, 'reviews', getReviewId(gig.id, reviewer.uid));
+    await runTransaction(db, async (transaction) => {
+        const existing = await transaction.get(reviewRef);
+        if (existing.exists()) throw new Error('You have already reviewed this gig.');
+        transaction.set(reviewRef, { gigId: gig.id, gigTitle: gig.title, reviewerId: reviewer.uid, reviewerName: reviewer.name, ...target, rating, comment, createdAt: Timestamp.now() });
+        transaction.set(doc(collection(db, 'notifications')), buildNotification(target.revieweeId, 'New Review', `${reviewer.name} left you a ${rating}-star review for "${gig.title}".`, `${target.revieweeRole}/${target.revieweeId}`, NOTIFICATION_CATEGORIES.GIG_STATUS, { gigId: gig.id }));
+    });
+};
 
 // --- App Context ---
 const AppContext = createContext();
@@ -54,14 +418,19 @@ const AppProvider = ({ children }) => {
     const [user, setUser] = useState(null);
     const [userData, setUserData] = useState(null);
     const [loading, setLoading] = useState(true);
-    const [page, setPage] = useState('home');
+    const [location, setLocation] = useState({ pathname: window.location.pathname, search: window.location.search });
     const [toast, setToast] = useState({ show: false, message: '', type: 'success' });
     const [notifications, setNotifications] = useState([]);
+    const [chats, setChats] = useState([]);
+    const [blockedIds, setBlockedIds] = useState([]);
+    const [savedGigs, setSavedGigs] = useState([]);
+    const [notificationLimit, setNotificationLimit] = useState(NOTIFICATION_PAGE_SIZE);
 
-    const navigate = (newPage) => {
-        window.history.pushState(null, '', `/${newPage}`);
-        setPage(newPage);
-    };
+    const navigate = useCallback((target, { replace = false } = {}) => {
+        const path = toPath(target);
+        window.history[replace ? 'replaceState' : 'pushState'](null, '', path);
+        setLocation({ pathname: window.location.pathname, search: window.location.search });
+    }, []);
     
     const showToast = (message, type = 'success') => {
         setToast({ show: true, message, type });
@@ -69,13 +438,8 @@ const AppProvider = ({ children }) => {
     };
 
     useEffect(() => {
-        const handlePopState = () => {
-            const path = window.location.pathname;
-            const newPage = path.slice(1) || 'home';
-            setPage(newPage);
-        };
+        const handlePopState = () => setLocation({ pathname: window.location.pathname, search: window.location.search });
         window.addEventListener('popstate', handlePopState);
-        handlePopState();
         return () => window.removeEventListener('popstate', handlePopState);
     }, []);
 
@@ -90,20 +454,42 @@ const AppProvider = ({ children }) => {
                     setLoading(false);
                 });
 
-                const notifQuery = query(collection(db, 'notifications'), where('userId', '==', firebaseUser.uid), orderBy('createdAt', 'desc'));
-                const notifUnsubscribe = onSnapshot(notifQuery, (snapshot) => {
-                    setNotifications(snapshot.docs.map(d => ({id: d.id, ...d.data()})));
+                const chatsQuery = query(collection(db, 'chats'), where('participants', 'array-contains', firebaseUser.uid));
+                const chatsUnsubscribe = onSnapshot(chatsQuery, (snapshot) => {
+                    // Pair-keyed chats from before per-gig threads stay hidden until migrated.
+                    setChats(snapshot.docs.filter(d => !isLegacyChatId(d.id)).map(d => ({ id: d.id, ...d.data() })));
                 });
 
-                return () => { userUnsubscribe(); notifUnsubscribe(); };
+                const blocksQuery = query(collection(db, 'blocks'), where('blockerId', '==', firebaseUser.uid));
+                const blocksUnsubscribe = onSnapshot(blocksQuery, (snapshot) => setBlockedIds(snapshot.docs.map(d => d.data().blockedId)));
+
+                const savedGigsQuery = query(collection(db, 'savedGigs'), where('userId', '==', firebaseUser.uid), orderBy('savedAt', 'desc'));
+                const savedGigsUnsubscribe = onSnapshot(savedGigsQuery, (snapshot) => setSavedGigs(snapshot.docs.map(d => ({ id: d.id, ...d.data() }))));
+
+                return () => { userUnsubscribe(); chatsUnsubscribe(); blocksUnsubscribe(); savedGigsUnsubscribe(); };
             } else {
-                setUser(null); setUserData(null); setNotifications([]); setLoading(false);
+                setUser(null); setUserData(null); setNotifications([]); setChats([]); setBlockedIds([]); setSavedGigs([]); setLoading(false);
             }
         });
         return () => authUnsubscribe();
     }, []);
 
-    const value = { user, userData, loading, page, navigate, showToast, notifications };
+    // Kept separate from the auth listener so the notifications page can page further back without resubscribing everything.
+    useEffect(() => {
+        if (!user) return;
+        const notifQuery = query(collection(db, 'notifications'), where('userId', '==', user.uid), orderBy('createdAt', 'desc'), limit(notificationLimit));
+        const unsubscribe = onSnapshot(notifQuery, (snapshot) => {
+            setNotifications(snapshot.docs.map(d => ({id: d.id, ...d.data()})));
+        });
+        return () => unsubscribe();
+    }, [user, notificationLimit]);
+
+    const loadMoreNotifications = useCallback(() => setNotificationLimit(current => current + NOTIFICATION_PAGE_SIZE), []);
+    const hasMoreNotifications = notifications.length >= notificationLimit;
+
+    const queryParams = useMemo(() => parseQuery(location.search), [location.search]);
+    const visibleChats = useMemo(() => filterBlockedThreads(chats, blockedIds, user?.uid), [chats, blockedIds, user]);
+    const value = { user, userData, loading, location, queryParams, navigate, showToast, notifications, loadMoreNotifications, hasMoreNotifications, chats: visibleChats, blockedIds, savedGigs };
 
     return (
         <AppContext.Provider value={value}>
@@ -117,32 +503,124 @@ const AppProvider = ({ children }) => {
 
 const useApp = () => useContext(AppContext);
 
+const useReviews = (userId) => {
+    const [reviews, setReviews] = useState([]);
+    useEffect(() => {
+        if (!userId) return;
+        const q = query(collection(db, 'reviews'), where('revieweeId', '==', userId));
+        const unsubscribe = onSnapshot(q, (snapshot) => {
+            const data = snapshot.docs.map(d => ({ id: d.id, ...d.data() }));
+            setReviews(data.sort((a, b) => (b.createdAt?.toMillis() || 0) - (a.createdAt?.toMillis() || 0)));
+        });
+        return () => unsubscribe();
+    }, [userId]);
+    return reviews;
+};
+
+// Open gigs scored against the signed-in student's skills, hiring history and past proposals.
+const useRecommendations = () => {
+    const { user, userData } = useApp();
+    const [recommendations, setRecommendations] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const isStudent = userData?.role === 'student';
+    // Keyed on the skills themselves so unrelated profile updates don't refetch.
+    const skillsKey = (userData?.skills || []).join('|');
+    const campusId = userData?.campus?.id || null;
+
+    useEffect(() => {
+        if (!user || !isStudent) {
+            setLoading(false);
+            return;
+        }
+        let cancelled = false;
+        const load = async () => {
+            const [proposalSnapshot, workSnapshot] = await Promise.all([
+                getDocs(query(collection(db, 'proposals'), where('studentId', '==', user.uid))),
+                getDocs(query(collection(db, 'gigs'), where('acceptedStudentId', '==', user.uid))),
+            ]);
+            const appliedGigIds = [...new Set(proposalSnapshot.docs.map(d => d.data().gigId))];
+            const proposalGigDocs = await Promise.all(appliedGigIds.slice(0, 20).map(id => getDoc(doc(db, 'gigs', id))));
+            const profile = buildSkillProfile({
+                skills: skillsKey.split('|').filter(Boolean),
+                workGigs: workSnapshot.docs.map(d => d.data()),
+                proposalGigs: proposalGigDocs.filter(d => d.exists()).map(d => d.data()),
+            });
+            const tags = getProfileTags(profile);
+            if (tags.length === 0) return [];
+            const candidates = await getDocs(query(collection(db, 'gigs'), where('status', '==', 'open'), where('skillTags', 'array-contains-any', tags), orderBy('postedAt', 'desc'), limit(50)));
+            return recommendGigs(candidates.docs.map(d => ({ id: d.id, ...d.data() })), profile, { studentId: user.uid, campusId, excludeGigIds: appliedGigIds });
+        };
+        setLoading(true);
+        load()
+            .then(results => { if (!cancelled) setRecommendations(results); })
+            .catch(error => console.error("Error loading recommendations:", error))
+            .finally(() => { if (!cancelled) setLoading(false); });
+        return () => { cancelled = true; };
+    }, [user, isStudent, skillsKey, campusId]);
+
+    return { recommendations, loading };
+};
+
+// The admin-managed campus list, sorted by name.
+const useCampuses = () => {
+    const [campuses, setCampuses] = useState([]);
+    useEffect(() => {
+        getDocs(query(collection(db, 'campuses'), orderBy('name')))
+            .then(snapshot => setCampuses(snapshot.docs.map(d => ({ id: d.id, ...d.data() }))))
+            .catch(error => console.error("Error loading campuses:", error));
+    }, []);
+    return campuses;
+};
+
+// The signed-in user's own docs in a collection (gig drafts, templates, saved searches), live. Pass no collection
+// to skip the query.
+const useOwnedDocs = (collectionName, ownerField, orderField, direction = 'asc') => {
+    const { user } = useApp();
+    const [docs, setDocs] = useState([]);
+    useEffect(() => {
+        if (!user || !collectionName) return;
+        const q = query(collection(db, collectionName), where(ownerField, '==', user.uid), orderBy(orderField, direction));
+        return onSnapshot(q, snapshot => setDocs(snapshot.docs.map(d => ({ id: d.id, ...d.data() }))), error => console.error(`Error loading ${collectionName}:`, error));
+    }, [user, collectionName, ownerField, orderField, direction]);
+    return docs;
+};
+
 // --- Main App Component (Router) ---
 export default function App() {
     return (<AppProvider><MainContent /></AppProvider>);
 }
 
 const MainContent = () => {
-    const { page, user, userData, loading } = useApp();
-    const path = window.location.pathname;
+    const { location, navigate, user, userData } = useApp();
+    const match = matchRoute(location.pathname);
+    const access = match ? resolveAccess(match.route, { user, userData }) : null;
 
-    if (!loading && user && !userData) {
-        const protectedPages = ['dashboard', 'post-gig'];
-        const isAccessingProtected = protectedPages.includes(page) || path.startsWith('/gig/') || path.startsWith('/student/');
-        
-        if (isAccessingProtected) {
-            return <RoleSelectionPage />;
-        }
+    useEffect(() => {
+        if (access?.type === 'login') navigate(getLoginRedirect(location), { replace: true });
+    }, [access?.type, location, navigate]);
+
+    // New Google accounts land here on the page they were redirected to after signing in; they stay on it.
+    if (access?.type === 'select-role') {
+        return <RoleSelectionPage redirect={`${location.pathname}${location.search}`} />;
     }
 
     const renderPage = () => {
-        if (path.startsWith('/gig/')) return <GigDetailPage gigId={path.split('/')[2]} />;
-        if (path.startsWith('/student/')) return <StudentProfilePage studentId={path.split('/')[2]} />;
-
-        switch (page) {
+        if (!match) return <NotFoundPage />;
+        if (access.type === 'login') return null;
+        if (access.type === 'forbidden') return <AccessDeniedPage />;
+        if (userData && isAccountRestricted(userData)) return <AccountRestrictedPage />;
+        const { params } = match;
+        switch (match.route.name) {
             case 'gigs': return <GigsPage />;
+            case 'gig': return <GigDetailPage gigId={params.gigId} />;
+            case 'student': return <StudentProfilePage studentId={params.studentId} />;
+            case 'resume': return <ResumePage studentId={params.studentId} />;
+            case 'client': return <ClientProfilePage clientId={params.clientId} />;
             case 'dashboard': return <DashboardPage />;
+            case 'inbox': return <InboxPage />;
+            case 'notifications': return <NotificationsPage />;
             case 'post-gig': return <PostGigPage />;
+            case 'admin': return <AdminPage />;
             case 'login': return <LoginPage />;
             case 'signup': return <SignUpPage />;
             default: return <HomePage />;
@@ -151,10 +629,12 @@ const MainContent = () => {
 
     return (
         <div className="bg-gray-50 min-h-screen font-sans flex flex-col">
-            <Navbar />
-            <main className="pt-16 flex-grow">{renderPage()}</main>
-            <Footer />
-            <AIChatbot />
+            <div className="print:hidden"><Navbar /></div>
+            <main className="pt-16 print:pt-0 flex-grow">{renderPage()}</main>
+            <div className="print:hidden">
+                <Footer />
+                <AIChatbot />
+            </div>
         </div>
     );
 }
@@ -162,10 +642,13 @@ const MainContent = () => {
 // --- Components ---
 
 const Navbar = () => {
-    const { user, userData, navigate, notifications } = useApp();
+    const { user, userData, navigate, notifications, chats } = useApp();
+    const bellNotifications = getBellNotifications(notifications, getNotificationPrefs(userData));
     const [showNotifications, setShowNotifications] = useState(false);
+    const [showChats, setShowChats] = useState(false);
     const [isMobileMenuOpen, setIsMobileMenuOpen] = useState(false);
-    const unreadCount = notifications.filter(n => !n.read).length;
+    const unreadCount = bellNotifications.filter(n => !n.read).length;
+    const unreadMessages = user ? chats.reduce((sum, chat) => sum + getUnreadCount(chat, user.uid), 0) : 0;
 
     const handleSignOut = async () => {
         await signOut(auth);
@@ -174,11 +657,7 @@ const Navbar = () => {
     };
 
     const handlePostGigClick = () => {
-        if (user) {
-            navigate('post-gig');
-        } else {
-            navigate('login');
-        }
+        navigate('post-gig');
         setIsMobileMenuOpen(false);
     };
     
@@ -206,15 +685,27 @@ const Navbar = () => {
                         {user && (
                             <button onClick={() => handleNavClick('dashboard')} className="text-gray-600 hover:bg-blue-500 hover:text-white px-3 py-2 rounded-md text-sm font-medium flex items-center bg-transparent border-none"><User className="w-4 h-4 mr-1"/> Dashboard</button>
                         )}
+                        {user && userData?.role === 'admin' && (
+                            <button onClick={() => handleNavClick('admin')} className="text-gray-600 hover:bg-blue-500 hover:text-white px-3 py-2 rounded-md text-sm font-medium flex items-center bg-transparent border-none"><Shield className="w-4 h-4 mr-1"/> Admin</button>
+                        )}
                         {user ? (
                             <div className="flex items-center space-x-4 ml-6">
+                                <div className="relative">
+                                    <button onClick={() => setShowChats(!showChats)} className="text-gray-600 hover:text-blue-600 relative bg-transparent border-none">
+                                        <MessageCircle className="w-6 h-6"/>
+                                        {unreadMessages > 0 && <span className="absolute -top-1 -right-1 bg-red-500 text-white text-xs rounded-full h-4 w-4 flex items-center justify-center">{unreadMessages}</span>}
+                                    </button>
+                                    <AnimatePresence>
+                                        {showChats && <ChatListPanel chats={chats} onClose={() => setShowChats(false)} />}
+                                    </AnimatePresence>
+                                </div>
                                 <div className="relative">
                                     <button onClick={() => setShowNotifications(!showNotifications)} className="text-gray-600 hover:text-blue-600 relative bg-transparent border-none">
                                         <Bell className="w-6 h-6"/>
                                         {unreadCount > 0 && <span className="absolute -top-1 -right-1 bg-red-500 text-white text-xs rounded-full h-4 w-4 flex items-center justify-center">{unreadCount}</span>}
                                     </button>
                                     <AnimatePresence>
-                                        {showNotifications && <NotificationPanel notifications={notifications} onClose={() => setShowNotifications(false)} />}
+                                        {showNotifications && <NotificationPanel notifications={bellNotifications} onClose={() => setShowNotifications(false)} />}
                                     </AnimatePresence>
                                 </div>
                                 <button onClick={handleSignOut} className="bg-red-500 text-white px-4 py-2 rounded-md text-sm font-medium hover:bg-red-600 flex items-center">
@@ -234,6 +725,17 @@ const Navbar = () => {
                     </div>
                     {/* Mobile Menu Button */}
                     <div className="md:hidden flex items-center">
+                        {user && (
+                             <div className="relative">
+                                <button onClick={() => setShowChats(!showChats)} className="text-gray-600 hover:text-blue-600 relative bg-transparent border-none p-2">
+                                    <MessageCircle className="w-6 h-6"/>
+                                    {unreadMessages > 0 && <span className="absolute top-1 right-1 bg-red-500 text-white text-xs rounded-full h-4 w-4 flex items-center justify-center">{unreadMessages}</span>}
+                                </button>
+                                <AnimatePresence>
+                                    {showChats && <ChatListPanel chats={chats} onClose={() => setShowChats(false)} />}
+                                </AnimatePresence>
+                            </div>
+                        )}
                         {user && (
                              <div className="relative mr-2">
                                 <button onClick={() => setShowNotifications(!showNotifications)} className="text-gray-600 hover:text-blue-600 relative bg-transparent border-none p-2">
@@ -241,7 +743,7 @@ const Navbar = () => {
                                     {unreadCount > 0 && <span className="absolute top-1 right-1 bg-red-500 text-white text-xs rounded-full h-4 w-4 flex items-center justify-center">{unreadCount}</span>}
                                 </button>
                                 <AnimatePresence>
-                                    {showNotifications && <NotificationPanel notifications={notifications} onClose={() => setShowNotifications(false)} />}
+                                    {showNotifications && <NotificationPanel notifications={bellNotifications} onClose={() => setShowNotifications(false)} />}
                                 </AnimatePresence>
                             </div>
                         )}
@@ -269,6 +771,15 @@ const Navbar = () => {
                             {user && (
                                 <button onClick={() => handleNavClick('dashboard')} className="text-gray-600 hover:bg-blue-500 hover:text-white block w-full text-left px-3 py-2 rounded-md text-base font-medium"><User className="w-4 h-4 mr-2 inline-block"/>Dashboard</button>
                             )}
+                            {user && (
+                                <button onClick={() => handleNavClick('notifications')} className="text-gray-600 hover:bg-blue-500 hover:text-white block w-full text-left px-3 py-2 rounded-md text-base font-medium"><Bell className="w-4 h-4 mr-2 inline-block"/>Notifications</button>
+                            )}
+                            {user && (
+                                <button onClick={() => handleNavClick('inbox')} className="text-gray-600 hover:bg-blue-500 hover:text-white block w-full text-left px-3 py-2 rounded-md text-base font-medium"><MessageCircle className="w-4 h-4 mr-2 inline-block"/>Inbox</button>
+                            )}
+                            {user && userData?.role === 'admin' && (
+                                <button onClick={() => handleNavClick('admin')} className="text-gray-600 hover:bg-blue-500 hover:text-white block w-full text-left px-3 py-2 rounded-md text-base font-medium"><Shield className="w-4 h-4 mr-2 inline-block"/>Admin</button>
+                            )}
                         </div>
                         <div className="pt-4 pb-3 border-t border-gray-200">
                              {user ? (
@@ -296,7 +807,7 @@ const Navbar = () => {
 };
 
 const NotificationPanel = ({ notifications, onClose }) => {
-    const { navigate } = useApp();
+    const { user, navigate, showToast } = useApp();
     const handleNotificationClick = async (notif) => {
         if (!notif.read) {
             await updateDoc(doc(db, 'notifications', notif.id), { read: true });
@@ -305,18 +816,35 @@ const NotificationPanel = ({ notifications, onClose }) => {
         onClose();
     };
 
+    const handleMarkAllRead = async () => {
+        try {
+            await markAllNotificationsRead(user.uid);
+        } catch (error) {
+            console.error("Error marking notifications read:", error);
+            showToast("Failed to update notifications.", "error");
+        }
+    };
+
+    const handleViewAll = () => {
+        navigate('notifications');
+        onClose();
+    };
+
     return (
         <motion.div 
             initial={{ opacity: 0, y: -10 }}
             animate={{ opacity: 1, y: 0 }}
             exit={{ opacity: 0, y: -10 }}
             className="absolute right-0 mt-2 w-80 bg-white rounded-md shadow-lg z-50 border">
-            <div className="p-4 font-bold border-b">Notifications</div>
+            <div className="p-4 border-b flex justify-between items-center">
+                <span className="font-bold">Notifications</span>
+                {notifications.some(n => !n.read) && <button onClick={handleMarkAllRead} className="text-sm text-blue-600 hover:underline bg-transparent border-none">Mark all as read</button>}
+            </div>
             <div className="max-h-96 overflow-y-auto">
                 {notifications.length === 0 ? (
                     <p className="text-gray-500 p-4">No notifications yet.</p>
                 ) : (
-                    notifications.map(notif => (
+                    notifications.slice(0, 10).map(notif => (
                         <div key={notif.id} onClick={() => handleNotificationClick(notif)} className={`p-4 border-b hover:bg-gray-100 cursor-pointer ${!notif.read ? 'bg-blue-50' : ''}`}>
                             <p className="font-semibold">{notif.title}</p>
                             <p className="text-sm text-gray-600">{notif.message}</p>
@@ -324,116 +852,676 @@ const NotificationPanel = ({ notifications, onClose }) => {
                     ))
                 )}
             </div>
+            <button onClick={handleViewAll} className="w-full p-3 text-sm font-semibold text-blue-600 hover:bg-gray-100 border-t">View All Notifications</button>
         </motion.div>
     );
 };
 
+const ChatListPanel = ({ chats, onClose }) => {
+    const { user, navigate } = useApp();
+    const sortedChats = sortThreads(chats).slice(0, 5);
+
+    const handleChatClick = (target) => {
+        navigate(target);
+        onClose();
+    };
 
-const GigCard = ({ gig }) => {
-    const { navigate } = useApp();
     return (
         <motion.div 
-            initial={{ opacity: 0, y: 20 }}
-            whileInView={{ opacity: 1, y: 0 }}
-            viewport={{ once: true, amount: 0.3 }}
-            transition={{ duration: 0.5 }}
-            className="bg-white rounded-lg shadow-lg overflow-hidden hover:shadow-2xl transition-shadow duration-300">
-            <div className="p-6">
-                <div className="flex justify-between items-start">
-                    <h3 className="text-xl font-bold text-gray-800 mb-2">{gig.title}</h3>
-                    <span className="text-lg font-semibold text-green-600">${gig.budget}</span>
-                </div>
-                <p className="text-gray-600 mb-4 h-20 overflow-hidden">{gig.description}</p>
-                <div className="flex flex-wrap gap-2 mb-4">
-                    {gig.skills.map(skill => (
-                        <span key={skill} className="bg-blue-100 text-blue-800 text-xs font-semibold mr-2 px-2.5 py-0.5 rounded-full">{skill}</span>
-                    ))}
-                </div>
-                <div className="border-t border-gray-200 pt-4 flex justify-between items-center">
-                    <div className="text-sm text-gray-500 flex items-center">
-                        <Clock className="w-4 h-4 mr-1" />
-                        Posted {new Date(gig.postedAt?.toDate()).toLocaleDateString()}
-                    </div>
-                    <button onClick={() => navigate(`gig/${gig.id}`)} className="bg-blue-600 text-white px-4 py-2 rounded-md text-sm font-medium hover:bg-blue-700">
-                        View Details
-                    </button>
-                </div>
+            initial={{ opacity: 0, y: -10 }}
+            animate={{ opacity: 1, y: 0 }}
+            exit={{ opacity: 0, y: -10 }}
+            className="absolute right-0 mt-2 w-80 bg-white rounded-md shadow-lg z-50 border">
+            <div className="p-4 font-bold border-b">Messages</div>
+            <div className="max-h-96 overflow-y-auto">
+                {sortedChats.length === 0 ? (
+                    <p className="text-gray-500 p-4">No conversations yet.</p>
+                ) : (
+                    sortedChats.map(chat => {
+                        const unread = getUnreadCount(chat, user.uid);
+                        return (
+                            <div key={chat.id} onClick={() => handleChatClick(`inbox?thread=${chat.id}`)} className={`p-4 border-b hover:bg-gray-100 cursor-pointer ${unread > 0 ? 'bg-blue-50' : ''}`}>
+                                <div className="flex justify-between items-center">
+                                    <p className="font-semibold truncate">{chat.gigTitle}</p>
+                                    {unread > 0 && <span className="bg-red-500 text-white text-xs rounded-full px-2 ml-2">{unread}</span>}
+                                </div>
+                                <p className="text-sm text-gray-600 truncate">{chat.lastMessageText || 'No messages yet.'}</p>
+                            </div>
+                        );
+                    })
+                )}
             </div>
+            <button onClick={() => handleChatClick('inbox')} className="w-full p-3 text-sm font-semibold text-blue-600 hover:bg-gray-100 border-t">Open Inbox</button>
         </motion.div>
     );
 };
 
-const ProposalCard = ({ proposal, onAccept, onEdit, isGigOpen }) => {
-    const [studentData, setStudentData] = useState(null);
-    const { navigate, user } = useApp();
 
-    useEffect(() => {
-        const fetchStudentData = async () => {
-            const studentDoc = await getDoc(doc(db, 'users', proposal.studentId));
-            if(studentDoc.exists()) {
-                setStudentData(studentDoc.data());
-            }
+// Tag input backed by the skills catalogue: suggestions as you type, Enter or comma to add, Backspace to remove.
+// Values are stored as canonical names; anything not in the catalogue is kept as typed.
+const SkillTagInput = ({ id, value, onChange, placeholder = 'Type a skill and press Enter' }) => {
+    const [text, setText] = useState('');
+    const [focused, setFocused] = useState(false);
+    const [highlighted, setHighlighted] = useState(0);
+    const suggestions = focused ? searchSkills(text, { exclude: value }) : [];
+
+    const addSkills = (skills) => {
+        const next = normalizeSkills([...value, ...skills]);
+        if (next.length !== value.length) onChange(next);
+        setText('');
+        setHighlighted(0);
+    };
+
+    const handleTextChange = (e) => {
+        const parts = e.target.value.split(',');
+        if (parts.length > 1) {
+            addSkills(parts.slice(0, -1));
+            setText(parts[parts.length - 1]);
+        } else {
+            setText(e.target.value);
+            setHighlighted(0);
         }
-        fetchStudentData();
-    }, [proposal.studentId]);
+    };
 
-    if (!studentData) return <div className="bg-white p-4 rounded-lg shadow animate-pulse h-24"></div>;
+    const handleKeyDown = (e) => {
+        if (e.key === 'Enter' && text.trim()) {
+            e.preventDefault();
+            addSkills([suggestions[highlighted]?.name || text]);
+        } else if (e.key === 'Backspace' && !text && value.length > 0) {
+            onChange(value.slice(0, -1));
+        } else if (e.key === 'ArrowDown' && suggestions.length > 0) {
+            e.preventDefault();
+            setHighlighted((highlighted + 1) % suggestions.length);
+        } else if (e.key === 'ArrowUp' && suggestions.length > 0) {
+            e.preventDefault();
+            setHighlighted((highlighted - 1 + suggestions.length) % suggestions.length);
+        } else if (e.key === 'Escape') {
+            setText('');
+        }
+    };
+
+    const handleBlur = () => {
+        setFocused(false);
+        if (text.trim()) addSkills([text]);
+    };
 
     return (
-        <div className="bg-white p-4 rounded-lg shadow-md border border-gray-200">
-            <div className="flex justify-between items-center mb-2">
-                <button onClick={() => navigate(`student/${proposal.studentId}`)} className="font-bold text-lg text-blue-600 hover:underline cursor-pointer bg-transparent border-none text-left p-0">
-                    {studentData.name}
-                </button>
-                <span className="text-green-600 font-semibold">${proposal.bidAmount}</span>
-            </div>
-            <p className="text-gray-600 mb-3">{proposal.coverLetter}</p>
-            <div className="flex flex-wrap gap-2 mb-4">
-                {studentData.skills?.map(skill => (
-                    <span key={skill} className="bg-gray-200 text-gray-800 text-xs font-semibold px-2 py-1 rounded-full">{skill}</span>
+        <div className="relative mt-1">
+            <div className="flex flex-wrap items-center gap-2 p-2 border border-gray-300 rounded-md bg-white focus-within:ring-1 focus-within:ring-blue-500">
+                {value.map(skill => (
+                    <span key={skill} className="bg-blue-100 text-blue-800 text-sm font-semibold pl-3 pr-1 py-1 rounded-full flex items-center">
+                        {normalizeSkill(skill)}
+                        <button type="button" onClick={() => onChange(value.filter(s => s !== skill))} className="ml-1 text-blue-600 hover:text-blue-900" aria-label={`Remove ${skill}`}><X className="w-3 h-3"/></button>
+                    </span>
                 ))}
+                <input id={id} type="text" value={text} onChange={handleTextChange} onKeyDown={handleKeyDown} onFocus={() => setFocused(true)} onBlur={handleBlur} placeholder={value.length === 0 ? placeholder : ''} className="flex-grow min-w-[8rem] outline-none py-1" autoComplete="off"/>
             </div>
-            <div className="border-t pt-3 flex justify-end space-x-2">
-                {user?.uid === proposal.studentId && proposal.status === 'pending' && (
-                     <button onClick={() => onEdit(proposal)} className="bg-yellow-500 text-white px-4 py-1 rounded-md hover:bg-yellow-600 flex items-center">
-                        <Edit className="w-4 h-4 mr-1"/> Edit
-                    </button>
-                )}
-                {user?.uid === proposal.studentId && proposal.status === 'accepted' && (
-                     <button onClick={() => navigate(`gig/${proposal.gigId}`)} className="bg-green-600 text-white px-4 py-1 rounded-md hover:bg-green-700 flex items-center">
-                        <MessageCircle className="w-4 h-4 mr-1"/> View Gig & Chat
-                    </button>
-                )}
-                {isGigOpen && proposal.status === 'pending' && onAccept && (
-                    <button onClick={() => onAccept(proposal)} className="bg-green-500 text-white px-4 py-1 rounded-md hover:bg-green-600 flex items-center">
-                        <CheckCircle className="w-4 h-4 mr-1"/> Accept
-                    </button>
-                )}
-                {proposal.status === 'accepted' && !onAccept && (
-                    <span className="text-green-600 font-bold flex items-center"><Award className="w-5 h-5 mr-2"/> Accepted</span>
-                )}
-            </div>
+            {suggestions.length > 0 && (
+                <ul className="absolute z-20 mt-1 w-full bg-white border rounded-md shadow-lg max-h-60 overflow-y-auto">
+                    {suggestions.map((entry, index) => (
+                        <li key={entry.name} onMouseDown={e => { e.preventDefault(); addSkills([entry.name]); }} className={`px-3 py-2 cursor-pointer flex justify-between ${index === highlighted ? 'bg-blue-50' : 'hover:bg-gray-50'}`}>
+                            <span>{entry.name}</span>
+                            <span className="text-xs text-gray-500">{SKILL_CATEGORIES[entry.category]}</span>
+                        </li>
+                    ))}
+                </ul>
+            )}
         </div>
-    )
-}
-
-const Toast = ({ message, type }) => {
-    const bgColor = type === 'success' ? 'bg-green-500' : 'bg-red-500';
-    return (
-        <motion.div 
-            initial={{ opacity: 0, y: 50 }}
-            animate={{ opacity: 1, y: 0 }}
-            exit={{ opacity: 0, y: 50 }}
-            className={`fixed bottom-5 right-5 text-white px-6 py-3 rounded-lg shadow-lg z-[100] ${bgColor}`}>
-            {message}
-        </motion.div>
     );
 };
 
-const Footer = () => {
-    return (
-        <footer className="bg-gray-800 text-white mt-12">
-            <div className="max-w-7xl mx-auto py-8 px-4 sm:px-6 lg:px-8">
+const VerifiedBadge = ({ className = '' }) => (
+    <span title="Verified organization" className={`inline-flex items-center text-xs font-semibold text-teal-700 bg-teal-100 px-2 py-0.5 rounded-full ${className}`}><BadgeCheck className="w-3.5 h-3.5 mr-1"/> Verified</span>
+);
+
+const VerifiedStudentBadge = ({ campus, className = '' }) => (
+    <span title={`Verified student at ${campus.name}`} className={`inline-flex items-center text-xs font-semibold text-indigo-700 bg-indigo-100 px-2 py-0.5 rounded-full ${className}`}><GraduationCap className="w-3.5 h-3.5 mr-1"/> {campus.name}</span>
+);
+
+const ReportModal = ({ target, onClose }) => {
+    const { user, showToast } = useApp();
+    const [form, setForm] = useState({ reason: '', details: '' });
+    const [submitting, setSubmitting] = useState(false);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        const error = validateReport(form);
+        if (error) return showToast(error, "error");
+        setSubmitting(true);
+        try {
+            await submitReport(target, form, user.uid);
+            showToast("Thanks, our moderators will review your report.");
+            onClose();
+        } catch (err) {
+            console.error("Error submitting report:", err);
+            showToast("Failed to submit report.", "error");
+            setSubmitting(false);
+        }
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+            <div className="bg-white rounded-lg shadow-xl w-full max-w-md text-left text-gray-800">
+                <div className="p-4 border-b flex justify-between items-center"><h2 className="text-xl font-bold">Report {REPORT_TARGET_LABELS[target.targetType]}</h2><button onClick={onClose}><X className="w-6 h-6"/></button></div>
+                <form onSubmit={handleSubmit} className="p-4 space-y-4">
+                    <fieldset className="space-y-2">
+                        <legend className="font-medium mb-1">What's wrong?</legend>
+                        {Object.entries(REPORT_REASONS).map(([key, label]) => (
+                            <label key={key} className="flex items-center"><input type="radio" name="reason" value={key} checked={form.reason === key} onChange={() => setForm({ ...form, reason: key })} className="mr-2"/> {label}</label>
+                        ))}
+                    </fieldset>
+                    <div><label htmlFor="reportDetails" className="block font-medium">Details {form.reason !== 'other' && <span className="text-gray-500 font-normal">(optional)</span>}</label><textarea id="reportDetails" value={form.details} onChange={e => setForm({ ...form, details: e.target.value })} maxLength={REPORT_DETAILS_MAX_LENGTH} rows="3" className="w-full mt-1 p-2 border rounded-md"></textarea></div>
+                    <button type="submit" disabled={submitting} className="w-full bg-red-600 text-white py-2 rounded-md hover:bg-red-700 disabled:bg-gray-400">{submitting ? 'Submitting...' : 'Submit Report'}</button>
+                </form>
+            </div>
+        </div>
+    );
+};
+
+// Hidden for signed-out users and for people's own content.
+const ReportButton = ({ target, label = 'Report', className = '' }) => {
+    const { user } = useApp();
+    const [isOpen, setIsOpen] = useState(false);
+    if (!user || target.targetOwnerId === user.uid) return null;
+    return (
+        <>
+            <button onClick={() => setIsOpen(true)} title={label} className={`text-sm text-gray-500 hover:text-red-600 bg-transparent border-none inline-flex items-center ${className}`}><Flag className="w-4 h-4 mr-1"/>{label}</button>
+            {isOpen && <ReportModal target={target} onClose={() => setIsOpen(false)} />}
+        </>
+    );
+};
+
+const BlockButton = ({ userId, name }) => {
+    const { user, blockedIds, showToast } = useApp();
+    const [working, setWorking] = useState(false);
+    if (!user || userId === user.uid) return null;
+    const blocked = isBlocked(blockedIds, userId);
+
+    const handleClick = async () => {
+        if (!blocked && !window.confirm(`Block ${name}? You won't see their gigs, proposals or messages, and they won't be able to contact you.`)) return;
+        setWorking(true);
+        try {
+            await (blocked ? unblockUser(user.uid, userId) : blockUser(user.uid, userId));
+            showToast(blocked ? `${name} unblocked.` : `${name} blocked.`);
+        } catch (error) {
+            console.error("Error updating block:", error);
+            showToast("Failed to update block.", "error");
+        }
+        setWorking(false);
+    };
+
+    return <button onClick={handleClick} disabled={working} className="text-sm text-gray-500 hover:text-red-600 bg-transparent border-none inline-flex items-center disabled:text-gray-300"><Ban className="w-4 h-4 mr-1"/>{blocked ? 'Unblock' : 'Block'}</button>;
+};
+
+// Checkbox list of campuses a gig is restricted to; none checked means open to all campuses.
+const CampusPicker = ({ value, onChange }) => {
+    const campuses = useCampuses();
+    if (campuses.length === 0) return null;
+    const toggle = (id) => onChange(value.includes(id) ? value.filter(v => v !== id) : [...value, id]);
+    return (
+        <fieldset>
+            <legend className="block text-sm font-medium text-gray-700">Restrict to Campuses</legend>
+            <p className="text-xs text-gray-500 mb-2">Leave all unchecked to accept students from any campus.</p>
+            <div className="grid grid-cols-2 gap-2">
+                {campuses.map(campus => (
+                    <label key={campus.id} className="flex items-center text-sm"><input type="checkbox" checked={value.includes(campus.id)} onChange={() => toggle(campus.id)} className="mr-2"/> {campus.name}</label>
+                ))}
+            </div>
+        </fieldset>
+    );
+};
+
+const GigAttachmentsInput = ({ value, onChange }) => {
+    const { user, showToast } = useApp();
+    const [uploading, setUploading] = useState(false);
+
+    const handleFiles = async (e) => {
+        const files = [...e.target.files];
+        e.target.value = '';
+        if (value.length + files.length > MAX_GIG_ATTACHMENTS) return showToast(`Attach at most ${MAX_GIG_ATTACHMENTS} files.`, "error");
+        const error = files.map(validateAttachment).find(Boolean);
+        if (error) return showToast(error, "error");
+        setUploading(true);
+        try {
+            const uploaded = await Promise.all(files.map(file => uploadGigAttachment(user.uid, file)));
+            onChange([...value, ...uploaded]);
+        } catch (err) {
+            console.error("Error uploading gig attachment: ", err);
+            showToast("Failed to upload attachment.", "error");
+        } finally {
+            setUploading(false);
+        }
+    };
+
+    return (
+        <div>
+            <label htmlFor="gigAttachments" className="block text-sm font-medium text-gray-700">Attachments</label>
+            <ul className="mt-1 space-y-1">
+                {value.map(attachment => (
+                    <li key={attachment.path} className="flex items-center text-sm"><Paperclip className="w-4 h-4 mr-1 flex-shrink-0"/> <span className="break-all">{attachment.name}</span> <span className="text-gray-500 ml-1">({formatFileSize(attachment.size)})</span><button type="button" onClick={() => onChange(value.filter(a => a.path !== attachment.path))} className="ml-2 text-red-500 hover:text-red-700" aria-label={`Remove ${attachment.name}`}><X className="w-4 h-4"/></button></li>
+                ))}
+            </ul>
+            {value.length < MAX_GIG_ATTACHMENTS && <input id="gigAttachments" type="file" multiple accept={ATTACHMENT_TYPES.join(',')} onChange={handleFiles} disabled={uploading} className="mt-2 text-sm"/>}
+            {uploading && <p className="text-xs text-gray-500 mt-1">Uploading...</p>}
+        </div>
+    );
+};
+
+// The gig fields shared by PostGigPage and EditGigModal; `form` follows EMPTY_GIG_FORM in src/gigForm.js.
+const GigFormFields = ({ form, onChange }) => {
+    const set = (field) => (e) => onChange({ ...form, [field]: e.target.value });
+    const inputClass = "mt-1 block w-full border border-gray-300 rounded-md shadow-sm py-2 px-3";
+    const labelClass = "block text-sm font-medium text-gray-700";
+    const isHourly = form.pricingType === PRICING_TYPES.HOURLY;
+    return (
+        <>
+            <div><label htmlFor="title" className={labelClass}>Gig Title</label><input type="text" id="title" value={form.title} onChange={set('title')} className={inputClass} required /></div>
+            <div><label htmlFor="description" className={labelClass}>Description</label><textarea id="description" rows="6" value={form.description} onChange={set('description')} className={inputClass} required></textarea></div>
+            <div><label htmlFor="skills" className={labelClass}>Required Skills</label><SkillTagInput id="skills" value={form.skills} onChange={skills => onChange({ ...form, skills })} /></div>
+            <fieldset>
+                <legend className={labelClass}>Pricing</legend>
+                <div className="flex space-x-6 mt-1">
+                    {Object.entries(PRICING_LABELS).map(([type, label]) => (
+                        <label key={type} className="flex items-center text-sm"><input type="radio" name="pricingType" value={type} checked={form.pricingType === type} onChange={set('pricingType')} className="mr-2"/> {label}</label>
+                    ))}
+                </div>
+            </fieldset>
+            <div className="grid sm:grid-cols-2 gap-4">
+                {isHourly ? (
+                    <div><label htmlFor="hourlyRate" className={labelClass}>Hourly Rate ($)</label><input type="number" id="hourlyRate" min="1" value={form.hourlyRate} onChange={set('hourlyRate')} className={inputClass} required /></div>
+                ) : (
+                    <div><label htmlFor="budget" className={labelClass}>Budget ($)</label><input type="number" id="budget" min="1" value={form.budget} onChange={set('budget')} className={inputClass} required /></div>
+                )}
+                <div><label htmlFor="estimatedHours" className={labelClass}>Estimated Hours{!isHourly && ' (optional)'}</label><input type="number" id="estimatedHours" min="1" value={form.estimatedHours} onChange={set('estimatedHours')} className={inputClass} required={isHourly} /></div>
+                <div><label htmlFor="deadline" className={labelClass}>Deadline (optional)</label><input type="date" id="deadline" value={form.deadline} onChange={set('deadline')} className={inputClass} /></div>
+                <div><label htmlFor="applicationDeadline" className={labelClass}>Accept Proposals Until (optional)</label><input type="date" id="applicationDeadline" value={form.applicationDeadline} onChange={set('applicationDeadline')} className={inputClass} /></div>
+                <div><label htmlFor="openings" className={labelClass}>Openings</label><input type="number" id="openings" min="1" max={MAX_OPENINGS} value={form.openings} onChange={set('openings')} className={inputClass} required /></div>
+                <div><label htmlFor="workMode" className={labelClass}>Where</label><select id="workMode" value={form.workMode} onChange={set('workMode')} className={inputClass}>{Object.entries(WORK_MODE_LABELS).map(([mode, label]) => <option key={mode} value={mode}>{label}</option>)}</select></div>
+                {form.workMode !== WORK_MODES.REMOTE && <div><label htmlFor="location" className={labelClass}>Location</label><input type="text" id="location" value={form.location} onChange={set('location')} placeholder={form.workMode === WORK_MODES.ON_CAMPUS ? 'e.g. Student Center, Room 204' : 'e.g. 12 Main St, Boston'} className={inputClass} required={form.workMode === WORK_MODES.IN_PERSON} /></div>}
+            </div>
+            <GigAttachmentsInput value={form.attachments} onChange={attachments => onChange({ ...form, attachments })} />
+            <CampusPicker value={form.campusIds} onChange={campusIds => onChange({ ...form, campusIds })} />
+        </>
+    );
+};
+
+// Price, effort, place, deadline and openings, as shown on GigCard and GigDetailPage.
+const GigFacts = ({ gig, className = '' }) => {
+    const deadline = describeDeadline(gig);
+    return (
+        <div className={`flex flex-wrap gap-x-4 gap-y-1 text-sm text-gray-600 ${className}`}>
+            <span className="flex items-center"><DollarSign className="w-4 h-4 mr-1"/> {PRICING_LABELS[gig.pricingType] || PRICING_LABELS.fixed}{describeEstimate(gig) && ` · ${describeEstimate(gig)}`}</span>
+            <span className="flex items-center"><MapPin className="w-4 h-4 mr-1"/> {describeWorkMode(gig)}</span>
+            {deadline && <span className={`flex items-center ${deadline === 'Deadline passed' ? 'text-red-600' : ''}`}><Calendar className="w-4 h-4 mr-1"/> {deadline}</span>}
+            {gig.openings > 1 && <span className="flex items-center"><Users className="w-4 h-4 mr-1"/> {gig.openings} openings</span>}
+            {gig.status === 'open' && gig.applicationDeadline && <span className="flex items-center"><Clock className="w-4 h-4 mr-1"/> Apply by {gig.applicationDeadline.toDate().toLocaleDateString()}</span>}
+        </div>
+    );
+};
+
+const SaveGigButton = ({ gig, className = '' }) => {
+    const { user, userData, savedGigs, showToast } = useApp();
+    const [saving, setSaving] = useState(false);
+    if (userData?.role !== 'student') return null;
+    const saved = isGigSaved(savedGigs, gig.id);
+
+    const handleToggle = async () => {
+        setSaving(true);
+        try {
+            if (saved) await unsaveGig(user.uid, gig.id);
+            else await saveGig(user.uid, gig);
+        } catch (error) {
+            console.error("Error saving gig: ", error);
+            showToast(saved ? "Failed to remove saved gig." : "Failed to save gig.", "error");
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    return (
+        <button onClick={handleToggle} disabled={saving} aria-pressed={saved} title={saved ? 'Remove from saved gigs' : 'Save for later'} className={`text-blue-600 hover:text-blue-800 disabled:text-gray-400 ${className}`}>
+            {saved ? <BookmarkCheck className="w-5 h-5"/> : <Bookmark className="w-5 h-5"/>}
+        </button>
+    );
+};
+
+const SaveSearchButton = ({ filters }) => {
+    const { user, userData, showToast } = useApp();
+    const searches = useOwnedDocs(userData?.role === 'student' ? 'savedSearches' : null, 'userId', 'createdAt', 'desc');
+    const [naming, setNaming] = useState(false);
+    const [name, setName] = useState('');
+    if (userData?.role !== 'student') return null;
+
+    const handleSave = async (e) => {
+        e.preventDefault();
+        if (searches.length >= SAVED_SEARCH_LIMIT) return showToast(`You can save up to ${SAVED_SEARCH_LIMIT} searches. Delete one from your dashboard first.`, "error");
+        try {
+            await addDoc(collection(db, 'savedSearches'), buildSavedSearch(user.uid, name, filters, Timestamp.now()));
+            showToast("Search saved. We'll let you know when new gigs match.");
+            setNaming(false);
+            setName('');
+        } catch (error) { console.error("Error saving search: ", error); showToast("Failed to save search.", "error"); }
+    };
+
+    if (!naming) return <button onClick={() => setNaming(true)} className="text-blue-600 hover:text-blue-800 flex items-center text-sm font-medium"><Bookmark className="w-4 h-4 mr-1"/> Save this search</button>;
+    return (
+        <form onSubmit={handleSave} className="flex items-center space-x-2">
+            <input type="text" value={name} onChange={e => setName(e.target.value)} placeholder={describeSearch(filters)} aria-label="Search name" className="p-2 border border-gray-300 rounded-md text-sm"/>
+            <button type="submit" className="bg-blue-600 text-white px-3 py-2 rounded-md text-sm hover:bg-blue-700">Save</button>
+            <button type="button" onClick={() => setNaming(false)} className="text-gray-500 text-sm">Cancel</button>
+        </form>
+    );
+};
+
+const SavedGigsList = () => {
+    const { user, savedGigs, showToast } = useApp();
+    const [gigs, setGigs] = useState({});
+
+    useEffect(() => {
+        Promise.all(savedGigs.map(saved => getDoc(doc(db, 'gigs', saved.gigId))))
+            .then(snapshots => setGigs(Object.fromEntries(snapshots.map((snap, i) => [savedGigs[i].gigId, snap.exists() ? { id: snap.id, ...snap.data() } : null]))))
+            .catch(error => console.error("Error loading saved gigs: ", error));
+    }, [savedGigs]);
+
+    const handleRemove = (gigId) => unsaveGig(user.uid, gigId).catch(error => { console.error("Error removing saved gig: ", error); showToast("Failed to remove saved gig.", "error"); });
+
+    if (savedGigs.length === 0) return <p>You haven't saved any gigs yet. Use the bookmark on a gig to save it for later.</p>;
+
+    return (
+        <div className="grid md:grid-cols-2 lg:grid-cols-3 gap-8">
+            {savedGigs.filter(saved => gigs[saved.gigId] !== undefined).map(saved => {
+                const gig = gigs[saved.gigId];
+                const warning = getSavedGigWarning(saved, gig);
+                return (
+                    <div key={saved.id}>
+                        {warning && <p className={`text-sm font-semibold mb-2 ${warning === 'closing' ? 'text-yellow-700' : 'text-red-600'}`}>{SAVED_GIG_WARNING_LABELS[warning]}</p>}
+                        {gig ? <GigCard gig={gig} /> : (
+                            <div className="bg-white rounded-lg shadow-lg p-6">
+                                <p className="text-gray-700 mb-4">"{saved.gigTitle}" is no longer available.</p>
+                                <button onClick={() => handleRemove(saved.gigId)} className="text-red-600 hover:text-red-800 text-sm flex items-center"><Trash2 className="w-4 h-4 mr-1"/> Remove</button>
+                            </div>
+                        )}
+                    </div>
+                );
+            })}
+        </div>
+    );
+};
+
+const SavedSearchesList = () => {
+    const { navigate, showToast } = useApp();
+    const searches = useOwnedDocs('savedSearches', 'userId', 'createdAt', 'desc');
+
+    const handleDelete = (search) => deleteDoc(doc(db, 'savedSearches', search.id)).catch(error => { console.error("Error deleting saved search: ", error); showToast("Failed to delete saved search.", "error"); });
+
+    if (searches.length === 0) return <p>You haven't saved any searches yet. Use "Save this search" on the Find a Gig page to get notified about new matches.</p>;
+
+    return (
+        <ul className="bg-white rounded-lg shadow-md divide-y">
+            {searches.map(search => (
+                <li key={search.id} className="p-4 flex justify-between items-center">
+                    <div><p className="font-semibold text-gray-800">{search.name}</p><p className="text-sm text-gray-500">{describeSearch(search.filters)}</p></div>
+                    <div className="flex space-x-2">
+                        <button onClick={() => navigate(getSearchLink(search.filters))} className="bg-blue-600 text-white px-3 py-1.5 rounded-md text-sm hover:bg-blue-700">View Results</button>
+                        <button onClick={() => handleDelete(search)} className="text-red-600 px-2 hover:text-red-800" aria-label={`Delete saved search ${search.name}`}><Trash2 className="w-4 h-4"/></button>
+                    </div>
+                </li>
+            ))}
+        </ul>
+    );
+};
+
+const GigCard = ({ gig, reason }) => {
+    const { navigate } = useApp();
+    return (
+        <motion.div 
+            initial={{ opacity: 0, y: 20 }}
+            whileInView={{ opacity: 1, y: 0 }}
+            viewport={{ once: true, amount: 0.3 }}
+            transition={{ duration: 0.5 }}
+            className="bg-white rounded-lg shadow-lg overflow-hidden hover:shadow-2xl transition-shadow duration-300">
+            <div className="p-6">
+                <div className="flex justify-between items-start">
+                    <h3 className="text-xl font-bold text-gray-800 mb-2">{gig.title}</h3>
+                    <div className="flex items-center space-x-2"><span className="text-lg font-semibold text-green-600">{describePrice(gig)}</span><SaveGigButton gig={gig} /></div>
+                </div>
+                {gig.clientVerified && <VerifiedBadge className="mb-2" />}
+                {getRestrictedCampusIds(gig).length > 0 && <p className="text-xs text-indigo-700 mb-2 flex items-center"><School className="w-3.5 h-3.5 mr-1"/> Restricted to selected campuses</p>}
+                <GigFacts gig={gig} className="mb-3" />
+                <p className="text-gray-600 mb-4 h-20 overflow-hidden">{gig.description}</p>
+                {reason && <p className="text-sm text-purple-700 mb-4 flex items-start"><Sparkles className="w-4 h-4 mr-1 mt-0.5 flex-shrink-0"/> Matched: {reason}</p>}
+                <div className="flex flex-wrap gap-2 mb-4">
+                    {gig.skills.map(skill => (
+                        <span key={skill} className="bg-blue-100 text-blue-800 text-xs font-semibold mr-2 px-2.5 py-0.5 rounded-full">{skill}</span>
+                    ))}
+                </div>
+                <div className="border-t border-gray-200 pt-4 flex justify-between items-center">
+                    <div className="text-sm text-gray-500 flex items-center">
+                        <Clock className="w-4 h-4 mr-1" />
+                        Posted {new Date(gig.postedAt?.toDate()).toLocaleDateString()}
+                    </div>
+                    <button onClick={() => navigate(`gig/${gig.id}`)} className="bg-blue-600 text-white px-4 py-2 rounded-md text-sm font-medium hover:bg-blue-700">
+                        View Details
+                    </button>
+                </div>
+            </div>
+        </motion.div>
+    );
+};
+
+const ProposalCard = ({ proposal, onAccept, onEdit, onWithdraw, onShortlist, onDecline, onMessage, unreadMessages = 0, isGigOpen }) => {
+    const [studentData, setStudentData] = useState(null);
+    const { navigate, user } = useApp();
+
+    useEffect(() => {
+        const fetchStudentData = async () => {
+            const studentDoc = await getDoc(doc(db, 'users', proposal.studentId));
+            if(studentDoc.exists()) {
+                setStudentData(studentDoc.data());
+            }
+        }
+        fetchStudentData();
+    }, [proposal.studentId]);
+
+    if (!studentData) return <div className="bg-white p-4 rounded-lg shadow animate-pulse h-24"></div>;
+
+    return (
+        <div className="bg-white p-4 rounded-lg shadow-md border border-gray-200">
+            <div className="flex justify-between items-center mb-2">
+                <div className="flex items-center space-x-2">
+                    <button onClick={() => navigate(`student/${proposal.studentId}`)} className="font-bold text-lg text-blue-600 hover:underline cursor-pointer bg-transparent border-none text-left p-0">
+                        {studentData.name}
+                    </button>
+                    <RatingBadge userId={proposal.studentId} />
+                    {proposal.shortlisted && proposal.status === PROPOSAL_STATUS.PENDING && <span className="bg-purple-100 text-purple-800 text-xs font-semibold px-2 py-1 rounded-full">Shortlisted</span>}
+                </div>
+                <span className="text-green-600 font-semibold">${proposal.bidAmount}</span>
+            </div>
+            <p className="text-gray-600 mb-3">{proposal.coverLetter}</p>
+            <div className="flex flex-wrap gap-2 mb-4">
+                {studentData.skills?.map(skill => (
+                    <span key={skill} className="bg-gray-200 text-gray-800 text-xs font-semibold px-2 py-1 rounded-full">{skill}</span>
+                ))}
+            </div>
+            <div className="border-t pt-3 flex justify-end items-center space-x-2">
+                <ReportButton target={{ targetType: 'proposal', targetId: proposal.id, targetOwnerId: proposal.studentId, targetLabel: `Proposal by ${studentData.name}`, snapshot: proposal.coverLetter, link: `gig/${proposal.gigId}` }} className="mr-auto" />
+                {user?.uid === proposal.studentId && proposal.status === 'pending' && (
+                     <button onClick={() => onEdit(proposal)} className="bg-yellow-500 text-white px-4 py-1 rounded-md hover:bg-yellow-600 flex items-center">
+                        <Edit className="w-4 h-4 mr-1"/> Edit
+                    </button>
+                )}
+                {onWithdraw && canWithdraw(proposal, user?.uid) && (
+                    <button onClick={() => onWithdraw(proposal)} className="bg-gray-500 text-white px-4 py-1 rounded-md hover:bg-gray-600 flex items-center">
+                        <X className="w-4 h-4 mr-1"/> Withdraw
+                    </button>
+                )}
+                {user?.uid === proposal.studentId && proposal.status === 'accepted' && (
+                     <button onClick={() => navigate(`gig/${proposal.gigId}`)} className="bg-green-600 text-white px-4 py-1 rounded-md hover:bg-green-700 flex items-center">
+                        <MessageCircle className="w-4 h-4 mr-1"/> View Gig & Chat
+                    </button>
+                )}
+                {isGigOpen && proposal.status === 'pending' && onMessage && (
+                    <button onClick={() => onMessage(proposal)} className="bg-blue-100 text-blue-800 px-4 py-1 rounded-md hover:bg-blue-200 flex items-center">
+                        <MessageCircle className="w-4 h-4 mr-1"/> Message{unreadMessages > 0 && <span className="ml-1 bg-red-500 text-white text-xs rounded-full px-2">{unreadMessages}</span>}
+                    </button>
+                )}
+                {isGigOpen && proposal.status === 'pending' && onShortlist && (
+                    <button onClick={() => onShortlist(proposal)} className={`px-4 py-1 rounded-md flex items-center ${proposal.shortlisted ? 'bg-purple-600 text-white hover:bg-purple-700' : 'bg-purple-100 text-purple-800 hover:bg-purple-200'}`}>
+                        <Bookmark className="w-4 h-4 mr-1"/> {proposal.shortlisted ? 'Shortlisted' : 'Shortlist'}
+                    </button>
+                )}
+                {isGigOpen && proposal.status === 'pending' && onDecline && (
+                    <button onClick={() => onDecline(proposal)} className="bg-red-500 text-white px-4 py-1 rounded-md hover:bg-red-600 flex items-center">
+                        <X className="w-4 h-4 mr-1"/> Decline
+                    </button>
+                )}
+                {isGigOpen && proposal.status === 'pending' && onAccept && (
+                    <button onClick={() => onAccept(proposal)} className="bg-green-500 text-white px-4 py-1 rounded-md hover:bg-green-600 flex items-center">
+                        <CheckCircle className="w-4 h-4 mr-1"/> Accept
+                    </button>
+                )}
+                {proposal.status === 'accepted' && !onAccept && (
+                    <span className="text-green-600 font-bold flex items-center"><Award className="w-5 h-5 mr-2"/> Accepted</span>
+                )}
+                {proposal.status === 'rejected' && (
+                    <span className="text-gray-500 font-semibold">Not selected</span>
+                )}
+                {proposal.status === PROPOSAL_STATUS.WITHDRAWN && (
+                    <span className="text-gray-500 font-semibold">Withdrawn</span>
+                )}
+                {proposal.status === PROPOSAL_STATUS.DECLINED && (
+                    <span className="text-red-500 font-semibold">Declined</span>
+                )}
+                {proposal.status === PROPOSAL_STATUS.EXPIRED && (
+                    <span className="text-gray-500 font-semibold">Expired</span>
+                )}
+                {proposal.status === PROPOSAL_STATUS.CLOSED && (
+                    <span className="text-gray-500 font-semibold">Gig cancelled</span>
+                )}
+            </div>
+            {proposal.status === PROPOSAL_STATUS.DECLINED && proposal.declineReason && (
+                <p className="text-sm text-gray-500 mt-2"><strong>Reason:</strong> {proposal.declineReason}</p>
+            )}
+        </div>
+    )
+}
+
+const StarRating = ({ value, onChange, size = 'w-5 h-5' }) => (
+    <div className="flex items-center">
+        {[1, 2, 3, 4, 5].map(star => (
+            <button key={star} type="button" onClick={() => onChange?.(star)} disabled={!onChange} className={`bg-transparent border-none p-0 ${onChange ? 'cursor-pointer' : 'cursor-default'}`}>
+                <Star className={`${size} ${star <= Math.round(value) ? 'text-yellow-400 fill-yellow-400' : 'text-gray-300'}`} />
+            </button>
+        ))}
+    </div>
+);
+
+const RatingSummary = ({ reviews }) => {
+    const { average, count } = summarizeRatings(reviews);
+    if (count === 0) return <p className="text-sm text-gray-500">No reviews yet</p>;
+    return (
+        <div className="flex items-center space-x-2">
+            <StarRating value={average} />
+            <span className="text-gray-700 font-semibold">{average.toFixed(1)}</span>
+            <span className="text-sm text-gray-500">({count} review{count === 1 ? '' : 's'})</span>
+        </div>
+    );
+};
+
+const RatingBadge = ({ userId }) => {
+    const { average, count } = summarizeRatings(useReviews(userId));
+    if (count === 0) return null;
+    return <span className="flex items-center text-sm text-gray-600"><Star className="w-4 h-4 mr-1 text-yellow-400 fill-yellow-400"/>{average.toFixed(1)} ({count})</span>;
+};
+
+const ReviewList = ({ reviews }) => {
+    const { navigate } = useApp();
+    if (reviews.length === 0) return <p>No reviews yet.</p>;
+    return (
+        <div className="space-y-4">
+            {reviews.map(review => (
+                <div key={review.id} className="border-b pb-4">
+                    <div className="flex justify-between items-center mb-1">
+                        <StarRating value={review.rating} size="w-4 h-4" />
+                        <span className="text-sm text-gray-500">{review.createdAt && new Date(review.createdAt.toDate()).toLocaleDateString()}</span>
+                    </div>
+                    <p className="text-gray-700">{review.comment}</p>
+                    <p className="text-sm text-gray-500 mt-1">{review.reviewerName} &middot; <button onClick={() => navigate(`gig/${review.gigId}`)} className="text-blue-600 hover:underline bg-transparent border-none p-0">{review.gigTitle}</button></p>
+                </div>
+            ))}
+        </div>
+    );
+};
+
+const ReviewForm = ({ gig }) => {
+    const { user, userData, showToast } = useApp();
+    const [rating, setRating] = useState(0);
+    const [comment, setComment] = useState('');
+    const [existingReview, setExistingReview] = useState(undefined);
+    const [submitting, setSubmitting] = useState(false);
+    const target = getReviewTarget(gig, user?.uid);
+
+    useEffect(() => {
+        const unsubscribe = onSnapshot(doc(db, 'reviews', getReviewId(gig.id, user.uid)), (reviewDoc) => {
+            setExistingReview(reviewDoc.exists() ? reviewDoc.data() : null);
+        });
+        return () => unsubscribe();
+    }, [gig.id, user.uid]);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setSubmitting(true);
+        try {
+            await submitReview(gig, { uid: user.uid, name: userData.name }, { rating, comment: comment.trim() });
+            showToast("Review submitted. Thank you!");
+        } catch (error) {
+            console.error("Error submitting review: ", error);
+            showToast(error.message || "Failed to submit review.", "error");
+        } finally {
+            setSubmitting(false);
+        }
+    };
+
+    if (existingReview === undefined) return null;
+    if (existingReview) {
+        return (
+            <div className="bg-white p-6 rounded-lg shadow-md">
+                <h2 className="text-xl font-bold mb-2">Your Review</h2>
+                <StarRating value={existingReview.rating} />
+                <p className="text-gray-700 mt-2">{existingReview.comment}</p>
+            </div>
+        );
+    }
+
+    return (
+        <div className="bg-white p-6 rounded-lg shadow-md">
+            <h2 className="text-xl font-bold mb-4">Rate the {target.revieweeRole}</h2>
+            <form onSubmit={handleSubmit} className="space-y-4">
+                <StarRating value={rating} onChange={setRating} size="w-8 h-8" />
+                <textarea value={comment} onChange={e => setComment(e.target.value)} rows="4" placeholder="How was your experience working together?" className="w-full p-2 border rounded-md" required></textarea>
+                <button type="submit" disabled={submitting || rating === 0} className="w-full bg-blue-600 text-white py-2 rounded-md hover:bg-blue-700 disabled:bg-gray-400">Submit Review</button>
+            </form>
+        </div>
+    );
+};
+
+const Toast = ({ message, type }) => {
+    const bgColor = type === 'success' ? 'bg-green-500' : 'bg-red-500';
+    return (
+        <motion.div 
+            initial={{ opacity: 0, y: 50 }}
+            animate={{ opacity: 1, y: 0 }}
+            exit={{ opacity: 0, y: 50 }}
+            className={`fixed bottom-5 right-5 text-white px-6 py-3 rounded-lg shadow-lg z-[100] ${bgColor}`}>
+            {message}
+        </motion.div>
+    );
+};
+
+const Footer = () => {
+    return (
+        <footer className="bg-gray-800 text-white mt-12">
+            <div className="max-w-7xl mx-auto py-8 px-4 sm:px-6 lg:px-8">
                 <div className="grid grid-cols-1 md:grid-cols-3 gap-8">
                     <div>
                         <h3 className="text-lg font-bold mb-2">CampusGig</h3>
@@ -452,25 +1540,40 @@ const Footer = () => {
                 <div className="mt-8 border-t border-gray-700 pt-4 text-center text-gray-500">
                     &copy; {new Date().getFullYear()} CampusGig. All rights reserved.
                 </div>
-            </div>
-        </footer>
+            </div>
+        </footer>
+    );
+};
+
+
+// --- Pages ---
+
+const RecommendedGigs = () => {
+    const { navigate } = useApp();
+    const { blockedIds } = useApp();
+    const { recommendations, loading } = useRecommendations();
+
+    return (
+        <div>
+            <h2 className="text-3xl font-bold text-gray-800 mb-6 flex items-center"><Sparkles className="w-7 h-7 mr-2 text-purple-600"/> Recommended for you</h2>
+            {loading ? (
+                <p className="text-gray-500">Finding gigs that match your skills...</p>
+            ) : recommendations.length === 0 ? (
+                <p className="text-gray-500">No matches right now. Add more skills to your profile or <button onClick={() => navigate('gigs')} className="text-blue-600 hover:underline bg-transparent border-none p-0">browse all gigs</button>.</p>
+            ) : (
+                <div className="grid md:grid-cols-2 lg:grid-cols-3 gap-8">
+                    {recommendations.filter(({ gig }) => !isBlocked(blockedIds, gig.clientId) && !isPastExpiry(gig)).map(({ gig, explanation }) => <GigCard key={gig.id} gig={gig} reason={explanation} />)}
+                </div>
+            )}
+        </div>
     );
 };
 
-
-// --- Pages ---
-
 const HomePage = () => {
     const [latestGigs, setLatestGigs] = useState([]);
-    const { navigate, user } = useApp();
+    const { navigate, userData, blockedIds } = useApp();
     
-    const handlePostGigClick = () => {
-        if (user) {
-            navigate('post-gig');
-        } else {
-            navigate('login');
-        }
-    };
+    const handlePostGigClick = () => navigate('post-gig');
 
     useEffect(() => {
         const q = query(collection(db, 'gigs'), where('status', '==', 'open'), orderBy('postedAt', 'desc'), limit(3));
@@ -506,11 +1609,18 @@ const HomePage = () => {
                     </div>
                 </div>
             </div>
+            {userData?.role === 'student' && (
+                <div className="pt-16">
+                    <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+                        <RecommendedGigs />
+                    </div>
+                </div>
+            )}
             <div className="py-16">
                 <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
                     <h2 className="text-3xl font-bold text-center text-gray-800 mb-12">Latest Gigs</h2>
                     <div className="grid md:grid-cols-2 lg:grid-cols-3 gap-8">
-                        {latestGigs.map(gig => <GigCard key={gig.id} gig={gig} />)}
+                        {filterBlockedGigs(latestGigs, blockedIds).filter(gig => !isPastExpiry(gig)).map(gig => <GigCard key={gig.id} gig={gig} />)}
                     </div>
                 </div>
             </div>
@@ -519,32 +1629,103 @@ const HomePage = () => {
 };
 
 const GigsPage = () => {
+    const { userData, location, navigate, blockedIds } = useApp();
+    const campuses = useCampuses();
+    const defaultCampus = userData?.campus?.id || '';
+    const filters = useMemo(() => parseSearchParams(location.search, { defaultCampus }), [location.search, defaultCampus]);
+    const [draft, setDraft] = useState(filters);
     const [gigs, setGigs] = useState([]);
-    const [searchTerm, setSearchTerm] = useState('');
+    const [cursor, setCursor] = useState(null);
+    const [hasMore, setHasMore] = useState(false);
     const [loading, setLoading] = useState(true);
+    const [loadingMore, setLoadingMore] = useState(false);
+    const requestIdRef = useRef(0);
+    const sentinelRef = useRef(null);
 
     useEffect(() => {
-        const q = query(collection(db, 'gigs'), where('status', '==', 'open'), orderBy('postedAt', 'desc'));
-        const unsubscribe = onSnapshot(q, (querySnapshot) => {
-            const gigsData = querySnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
-            setGigs(gigsData);
-            setLoading(false);
+        setDraft(filters);
+    }, [filters]);
+
+    useEffect(() => {
+        const requestId = ++requestIdRef.current;
+        setLoading(true);
+        searchGigs(filters).then(result => {
+            if (requestId !== requestIdRef.current) return;
+            setGigs(result.gigs); setCursor(result.cursor); setHasMore(result.hasMore);
+        }).catch(error => {
+            console.error("Error searching gigs: ", error);
+            if (requestId === requestIdRef.current) { setGigs([]); setHasMore(false); }
+        }).finally(() => {
+            if (requestId === requestIdRef.current) setLoading(false);
         });
-        return () => unsubscribe();
-    }, []);
-    
-    const filteredGigs = gigs.filter(gig => 
-        gig.title.toLowerCase().includes(searchTerm.toLowerCase()) ||
-        gig.description.toLowerCase().includes(searchTerm.toLowerCase()) ||
-        gig.skills.some(skill => skill.toLowerCase().includes(searchTerm.toLowerCase()))
-    );
+    }, [filters]);
+
+    const loadMore = useCallback(async () => {
+        if (!hasMore || loading || loadingMore) return;
+        const requestId = requestIdRef.current;
+        setLoadingMore(true);
+        try {
+            const result = await searchGigs(filters, cursor);
+            if (requestId !== requestIdRef.current) return;
+            setGigs(prev => [...prev, ...result.gigs]); setCursor(result.cursor); setHasMore(result.hasMore);
+        } catch (error) {
+            console.error("Error loading more gigs: ", error);
+        } finally {
+            setLoadingMore(false);
+        }
+    }, [filters, cursor, hasMore, loading, loadingMore]);
+
+    useEffect(() => {
+        if (!sentinelRef.current || !('IntersectionObserver' in window)) return;
+        const observer = new IntersectionObserver(entries => { if (entries[0].isIntersecting) loadMore(); });
+        observer.observe(sentinelRef.current);
+        return () => observer.disconnect();
+    }, [loadMore]);
+
+    const handleDraftChange = (e) => setDraft({ ...draft, [e.target.name]: e.target.value });
+
+    const setFilters = (newFilters) => navigate(`gigs${serializeFilters(newFilters, { defaultCampus })}`);
+
+    const applyFilters = (e) => {
+        e.preventDefault();
+        setFilters({ ...draft, q: draft.q.trim() });
+    };
+
+    const clearFilters = () => setFilters({ ...DEFAULT_FILTERS, campus: defaultCampus });
 
     return (
         <div className="max-w-7xl mx-auto py-12 px-4 sm:px-6 lg:px-8">
             <h1 className="text-4xl font-bold text-gray-800 mb-4">Find a Gig</h1>
             <p className="text-lg text-gray-600 mb-8">Browse through hundreds of opportunities perfect for your skills.</p>
-            <div className="mb-8"><div className="relative"><Search className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" /><input type="text" placeholder="Search by title, skill, or keyword..." value={searchTerm} onChange={(e) => setSearchTerm(e.target.value)} className="w-full pl-10 pr-4 py-3 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500"/></div></div>
-            {loading ? (<div className="grid md:grid-cols-2 lg:grid-cols-3 gap-8">{[...Array(6)].map((_, i) => <div key={i} className="bg-white rounded-lg shadow-lg h-64 animate-pulse"></div>)}</div>) : (<div className="grid md:grid-cols-2 lg:grid-cols-3 gap-8">{filteredGigs.length > 0 ? (filteredGigs.map(gig => <GigCard key={gig.id} gig={gig} />)) : (<p className="text-center col-span-full text-gray-500">No gigs found matching your search.</p>)}</div>)}
+            <form onSubmit={applyFilters} className="mb-8 space-y-4">
+                <div className="relative"><Search className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" /><input type="text" name="q" placeholder="Search by title, skill, or keyword..." value={draft.q} onChange={handleDraftChange} className="w-full pl-10 pr-4 py-3 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500"/></div>
+                <div className="grid grid-cols-2 md:grid-cols-6 gap-4">
+                    <div className="col-span-2"><SkillTagInput value={draft.skills} onChange={skills => setDraft({ ...draft, skills: [...new Set(skills.map(toSkillTag))].slice(0, MAX_SKILL_FILTERS) })} placeholder="Filter by skills" /></div>
+                    <input type="number" name="min" placeholder="Min budget ($)" value={draft.min} onChange={handleDraftChange} className="p-2 border border-gray-300 rounded-md"/>
+                    <input type="number" name="max" placeholder="Max budget ($)" value={draft.max} onChange={handleDraftChange} className="p-2 border border-gray-300 rounded-md"/>
+                    <input type="date" name="from" title="Posted after" value={draft.from} onChange={handleDraftChange} className="p-2 border border-gray-300 rounded-md"/>
+                    <input type="date" name="to" title="Posted before" value={draft.to} onChange={handleDraftChange} className="p-2 border border-gray-300 rounded-md"/>
+                </div>
+                <div className="flex flex-wrap items-center gap-4">
+                    <select name="sort" value={draft.sort} onChange={e => { handleDraftChange(e); setFilters({ ...filters, sort: e.target.value }); }} className="p-2 border border-gray-300 rounded-md">
+                        {Object.entries(SORT_OPTIONS).map(([key, option]) => <option key={key} value={key}>{option.label}</option>)}
+                    </select>
+                    {campuses.length > 0 && (
+                        <select name="campus" value={draft.campus} onChange={e => { handleDraftChange(e); setFilters({ ...filters, campus: e.target.value }); }} className="p-2 border border-gray-300 rounded-md">
+                            <option value="">All campuses</option>
+                            {campuses.map(campus => <option key={campus.id} value={campus.id}>Open to {campus.name}{campus.id === defaultCampus ? ' (your campus)' : ''}</option>)}
+                        </select>
+                    )}
+                    <button type="submit" className="bg-blue-600 text-white px-6 py-2 rounded-md hover:bg-blue-700">Apply Filters</button>
+                    <button type="button" onClick={clearFilters} className="text-gray-600 hover:text-blue-600 bg-transparent border-none">Clear</button>
+                </div>
+            </form>
+            <div className="flex justify-end mb-4"><SaveSearchButton filters={filters} /></div>
+            {loading ? (<div className="grid md:grid-cols-2 lg:grid-cols-3 gap-8">{[...Array(6)].map((_, i) => <div key={i} className="bg-white rounded-lg shadow-lg h-64 animate-pulse"></div>)}</div>) : (<div className="grid md:grid-cols-2 lg:grid-cols-3 gap-8">{gigs.length > 0 ? (filterBlockedGigs(gigs, blockedIds).filter(gig => !isPastExpiry(gig)).map(gig => <GigCard key={gig.id} gig={gig} />)) : (<p className="text-center col-span-full text-gray-500">{hasMore ? 'Searching more gigs...' : 'No gigs found matching your search.'}</p>)}</div>)}
+            <div ref={sentinelRef} className="h-4"></div>
+            {!loading && hasMore && (
+                <div className="text-center mt-8"><button onClick={loadMore} disabled={loadingMore} className="bg-white border border-gray-300 text-gray-700 px-6 py-2 rounded-md hover:bg-gray-100 disabled:text-gray-400">{loadingMore ? 'Loading...' : 'Load More'}</button></div>
+            )}
         </div>
     );
 };
@@ -554,9 +1735,13 @@ const GigDetailPage = ({ gigId }) => {
     const [proposals, setProposals] = useState([]);
     const [loading, setLoading] = useState(true);
     const [isEditingGig, setIsEditingGig] = useState(false);
-    const [showChat, setShowChat] = useState(false);
+    const [activeThread, setActiveThread] = useState(null);
     const [acceptedStudent, setAcceptedStudent] = useState(null);
-    const { user, userData, showToast, navigate } = useApp();
+    const [isAccepting, setIsAccepting] = useState(false);
+    const [decliningProposal, setDecliningProposal] = useState(null);
+    const [isComparing, setIsComparing] = useState(false);
+    const { user, userData, showToast, navigate, chats, blockedIds } = useApp();
+    const campuses = useCampuses();
 
     useEffect(() => {
         const gigDocRef = doc(db, 'gigs', gigId);
@@ -564,32 +1749,79 @@ const GigDetailPage = ({ gigId }) => {
             if (docSnapshot.exists()) {
                 const gigData = { id: docSnapshot.id, ...docSnapshot.data() };
                 setGig(gigData);
-                if (gigData.status === 'in-progress' && gigData.acceptedStudentId) {
+                if (gigData.acceptedStudentId && auth.currentUser) {
                     const studentDocSnap = await getDoc(doc(db, 'users', gigData.acceptedStudentId));
                     if(studentDocSnap.exists()) setAcceptedStudent(studentDocSnap.data());
+                } else {
+                    setAcceptedStudent(null);
                 }
             }
             setLoading(false);
         });
-        const proposalsQuery = query(collection(db, 'proposals'), where('gigId', '==', gigId));
-        const unsubscribeProposals = onSnapshot(proposalsQuery, (snapshot) => {
+        return () => unsubscribeGig();
+    }, [gigId]);
+
+    // Clients see every proposal on their gig; students only their own (enforced by the security rules).
+    const gigClientId = gig?.clientId;
+    useEffect(() => {
+        if (!user || !gigClientId) {
+            setProposals([]);
+            return;
+        }
+        const constraints = [where('gigId', '==', gigId)];
+        if (gigClientId !== user.uid) constraints.push(where('studentId', '==', user.uid));
+        const unsubscribeProposals = onSnapshot(query(collection(db, 'proposals'), ...constraints), (snapshot) => {
             setProposals(snapshot.docs.map(pDoc => ({ id: pDoc.id, ...pDoc.data() })));
         });
-        return () => { unsubscribeGig(); unsubscribeProposals(); };
-    }, [gigId]);
+        return () => unsubscribeProposals();
+    }, [gigId, gigClientId, user]);
+
+    // Counts one view per visitor for the client's analytics: the visitor's gigs/{id}/viewers doc is written with
+    // the bump, and the rules allow it only once. Owners' own visits don't count.
+    useEffect(() => {
+        if (!user || !gigClientId || gigClientId === user.uid) return;
+        const viewKey = `viewed:${gigId}`;
+        if (sessionStorage.getItem(viewKey)) return;
+        sessionStorage.setItem(viewKey, '1');
+        const viewerRef = doc(db, 'gigs', gigId, 'viewers', user.uid);
+        getDoc(viewerRef).then(viewerSnap => {
+            if (viewerSnap.exists()) return;
+            const batch = writeBatch(db);
+            batch.set(viewerRef, { viewedAt: serverTimestamp() });
+            batch.update(doc(db, 'gigs', gigId), { viewCount: increment(1) });
+            return batch.commit();
+        }).catch(error => console.error("Error recording gig view: ", error));
+    }, [gigId, gigClientId, user]);
 
     const handleAcceptProposal = async (proposalToAccept) => {
         if (gig.status !== 'open') return showToast("This gig is no longer open.", "error");
+        if (isAccepting) return;
+        setIsAccepting(true);
         try {
-            await addDoc(collection(db, 'notifications'), { userId: proposalToAccept.studentId, title: 'Proposal Accepted!', message: `Congratulations! Your proposal for "${gig.title}" was accepted.`, link: `gig/${gigId}`, read: false, createdAt: Timestamp.now() });
-            const gigDocRef = doc(db, 'gigs', gigId);
-            await updateDoc(gigDocRef, { status: 'in-progress', acceptedStudentId: proposalToAccept.studentId, finalBid: proposalToAccept.bidAmount });
-            const proposalDocRef = doc(db, 'proposals', proposalToAccept.id);
-            await updateDoc(proposalDocRef, { status: 'accepted' });
-            showToast("Proposal accepted! The student has been notified.");
-        } catch (error) { console.error("Error accepting proposal: ", error); showToast("Failed to accept proposal.", "error"); }
+            await acceptProposal(gigId, proposalToAccept.id, user.uid);
+            showToast("Proposal accepted! All students have been notified.");
+        } catch (error) { console.error("Error accepting proposal: ", error); showToast(error.message || "Failed to accept proposal.", "error"); }
+        finally { setIsAccepting(false); }
     }
 
+    const handleShortlist = async (proposal) => {
+        if (!canDecide(proposal, gig, user.uid)) return;
+        try {
+            const notification = proposal.shortlisted ? null : buildNotification(proposal.studentId, "You've Been Shortlisted", `The client shortlisted your proposal for "${gig.title}".`, `gig/${gigId}`, NOTIFICATION_CATEGORIES.PROPOSALS, { proposalId: proposal.id });
+            await updateProposal(proposal, { shortlisted: !proposal.shortlisted }, notification);
+        } catch (error) { console.error("Error shortlisting proposal: ", error); showToast("Failed to update shortlist.", "error"); }
+    };
+
+    const handleDecline = async (proposal, reason) => {
+        if (!canDecide(proposal, gig, user.uid)) return;
+        try {
+            const message = `Your proposal for "${gig.title}" was declined.${reason ? ` Reason: "${reason}"` : ''}`;
+            await updateProposal(proposal, { status: PROPOSAL_STATUS.DECLINED, declineReason: reason, decidedAt: Timestamp.now() }, buildNotification(proposal.studentId, 'Proposal Declined', message, `gig/${gigId}`, NOTIFICATION_CATEGORIES.PROPOSALS, { proposalId: proposal.id }));
+            showToast("Proposal declined. The student has been notified.");
+            setDecliningProposal(null);
+        } catch (error) { console.error("Error declining proposal: ", error); showToast("Failed to decline proposal.", "error"); }
+    };
+
     const isProfileComplete = () => {
         return userData && userData.bio && userData.skills?.length > 0 && userData.phone;
     };
@@ -598,30 +1830,58 @@ const GigDetailPage = ({ gigId }) => {
     if (!gig) return <div className="text-center py-20">Gig not found.</div>;
 
     const isGigOpen = gig.status === 'open';
+    // The expiry job runs daily, so a gig can sit past its expiry for a while before it is closed.
+    const isAcceptingProposals = isGigOpen && !isPastExpiry(gig);
     const isOwner = userData?.role === 'client' && gig.clientId === user.uid;
+    const shortlisted = proposals.filter(p => p.shortlisted && p.status === PROPOSAL_STATUS.PENDING);
+    const sortedProposals = filterBlockedProposals(proposals, blockedIds).sort((a, b) => (b.shortlisted === true) - (a.shortlisted === true));
     const isAcceptedStudent = user?.uid === gig.acceptedStudentId;
+    const threadUnread = (threadId) => (user ? getUnreadCount(chats.find(chat => chat.id === threadId), user.uid) : 0);
+    const chatUnread = gig.acceptedStudentId ? threadUnread(getThreadId({ gigId: gig.id })) : 0;
+    const openProposalThread = (proposal) => setActiveThread(buildProposalThread(gig, proposal));
+
+    if (!isOwner && isBlocked(blockedIds, gig.clientId)) {
+        return (
+            <div className="max-w-2xl mx-auto py-24 px-4 text-center">
+                <h1 className="text-3xl font-bold text-gray-800 mb-4">This gig is hidden</h1>
+                <p className="text-gray-600 mb-6">You blocked {gig.clientName || 'this client'}, so their gigs are hidden from you.</p>
+                <BlockButton userId={gig.clientId} name={gig.clientName || 'this client'} />
+            </div>
+        );
+    }
 
     return (
         <div className="max-w-7xl mx-auto py-12 px-4 sm:px-6 lg:px-8">
             {isEditingGig && <EditGigModal gig={gig} onClose={() => setIsEditingGig(false)} />}
-            {showChat && <ChatModal gig={gig} onClose={() => setShowChat(false)} />}
+            {activeThread && <ChatModal thread={activeThread} onClose={() => setActiveThread(null)} />}
+            {decliningProposal && <DeclineProposalModal onSubmit={(reason) => handleDecline(decliningProposal, reason)} onClose={() => setDecliningProposal(null)} />}
+            {isComparing && <ProposalComparisonModal gig={gig} proposals={shortlisted} onAccept={(p) => { setIsComparing(false); handleAcceptProposal(p); }} onClose={() => setIsComparing(false)} />}
             <div className="grid lg:grid-cols-3 gap-8">
                 <div className="lg:col-span-2 bg-white p-8 rounded-lg shadow-md">
-                    <div className="flex justify-between items-start mb-4"><h1 className="text-3xl font-bold text-gray-900">{gig.title}</h1><span className="text-3xl font-bold text-green-600">${gig.budget}</span></div>
-                    {!isGigOpen && (<div className="mb-4 p-3 bg-yellow-100 text-yellow-800 rounded-lg font-semibold">This gig is currently {gig.status}.</div>)}
-                    <div className="text-sm text-gray-500 mb-6">Posted by {gig.clientName || 'A client'} on {new Date(gig.postedAt?.toDate()).toLocaleDateString()}</div>
+                    <div className="flex justify-between items-start mb-4"><h1 className="text-3xl font-bold text-gray-900">{gig.title}</h1><div className="flex items-center space-x-3"><span className="text-3xl font-bold text-green-600">{describePrice(gig)}</span><SaveGigButton gig={gig} /></div></div>
+                    {isTakenDown(gig) ? (
+                        <div className="mb-4 p-3 bg-red-100 text-red-800 rounded-lg font-semibold">This gig was taken down by a moderator.{isOwner && gig.moderation.reason && ` Reason: ${gig.moderation.reason}`}</div>
+                    ) : !isGigOpen && (<div className="mb-4 p-3 bg-yellow-100 text-yellow-800 rounded-lg font-semibold">This gig is currently {GIG_STATUS_LABELS[gig.status] || gig.status}.</div>)}
+                    <div className="text-sm text-gray-500 mb-6">Posted by <button onClick={() => navigate(`client/${gig.clientId}`)} className="text-blue-600 hover:underline bg-transparent border-none p-0">{gig.clientName || 'A client'}</button>{gig.clientVerified && <VerifiedBadge className="mx-1" />} on {new Date(gig.postedAt?.toDate()).toLocaleDateString()}<ReportButton target={{ targetType: 'gig', targetId: gig.id, targetOwnerId: gig.clientId, targetLabel: gig.title, snapshot: gig.description, link: `gig/${gig.id}` }} label="Report gig" className="ml-4" /></div>
+                    <GigFacts gig={gig} className="mb-4" />
+                    {getRestrictedCampusIds(gig).length > 0 && <p className="text-sm text-indigo-700 mb-4 flex items-center"><School className="w-4 h-4 mr-1"/> Open to students at {describeCampusScope(gig, campuses)}</p>}
                     {isOwner && isGigOpen && <button onClick={() => setIsEditingGig(true)} className="mb-4 bg-yellow-500 text-white px-4 py-2 rounded-md hover:bg-yellow-600 flex items-center"><Edit className="w-4 h-4 mr-2"/> Edit Gig</button>}
                     <h2 className="text-xl font-semibold text-gray-800 mb-2">Description</h2><p className="text-gray-600 whitespace-pre-wrap mb-6">{gig.description}</p>
                     <h2 className="text-xl font-semibold text-gray-800 mb-2">Required Skills</h2><div className="flex flex-wrap gap-2">{gig.skills.map(skill => (<span key={skill} className="bg-blue-100 text-blue-800 text-sm font-semibold px-3 py-1 rounded-full">{skill}</span>))}</div>
+                    {gig.attachments?.length > 0 && (<><h2 className="text-xl font-semibold text-gray-800 mt-6 mb-2">Attachments</h2><div className="space-y-1">{gig.attachments.map(attachment => <ChatAttachment key={attachment.path} attachment={attachment} folder={`gigs/${gig.clientId}/`} />)}</div></>)}
                 </div>
                 <div className="lg:col-span-1 space-y-6">
+                    {userData?.role === 'admin' && <GigModerationPanel gig={gig} />}
+                    {getGigRole(gig, user?.uid) && <GigStatusPanel gig={gig} />}
+                    {getReviewTarget(gig, user?.uid) && <ReviewForm gig={gig} />}
+                    {getGigRole(gig, user?.uid) && gig.acceptedStudentId && <EscrowPanel gig={gig} />}
                     {isOwner && !isGigOpen && acceptedStudent && (
                         <div className="bg-white p-6 rounded-lg shadow-md">
                             <h2 className="text-xl font-bold mb-4">Contact Information</h2>
                             <p><strong>Name:</strong> {acceptedStudent.name}</p>
                             <p><strong>Email:</strong> {acceptedStudent.email}</p>
                             <p><strong>Phone:</strong> {acceptedStudent.phone || 'Not provided'}</p>
-                            <button onClick={() => setShowChat(true)} className="mt-4 w-full bg-green-600 text-white py-2 rounded-md hover:bg-green-700 flex items-center justify-center"><MessageCircle className="w-5 h-5 mr-2"/> View Chat</button>
+                            <button onClick={() => setActiveThread(buildGigThread(gig))} className="mt-4 w-full bg-green-600 text-white py-2 rounded-md hover:bg-green-700 flex items-center justify-center"><MessageCircle className="w-5 h-5 mr-2"/> View Chat{chatUnread > 0 && <span className="ml-2 bg-red-500 text-white text-xs rounded-full px-2">{chatUnread}</span>}</button>
                         </div>
                     )}
                     {isAcceptedStudent && (
@@ -630,18 +1890,500 @@ const GigDetailPage = ({ gigId }) => {
                             <p><strong>Client:</strong> {gig.clientName}</p>
                             <p><strong>Email:</strong> {userData.email}</p>
                             <p><strong>Phone:</strong> {userData.phone || 'Not provided'}</p>
-                            <button onClick={() => setShowChat(true)} className="mt-4 w-full bg-green-600 text-white py-2 rounded-md hover:bg-green-700 flex items-center justify-center"><MessageCircle className="w-5 h-5 mr-2"/> View Chat</button>
+                            <button onClick={() => setActiveThread(buildGigThread(gig))} className="mt-4 w-full bg-green-600 text-white py-2 rounded-md hover:bg-green-700 flex items-center justify-center"><MessageCircle className="w-5 h-5 mr-2"/> View Chat{chatUnread > 0 && <span className="ml-2 bg-red-500 text-white text-xs rounded-full px-2">{chatUnread}</span>}</button>
                         </div>
                     )}
-                    {userData?.role === 'student' && isGigOpen && (
-                        isProfileComplete() ? <ProposalForm gigId={gigId} proposals={proposals} /> : <CompleteProfilePrompt navigate={navigate} />
+                    {isOwner && isGigOpen && (isExpiringSoon(gig) || !isAcceptingProposals) && <GigExpiryPanel gig={gig} />}
+                    {userData?.role === 'student' && isGigOpen && !isAcceptingProposals && (
+                        <div className="bg-yellow-50 p-6 rounded-lg shadow-md text-yellow-800">This gig is no longer accepting proposals.</div>
+                    )}
+                    {userData?.role === 'student' && isAcceptingProposals && !isOpenToCampus(gig, userData.campus?.id) && (
+                        <div className="bg-indigo-50 p-6 rounded-lg shadow-md text-indigo-800">This gig only accepts proposals from verified students at {describeCampusScope(gig, campuses)}. Verify your university email from your dashboard to apply.</div>
+                    )}
+                    {userData?.role === 'student' && isAcceptingProposals && isOpenToCampus(gig, userData.campus?.id) && (
+                        isProfileComplete() ? <ProposalForm gig={gig} proposals={proposals} onAskClient={openProposalThread} /> : <CompleteProfilePrompt navigate={navigate} />
                     )}
-                    {isOwner && (<div className="bg-white p-6 rounded-lg shadow-md"><h2 className="text-xl font-bold mb-4 flex items-center"><Users className="w-6 h-6 mr-2"/> Proposals ({proposals.length})</h2><div className="space-y-4">{proposals.length > 0 ? (proposals.map(p => <ProposalCard key={p.id} proposal={p} onAccept={handleAcceptProposal} isGigOpen={isGigOpen} />)) : (<p className="text-gray-500">No proposals yet.</p>)}</div></div>)}
+                    {isOwner && (<div className="bg-white p-6 rounded-lg shadow-md"><div className="flex justify-between items-center mb-4"><h2 className="text-xl font-bold flex items-center"><Users className="w-6 h-6 mr-2"/> Proposals ({sortedProposals.length})</h2>{isGigOpen && shortlisted.length > 1 && <button onClick={() => setIsComparing(true)} className="bg-purple-600 text-white px-3 py-1 rounded-md hover:bg-purple-700 flex items-center text-sm"><Columns className="w-4 h-4 mr-1"/> Compare ({shortlisted.length})</button>}</div><div className="space-y-4">{sortedProposals.length > 0 ? (sortedProposals.map(p => <ProposalCard key={p.id} proposal={p} onAccept={handleAcceptProposal} onShortlist={handleShortlist} onDecline={setDecliningProposal} onMessage={openProposalThread} unreadMessages={threadUnread(getThreadId({ gigId: gig.id, proposalId: p.id }))} isGigOpen={isGigOpen && !isAccepting} />)) : (<p className="text-gray-500">No proposals yet.</p>)}</div></div>)}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+const GigStatusPanel = ({ gig }) => {
+    const { user, showToast } = useApp();
+    const [pendingAction, setPendingAction] = useState(null);
+    const [submitting, setSubmitting] = useState(false);
+    const actions = getAvailableActions(gig, user?.uid);
+
+    const runAction = async (action, details) => {
+        setSubmitting(true);
+        try {
+            if (!canTransition(gig, action, user.uid)) throw new Error('This action is not available for this gig.');
+            // Escrow settles before the status changes. A failed release keeps the gig where it is, with the releases
+            // that went through recorded, so Approve can be retried. A cancellation still goes ahead, and whatever
+            // couldn't be refunded is offered again from the escrow panel.
+            const settlement = TRANSITION_SETTLEMENTS[action];
+            const { references, error } = settlement ? await moveEscrow(gig, settlement) : { references: {}, error: null };
+            if (error && action === 'approve') {
+                await commitEscrow(gig, settlement, references);
+                throw error;
+            }
+            await transitionGig(gig.id, action, user.uid, details, settlement ? { type: settlement, references } : null);
+            if (error) throw new Error(`The gig was cancelled, but some escrow couldn't be refunded (${error.message}). Retry from the escrow panel.`);
+            showToast(`Gig marked as ${GIG_STATUS_LABELS[GIG_TRANSITIONS[action].to]}.`);
+            setPendingAction(null);
+        } catch (error) {
+            console.error(`Error running gig action ${action}: `, error);
+            showToast(error.message || "Failed to update gig.", "error");
+        } finally {
+            setSubmitting(false);
+        }
+    };
+
+    const handleActionClick = (action) => {
+        if (action === 'approve' || action === 'reopen') return runAction(action);
+        setPendingAction(action);
+    };
+
+    return (
+        <div className="bg-white p-6 rounded-lg shadow-md">
+            <h2 className="text-xl font-bold mb-2">Gig Status</h2>
+            <p className="mb-4"><span className="bg-blue-100 text-blue-800 text-sm font-semibold px-3 py-1 rounded-full">{GIG_STATUS_LABELS[gig.status] || gig.status}</span></p>
+            {gig.revisionNote && gig.status === 'in-progress' && (
+                <div className="mb-4 p-3 bg-orange-100 text-orange-800 rounded-md text-sm"><strong>Revision requested:</strong> {gig.revisionNote}</div>
+            )}
+            {gig.submission && ['submitted', 'completed', 'disputed'].includes(gig.status) && (
+                <div className="mb-4 p-3 bg-gray-100 rounded-md text-sm">
+                    <p className="font-semibold mb-1">Submitted Work</p>
+                    <p className="text-gray-700 whitespace-pre-wrap">{gig.submission.note}</p>
+                    {(gig.submission.links || []).map(normalizeLink).filter(Boolean).map(link => (
+                        <a key={link} href={link} target="_blank" rel="noopener noreferrer" className="text-blue-500 hover:underline flex items-center mt-1 break-all"><ExternalLink className="w-4 h-4 mr-1 flex-shrink-0"/> {link}</a>
+                    ))}
+                </div>
+            )}
+            {gig.status === 'disputed' && gig.disputeReason && (
+                <div className="mb-4 p-3 bg-red-100 text-red-800 rounded-md text-sm"><strong>Dispute:</strong> {gig.disputeReason}</div>
+            )}
+            <div className="space-y-2">
+                {actions.map(action => (
+                    <button key={action} onClick={() => handleActionClick(action)} disabled={submitting} className={`w-full py-2 rounded-md text-white disabled:bg-gray-400 ${action === 'cancel' || action === 'dispute' ? 'bg-red-500 hover:bg-red-600' : 'bg-blue-600 hover:bg-blue-700'}`}>
+                        {GIG_TRANSITIONS[action].label}
+                    </button>
+                ))}
+            </div>
+            {gig.clientId === user?.uid && ['submitted', 'disputed'].includes(gig.status) && (gig.milestones || []).length === 0 && (
+                <p className="mt-2 text-sm text-gray-500">Fund the escrow to approve the work.</p>
+            )}
+            {pendingAction && <GigActionModal action={pendingAction} submitting={submitting} onSubmit={(details) => runAction(pendingAction, details)} onClose={() => setPendingAction(null)} />}
+        </div>
+    );
+};
+
+const GigExpiryPanel = ({ gig }) => {
+    const { showToast } = useApp();
+    const [extending, setExtending] = useState(false);
+    const expiresAt = getExpiresAt(gig);
+    const expired = isPastExpiry(gig);
+
+    const handleExtend = async () => {
+        setExtending(true);
+        try {
+            await updateDoc(doc(db, 'gigs', gig.id), buildExtension(gig));
+            showToast(`Gig extended by ${EXTENSION_DAYS} days.`);
+        } catch (error) {
+            console.error("Error extending gig: ", error);
+            showToast("Failed to extend gig.", "error");
+        } finally {
+            setExtending(false);
+        }
+    };
+
+    return (
+        <div className="bg-yellow-50 p-6 rounded-lg shadow-md">
+            <h2 className="text-xl font-bold mb-2 flex items-center"><Clock className="w-5 h-5 mr-2"/> {expired ? 'Gig Expired' : 'Expiring Soon'}</h2>
+            <p className="text-sm text-gray-700 mb-4">{expired ? 'This gig stopped accepting proposals and will be closed shortly.' : `This gig stops accepting proposals on ${expiresAt.toLocaleDateString()}.`}</p>
+            <button onClick={handleExtend} disabled={extending} className="w-full bg-blue-600 text-white py-2 rounded-md hover:bg-blue-700 disabled:bg-gray-400">{extending ? 'Extending...' : `Extend ${EXTENSION_DAYS} Days`}</button>
+        </div>
+    );
+};
+
+const GigModerationPanel = ({ gig }) => {
+    const { user, userData, showToast } = useApp();
+    const [isConfirming, setIsConfirming] = useState(false);
+    const [submitting, setSubmitting] = useState(false);
+    const action = isTakenDown(gig) ? 'restoreGig' : 'takeDownGig';
+
+    const handleSubmit = async ({ reason }) => {
+        setSubmitting(true);
+        try {
+            await moderateGig({ uid: user.uid, name: userData.name }, action, gig, reason);
+            showToast(`${MODERATION_ACTIONS[action]}.`);
+            setIsConfirming(false);
+        } catch (error) {
+            console.error("Error moderating gig:", error);
+            showToast("Failed to update the gig.", "error");
+        }
+        setSubmitting(false);
+    };
+
+    return (
+        <div className="bg-white p-6 rounded-lg shadow-md">
+            <h2 className="text-xl font-bold mb-4 flex items-center"><Shield className="w-5 h-5 mr-2"/> Moderation</h2>
+            <button onClick={() => setIsConfirming(true)} className={`w-full text-white py-2 rounded-md ${action === 'takeDownGig' ? 'bg-red-600 hover:bg-red-700' : 'bg-green-600 hover:bg-green-700'}`}>{action === 'takeDownGig' ? 'Take Down Gig' : 'Restore Gig'}</button>
+            {isConfirming && <ModerationActionModal title={MODERATION_ACTIONS[action]} submitting={submitting} onSubmit={handleSubmit} onClose={() => setIsConfirming(false)} />}
+        </div>
+    );
+};
+
+const GigActionModal = ({ action, submitting, onSubmit, onClose }) => {
+    const [note, setNote] = useState('');
+    const [links, setLinks] = useState('');
+    const { showToast } = useApp();
+    const isNoteRequired = action !== 'cancel';
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        if (isNoteRequired && !note.trim()) return showToast("Please add a note.", "error");
+        const linkList = links.split(/[\s,]+/).map(l => l.trim()).filter(Boolean);
+        const badLink = linkList.find(link => !normalizeLink(link));
+        if (badLink) return showToast(`"${badLink}" isn't a valid web link.`, "error");
+        onSubmit({ note: note.trim(), links: linkList });
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+            <div className="bg-white rounded-lg shadow-xl w-full max-w-lg">
+                <div className="p-6 border-b flex justify-between items-center"><h2 className="text-2xl font-bold">{GIG_TRANSITIONS[action].label}</h2><button onClick={onClose}><X className="w-6 h-6"/></button></div>
+                <form onSubmit={handleSubmit} className="p-6 space-y-4">
+                    <div><label>{action === 'submit' ? 'Describe your deliverables' : action === 'requestRevision' ? 'What needs to change?' : 'Reason'}{!isNoteRequired && ' (optional)'}</label><textarea value={note} onChange={e => setNote(e.target.value)} rows="4" className="w-full mt-1 p-2 border rounded-md"></textarea></div>
+                    {action === 'submit' && <div><label>Links to deliverables (comma-separated)</label><input type="text" value={links} onChange={e => setLinks(e.target.value)} placeholder="https://github.com/..., https://drive.google.com/..." className="w-full mt-1 p-2 border rounded-md"/></div>}
+                    <button type="submit" disabled={submitting} className="w-full bg-blue-600 text-white py-2 rounded-md hover:bg-blue-700 disabled:bg-gray-400">{submitting ? 'Saving...' : GIG_TRANSITIONS[action].label}</button>
+                </form>
+            </div>
+        </div>
+    );
+};
+
+const MILESTONE_BADGE_STYLES = {
+    [MILESTONE_STATUS.UNFUNDED]: 'bg-gray-200 text-gray-700',
+    [MILESTONE_STATUS.FUNDED]: 'bg-blue-100 text-blue-800',
+    [MILESTONE_STATUS.RELEASED]: 'bg-green-100 text-green-800',
+    [MILESTONE_STATUS.REFUNDED]: 'bg-yellow-100 text-yellow-800',
+};
+
+const EscrowPanel = ({ gig }) => {
+    const { user, showToast } = useApp();
+    const [isFunding, setIsFunding] = useState(false);
+    const [busy, setBusy] = useState(false);
+    const isClient = getGigRole(gig, user?.uid) === 'client';
+    const milestones = gig.milestones || [];
+    const isActive = ['in-progress', 'submitted'].includes(gig.status);
+    // Completed and cancelled gigs can still hold funded milestones if settling them failed; they can be retried here.
+    const settlement = { 'in-progress': 'release', submitted: 'release', completed: 'release', cancelled: 'refund' }[gig.status];
+
+    const handleSettle = async (milestone) => {
+        setBusy(true);
+        try {
+            await settleMilestones(gig, settlement, [milestone.id]);
+            showToast(settlement === 'release' ? `Released $${milestone.amount.toFixed(2)} to the student.` : `Refunded $${milestone.amount.toFixed(2)}.`);
+        } catch (error) {
+            console.error(`Error settling milestone (${settlement}): `, error);
+            showToast(error.message || "Failed to settle payment.", "error");
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    return (
+        <div className="bg-white p-6 rounded-lg shadow-md">
+            <h2 className="text-xl font-bold mb-4 flex items-center"><DollarSign className="w-6 h-6 mr-2"/> Escrow</h2>
+            {milestones.length === 0 ? (
+                <p className="text-gray-500 mb-4">{isClient ? `Fund the accepted bid of $${gig.finalBid} to get started.` : 'The client has not funded escrow yet.'}</p>
+            ) : (
+                <div className="space-y-3 mb-4">
+                    {milestones.map(m => (
+                        <div key={m.id} className="flex justify-between items-center border-b pb-2">
+                            <div>
+                                <p className="font-semibold">{m.title}</p>
+                                <p className="text-sm text-gray-600">${m.amount.toFixed(2)}</p>
+                            </div>
+                            <div className="flex items-center space-x-2">
+                                <span className={`text-xs font-semibold px-2 py-1 rounded-full ${MILESTONE_BADGE_STYLES[m.status]}`}>{m.status}</span>
+                                {isClient && settlement && m.status === MILESTONE_STATUS.FUNDED && (
+                                    <button onClick={() => handleSettle(m)} disabled={busy} className="bg-green-500 text-white text-sm px-3 py-1 rounded-md hover:bg-green-600 disabled:bg-gray-400">{settlement === 'release' ? 'Release' : 'Refund'}</button>
+                                )}
+                            </div>
+                        </div>
+                    ))}
+                </div>
+            )}
+            {isClient && isActive && milestones.length === 0 && (
+                <button onClick={() => setIsFunding(true)} className="w-full bg-blue-600 text-white py-2 rounded-md hover:bg-blue-700">Fund Escrow</button>
+            )}
+            {isFunding && <FundEscrowModal gig={gig} onClose={() => setIsFunding(false)} />}
+        </div>
+    );
+};
+
+const FundEscrowModal = ({ gig, onClose }) => {
+    const [milestones, setMilestones] = useState(() => splitIntoMilestones(gig.finalBid, 1));
+    const [submitting, setSubmitting] = useState(false);
+    const { showToast } = useApp();
+
+    const handleChange = (index, field, value) => {
+        const updated = [...milestones];
+        updated[index] = { ...updated[index], [field]: value };
+        setMilestones(updated);
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        const normalized = milestones.map(m => ({ ...m, title: m.title.trim(), amount: Number(m.amount) }));
+        const error = validateMilestones(normalized, gig.finalBid);
+        if (error) return showToast(error, "error");
+        setSubmitting(true);
+        try {
+            await settleMilestones({ ...gig, milestones: normalized }, 'fund');
+            showToast("Escrow funded! The student has been notified.");
+            onClose();
+        } catch (error) {
+            console.error("Error funding escrow: ", error);
+            showToast(error.message || "Failed to fund escrow.", "error");
+        } finally {
+            setSubmitting(false);
+        }
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+            <div className="bg-white rounded-lg shadow-xl w-full max-w-lg">
+                <div className="p-6 border-b flex justify-between items-center"><h2 className="text-2xl font-bold">Fund Escrow</h2><button onClick={onClose}><X className="w-6 h-6"/></button></div>
+                <form onSubmit={handleSubmit} className="p-6 space-y-4">
+                    <p className="text-gray-600">The accepted bid of ${gig.finalBid} is held in escrow and released to the student as milestones are approved.</p>
+                    <div className="flex items-center space-x-2">
+                        <label>Number of milestones</label>
+                        <select value={milestones.length} onChange={e => setMilestones(splitIntoMilestones(gig.finalBid, Number(e.target.value)))} className="p-2 border rounded-md">
+                            {[1, 2, 3, 4, 5].map(n => <option key={n} value={n}>{n}</option>)}
+                        </select>
+                    </div>
+                    {milestones.map((m, i) => (
+                        <div key={m.id} className="flex space-x-2">
+                            <input type="text" value={m.title} onChange={e => handleChange(i, 'title', e.target.value)} className="flex-grow p-2 border rounded-md" placeholder="Milestone title"/>
+                            <input type="number" step="0.01" value={m.amount} onChange={e => handleChange(i, 'amount', e.target.value)} className="w-28 p-2 border rounded-md"/>
+                        </div>
+                    ))}
+                    <button type="submit" disabled={submitting} className="w-full bg-blue-600 text-white py-2 rounded-md hover:bg-blue-700 disabled:bg-gray-400">{submitting ? 'Processing...' : `Fund $${gig.finalBid}`}</button>
+                </form>
+            </div>
+        </div>
+    );
+};
+
+const PaymentLedger = () => {
+    const { user, userData, navigate } = useApp();
+    const [entries, setEntries] = useState([]);
+
+    useEffect(() => {
+        const field = userData.role === 'client' ? 'clientId' : 'studentId';
+        const q = query(collection(db, 'payments'), where(field, '==', user.uid));
+        const unsubscribe = onSnapshot(q, (snap) => setEntries(snap.docs.map(d => ({ id: d.id, ...d.data() }))));
+        return () => unsubscribe();
+    }, [user.uid, userData.role]);
+
+    const rows = groupLedgerByGig(entries);
+
+    return (
+        <div className="mt-12">
+            <h2 className="text-2xl font-semibold text-gray-700 mb-4 flex items-center"><DollarSign className="w-6 h-6 mr-2"/> Payments</h2>
+            {rows.length === 0 ? (
+                <p>No payments yet.</p>
+            ) : (
+                <div className="bg-white rounded-lg shadow-md overflow-x-auto">
+                    <table className="min-w-full text-left">
+                        <thead className="bg-gray-100 text-gray-600 text-sm"><tr><th className="p-3">Gig</th><th className="p-3">Funded</th><th className="p-3">Released</th><th className="p-3">Refunded</th><th className="p-3">In Escrow</th></tr></thead>
+                        <tbody>
+                            {rows.map(row => (
+                                <tr key={row.gigId} className="border-t">
+                                    <td className="p-3"><button onClick={() => navigate(`gig/${row.gigId}`)} className="text-blue-600 hover:underline bg-transparent border-none p-0 text-left">{row.gigTitle}</button></td>
+                                    <td className="p-3">${row.funded.toFixed(2)}</td>
+                                    <td className="p-3 text-green-600">${row.released.toFixed(2)}</td>
+                                    <td className="p-3 text-yellow-600">${row.refunded.toFixed(2)}</td>
+                                    <td className="p-3 font-semibold">${row.inEscrow.toFixed(2)}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+        </div>
+    );
+};
+
+const BarChart = ({ bars, format = (value) => value }) => {
+    const max = Math.max(1, ...bars.map(bar => bar.value));
+    return (
+        <div className="flex items-end h-32 space-x-1">
+            {bars.map(bar => (
+                <div key={bar.key} className="flex-1 h-full flex flex-col justify-end" title={`${bar.label}: ${format(bar.value)}`}>
+                    <div className="bg-blue-500 rounded-t" style={{ height: `${(bar.value / max) * 100}%`, minHeight: bar.value > 0 ? '2px' : 0 }}></div>
+                </div>
+            ))}
+        </div>
+    );
+};
+
+const downloadCsv = (fileName, csv) => {
+    const url = URL.createObjectURL(new Blob([csv], { type: 'text/csv;charset=utf-8' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    URL.revokeObjectURL(url);
+};
+
+// Stats come from counters kept on each gig and the client's payment ledger, so no proposals are read here.
+const ClientAnalytics = ({ gigs }) => {
+    const { user, navigate } = useApp();
+    const [payments, setPayments] = useState([]);
+
+    useEffect(() => {
+        const q = query(collection(db, 'payments'), where('clientId', '==', user.uid));
+        const unsubscribe = onSnapshot(q, (snap) => setPayments(snap.docs.map(d => ({ id: d.id, ...d.data() }))));
+        return () => unsubscribe();
+    }, [user.uid]);
+
+    if (gigs.length === 0) return null;
+
+    const totals = summarizeGigs(gigs);
+    const summaries = gigs.map(summarizeGig);
+    const proposalsOverTime = getProposalsOverTime(gigs);
+    const spendByMonth = getSpendByMonth(payments);
+    const formatMoney = (value) => (value === null ? '—' : `$${value.toFixed(2)}`);
+    const stats = [
+        ['Views', totals.views],
+        ['Proposals', totals.proposals],
+        ['Avg / Median Bid', totals.averageBid === null ? '—' : `${formatMoney(totals.averageBid)} / ${formatMoney(totals.medianBid)}`],
+        ['Avg Budget', formatMoney(totals.averageBudget)],
+        ['First Proposal In', formatHours(totals.hoursToFirstProposal)],
+        ['Time to Hire', formatHours(totals.hoursToHire)],
+    ];
+
+    return (
+        <div className="mb-10">
+            <div className="flex justify-between items-center mb-4">
+                <h2 className="text-2xl font-semibold text-gray-700 flex items-center"><BarChart3 className="w-6 h-6 mr-2"/> Analytics</h2>
+                <button onClick={() => downloadCsv('gig-analytics.csv', toAnalyticsCsv(summaries))} className="bg-gray-100 text-gray-700 px-3 py-1.5 rounded-md text-sm hover:bg-gray-200 flex items-center"><Download className="w-4 h-4 mr-1"/> Export CSV</button>
+            </div>
+            <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-6 gap-4 mb-6">
+                {stats.map(([label, value]) => (
+                    <div key={label} className="bg-white rounded-lg shadow-md p-4"><p className="text-xs text-gray-500">{label}</p><p className="text-xl font-bold text-gray-800">{value}</p></div>
+                ))}
+            </div>
+            <div className="grid md:grid-cols-2 gap-6 mb-6">
+                <div className="bg-white rounded-lg shadow-md p-4">
+                    <h3 className="font-semibold text-gray-700 mb-3">Proposals, last {ANALYTICS_DAYS} days</h3>
+                    <BarChart bars={proposalsOverTime.map(day => ({ key: day.key, label: day.key, value: day.count }))} />
+                </div>
+                <div className="bg-white rounded-lg shadow-md p-4">
+                    <h3 className="font-semibold text-gray-700 mb-3">Spend per month</h3>
+                    <BarChart bars={spendByMonth.map(month => ({ key: month.key, label: month.key, value: month.amount }))} format={formatMoney} />
+                    <div className="flex text-xs text-gray-500 mt-1">{spendByMonth.map(month => <span key={month.key} className="flex-1 text-center">{month.key.slice(5)}/{month.key.slice(2, 4)}</span>)}</div>
+                </div>
+            </div>
+            <div className="bg-white rounded-lg shadow-md overflow-x-auto">
+                <table className="min-w-full text-left text-sm">
+                    <thead className="bg-gray-100 text-gray-600"><tr><th className="p-3">Gig</th><th className="p-3">Views</th><th className="p-3">Proposals</th><th className="p-3">Avg / Median Bid</th><th className="p-3">Budget</th><th className="p-3">First Proposal In</th><th className="p-3">Time to Hire</th></tr></thead>
+                    <tbody>
+                        {summaries.map(summary => (
+                            <tr key={summary.id} className="border-t">
+                                <td className="p-3"><button onClick={() => navigate(`gig/${summary.id}`)} className="text-blue-600 hover:underline bg-transparent border-none p-0 text-left">{summary.title}</button></td>
+                                <td className="p-3">{summary.views}</td>
+                                <td className="p-3">{summary.proposals}</td>
+                                <td className="p-3">{summary.averageBid === null ? '—' : `${formatMoney(summary.averageBid)} / ${formatMoney(summary.medianBid)}`}</td>
+                                <td className="p-3">{formatMoney(summary.budget ?? null)}{summary.bidToBudget !== null && <span className={`ml-1 text-xs ${summary.bidToBudget > 1 ? 'text-red-600' : 'text-green-600'}`}>({Math.round(summary.bidToBudget * 100)}%)</span>}</td>
+                                <td className="p-3">{formatHours(summary.hoursToFirstProposal)}</td>
+                                <td className="p-3">{formatHours(summary.hoursToHire)}</td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+            <p className="text-xs text-gray-500 mt-2">Bids are counted as first submitted. Views count signed-in visitors once per session.</p>
+        </div>
+    );
+};
+
+const DeclineProposalModal = ({ onSubmit, onClose }) => {
+    const [reason, setReason] = useState('');
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        onSubmit(reason.trim());
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+            <div className="bg-white rounded-lg shadow-xl w-full max-w-lg">
+                <div className="p-6 border-b flex justify-between items-center"><h2 className="text-2xl font-bold">Decline Proposal</h2><button onClick={onClose}><X className="w-6 h-6"/></button></div>
+                <form onSubmit={handleSubmit} className="p-6 space-y-4">
+                    <div><label>Reason (optional, shared with the student)</label><textarea value={reason} onChange={e => setReason(e.target.value)} rows="3" className="w-full mt-1 p-2 border rounded-md"></textarea></div>
+                    <button type="submit" className="w-full bg-red-500 text-white py-2 rounded-md hover:bg-red-600">Decline Proposal</button>
+                </form>
+            </div>
+        </div>
+    );
+};
+
+const ComparisonColumn = ({ gig, proposal, onAccept }) => {
+    const [student, setStudent] = useState(null);
+    const reviews = useReviews(proposal.studentId);
+
+    useEffect(() => {
+        getDoc(doc(db, 'users', proposal.studentId)).then(studentDoc => setStudent(studentDoc.exists() ? studentDoc.data() : {}));
+    }, [proposal.studentId]);
+
+    if (!student) return <div className="bg-gray-100 rounded-lg animate-pulse h-64"></div>;
+    const { matched, missing, ratio } = getSkillOverlap(student.skills, gig.skills);
+    const bidDifference = proposal.bidAmount - gig.budget;
+
+    return (
+        <div className="border rounded-lg p-4 flex flex-col space-y-4">
+            <div>
+                <h3 className="text-lg font-bold">{student.name}</h3>
+                <RatingSummary reviews={reviews} />
+            </div>
+            <div>
+                <p className="text-2xl font-bold text-green-600">${proposal.bidAmount}</p>
+                <p className={`text-sm ${bidDifference > 0 ? 'text-red-500' : 'text-gray-500'}`}>{bidDifference === 0 ? 'Matches budget' : `$${Math.abs(bidDifference)} ${bidDifference > 0 ? 'over' : 'under'} budget`}</p>
+            </div>
+            <div>
+                <p className="font-semibold mb-1">Skills match ({Math.round(ratio * 100)}%)</p>
+                <div className="flex flex-wrap gap-1">
+                    {matched.map(skill => <span key={skill} className="bg-green-100 text-green-800 text-xs font-semibold px-2 py-1 rounded-full">{skill}</span>)}
+                    {missing.map(skill => <span key={skill} className="bg-gray-200 text-gray-500 text-xs font-semibold px-2 py-1 rounded-full line-through">{skill}</span>)}
+                </div>
+            </div>
+            <div className="flex-grow">
+                <p className="font-semibold mb-1">Cover letter</p>
+                <p className="text-gray-600 text-sm whitespace-pre-wrap max-h-48 overflow-y-auto">{proposal.coverLetter}</p>
+            </div>
+            <button onClick={() => onAccept(proposal)} className="w-full bg-green-500 text-white py-2 rounded-md hover:bg-green-600 flex items-center justify-center"><CheckCircle className="w-4 h-4 mr-1"/> Accept</button>
+        </div>
+    );
+};
+
+const ProposalComparisonModal = ({ gig, proposals, onAccept, onClose }) => (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+        <div className="bg-white rounded-lg shadow-xl w-full max-w-6xl max-h-[90vh] flex flex-col">
+            <div className="p-6 border-b flex justify-between items-center"><h2 className="text-2xl font-bold">Compare Shortlisted Proposals</h2><button onClick={onClose}><X className="w-6 h-6"/></button></div>
+            <div className="p-6 overflow-auto">
+                <div className="grid gap-4" style={{ gridTemplateColumns: `repeat(${proposals.length}, minmax(220px, 1fr))` }}>
+                    {proposals.map(p => <ComparisonColumn key={p.id} gig={gig} proposal={p} onAccept={onAccept} />)}
                 </div>
             </div>
         </div>
-    );
-};
+    </div>
+);
 
 const CompleteProfilePrompt = ({ navigate }) => (
     <div className="bg-orange-100 p-6 rounded-lg shadow-md text-center">
@@ -651,17 +2393,29 @@ const CompleteProfilePrompt = ({ navigate }) => (
     </div>
 );
 
-const ProposalForm = ({ gigId, proposals }) => {
+const ProposalForm = ({ gig, proposals, onAskClient }) => {
+    const { id: gigId, title: gigTitle, clientId } = gig;
     const [coverLetter, setCoverLetter] = useState('');
     const [bidAmount, setBidAmount] = useState('');
-    const { user, showToast } = useApp();
-    const userHasProposed = proposals.some(p => p.studentId === user?.uid);
+    const { user, userData, showToast } = useApp();
+    const userHasProposed = hasActiveProposal(proposals, user?.uid);
+    const pendingProposal = proposals.find(p => p.studentId === user?.uid && p.status === PROPOSAL_STATUS.PENDING);
 
     const handleProposalSubmit = async (e) => {
         e.preventDefault();
         if (!user || !coverLetter || !bidAmount) return showToast("Please fill all fields.", "error");
         try {
-            await addDoc(collection(db, 'proposals'), { gigId, studentId: user.uid, coverLetter, bidAmount: Number(bidAmount), status: 'pending', submittedAt: Timestamp.now() });
+            // A transaction, so the gig's first proposal is judged from the stored gig when students bid at once.
+            const gigRef = doc(db, 'gigs', gigId);
+            const proposalRef = doc(collection(db, 'proposals'));
+            await runTransaction(db, async (transaction) => {
+                const gigSnap = await transaction.get(gigRef);
+                if (!gigSnap.exists()) throw new Error('Gig not found.');
+                const stats = buildProposalStatsUpdate(gigSnap.data(), bidAmount, new Date(), proposalRef.id);
+                transaction.set(proposalRef, { gigId, clientId, studentId: user.uid, coverLetter, bidAmount: Number(bidAmount), status: 'pending', submittedAt: Timestamp.now() });
+                transaction.update(gigRef, { ...toIncrements(stats.increments), ...stats.fields });
+                transaction.set(doc(collection(db, 'notifications')), buildNotification(clientId, 'New Proposal', `${userData.name} bid $${Number(bidAmount)} on "${gigTitle}".`, `gig/${gigId}`, NOTIFICATION_CATEGORIES.PROPOSALS, { proposalId: proposalRef.id }));
+            });
             setCoverLetter(''); setBidAmount('');
             showToast("Proposal submitted successfully!");
         } catch (error) { console.error("Error submitting proposal: ", error); showToast("Failed to submit proposal.", "error"); }
@@ -672,6 +2426,9 @@ const ProposalForm = ({ gigId, proposals }) => {
             <div className="bg-green-100 p-6 rounded-lg shadow-md text-center">
                 <h2 className="text-xl font-bold text-green-800">Proposal Submitted!</h2>
                 <p className="text-green-700 mt-2">The client will be notified.</p>
+                {pendingProposal && onAskClient && (
+                    <button onClick={() => onAskClient(pendingProposal)} className="mt-4 w-full bg-blue-600 text-white py-2 rounded-md hover:bg-blue-700 flex items-center justify-center"><MessageCircle className="w-5 h-5 mr-2"/> Ask the Client a Question</button>
+                )}
             </div>
         );
     }
@@ -695,14 +2452,67 @@ const ProposalForm = ({ gigId, proposals }) => {
 };
 
 
+// Proposals come from the dashboard, each joined with its gig.
+const StudentOverview = ({ proposals }) => {
+    const { user, navigate } = useApp();
+    const summary = summarizeProposals(proposals);
+    const earnings = getCompletedEarnings(proposals, user.uid);
+    const earningsByMonth = getEarningsByMonth(earnings);
+    const deadlines = getUpcomingDeadlines(proposals, user.uid);
+    const stats = [
+        ['Win Rate', summary.winRate === null ? '—' : `${Math.round(summary.winRate * 100)}%`],
+        ['Pending', summary.pending],
+        ['Accepted', summary.accepted],
+        ['Rejected', summary.rejected],
+        ['Avg Bid vs Budget', summary.bidToBudget === null ? '—' : `${Math.round(summary.bidToBudget * 100)}%`],
+        ['Earned', `$${earnings.reduce((sum, entry) => sum + entry.amount, 0).toFixed(2)}`],
+    ];
+
+    return (
+        <div className="mb-12">
+            <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-6 gap-4 mb-6">
+                {stats.map(([label, value]) => (
+                    <div key={label} className="bg-white rounded-lg shadow-md p-4"><p className="text-xs text-gray-500">{label}</p><p className="text-xl font-bold text-gray-800">{value}</p></div>
+                ))}
+            </div>
+            <div className="grid md:grid-cols-2 gap-6">
+                <div className="bg-white rounded-lg shadow-md p-4">
+                    <h3 className="font-semibold text-gray-700 mb-3">Earnings from completed gigs</h3>
+                    <BarChart bars={earningsByMonth.map(month => ({ key: month.key, label: month.key, value: month.amount }))} format={(value) => `$${value.toFixed(2)}`} />
+                    <div className="flex text-xs text-gray-500 mt-1">{earningsByMonth.map(month => <span key={month.key} className="flex-1 text-center">{month.key.slice(5)}/{month.key.slice(2, 4)}</span>)}</div>
+                </div>
+                <div className="bg-white rounded-lg shadow-md p-4">
+                    <h3 className="font-semibold text-gray-700 mb-3 flex items-center"><Calendar className="w-4 h-4 mr-2"/> Upcoming Deadlines</h3>
+                    {deadlines.length === 0 ? <p className="text-sm text-gray-500">No deadlines on your active gigs.</p> : (
+                        <ul className="divide-y">
+                            {deadlines.map(gig => (
+                                <li key={gig.id} className="py-2 flex justify-between items-center text-sm">
+                                    <button onClick={() => navigate(`gig/${gig.id}`)} className="text-blue-600 hover:underline bg-transparent border-none p-0 text-left">{gig.title}</button>
+                                    <span className={describeDeadline(gig) === 'Deadline passed' ? 'text-red-600' : 'text-gray-500'}>{describeDeadline(gig)}</span>
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+const STUDENT_DASHBOARD_TABS = [['proposals', 'My Proposals'], ['saved', 'Saved Gigs'], ['searches', 'Saved Searches']];
+
 const DashboardPage = () => {
-    const { user, userData } = useApp();
+    const { user, userData, showToast, navigate } = useApp();
     const [allMyGigs, setAllMyGigs] = useState([]);
     const [myProposals, setMyProposals] = useState([]);
     const [isEditing, setIsEditing] = useState(false);
     const [isAiBuilderOpen, setIsAiBuilderOpen] = useState(false);
     const [editingProposal, setEditingProposal] = useState(null);
-    const [gigFilter, setGigFilter] = useState('all'); // 'all', 'open', 'in-progress'
+    const [gigFilter, setGigFilter] = useState('all'); // 'all' or a gig status
+    const [studentTab, setStudentTab] = useState('proposals');
+    const [proposalFilter, setProposalFilter] = useState('all');
+    const [proposalSort, setProposalSort] = useState('newest');
+    const drafts = useOwnedDocs(userData?.role === 'client' ? 'gigDrafts' : null, 'clientId', 'updatedAt', 'desc');
 
     useEffect(() => {
         if (!user || !userData) return;
@@ -725,11 +2535,29 @@ const DashboardPage = () => {
         }
     }, [user, userData]);
     
+    const handleWithdraw = async (proposal) => {
+        if (!canWithdraw(proposal, user.uid)) return;
+        try {
+            const clientId = proposal.clientId || proposal.gig.clientId;
+            await updateProposal(proposal, { status: PROPOSAL_STATUS.WITHDRAWN, withdrawnAt: Timestamp.now() }, buildNotification(clientId, 'Proposal Withdrawn', `${userData.name} withdrew their proposal for "${proposal.gig.title}".`, `gig/${proposal.gigId}`, NOTIFICATION_CATEGORIES.PROPOSALS, { proposalId: proposal.id }));
+            showToast("Proposal withdrawn.");
+        } catch (error) { console.error("Error withdrawing proposal: ", error); showToast("Failed to withdraw proposal.", "error"); }
+    };
+
+    const handleDeleteDraft = async (draft) => {
+        if (!window.confirm(`Delete the draft "${draft.title || 'Untitled gig'}"?`)) return;
+        try {
+            await deleteDoc(doc(db, 'gigDrafts', draft.id));
+        } catch (error) { console.error("Error deleting draft: ", error); showToast("Failed to delete draft.", "error"); }
+    };
+
     const filteredGigs = allMyGigs.filter(gig => {
         if (gigFilter === 'all') return true;
         return gig.status === gigFilter;
     });
 
+    const visibleProposals = filterProposals(myProposals, proposalFilter, proposalSort);
+
     if (!user || !userData) return <div className="text-center py-20">Please log in to view your dashboard.</div>;
 
     return (
@@ -742,39 +2570,86 @@ const DashboardPage = () => {
                 {userData.role === 'student' && (
                     <div className="flex space-x-2">
                          <button onClick={() => setIsAiBuilderOpen(true)} className="bg-purple-600 text-white px-4 py-2 rounded-md hover:bg-purple-700 flex items-center"><BrainCircuit className="w-5 h-5 mr-2"/> AI Profile Maker</button>
+                         <button onClick={() => navigate(`student/${user.uid}/resume`)} className="bg-gray-100 text-gray-700 px-4 py-2 rounded-md hover:bg-gray-200 flex items-center"><Download className="w-5 h-5 mr-2"/> Résumé</button>
                          <button onClick={() => setIsEditing(!isEditing)} className="bg-blue-600 text-white px-4 py-2 rounded-md hover:bg-blue-700 flex items-center"><Edit className="w-5 h-5 mr-2"/> {isEditing ? 'View Dashboard' : 'Edit Profile'}</button>
                     </div>
                 )}
+                {userData.role === 'client' && (
+                    <button onClick={() => setIsEditing(!isEditing)} className="bg-blue-600 text-white px-4 py-2 rounded-md hover:bg-blue-700 flex items-center"><Edit className="w-5 h-5 mr-2"/> {isEditing ? 'View Dashboard' : 'Edit Organization'}</button>
+                )}
             </div>
 
             {isEditing ? (
-                <ProfileEditForm userData={userData} onSave={() => setIsEditing(false)} />
+                userData.role === 'client'
+                    ? <ClientProfileEditForm userData={userData} onSave={() => setIsEditing(false)} />
+                    : <ProfileEditForm userData={userData} onSave={() => setIsEditing(false)} />
             ) : (
                 <>
+                    {userData.role === 'client' && drafts.length > 0 && (
+                        <div className="mb-10">
+                            <h2 className="text-2xl font-semibold text-gray-700 mb-4">Drafts</h2>
+                            <ul className="bg-white rounded-lg shadow-md divide-y">
+                                {drafts.map(draft => (
+                                    <li key={draft.id} className="p-4 flex justify-between items-center">
+                                        <div><p className="font-semibold text-gray-800">{draft.title || 'Untitled gig'}</p><p className="text-xs text-gray-500">Last edited {draft.updatedAt?.toDate().toLocaleString()}</p></div>
+                                        <div className="flex space-x-2">
+                                            <button onClick={() => navigate(`post-gig?draft=${draft.id}`)} className="bg-blue-600 text-white px-3 py-1.5 rounded-md text-sm hover:bg-blue-700">Continue</button>
+                                            <button onClick={() => handleDeleteDraft(draft)} className="text-red-600 px-2 hover:text-red-800" aria-label="Delete draft"><Trash2 className="w-4 h-4"/></button>
+                                        </div>
+                                    </li>
+                                ))}
+                            </ul>
+                        </div>
+                    )}
+                    {userData.role === 'client' && <ClientAnalytics gigs={allMyGigs} />}
                     {userData.role === 'client' && (
                         <div>
-                            <div className="flex space-x-2 mb-4 border-b">
+                            <div className="flex space-x-2 mb-4 border-b overflow-x-auto">
                                 <button onClick={() => setGigFilter('all')} className={`py-2 px-4 font-semibold ${gigFilter === 'all' ? 'border-b-2 border-blue-600 text-blue-600' : 'text-gray-500'}`}>All My Gigs</button>
-                                <button onClick={() => setGigFilter('open')} className={`py-2 px-4 font-semibold ${gigFilter === 'open' ? 'border-b-2 border-blue-600 text-blue-600' : 'text-gray-500'}`}>Open</button>
-                                <button onClick={() => setGigFilter('in-progress')} className={`py-2 px-4 font-semibold ${gigFilter === 'in-progress' ? 'border-b-2 border-blue-600 text-blue-600' : 'text-gray-500'}`}>In Progress</button>
+                                {Object.entries(GIG_STATUS_LABELS).map(([status, label]) => (
+                                    <button key={status} onClick={() => setGigFilter(status)} className={`py-2 px-4 font-semibold ${gigFilter === status ? 'border-b-2 border-blue-600 text-blue-600' : 'text-gray-500'}`}>{label}</button>
+                                ))}
                             </div>
                             <div className="grid md:grid-cols-2 lg:grid-cols-3 gap-8 mt-6">
                                 {filteredGigs.length > 0 ? (filteredGigs.map(gig => <GigCard key={gig.id} gig={gig} />)) : (<p className="col-span-full">You don't have any gigs in this category.</p>)}
                             </div>
                         </div>
                     )}
+                    {userData.role === 'student' && <StudentOverview proposals={myProposals} />}
+                    {userData.role === 'student' && <div className="mb-12"><RecommendedGigs /></div>}
                     {userData.role === 'student' && (
                         <div>
-                            <h2 className="text-2xl font-semibold text-gray-700 mb-4">My Proposals</h2>
-                            <div className="space-y-4">
-                                {myProposals.length > 0 ? (
-                                    myProposals.map(p => <ProposalCard key={p.id} proposal={p} onEdit={setEditingProposal} />)
-                                ) : (
-                                    <p>You haven't submitted any proposals yet.</p>
-                                )}
+                            <div className="flex space-x-2 mb-4 border-b overflow-x-auto">
+                                {STUDENT_DASHBOARD_TABS.map(([tab, label]) => (
+                                    <button key={tab} onClick={() => setStudentTab(tab)} className={`py-2 px-4 font-semibold ${studentTab === tab ? 'border-b-2 border-blue-600 text-blue-600' : 'text-gray-500'}`}>{label}</button>
+                                ))}
                             </div>
+                            {studentTab === 'proposals' && (
+                                <div className="space-y-4">
+                                    {myProposals.length > 0 && (
+                                        <div className="flex flex-wrap gap-2">
+                                            <select value={proposalFilter} onChange={e => setProposalFilter(e.target.value)} aria-label="Filter proposals" className="border border-gray-300 rounded-md py-1.5 px-2 text-sm">
+                                                {Object.entries(PROPOSAL_FILTERS).map(([filter, { label }]) => <option key={filter} value={filter}>{label}</option>)}
+                                            </select>
+                                            <select value={proposalSort} onChange={e => setProposalSort(e.target.value)} aria-label="Sort proposals" className="border border-gray-300 rounded-md py-1.5 px-2 text-sm">
+                                                {Object.entries(PROPOSAL_SORTS).map(([sort, { label }]) => <option key={sort} value={sort}>{label}</option>)}
+                                            </select>
+                                        </div>
+                                    )}
+                                    {myProposals.length === 0 ? (
+                                        <p>You haven't submitted any proposals yet.</p>
+                                    ) : visibleProposals.length > 0 ? (
+                                        visibleProposals.map(p => <ProposalCard key={p.id} proposal={p} onEdit={setEditingProposal} onWithdraw={handleWithdraw} />)
+                                    ) : (
+                                        <p>No proposals match this filter.</p>
+                                    )}
+                                </div>
+                            )}
+                            {studentTab === 'saved' && <SavedGigsList />}
+                            {studentTab === 'searches' && <SavedSearchesList />}
                         </div>
                     )}
+                    <PaymentLedger />
                 </>
             )}
 
@@ -784,9 +2659,61 @@ const DashboardPage = () => {
     );
 };
 
+const Avatar = ({ name = '', photoURL, className = 'w-24 h-24 text-4xl' }) => (
+    photoURL
+        ? <img src={photoURL} alt={name} className={`${className} rounded-full object-cover`} />
+        : <div className={`${className} bg-blue-600 rounded-full flex items-center justify-center text-white font-bold`}>{name.charAt(0)}</div>
+);
+
+// Links and file URLs are checked again here, since the profile may have been written without going through the form.
+const PortfolioGallery = ({ projects, ownerId }) => {
+    const { navigate } = useApp();
+    const [viewing, setViewing] = useState(null);
+
+    if (projects.length === 0) return <p>No projects yet.</p>;
+
+    return (
+        <div className="grid md:grid-cols-2 gap-6">
+            {projects.map(project => {
+                const files = project.files.filter(file => isStorageUrl(file.url, `users/${ownerId}/portfolio/`));
+                const images = files.filter(isImageAttachment);
+                const documents = files.filter(file => !isImageAttachment(file));
+                return (
+                    <div key={project.id} className="border rounded-lg p-4">
+                        <h3 className="font-bold text-lg text-gray-800">{project.title}</h3>
+                        {project.description && <p className="text-gray-700 mt-1 whitespace-pre-wrap">{project.description}</p>}
+                        {images.length > 0 && (
+                            <div className="grid grid-cols-3 gap-2 mt-3">
+                                {images.map(image => (
+                                    <button key={image.path} onClick={() => setViewing(image)} className="aspect-square bg-gray-100 rounded-md overflow-hidden p-0 border-none" aria-label={`View ${image.name}`}>
+                                        <img src={image.url} alt={image.name} className="w-full h-full object-cover hover:opacity-90" />
+                                    </button>
+                                ))}
+                            </div>
+                        )}
+                        <div className="mt-3 space-y-1 text-sm">
+                            {documents.map(file => <a key={file.path} href={file.url} target="_blank" rel="noopener noreferrer" className="text-blue-600 hover:underline flex items-center"><Paperclip className="w-4 h-4 mr-1 flex-shrink-0"/> {file.name}</a>)}
+                            {project.links.map(normalizeLink).filter(Boolean).map(link => <a key={link} href={link} target="_blank" rel="noopener noreferrer" className="text-blue-600 hover:underline flex items-center break-all"><ExternalLink className="w-4 h-4 mr-1 flex-shrink-0"/> {link}</a>)}
+                            {project.gigs.map(gig => <button key={gig.id} onClick={() => navigate(`gig/${gig.id}`)} className="text-blue-600 hover:underline flex items-center bg-transparent border-none p-0 text-left"><Briefcase className="w-4 h-4 mr-1 flex-shrink-0"/> CampusGig: {gig.title}</button>)}
+                        </div>
+                    </div>
+                );
+            })}
+            {viewing && (
+                <div className="fixed inset-0 bg-black bg-opacity-75 flex items-center justify-center z-50 p-4" onClick={() => setViewing(null)}>
+                    <button onClick={() => setViewing(null)} className="absolute top-4 right-4 text-white" aria-label="Close"><X className="w-8 h-8"/></button>
+                    <img src={viewing.url} alt={viewing.name} className="max-w-full max-h-full rounded-md" />
+                </div>
+            )}
+        </div>
+    );
+};
+
 const StudentProfilePage = ({ studentId }) => {
+    const { userData, navigate } = useApp();
     const [student, setStudent] = useState(null);
     const [loading, setLoading] = useState(true);
+    const reviews = useReviews(studentId);
 
     useEffect(() => {
         const fetchStudent = async () => {
@@ -806,34 +2733,454 @@ const StudentProfilePage = ({ studentId }) => {
         <div className="max-w-4xl mx-auto py-12 px-4 sm:px-6 lg:px-8">
             <div className="bg-white rounded-lg shadow-xl p-8">
                 <div className="flex items-center space-x-6 mb-8">
-                    <div className="w-24 h-24 bg-blue-600 rounded-full flex items-center justify-center text-white text-4xl font-bold">
-                        {student.name.charAt(0)}
-                    </div>
+                    <Avatar name={student.name} photoURL={student.photoURL} />
                     <div>
                         <h1 className="text-4xl font-bold text-gray-900">{student.name}</h1>
+                        {isVerifiedStudent(student) && <VerifiedStudentBadge campus={student.campus} />}
+                        {userData?.role === 'admin' && <AccountModerationPanel account={{ id: studentId, ...student }} />}
+                        <div className="flex space-x-4 mt-1"><ReportButton target={{ targetType: 'user', targetId: studentId, targetOwnerId: studentId, targetLabel: student.name, snapshot: student.bio, link: `student/${studentId}` }} label="Report profile" /><BlockButton userId={studentId} name={student.name} /></div>
+                        <button onClick={() => navigate(`student/${studentId}/resume`)} className="text-blue-500 hover:underline flex items-center bg-transparent border-none p-0 mt-1"><Download className="w-4 h-4 mr-1"/> Résumé (PDF)</button>
                         <p className="text-gray-600">{student.email}</p>
-                        {student.portfolio && <a href={student.portfolio} target="_blank" rel="noopener noreferrer" className="text-blue-500 hover:underline flex items-center"><ExternalLink className="w-4 h-4 mr-1"/> View Portfolio</a>}
+                        <RatingSummary reviews={reviews} />
                     </div>
                 </div>
 
                 <div className="space-y-8">
                     <div><h2 className="text-2xl font-semibold text-gray-800 border-b pb-2 mb-4">About Me</h2><p className="text-gray-700 whitespace-pre-wrap">{student.bio || 'No bio provided.'}</p></div>
                     <div><h2 className="text-2xl font-semibold text-gray-800 border-b pb-2 mb-4">Skills</h2><div className="flex flex-wrap gap-2">{student.skills?.length > 0 ? student.skills.map(s => <span key={s} className="bg-blue-100 text-blue-800 text-md font-semibold px-4 py-1 rounded-full">{s}</span>) : <p>No skills listed.</p>}</div></div>
+                    <div><h2 className="text-2xl font-semibold text-gray-800 border-b pb-2 mb-4">Portfolio</h2><PortfolioGallery projects={getPortfolioProjects(student)} ownerId={studentId} /></div>
                     <div><h2 className="text-2xl font-semibold text-gray-800 border-b pb-2 mb-4">Experience</h2>{student.experience?.length > 0 ? student.experience.map((exp, i) => (<div key={i} className="mb-4"><div className="flex items-center mb-1"><Building className="w-5 h-5 mr-2 text-gray-600"/><h3 className="font-bold text-lg">{exp.title} at {exp.company}</h3></div><p className="text-gray-600 ml-7">{exp.duration}</p><p className="text-gray-700 ml-7 mt-1">{exp.description}</p></div>)) : <p>No experience listed.</p>}</div>
                     <div><h2 className="text-2xl font-semibold text-gray-800 border-b pb-2 mb-4">Education</h2>{student.education?.length > 0 ? student.education.map((edu, i) => (<div key={i} className="mb-4"><div className="flex items-center mb-1"><School className="w-5 h-5 mr-2 text-gray-600"/><h3 className="font-bold text-lg">{edu.degree} from {edu.school}</h3></div><p className="text-gray-600 ml-7">{edu.year}</p></div>)) : <p>No education listed.</p>}</div>
+                    <div><h2 className="text-2xl font-semibold text-gray-800 border-b pb-2 mb-4">Reviews</h2><ReviewList reviews={reviews} /></div>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+const RESUME_TEMPLATE_STYLES = {
+    classic: { page: 'font-serif', header: 'text-center border-b-2 border-gray-800 pb-4 mb-6', name: 'text-3xl font-bold', heading: 'text-lg font-bold uppercase tracking-wide border-b border-gray-300 mb-2', section: 'mb-6', body: 'text-sm' },
+    modern: { page: 'font-sans', header: 'border-l-8 border-blue-600 pl-4 mb-6', name: 'text-4xl font-bold text-gray-900', heading: 'text-lg font-semibold text-blue-700 mb-2', section: 'mb-6', body: 'text-sm' },
+    compact: { page: 'font-sans', header: 'flex flex-wrap justify-between items-baseline border-b pb-2 mb-3', name: 'text-2xl font-bold', heading: 'text-xs font-bold uppercase text-gray-600 mb-1', section: 'mb-3', body: 'text-xs' },
+};
+
+const ResumeDocument = ({ profile, template, showPhone }) => {
+    const styles = RESUME_TEMPLATE_STYLES[template];
+    const { experience, education, skills } = getResumeSections(profile);
+    const projects = getPortfolioProjects(profile).filter(project => project.links.length > 0);
+    const contact = [profile.email, showPhone && profile.phone, profile.campus?.name].filter(Boolean).join(' · ');
+
+    return (
+        <div className={`bg-white text-gray-900 p-10 shadow-xl print:shadow-none print:p-0 ${styles.page}`}>
+            <div className={styles.header}>
+                <h1 className={styles.name}>{profile.name}</h1>
+                <p className="text-gray-600 text-sm">{contact}</p>
+            </div>
+            {profile.bio && <div className={styles.section}><h2 className={styles.heading}>Summary</h2><p className={`${styles.body} whitespace-pre-wrap`}>{profile.bio}</p></div>}
+            {experience.length > 0 && (
+                <div className={styles.section}>
+                    <h2 className={styles.heading}>Experience</h2>
+                    {experience.map((exp, i) => (
+                        <div key={i} className="mb-3 break-inside-avoid">
+                            <div className="flex justify-between items-baseline"><h3 className="font-semibold">{[exp.title, exp.company].filter(Boolean).join(', ')}</h3><span className="text-xs text-gray-600">{exp.duration}</span></div>
+                            {exp.description && <p className={`${styles.body} whitespace-pre-wrap`}>{exp.description}</p>}
+                        </div>
+                    ))}
+                </div>
+            )}
+            {education.length > 0 && (
+                <div className={styles.section}>
+                    <h2 className={styles.heading}>Education</h2>
+                    {education.map((edu, i) => (
+                        <div key={i} className="flex justify-between items-baseline mb-1 break-inside-avoid"><p><span className="font-semibold">{edu.school}</span>{edu.degree && `, ${edu.degree}`}</p><span className="text-xs text-gray-600">{edu.year}</span></div>
+                    ))}
+                </div>
+            )}
+            {skills.length > 0 && <div className={styles.section}><h2 className={styles.heading}>Skills</h2><p className={styles.body}>{skills.join(' · ')}</p></div>}
+            {projects.length > 0 && (
+                <div className={styles.section}>
+                    <h2 className={styles.heading}>Portfolio</h2>
+                    {projects.map(project => <p key={project.id} className={styles.body}><span className="font-semibold">{project.title}</span>: {project.links.join(', ')}</p>)}
+                </div>
+            )}
+        </div>
+    );
+};
+
+// Printing is how the PDF is made: the browser's print dialog offers "Save as PDF", and the app chrome is hidden in print.
+const ResumePage = ({ studentId }) => {
+    const { user, navigate, queryParams } = useApp();
+    const [student, setStudent] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const template = getResumeTemplate(queryParams.template || DEFAULT_RESUME_TEMPLATE);
+
+    useEffect(() => {
+        getDoc(doc(db, 'users', studentId))
+            .then(studentDoc => setStudent(studentDoc.exists() && studentDoc.data().role === 'student' ? studentDoc.data() : null))
+            .catch(error => console.error("Error loading résumé: ", error))
+            .finally(() => setLoading(false));
+    }, [studentId]);
+
+    // The document title becomes the suggested PDF file name.
+    const studentName = student?.name;
+    useEffect(() => {
+        if (!studentName) return;
+        const previousTitle = document.title;
+        document.title = `${studentName} - Résumé`;
+        return () => { document.title = previousTitle; };
+    }, [studentName]);
+
+    if (loading) return <div className="text-center py-20">Loading Résumé...</div>;
+    if (!student) return <div className="text-center py-20">Student not found.</div>;
+
+    return (
+        <div className="max-w-3xl mx-auto py-12 px-4 sm:px-6 lg:px-8 print:max-w-none print:p-0">
+            <div className="flex flex-wrap justify-between items-center gap-2 mb-6 print:hidden">
+                <button onClick={() => navigate(`student/${studentId}`)} className="text-blue-600 hover:underline bg-transparent border-none p-0">&larr; Back to profile</button>
+                <div className="flex items-center space-x-2">
+                    <select value={template} onChange={e => navigate(`student/${studentId}/resume?template=${e.target.value}`, { replace: true })} aria-label="Résumé template" className="border border-gray-300 rounded-md py-2 px-2 text-sm">
+                        {Object.entries(RESUME_TEMPLATES).map(([name, label]) => <option key={name} value={name}>{label}</option>)}
+                    </select>
+                    <button onClick={() => window.print()} className="bg-blue-600 text-white px-4 py-2 rounded-md hover:bg-blue-700 flex items-center"><Download className="w-5 h-5 mr-2"/> Download PDF</button>
+                </div>
+            </div>
+            <ResumeDocument profile={student} template={template} showPhone={user?.uid === studentId} />
+        </div>
+    );
+};
+
+const ClientProfilePage = ({ clientId }) => {
+    const { userData, navigate } = useApp();
+    const [client, setClient] = useState(null);
+    const [gigs, setGigs] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const reviews = useReviews(clientId);
+
+    useEffect(() => {
+        const fetchClient = async () => {
+            const clientDoc = await getDoc(doc(db, 'users', clientId));
+            if (clientDoc.exists() && clientDoc.data().role === 'client') {
+                setClient(clientDoc.data());
+            }
+            setLoading(false);
+        };
+        fetchClient();
+        const q = query(collection(db, 'gigs'), where('clientId', '==', clientId), orderBy('postedAt', 'desc'));
+        const unsubscribe = onSnapshot(q, (snap) => setGigs(snap.docs.map(d => ({ id: d.id, ...d.data() }))));
+        return () => unsubscribe();
+    }, [clientId]);
+
+    if (loading) return <div className="text-center py-20">Loading Profile...</div>;
+    if (!client) return <div className="text-center py-20">Client not found.</div>;
+
+    const openGigs = gigs.filter(g => g.status === 'open');
+    const stats = summarizeClientHistory(gigs);
+
+    return (
+        <div className="max-w-4xl mx-auto py-12 px-4 sm:px-6 lg:px-8">
+            <div className="bg-white rounded-lg shadow-xl p-8">
+                <div className="flex items-center space-x-6 mb-8">
+                    <div className="w-24 h-24 bg-green-600 rounded-full flex items-center justify-center text-white text-4xl font-bold">
+                        {(client.organizationName || client.name)?.charAt(0)}
+                    </div>
+                    <div>
+                        <h1 className="text-4xl font-bold text-gray-900 flex items-center">{client.organizationName || client.name}{isVerifiedClient(client) && <VerifiedBadge className="ml-3" />}</h1>
+                        {client.organizationName && <p className="text-gray-700">{client.name}</p>}
+                        {isVerifiedClient(client) && <p className="text-sm text-gray-500">Verified via an @{client.verification.domain} email address</p>}
+                        <p className="text-gray-600">Client since {client.createdAt && new Date(client.createdAt.toDate()).toLocaleDateString()}</p>
+                        <RatingSummary reviews={reviews} />
+                        {userData?.role === 'admin' && <AccountModerationPanel account={{ id: clientId, ...client }} />}
+                        <div className="flex space-x-4 mt-1"><ReportButton target={{ targetType: 'user', targetId: clientId, targetOwnerId: clientId, targetLabel: client.organizationName || client.name, snapshot: client.organizationDescription, link: `client/${clientId}` }} label="Report profile" /><BlockButton userId={clientId} name={client.name} /></div>
+                        {normalizeLink(client.website) && <a href={normalizeLink(client.website)} target="_blank" rel="noopener noreferrer" className="text-blue-500 hover:underline flex items-center"><ExternalLink className="w-4 h-4 mr-1"/> Website</a>}
+                    </div>
+                </div>
+
+                <div className="space-y-8">
+                    {client.organizationDescription && <div><h2 className="text-2xl font-semibold text-gray-800 border-b pb-2 mb-4">About</h2><p className="text-gray-700 whitespace-pre-wrap">{client.organizationDescription}</p></div>}
+                    <div className="grid grid-cols-2 md:grid-cols-4 gap-4 text-center">
+                        <div className="bg-gray-100 rounded-lg p-4"><p className="text-3xl font-bold text-gray-800">{stats.posted}</p><p className="text-gray-600">Gigs Posted</p></div>
+                        <div className="bg-gray-100 rounded-lg p-4"><p className="text-3xl font-bold text-gray-800">{stats.completed}</p><p className="text-gray-600">Gigs Completed</p></div>
+                        <div className="bg-gray-100 rounded-lg p-4"><p className="text-3xl font-bold text-gray-800">{stats.hireRate === null ? '—' : `${Math.round(stats.hireRate * 100)}%`}</p><p className="text-gray-600">Hire Rate</p></div>
+                        <div className="bg-gray-100 rounded-lg p-4"><p className="text-3xl font-bold text-gray-800">{stats.averagePayout === null ? '—' : `$${Math.round(stats.averagePayout)}`}</p><p className="text-gray-600">Avg. Payout</p></div>
+                    </div>
+                    <div><h2 className="text-2xl font-semibold text-gray-800 border-b pb-2 mb-4">Open Gigs</h2>{openGigs.length > 0 ? <div className="grid md:grid-cols-2 gap-6">{openGigs.map(gig => <GigCard key={gig.id} gig={gig} />)}</div> : <p>No open gigs right now.</p>}</div>
+                    <div>
+                        <h2 className="text-2xl font-semibold text-gray-800 border-b pb-2 mb-4">Posting History</h2>
+                        {gigs.length > 0 ? (
+                            <ul className="divide-y">
+                                {gigs.map(gig => (
+                                    <li key={gig.id} className="py-3 flex justify-between items-center">
+                                        <div>
+                                            <button onClick={() => navigate(`gig/${gig.id}`)} className="font-semibold text-blue-600 hover:underline bg-transparent border-none p-0 text-left">{gig.title}</button>
+                                            <p className="text-sm text-gray-500">Posted {gig.postedAt && new Date(gig.postedAt.toDate()).toLocaleDateString()} &middot; ${gig.finalBid ?? gig.budget}</p>
+                                        </div>
+                                        <span className="text-xs font-semibold bg-gray-100 text-gray-700 px-2 py-1 rounded-full">{GIG_STATUS_LABELS[gig.status] || gig.status}</span>
+                                    </li>
+                                ))}
+                            </ul>
+                        ) : <p>No gigs posted yet.</p>}
+                    </div>
+                    <div><h2 className="text-2xl font-semibold text-gray-800 border-b pb-2 mb-4">Reviews</h2><ReviewList reviews={reviews} /></div>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+const ClientProfileEditForm = ({ userData, onSave }) => {
+    const { user, showToast } = useApp();
+    const [formData, setFormData] = useState({
+        name: userData.name || '',
+        organizationName: userData.organizationName || '',
+        website: userData.website || '',
+        organizationDescription: userData.organizationDescription || '',
+    });
+    const [verifying, setVerifying] = useState(false);
+    const verificationError = getVerificationError(user?.email);
+
+    const handleChange = (e) => setFormData({ ...formData, [e.target.name]: e.target.value });
+
+    const handleSave = async () => {
+        const website = normalizeLink(formData.website);
+        if (formData.website.trim() && !website) return showToast(`"${formData.website.trim()}" isn't a valid web link.`, 'error');
+        try {
+            await updateDoc(doc(db, 'users', user.uid), { ...formData, website });
+            showToast('Profile updated successfully!');
+            onSave();
+        } catch (error) {
+            console.error("Error updating profile:", error);
+            showToast('Failed to update profile.', 'error');
+        }
+    };
+
+    const handleVerify = async () => {
+        setVerifying(true);
+        try {
+            const result = await verifyClientOrganization(user);
+            showToast(result === 'verified' ? 'Your organization is verified!' : `We sent a confirmation link to ${user.email}. Open it, then click Verify again.`);
+        } catch (error) {
+            console.error("Error verifying organization:", error);
+            showToast('Failed to verify your organization.', 'error');
+        }
+        setVerifying(false);
+    };
+
+    return (
+        <div className="bg-white p-8 rounded-lg shadow-lg">
+            <h2 className="text-2xl font-bold mb-6">Edit Your Organization Profile</h2>
+            <div className="space-y-6">
+                <div><label className="block font-medium">Your Name</label><input type="text" name="name" value={formData.name} onChange={handleChange} className="w-full mt-1 p-2 border rounded-md"/></div>
+                <div><label className="block font-medium">Organization Name</label><input type="text" name="organizationName" value={formData.organizationName} onChange={handleChange} className="w-full mt-1 p-2 border rounded-md"/></div>
+                <div><label className="block font-medium">Website</label><input type="url" name="website" value={formData.website} onChange={handleChange} className="w-full mt-1 p-2 border rounded-md"/></div>
+                <div><label className="block font-medium">About the Organization</label><textarea name="organizationDescription" value={formData.organizationDescription} onChange={handleChange} rows="4" className="w-full mt-1 p-2 border rounded-md"></textarea></div>
+                <div className="border rounded-md p-4">
+                    <h3 className="text-xl font-semibold mb-2 flex items-center">Verification{isVerifiedClient(userData) && <VerifiedBadge className="ml-2" />}</h3>
+                    {isVerifiedClient(userData) ? (
+                        <p className="text-gray-600">Verified via your @{userData.verification.domain} email address. Students see a badge on your profile and gigs.</p>
+                    ) : verificationError ? (
+                        <p className="text-gray-600">{verificationError}</p>
+                    ) : (
+                        <>
+                            <p className="text-gray-600 mb-3">Confirm that you control {user.email} to show a verified badge for @{getEmailDomain(user.email)} on your profile and gigs.</p>
+                            <button onClick={handleVerify} disabled={verifying} className="bg-teal-600 text-white px-4 py-2 rounded-md hover:bg-teal-700 disabled:bg-gray-400 flex items-center"><BadgeCheck className="w-5 h-5 mr-2"/> {verifying ? 'Checking...' : 'Verify Organization'}</button>
+                        </>
+                    )}
                 </div>
+                <button onClick={handleSave} className="w-full bg-green-600 text-white py-2 rounded-md hover:bg-green-700">Save Profile</button>
+            </div>
+        </div>
+    );
+};
+
+const ProfilePhotoInput = ({ name, value, onChange }) => {
+    const { user, showToast } = useApp();
+    const [uploading, setUploading] = useState(false);
+
+    const handleFile = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+        const error = validatePhoto(file);
+        if (error) return showToast(error, "error");
+        setUploading(true);
+        try {
+            const uploaded = await uploadProfileFile(user.uid, 'photos', file, PHOTO_MAX_DIMENSION);
+            onChange(uploaded.url);
+        } catch (err) {
+            console.error("Error uploading profile photo: ", err);
+            showToast("Failed to upload photo.", "error");
+        } finally {
+            setUploading(false);
+        }
+    };
+
+    return (
+        <div className="flex items-center space-x-4">
+            <Avatar name={name} photoURL={value} className="w-16 h-16 text-2xl" />
+            <div>
+                <label htmlFor="profilePhoto" className="block font-medium">Profile Photo</label>
+                <input id="profilePhoto" type="file" accept={PHOTO_TYPES.join(',')} onChange={handleFile} disabled={uploading} className="mt-1 text-sm"/>
+                {uploading && <p className="text-xs text-gray-500 mt-1">Uploading...</p>}
+                {value && !uploading && <button type="button" onClick={() => onChange('')} className="text-sm text-red-600 mt-1 block">Remove photo</button>}
             </div>
         </div>
     );
 };
 
+const PortfolioEditor = ({ value, onChange }) => {
+    const { user, showToast } = useApp();
+    const [uploadingId, setUploadingId] = useState(null);
+    const [completedGigs, setCompletedGigs] = useState([]);
+
+    useEffect(() => {
+        const q = query(collection(db, 'gigs'), where('acceptedStudentId', '==', user.uid), where('status', '==', 'completed'));
+        getDocs(q)
+            .then(snap => setCompletedGigs(getLinkableGigs(snap.docs.map(d => ({ id: d.id, ...d.data() })), user.uid)))
+            .catch(error => console.error("Error loading completed gigs: ", error));
+    }, [user.uid]);
+
+    const update = (projectId, changes) => onChange(value.map(project => (project.id === projectId ? { ...project, ...changes } : project)));
+
+    const handleFiles = async (project, e) => {
+        const files = [...e.target.files];
+        e.target.value = '';
+        if (project.files.length + files.length > MAX_PROJECT_FILES) return showToast(`Add at most ${MAX_PROJECT_FILES} files to a project.`, "error");
+        const error = files.map(validatePortfolioFile).find(Boolean);
+        if (error) return showToast(error, "error");
+        setUploadingId(project.id);
+        try {
+            const uploaded = await Promise.all(files.map(file => uploadProfileFile(user.uid, 'portfolio', file, PORTFOLIO_IMAGE_MAX_DIMENSION)));
+            update(project.id, { files: [...project.files, ...uploaded] });
+        } catch (err) {
+            console.error("Error uploading portfolio file: ", err);
+            showToast("Failed to upload file.", "error");
+        } finally {
+            setUploadingId(null);
+        }
+    };
+
+    const toggleGig = (project, gig) => update(project.id, {
+        gigs: project.gigs.some(linked => linked.id === gig.id) ? project.gigs.filter(linked => linked.id !== gig.id) : [...project.gigs, { id: gig.id, title: gig.title }],
+    });
+
+    return (
+        <div>
+            <h3 className="text-xl font-semibold mb-2">Portfolio</h3>
+            {value.map(project => (
+                <div key={project.id} className="space-y-2 border p-4 rounded-md mb-4">
+                    <div className="flex space-x-2">
+                        <input type="text" placeholder="Project Title" value={project.title} onChange={e => update(project.id, { title: e.target.value })} className="flex-grow p-2 border rounded-md"/>
+                        <button type="button" onClick={() => onChange(value.filter(p => p.id !== project.id))} className="text-red-600 px-2 hover:text-red-800" aria-label="Remove project"><Trash2 className="w-4 h-4"/></button>
+                    </div>
+                    <textarea placeholder="What did you make, and what was your part?" value={project.description} onChange={e => update(project.id, { description: e.target.value })} className="w-full p-2 border rounded-md"></textarea>
+                    <ul className="space-y-1">
+                        {project.files.map(file => (
+                            <li key={file.path} className="flex items-center text-sm"><Paperclip className="w-4 h-4 mr-1 flex-shrink-0"/> <span className="break-all">{file.name}</span> <span className="text-gray-500 ml-1">({formatFileSize(file.size)})</span><button type="button" onClick={() => update(project.id, { files: project.files.filter(f => f.path !== file.path) })} className="ml-2 text-red-500 hover:text-red-700" aria-label={`Remove ${file.name}`}><X className="w-4 h-4"/></button></li>
+                        ))}
+                    </ul>
+                    {project.files.length < MAX_PROJECT_FILES && <input type="file" multiple accept={PORTFOLIO_FILE_TYPES.join(',')} onChange={e => handleFiles(project, e)} disabled={uploadingId === project.id} aria-label="Add images or PDFs" className="text-sm"/>}
+                    {uploadingId === project.id && <p className="text-xs text-gray-500">Uploading...</p>}
+                    {project.links.map((link, i) => (
+                        <div key={i} className="flex space-x-2">
+                            <input type="url" placeholder="https://..." value={link} onChange={e => update(project.id, { links: project.links.map((l, j) => (j === i ? e.target.value : l)) })} className="flex-grow p-2 border rounded-md"/>
+                            <button type="button" onClick={() => update(project.id, { links: project.links.filter((l, j) => j !== i) })} className="text-red-500 hover:text-red-700" aria-label="Remove link"><X className="w-4 h-4"/></button>
+                        </div>
+                    ))}
+                    {project.links.length < MAX_PROJECT_LINKS && <button type="button" onClick={() => update(project.id, { links: [...project.links, ''] })} className="text-sm text-blue-600 block">+ Add Link</button>}
+                    {completedGigs.length > 0 && (
+                        <div>
+                            <p className="text-sm font-medium text-gray-700">Completed CampusGig gigs</p>
+                            {completedGigs.map(gig => (
+                                <label key={gig.id} className="flex items-center text-sm mt-1"><input type="checkbox" checked={project.gigs.some(linked => linked.id === gig.id)} onChange={() => toggleGig(project, gig)} className="mr-2"/> {gig.title}</label>
+                            ))}
+                        </div>
+                    )}
+                </div>
+            ))}
+            {value.length < MAX_PORTFOLIO_PROJECTS && <button type="button" onClick={() => onChange([...value, createProject()])} className="text-sm text-blue-600">+ Add Project</button>}
+        </div>
+    );
+};
+
+const readFileAs = (file, method) => new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader[method](file);
+});
+
+// PDFs go to Gemini, which answers in JSON Resume format; JSON and text files are parsed in the browser.
+const parseResumeFile = async (file) => {
+    const kind = getResumeFileKind(file);
+    if (kind === 'json') return parseJsonResume(JSON.parse(await readFileAs(file, 'readAsText')));
+    if (kind === 'text') return parseTextResume(await readFileAs(file, 'readAsText'));
+    const dataUrl = await readFileAs(file, 'readAsDataURL');
+    const response = await fetch(`https://generativelanguage.googleapis.com/v1beta/models/gemini-1.5-flash-latest:generateContent?key=${GEMINI_API_KEY}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ contents: [{ parts: [{ inline_data: { mime_type: 'application/pdf', data: dataUrl.split(',')[1] } }, { text: RESUME_EXTRACTION_PROMPT }] }] })
+    });
+    if (!response.ok) throw new Error(`API error: ${response.statusText}`);
+    const data = await response.json();
+    return parseAiResume(data.candidates[0].content.parts[0].text);
+};
+
+const ResumeImport = ({ onImport }) => {
+    const { showToast } = useApp();
+    const [parsing, setParsing] = useState(false);
+    const [imported, setImported] = useState(null);
+
+    const handleFile = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+        const error = validateResumeFile(file);
+        if (error) return showToast(error, "error");
+        setParsing(true);
+        try {
+            const result = await parseResumeFile(file);
+            if (result.experience.length + result.education.length + result.skills.length === 0) return showToast("Couldn't find any experience, education or skills in that file.", "error");
+            setImported(result);
+        } catch (err) {
+            console.error("Error importing résumé: ", err);
+            showToast("Couldn't read that résumé.", "error");
+        } finally {
+            setParsing(false);
+        }
+    };
+
+    const handleApply = () => {
+        onImport(imported);
+        setImported(null);
+        showToast("Résumé imported. Check the details, then save your profile.");
+    };
+
+    return (
+        <div className="border border-dashed border-gray-300 rounded-md p-4">
+            <label htmlFor="resumeImport" className="block font-medium">Import from a Résumé</label>
+            <p className="text-sm text-gray-500">PDF, plain text or JSON Resume. We'll add the experience, education and skills we find below.</p>
+            {imported ? (
+                <div className="mt-2 flex flex-wrap items-center gap-2 text-sm">
+                    <span>Found {imported.experience.length} job(s), {imported.education.length} school(s) and {imported.skills.length} skill(s).</span>
+                    <button type="button" onClick={handleApply} className="bg-blue-600 text-white px-3 py-1 rounded-md hover:bg-blue-700">Add to Profile</button>
+                    <button type="button" onClick={() => setImported(null)} className="text-gray-600 px-2">Cancel</button>
+                </div>
+            ) : (
+                <input id="resumeImport" type="file" accept=".pdf,.txt,.json,application/pdf,text/plain,application/json" onChange={handleFile} disabled={parsing} className="mt-2 text-sm"/>
+            )}
+            {parsing && <p className="text-xs text-gray-500 mt-1">Reading your résumé...</p>}
+        </div>
+    );
+};
+
 const ProfileEditForm = ({ userData, onSave }) => {
     const [formData, setFormData] = useState({
         name: userData.name || '',
         phone: userData.phone || '',
+        photoURL: userData.photoURL || '',
         bio: userData.bio || '',
-        skills: userData.skills?.join(', ') || '',
-        portfolio: userData.portfolio || '',
+        skills: normalizeSkills(userData.skills),
+        portfolioProjects: getPortfolioProjects(userData),
         experience: userData.experience?.length > 0 ? userData.experience : [{ title: '', company: '', duration: '', description: '' }],
         education: userData.education?.length > 0 ? userData.education : [{ school: '', degree: '', year: '' }],
     });
@@ -857,12 +3204,12 @@ const ProfileEditForm = ({ userData, onSave }) => {
     };
 
     const handleSave = async () => {
+        const portfolioError = validatePortfolio(formData.portfolioProjects);
+        if (portfolioError) return showToast(portfolioError, 'error');
         const userDocRef = doc(db, 'users', user.uid);
         try {
-            await updateDoc(userDocRef, {
-                ...formData,
-                skills: formData.skills.split(',').map(s => s.trim()).filter(Boolean),
-            });
+            // The old single portfolio link now lives on as a project.
+            await updateDoc(userDocRef, { ...formData, portfolioProjects: buildPortfolio(formData.portfolioProjects), portfolio: deleteField() });
             showToast('Profile updated successfully!');
             onSave();
         } catch (error) {
@@ -875,12 +3222,15 @@ const ProfileEditForm = ({ userData, onSave }) => {
         <div className="bg-white p-8 rounded-lg shadow-lg">
             <h2 className="text-2xl font-bold mb-6">Edit Your Profile</h2>
             <div className="space-y-6">
+                <CampusVerification userData={userData} />
+                <ProfilePhotoInput name={formData.name} value={formData.photoURL} onChange={photoURL => setFormData(current => ({ ...current, photoURL }))} />
                 <div><label className="block font-medium">Full Name</label><input type="text" name="name" value={formData.name} onChange={handleChange} className="w-full mt-1 p-2 border rounded-md"/></div>
                 <div><label className="block font-medium">Phone Number</label><input type="tel" name="phone" value={formData.phone} onChange={handleChange} className="w-full mt-1 p-2 border rounded-md"/></div>
-                <div><label className="block font-medium">Portfolio Link</label><input type="text" name="portfolio" value={formData.portfolio} onChange={handleChange} className="w-full mt-1 p-2 border rounded-md"/></div>
                 <div><label className="block font-medium">About Me</label><textarea name="bio" value={formData.bio} onChange={handleChange} rows="4" className="w-full mt-1 p-2 border rounded-md"></textarea></div>
-                <div><label className="block font-medium">Skills (comma-separated)</label><input type="text" name="skills" value={formData.skills} onChange={handleChange} className="w-full mt-1 p-2 border rounded-md"/></div>
+                <div><label htmlFor="profileSkills" className="block font-medium">Skills</label><SkillTagInput id="profileSkills" value={formData.skills} onChange={skills => setFormData({ ...formData, skills })} /></div>
                 
+                <ResumeImport onImport={imported => setFormData(current => mergeImportedProfile(current, imported))} />
+                <PortfolioEditor value={formData.portfolioProjects} onChange={portfolioProjects => setFormData(current => ({ ...current, portfolioProjects }))} />
                 <div><h3 className="text-xl font-semibold mb-2">Experience</h3>{formData.experience.map((exp, i) => (<div key={i} className="space-y-2 border p-4 rounded-md mb-4"><input type="text" name="title" placeholder="Job Title" value={exp.title} onChange={e => handleChange(e, 'experience', i)} className="w-full p-2 border rounded-md"/><input type="text" name="company" placeholder="Company" value={exp.company} onChange={e => handleChange(e, 'experience', i)} className="w-full p-2 border rounded-md"/><input type="text" name="duration" placeholder="e.g., Jan 2022 - Present" value={exp.duration} onChange={e => handleChange(e, 'experience', i)} className="w-full p-2 border rounded-md"/><textarea name="description" placeholder="Description" value={exp.description} onChange={e => handleChange(e, 'experience', i)} className="w-full p-2 border rounded-md"></textarea></div>))}<button onClick={() => addField('experience')} className="text-sm text-blue-600">+ Add Experience</button></div>
                 <div><h3 className="text-xl font-semibold mb-2">Education</h3>{formData.education.map((edu, i) => (<div key={i} className="space-y-2 border p-4 rounded-md mb-4"><input type="text" name="school" placeholder="School/University" value={edu.school} onChange={e => handleChange(e, 'education', i)} className="w-full p-2 border rounded-md"/><input type="text" name="degree" placeholder="Degree" value={edu.degree} onChange={e => handleChange(e, 'education', i)} className="w-full p-2 border rounded-md"/><input type="text" name="year" placeholder="Year of Completion" value={edu.year} onChange={e => handleChange(e, 'education', i)} className="w-full p-2 border rounded-md"/></div>))}<button onClick={() => addField('education')} className="text-sm text-blue-600">+ Add Education</button></div>
 
@@ -890,6 +3240,43 @@ const ProfileEditForm = ({ userData, onSave }) => {
     );
 };
 
+const CampusVerification = ({ userData }) => {
+    const { user, showToast } = useApp();
+    const campuses = useCampuses();
+    const [verifying, setVerifying] = useState(false);
+    const campus = findCampusByEmail(campuses, user?.email);
+
+    const handleVerify = async () => {
+        setVerifying(true);
+        try {
+            const result = await verifyStudentCampus(user, campuses);
+            if (result === 'verified') showToast(`You're verified as a student at ${campus.name}!`);
+            else if (result === 'sent') showToast(`We sent a confirmation link to ${user.email}. Open it, then click Verify again.`);
+            else showToast("Your email domain doesn't match a campus we support yet.", 'error');
+        } catch (error) {
+            console.error("Error verifying campus:", error);
+            showToast('Failed to verify your student email.', 'error');
+        }
+        setVerifying(false);
+    };
+
+    return (
+        <div className="border rounded-md p-4">
+            <h3 className="text-xl font-semibold mb-2 flex items-center">Student Verification{isVerifiedStudent(userData) && <VerifiedStudentBadge campus={userData.campus} className="ml-2" />}</h3>
+            {isVerifiedStudent(userData) ? (
+                <p className="text-gray-600">Verified via your @{userData.campus.domain} email address. Gigs default to ones open to {userData.campus.name}.</p>
+            ) : campus ? (
+                <>
+                    <p className="text-gray-600 mb-3">Confirm that you control {user.email} to join {campus.name} and get a verified student badge.</p>
+                    <button onClick={handleVerify} disabled={verifying} className="bg-indigo-600 text-white px-4 py-2 rounded-md hover:bg-indigo-700 disabled:bg-gray-400 flex items-center"><GraduationCap className="w-5 h-5 mr-2"/> {verifying ? 'Checking...' : 'Verify Student Email'}</button>
+                </>
+            ) : (
+                <p className="text-gray-600">Sign in with your university email address to get a verified student badge and see gigs for your campus.</p>
+            )}
+        </div>
+    );
+};
+
 const AIResumeBuilder = ({ onClose }) => {
     const [prompt, setPrompt] = useState('');
     const [result, setResult] = useState('');
@@ -949,26 +3336,16 @@ const AIResumeBuilder = ({ onClose }) => {
 };
 
 const EditGigModal = ({ gig, onClose }) => {
-    const [formData, setFormData] = useState({
-        title: gig.title,
-        description: gig.description,
-        skills: gig.skills.join(', '),
-        budget: gig.budget,
-    });
+    const [form, setForm] = useState(() => gigToForm(gig));
     const { showToast } = useApp();
 
-    const handleChange = (e) => {
-        setFormData({ ...formData, [e.target.name]: e.target.value });
-    };
-
     const handleSave = async (e) => {
         e.preventDefault();
+        const error = validateGigForm(form);
+        if (error) return showToast(error, "error");
         try {
-            await updateDoc(doc(db, 'gigs', gig.id), {
-                ...formData,
-                skills: formData.skills.split(',').map(s => s.trim()).filter(Boolean),
-                budget: Number(formData.budget),
-            });
+            const fields = buildGigFields(form);
+            await updateDoc(doc(db, 'gigs', gig.id), { ...fields, ...buildGigSearchFields(fields), lastActivityAt: Timestamp.now(), expiryReminderSentAt: null });
             showToast("Gig updated successfully!");
             onClose();
         } catch (error) {
@@ -978,7 +3355,7 @@ const EditGigModal = ({ gig, onClose }) => {
 
     return (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
-            <div className="bg-white rounded-lg shadow-xl w-full max-w-2xl"><div className="p-6 border-b flex justify-between items-center"><h2 className="text-2xl font-bold">Edit Gig</h2><button onClick={onClose}><X className="w-6 h-6"/></button></div><form onSubmit={handleSave} className="p-6 space-y-4"><div><label>Title</label><input type="text" name="title" value={formData.title} onChange={handleChange} className="w-full mt-1 p-2 border rounded-md"/></div><div><label>Description</label><textarea name="description" value={formData.description} onChange={handleChange} rows="4" className="w-full mt-1 p-2 border rounded-md"></textarea></div><div><label>Skills (comma-separated)</label><input type="text" name="skills" value={formData.skills} onChange={handleChange} className="w-full mt-1 p-2 border rounded-md"/></div><div><label>Budget ($)</label><input type="number" name="budget" value={formData.budget} onChange={handleChange} className="w-full mt-1 p-2 border rounded-md"/></div><button type="submit" className="w-full bg-blue-600 text-white py-2 rounded-md hover:bg-blue-700">Save Changes</button></form></div>
+            <div className="bg-white rounded-lg shadow-xl w-full max-w-2xl max-h-[90vh] flex flex-col"><div className="p-6 border-b flex justify-between items-center"><h2 className="text-2xl font-bold">Edit Gig</h2><button onClick={onClose}><X className="w-6 h-6"/></button></div><form onSubmit={handleSave} className="p-6 space-y-4 overflow-y-auto"><GigFormFields form={form} onChange={setForm} /><button type="submit" className="w-full bg-blue-600 text-white py-2 rounded-md hover:bg-blue-700">Save Changes</button></form></div>
         </div>
     );
 };
@@ -988,7 +3365,7 @@ const EditProposalModal = ({ proposal, onClose }) => {
         coverLetter: proposal.coverLetter,
         bidAmount: proposal.bidAmount,
     });
-    const { showToast } = useApp();
+    const { userData, showToast } = useApp();
 
     const handleChange = (e) => {
         setFormData({ ...formData, [e.target.name]: e.target.value });
@@ -997,10 +3374,10 @@ const EditProposalModal = ({ proposal, onClose }) => {
     const handleSave = async (e) => {
         e.preventDefault();
         try {
-            await updateDoc(doc(db, 'proposals', proposal.id), {
-                ...formData,
-                bidAmount: Number(formData.bidAmount),
-            });
+            const clientId = proposal.clientId || proposal.gig?.clientId;
+            const notify = Boolean(clientId) && shouldNotifyProposalEdit(proposal);
+            const notification = notify ? buildNotification(clientId, 'Proposal Updated', `${userData.name} updated their proposal for "${proposal.gig?.title || 'your gig'}" (bid: $${Number(formData.bidAmount)}).`, `gig/${proposal.gigId}`, NOTIFICATION_CATEGORIES.PROPOSALS, { proposalId: proposal.id }) : null;
+            await updateProposal(proposal, { ...formData, bidAmount: Number(formData.bidAmount), ...(notify ? { editNotifiedAt: serverTimestamp() } : {}) }, notification);
             showToast("Proposal updated successfully!");
             onClose();
         } catch (error) {
@@ -1015,40 +3392,112 @@ const EditProposalModal = ({ proposal, onClose }) => {
     );
 };
 
-const ChatModal = ({ gig, onClose }) => {
-    const { user, userData, showToast } = useApp();
+const ChatModal = ({ thread, onClose }) => {
+    const { user, userData, showToast, blockedIds } = useApp();
     const [messages, setMessages] = useState([]);
+    const [chat, setChat] = useState(null);
     const [newMessage, setNewMessage] = useState('');
+    const [attachment, setAttachment] = useState(null);
+    const [sending, setSending] = useState(false);
+    const [now, setNow] = useState(Date.now());
     const messagesEndRef = useRef(null);
+    const fileInputRef = useRef(null);
+    const lastTypingRef = useRef(0);
     
-    const chatId = [gig.clientId, gig.acceptedStudentId].sort().join('_');
+    const { id: chatId, ...fields } = toThread(thread);
+    const chatRef = useMemo(() => doc(db, 'chats', chatId), [chatId]);
+    const otherId = fields.participants.find(id => id !== user.uid);
+    const fieldsRef = useRef(fields);
+    fieldsRef.current = fields;
+
+    // Presence: the other party is only notified about messages sent while this modal is closed.
+    // Writing the thread fields with it creates the chat doc the first time either party opens it. The rules only
+    // allow reading a thread once its doc exists, so the listeners below wait for that first write.
+    const [threadReady, setThreadReady] = useState(false);
+    useEffect(() => {
+        let cancelled = false;
+        const logError = (error) => console.error("Error updating chat presence:", error);
+        const setActive = (active) => setDoc(chatRef, {
+            ...fieldsRef.current,
+            activeAt: { [user.uid]: active ? Timestamp.now() : null },
+        }, { merge: true });
+        setThreadReady(false);
+        setActive(true).catch(logError).finally(() => { if (!cancelled) setThreadReady(true); });
+        const heartbeat = setInterval(() => setActive(true).catch(logError), PRESENCE_TIMEOUT_MS / 2);
+        const ticker = setInterval(() => setNow(Date.now()), 2000);
+        return () => { cancelled = true; clearInterval(heartbeat); clearInterval(ticker); setActive(false).catch(logError); };
+    }, [chatRef, user.uid]);
 
     useEffect(() => {
+        if (!threadReady) return;
+        const unsubscribe = onSnapshot(chatRef, (chatDoc) => setChat(chatDoc.exists() ? chatDoc.data() : null),
+            (error) => console.error("Error loading chat:", error));
+        return unsubscribe;
+    }, [chatRef, threadReady]);
+
+    useEffect(() => {
+        if (!threadReady) return;
         const messagesQuery = query(collection(db, 'chats', chatId, 'messages'), orderBy('createdAt', 'asc'));
         const unsubscribe = onSnapshot(messagesQuery, (snapshot) => {
-            setMessages(snapshot.docs.map(messageDoc => messageDoc.data()));
-        });
+            setMessages(snapshot.docs.map(messageDoc => ({ id: messageDoc.id, ...messageDoc.data() })));
+            const unread = snapshot.docs.filter(messageDoc => messageDoc.data().senderId !== user.uid && !messageDoc.data().readAt);
+            if (unread.length > 0) {
+                const batch = writeBatch(db);
+                unread.forEach(messageDoc => batch.update(messageDoc.ref, { readAt: Timestamp.now() }));
+                batch.set(chatRef, { unreadCounts: { [user.uid]: 0 } }, { merge: true });
+                batch.commit().catch(error => console.error("Error marking messages read:", error));
+            }
+        }, (error) => console.error("Error loading messages:", error));
         return unsubscribe;
-    }, [chatId]);
+    }, [chatId, chatRef, user.uid, threadReady]);
+
+    useEffect(() => {
+        messagesEndRef.current?.scrollIntoView({ behavior: "smooth" });
+    }, [messages]);
+
+    const handleTyping = (e) => {
+        setNewMessage(e.target.value);
+        if (Date.now() - lastTypingRef.current > TYPING_TIMEOUT_MS / 2) {
+            lastTypingRef.current = Date.now();
+            setDoc(chatRef, { typing: { [user.uid]: Timestamp.now() } }, { merge: true }).catch(error => console.error("Error updating typing status:", error));
+        }
+    };
 
-    useEffect(() => {
-        messagesEndRef.current?.scrollIntoView({ behavior: "smooth" });
-    }, [messages]);
+    const handleFileChange = (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        const error = validateAttachment(file);
+        if (error) return showToast(error, "error");
+        setAttachment(file || null);
+    };
 
     const handleSendMessage = async (e) => {
         e.preventDefault();
-        if (!newMessage.trim()) return;
-
+        if (!newMessage.trim() && !attachment) return;
+        setSending(true);
         try {
-            await addDoc(collection(db, 'chats', chatId, 'messages'), {
-                text: newMessage,
-                senderId: user.uid,
-                senderName: userData.name,
-                createdAt: Timestamp.now(),
-            });
+            const message = { text: newMessage.trim(), senderId: user.uid, senderName: userData.name, createdAt: Timestamp.now(), readAt: null };
+            if (attachment) message.attachment = await uploadChatAttachment(chatId, attachment);
+            const batch = writeBatch(db);
+            batch.set(doc(collection(db, 'chats', chatId, 'messages')), message);
+            batch.set(chatRef, {
+                lastMessageText: message.text || `Attachment: ${message.attachment.name}`,
+                lastMessageAt: message.createdAt,
+                lastSenderId: user.uid,
+                typing: { [user.uid]: null },
+                unreadCounts: { [otherId]: increment(1) },
+            }, { merge: true });
+            if (shouldNotifyRecipient(chat, otherId)) {
+                batch.set(doc(collection(db, 'notifications')), buildNotification(otherId, `New message from ${userData.name}`, message.text ? `"${message.text.slice(0, 80)}"` : 'Sent you an attachment.', `inbox?thread=${chatId}`, NOTIFICATION_CATEGORIES.CHAT, { chatId }));
+            }
+            await batch.commit();
             setNewMessage('');
+            setAttachment(null);
         } catch (error) {
+            console.error("Error sending message:", error);
             showToast("Failed to send message.", "error");
+        } finally {
+            setSending(false);
         }
     };
 
@@ -1056,36 +3505,138 @@ const ChatModal = ({ gig, onClose }) => {
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
             <div className="bg-white rounded-lg shadow-xl w-full max-w-2xl h-[70vh] flex flex-col">
                 <div className="p-4 border-b flex justify-between items-center">
-                    <h2 className="text-xl font-bold">Chat for "{gig.title}"</h2>
+                    <h2 className="text-xl font-bold">{describeThread(fields)}</h2>
                     <button onClick={onClose}><X className="w-6 h-6"/></button>
                 </div>
                 <div className="flex-grow p-4 overflow-y-auto bg-gray-100">
-                    {messages.map((msg, i) => (
-                        <div key={i} className={`flex mb-3 ${msg.senderId === user.uid ? 'justify-end' : 'justify-start'}`}>
+                    {isBlocked(blockedIds, otherId) && <p className="text-sm text-gray-500 italic text-center mb-3">You blocked this user. Their messages are hidden and they can't message you.</p>}
+                    {messages.filter(msg => !isBlocked(blockedIds, msg.senderId)).map(msg => (
+                        <div key={msg.id} className={`flex mb-3 ${msg.senderId === user.uid ? 'justify-end' : 'justify-start'}`}>
                             <div className={`rounded-lg px-4 py-2 max-w-xs ${msg.senderId === user.uid ? 'bg-blue-600 text-white' : 'bg-gray-300 text-black'}`}>
                                 <p className="font-bold text-sm">{msg.senderName}</p>
-                                <p>{msg.text}</p>
+                                {msg.removed && <p className="italic text-sm">This message was removed by a moderator.</p>}
+                                {msg.attachment && <ChatAttachment attachment={msg.attachment} folder={`chats/${chatId}/`} />}
+                                {msg.text && <p>{msg.text}</p>}
+                                {msg.senderId !== user.uid && !msg.removed && <ReportButton target={{ targetType: 'message', targetId: msg.id, targetOwnerId: msg.senderId, targetLabel: `Message from ${msg.senderName}`, snapshot: msg.text || msg.attachment?.name, chatId }} label="" className="mt-1" />}
+                                {msg.senderId === user.uid && (
+                                    <p className="text-xs text-blue-100 flex items-center justify-end mt-1">
+                                        {msg.readAt ? <><CheckCheck className="w-3 h-3 mr-1"/> Seen</> : <><Check className="w-3 h-3 mr-1"/> Sent</>}
+                                    </p>
+                                )}
                             </div>
                         </div>
                     ))}
+                    {isTyping(chat, otherId, now) && <p className="text-sm text-gray-500 italic">The other party is typing...</p>}
                     <div ref={messagesEndRef} />
                 </div>
+                {attachment && (
+                    <div className="px-4 pt-2 flex items-center text-sm text-gray-600">
+                        <Paperclip className="w-4 h-4 mr-1"/> {attachment.name} ({formatFileSize(attachment.size)})
+                        <button onClick={() => setAttachment(null)} className="ml-2 text-red-500"><X className="w-4 h-4"/></button>
+                    </div>
+                )}
                 <form onSubmit={handleSendMessage} className="p-4 border-t flex">
-                    <input type="text" value={newMessage} onChange={e => setNewMessage(e.target.value)} className="flex-grow p-2 border rounded-l-md" placeholder="Type a message..."/>
-                    <button type="submit" className="bg-blue-600 text-white px-4 rounded-r-md"><Send/></button>
+                    <input type="file" ref={fileInputRef} onChange={handleFileChange} accept={ATTACHMENT_TYPES.join(',')} className="hidden" />
+                    <button type="button" onClick={() => fileInputRef.current?.click()} className="px-3 text-gray-600 hover:text-blue-600 border rounded-l-md"><Paperclip className="w-5 h-5"/></button>
+                    <input type="text" value={newMessage} onChange={handleTyping} className="flex-grow p-2 border" placeholder="Type a message..."/>
+                    <button type="submit" disabled={sending || !threadReady || isBlocked(blockedIds, otherId)} className="bg-blue-600 text-white px-4 rounded-r-md disabled:bg-gray-400"><Send/></button>
                 </form>
             </div>
         </div>
     );
 };
 
+// `folder` is where the file was uploaded; an attachment whose URL points anywhere else isn't linked.
+const ChatAttachment = ({ attachment, folder }) => (
+    !isStorageUrl(attachment.url, folder) ? (
+        <p className="flex items-center my-1 text-gray-500 break-all"><Paperclip className="w-4 h-4 mr-1 flex-shrink-0"/> {attachment.name} (unavailable)</p>
+    ) : isImageAttachment(attachment) ? (
+        <a href={attachment.url} target="_blank" rel="noopener noreferrer"><img src={attachment.url} alt={attachment.name} className="rounded-md my-1 max-h-48"/></a>
+    ) : (
+        <a href={attachment.url} target="_blank" rel="noopener noreferrer" className="flex items-center underline my-1 break-all"><Paperclip className="w-4 h-4 mr-1 flex-shrink-0"/> {attachment.name} ({formatFileSize(attachment.size)})</a>
+    )
+);
+
 
 const PostGigPage = () => {
-    const { user, userData, showToast, navigate } = useApp();
-    const [title, setTitle] = useState('');
-    const [description, setDescription] = useState('');
-    const [skills, setSkills] = useState('');
-    const [budget, setBudget] = useState('');
+    const { user, userData, showToast, navigate, queryParams } = useApp();
+    const [form, setForm] = useState(EMPTY_GIG_FORM);
+    // The draft id is chosen up front so every autosave writes the same document.
+    const [draftId] = useState(() => queryParams.draft || doc(collection(db, 'gigDrafts')).id);
+    const [resuming, setResuming] = useState(Boolean(queryParams.draft));
+    const [saveState, setSaveState] = useState('');
+    const [templateName, setTemplateName] = useState('');
+    const templates = useOwnedDocs('gigTemplates', 'clientId', 'name');
+    const isDirty = useRef(false);
+    const isDraftSaved = useRef(Boolean(queryParams.draft));
+    const isPosting = useRef(false);
+
+    useEffect(() => {
+        if (!resuming) return;
+        getDoc(doc(db, 'gigDrafts', draftId))
+            .then(snapshot => { if (snapshot.exists()) setForm({ ...EMPTY_GIG_FORM, ...snapshot.data().form }); })
+            .catch(error => console.error("Error loading draft: ", error))
+            .finally(() => setResuming(false));
+    }, [resuming, draftId]);
+
+    useEffect(() => {
+        if (!user || !isDirty.current || isDraftEmpty(form)) return;
+        const timer = setTimeout(async () => {
+            if (isPosting.current) return;
+            setSaveState('saving');
+            try {
+                await setDoc(doc(db, 'gigDrafts', draftId), buildDraft(user.uid, form, Timestamp.now()));
+                if (!isDraftSaved.current) navigate(`post-gig?draft=${draftId}`, { replace: true });
+                isDraftSaved.current = true;
+                setSaveState('saved');
+            } catch (error) {
+                console.error("Error saving draft: ", error);
+                setSaveState('error');
+            }
+        }, DRAFT_AUTOSAVE_MS);
+        return () => clearTimeout(timer);
+    }, [form, draftId, user, navigate]);
+
+    const updateForm = (next) => {
+        isDirty.current = true;
+        setForm(next);
+    };
+
+    const handleApplyTemplate = (templateId) => {
+        const template = templates.find(t => t.id === templateId);
+        if (!template) return;
+        if (!isDraftEmpty(form) && !window.confirm(`Replace what you've entered with "${template.name}"?`)) return;
+        updateForm(applyTemplate(template));
+    };
+
+    const handleSaveTemplate = async () => {
+        if (!templateName.trim()) return showToast("Name your template first.", "error");
+        try {
+            await addDoc(collection(db, 'gigTemplates'), buildTemplate(user.uid, templateName, form, Timestamp.now()));
+            setTemplateName('');
+            showToast('Template saved.');
+        } catch (error) { console.error("Error saving template: ", error); showToast("Failed to save template.", "error"); }
+    };
+
+    const handleDeleteTemplate = async (template) => {
+        if (!window.confirm(`Delete the template "${template.name}"?`)) return;
+        try {
+            await deleteDoc(doc(db, 'gigTemplates', template.id));
+        } catch (error) { console.error("Error deleting template: ", error); showToast("Failed to delete template.", "error"); }
+    };
+
+    const handleDiscard = async () => {
+        if (!window.confirm("Discard this draft?")) return;
+        isPosting.current = true;
+        try {
+            if (isDraftSaved.current) await deleteDoc(doc(db, 'gigDrafts', draftId));
+            navigate('dashboard');
+        } catch (error) {
+            isPosting.current = false;
+            console.error("Error discarding draft: ", error);
+            showToast("Failed to discard draft.", "error");
+        }
+    };
 
     const handleSubmit = async (e) => {
         e.preventDefault();
@@ -1094,27 +3645,68 @@ const PostGigPage = () => {
             navigate('login');
             return;
         }
+        const error = validateGigForm(form);
+        if (error) return showToast(error, "error");
+        isPosting.current = true;
         try {
-            await addDoc(collection(db, 'gigs'), { 
+            const fields = buildGigFields(form);
+            const gigData = { 
                 clientId: user.uid, 
                 clientName: userData.name, 
-                title, 
-                description, 
-                skills: skills.split(',').map(s => s.trim()).filter(Boolean), 
-                budget: Number(budget), 
+                ...fields,
                 postedAt: Timestamp.now(), 
-                status: 'open' 
-            });
+                status: 'open',
+                proposalCount: 0,
+                clientVerified: isVerifiedClient(userData),
+                ...buildGigSearchFields(fields)
+            };
+            await addDoc(collection(db, 'gigs'), gigData);
+            if (isDraftSaved.current) deleteDoc(doc(db, 'gigDrafts', draftId)).catch(error => console.error("Error deleting posted draft: ", error));
             showToast('Gig posted successfully!');
             navigate('dashboard');
         } catch (error) { 
+            isPosting.current = false;
             console.error("Error posting gig: ", error); 
             showToast("Failed to post gig.", "error"); 
         }
     };
 
+    if (resuming) return <div className="text-center py-20">Loading draft...</div>;
+
     return (
-        <div className="max-w-2xl mx-auto py-12 px-4 sm:px-6 lg:px-8"><div className="bg-white p-8 rounded-lg shadow-lg"><h1 className="text-3xl font-bold text-gray-800 mb-6">Post a New Gig</h1><form onSubmit={handleSubmit} className="space-y-6"><div><label htmlFor="title" className="block text-sm font-medium text-gray-700">Gig Title</label><input type="text" id="title" value={title} onChange={e => setTitle(e.target.value)} className="mt-1 block w-full border border-gray-300 rounded-md shadow-sm py-2 px-3" required /></div><div><label htmlFor="description" className="block text-sm font-medium text-gray-700">Description</label><textarea id="description" rows="6" value={description} onChange={e => setDescription(e.target.value)} className="mt-1 block w-full border border-gray-300 rounded-md shadow-sm py-2 px-3" required></textarea></div><div><label htmlFor="skills" className="block text-sm font-medium text-gray-700">Required Skills (comma-separated)</label><input type="text" id="skills" value={skills} onChange={e => setSkills(e.target.value)} className="mt-1 block w-full border border-gray-300 rounded-md shadow-sm py-2 px-3" required /></div><div><label htmlFor="budget" className="block text-sm font-medium text-gray-700">Budget ($)</label><input type="number" id="budget" value={budget} onChange={e => setBudget(e.target.value)} className="mt-1 block w-full border border-gray-300 rounded-md shadow-sm py-2 px-3" required /></div><div><button type="submit" className="w-full bg-blue-600 text-white py-3 rounded-md hover:bg-blue-700 font-semibold">Post Gig</button></div></form></div></div>
+        <div className="max-w-2xl mx-auto py-12 px-4 sm:px-6 lg:px-8">
+            <div className="bg-white p-8 rounded-lg shadow-lg">
+                <div className="flex justify-between items-baseline mb-6">
+                    <h1 className="text-3xl font-bold text-gray-800">Post a New Gig</h1>
+                    <span className="text-sm text-gray-500">{{ saving: 'Saving draft...', saved: 'Draft saved', error: "Couldn't save draft" }[saveState]}</span>
+                </div>
+                {templates.length > 0 && (
+                    <div className="mb-6 p-4 bg-gray-50 rounded-md">
+                        <label htmlFor="template" className="block text-sm font-medium text-gray-700">Start from a template</label>
+                        <select id="template" value="" onChange={e => handleApplyTemplate(e.target.value)} className="mt-1 block w-full border border-gray-300 rounded-md shadow-sm py-2 px-3">
+                            <option value="">Choose a template...</option>
+                            {templates.map(template => <option key={template.id} value={template.id}>{template.name}</option>)}
+                        </select>
+                        <ul className="mt-2 flex flex-wrap gap-2">
+                            {templates.map(template => (
+                                <li key={template.id} className="text-xs bg-white border rounded-full px-2 py-0.5 flex items-center">{template.name}<button type="button" onClick={() => handleDeleteTemplate(template)} className="ml-1 text-gray-400 hover:text-red-600" aria-label={`Delete template ${template.name}`}><X className="w-3 h-3"/></button></li>
+                            ))}
+                        </ul>
+                    </div>
+                )}
+                <form onSubmit={handleSubmit} className="space-y-6">
+                    <GigFormFields form={form} onChange={updateForm} />
+                    <div className="flex items-end space-x-2 border-t pt-4">
+                        <div className="flex-grow"><label htmlFor="templateName" className="block text-sm font-medium text-gray-700">Save these details as a template</label><input type="text" id="templateName" value={templateName} onChange={e => setTemplateName(e.target.value)} placeholder="e.g. Weekly event poster" className="mt-1 block w-full border border-gray-300 rounded-md shadow-sm py-2 px-3" /></div>
+                        <button type="button" onClick={handleSaveTemplate} className="bg-gray-200 text-gray-800 px-4 py-2 rounded-md hover:bg-gray-300 flex items-center"><Save className="w-4 h-4 mr-2"/> Save Template</button>
+                    </div>
+                    <div className="flex space-x-2">
+                        <button type="submit" className="flex-grow bg-blue-600 text-white py-3 rounded-md hover:bg-blue-700 font-semibold">Post Gig</button>
+                        {!isDraftEmpty(form) && <button type="button" onClick={handleDiscard} className="px-4 py-3 rounded-md border text-red-600 hover:bg-red-50 flex items-center"><Trash2 className="w-4 h-4 mr-2"/> Discard</button>}
+                    </div>
+                </form>
+            </div>
+        </div>
     );
 };
 
@@ -1124,7 +3716,8 @@ const AuthForm = ({ isLogin }) => {
     const [name, setName] = useState('');
     const [role, setRole] = useState('student');
     const [error, setError] = useState('');
-    const { navigate } = useApp();
+    const { navigate, location } = useApp();
+    const redirect = getSafeRedirect(location.search);
 
     const handleEmailPasswordSubmit = async (e) => {
         e.preventDefault();
@@ -1132,14 +3725,14 @@ const AuthForm = ({ isLogin }) => {
         try {
             if (isLogin) {
                 await signInWithEmailAndPassword(auth, email, password);
-                navigate('home');
+                navigate(redirect || 'home');
             } else {
                 if (!name || !role) return setError("Please provide your name and select a role.");
                 const userCredential = await createUserWithEmailAndPassword(auth, email, password);
                 const user = userCredential.user;
-                const newUser = { uid: user.uid, email: user.email, name, role, createdAt: Timestamp.now(), skills: [], portfolio: '', bio: '', experience: [], education: [], phone: '' };
+                const newUser = { uid: user.uid, email: user.email, name, role, createdAt: Timestamp.now(), skills: [], portfolioProjects: [], bio: '', experience: [], education: [], phone: '' };
                 await setDoc(doc(db, 'users', user.uid), newUser);
-                navigate('dashboard');
+                navigate(redirect || 'dashboard');
             }
         } catch (err) { setError(err.message); }
     };
@@ -1147,16 +3740,16 @@ const AuthForm = ({ isLogin }) => {
     const handleGoogleSignIn = async () => {
         try {
             await signInWithPopup(auth, googleProvider);
-            navigate('home');
+            navigate(redirect || 'home');
         } catch (err) { setError(err.message); }
     };
 
     return (
-        <div className="min-h-[calc(100vh-4rem)] flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8"><div className="max-w-md w-full space-y-8"><div><h2 className="mt-6 text-center text-3xl font-extrabold text-gray-900">{isLogin ? 'Sign in to your account' : 'Create a new account'}</h2></div><div className="bg-white p-8 rounded-xl shadow-lg space-y-6"><button onClick={handleGoogleSignIn} className="w-full flex justify-center py-2 px-4 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50">Sign in with Google</button><div className="flex items-center justify-center"><div className="border-t border-gray-300 w-full"></div><p className="px-2 text-sm text-gray-500 bg-white">OR</p><div className="border-t border-gray-300 w-full"></div></div><form className="space-y-6" onSubmit={handleEmailPasswordSubmit}>{!isLogin && (<><div><label htmlFor="name" className="sr-only">Full Name</label><input id="name" name="name" type="text" required value={name} onChange={e => setName(e.target.value)} className="appearance-none rounded-md relative block w-full px-3 py-2 border border-gray-300 placeholder-gray-500 text-gray-900 focus:outline-none focus:ring-blue-500 focus:border-blue-500" placeholder="Full Name" /></div><div className="flex justify-around"><label className="flex items-center"><input type="radio" name="role" value="student" checked={role === 'student'} onChange={() => setRole('student')} className="h-4 w-4 text-blue-600 border-gray-300 focus:ring-blue-500" /><span className="ml-2 text-gray-700">I'm a Student</span></label><label className="flex items-center"><input type="radio" name="role" value="client" checked={role === 'client'} onChange={() => setRole('client')} className="h-4 w-4 text-blue-600 border-gray-300 focus:ring-blue-500" /><span className="ml-2 text-gray-700">I'm a Client</span></label></div></>)}<div><label htmlFor="email-address" className="sr-only">Email address</label><input id="email-address" name="email" type="email" autoComplete="email" required value={email} onChange={e => setEmail(e.target.value)} className="appearance-none rounded-md relative block w-full px-3 py-2 border border-gray-300 placeholder-gray-500 text-gray-900 focus:outline-none focus:ring-blue-500 focus:border-blue-500" placeholder="Email address" /></div><div><label htmlFor="password" className="sr-only">Password</label><input id="password" name="password" type="password" autoComplete="current-password" required value={password} onChange={e => setPassword(e.target.value)} className="appearance-none rounded-md relative block w-full px-3 py-2 border border-gray-300 placeholder-gray-500 text-gray-900 focus:outline-none focus:ring-blue-500 focus:border-blue-500" placeholder="Password" /></div>{error && <p className="text-red-500 text-sm">{error}</p>}<div><button type="submit" className="group relative w-full flex justify-center py-2 px-4 border border-transparent text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500">{isLogin ? 'Sign in' : 'Sign up'}</button></div></form></div><p className="text-center text-sm text-gray-600">{isLogin ? "Don't have an account? " : "Already have an account? "}<button onClick={() => navigate(isLogin ? 'signup' : 'login')} className="font-medium text-blue-600 hover:text-blue-500 cursor-pointer bg-transparent border-none p-0">{isLogin ? 'Sign up' : 'Sign in'}</button></p></div></div>
+        <div className="min-h-[calc(100vh-4rem)] flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8"><div className="max-w-md w-full space-y-8"><div><h2 className="mt-6 text-center text-3xl font-extrabold text-gray-900">{isLogin ? 'Sign in to your account' : 'Create a new account'}</h2></div><div className="bg-white p-8 rounded-xl shadow-lg space-y-6"><button onClick={handleGoogleSignIn} className="w-full flex justify-center py-2 px-4 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50">Sign in with Google</button><div className="flex items-center justify-center"><div className="border-t border-gray-300 w-full"></div><p className="px-2 text-sm text-gray-500 bg-white">OR</p><div className="border-t border-gray-300 w-full"></div></div><form className="space-y-6" onSubmit={handleEmailPasswordSubmit}>{!isLogin && (<><div><label htmlFor="name" className="sr-only">Full Name</label><input id="name" name="name" type="text" required value={name} onChange={e => setName(e.target.value)} className="appearance-none rounded-md relative block w-full px-3 py-2 border border-gray-300 placeholder-gray-500 text-gray-900 focus:outline-none focus:ring-blue-500 focus:border-blue-500" placeholder="Full Name" /></div><div className="flex justify-around"><label className="flex items-center"><input type="radio" name="role" value="student" checked={role === 'student'} onChange={() => setRole('student')} className="h-4 w-4 text-blue-600 border-gray-300 focus:ring-blue-500" /><span className="ml-2 text-gray-700">I'm a Student</span></label><label className="flex items-center"><input type="radio" name="role" value="client" checked={role === 'client'} onChange={() => setRole('client')} className="h-4 w-4 text-blue-600 border-gray-300 focus:ring-blue-500" /><span className="ml-2 text-gray-700">I'm a Client</span></label></div></>)}<div><label htmlFor="email-address" className="sr-only">Email address</label><input id="email-address" name="email" type="email" autoComplete="email" required value={email} onChange={e => setEmail(e.target.value)} className="appearance-none rounded-md relative block w-full px-3 py-2 border border-gray-300 placeholder-gray-500 text-gray-900 focus:outline-none focus:ring-blue-500 focus:border-blue-500" placeholder="Email address" /></div><div><label htmlFor="password" className="sr-only">Password</label><input id="password" name="password" type="password" autoComplete="current-password" required value={password} onChange={e => setPassword(e.target.value)} className="appearance-none rounded-md relative block w-full px-3 py-2 border border-gray-300 placeholder-gray-500 text-gray-900 focus:outline-none focus:ring-blue-500 focus:border-blue-500" placeholder="Password" /></div>{error && <p className="text-red-500 text-sm">{error}</p>}<div><button type="submit" className="group relative w-full flex justify-center py-2 px-4 border border-transparent text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500">{isLogin ? 'Sign in' : 'Sign up'}</button></div></form></div><p className="text-center text-sm text-gray-600">{isLogin ? "Don't have an account? " : "Already have an account? "}<button onClick={() => navigate(`${isLogin ? 'signup' : 'login'}${location.search}`)} className="font-medium text-blue-600 hover:text-blue-500 cursor-pointer bg-transparent border-none p-0">{isLogin ? 'Sign up' : 'Sign in'}</button></p></div></div>
     );
 };
 
-const RoleSelectionPage = () => {
+const RoleSelectionPage = ({ redirect }) => {
     const { user, navigate } = useApp();
     const [loading, setLoading] = useState(false);
 
@@ -1169,11 +3762,13 @@ const RoleSelectionPage = () => {
             name: user.displayName,
             role: role,
             createdAt: Timestamp.now(),
-            skills: [], portfolio: '', bio: '', experience: [], education: [], phone: ''
+            skills: [], portfolioProjects: [], bio: '', experience: [], education: [], phone: ''
         };
         await setDoc(userRef, newUser);
         
-        if (role === 'student') {
+        if (redirect) {
+            navigate(redirect);
+        } else if (role === 'student') {
             navigate('dashboard');
         } else {
             navigate('home');
@@ -1194,6 +3789,546 @@ const RoleSelectionPage = () => {
     );
 };
 
+const NotificationsPage = () => {
+    const { user, notifications, loadMoreNotifications, hasMoreNotifications, navigate, showToast } = useApp();
+    const [category, setCategory] = useState('all');
+    const [showArchived, setShowArchived] = useState(false);
+    const [selected, setSelected] = useState([]);
+    const [working, setWorking] = useState(false);
+    const visible = filterNotifications(notifications, { category, archived: showArchived });
+    const allSelected = visible.length > 0 && visible.every(n => selected.includes(n.id));
+    const categoryTabs = [['all', 'All'], ...Object.entries(NOTIFICATION_CATEGORY_LABELS)];
+
+    useEffect(() => setSelected([]), [category, showArchived]);
+
+    const toggleSelected = (id) => setSelected(current => (current.includes(id) ? current.filter(x => x !== id) : [...current, id]));
+
+    const runBulk = async (action, ids = selected) => {
+        setWorking(true);
+        try {
+            await action(ids);
+            setSelected([]);
+        } catch (error) {
+            console.error("Error updating notifications:", error);
+            showToast("Failed to update notifications.", "error");
+        } finally {
+            setWorking(false);
+        }
+    };
+
+    const handleOpen = async (notif) => {
+        if (!notif.read) await updateDoc(doc(db, 'notifications', notif.id), { read: true });
+        navigate(notif.link);
+    };
+
+    return (
+        <div className="max-w-4xl mx-auto py-12 px-4 sm:px-6 lg:px-8 space-y-6">
+            <div className="flex justify-between items-center">
+                <h1 className="text-3xl font-bold text-gray-900">Notifications</h1>
+                <button onClick={() => runBulk(() => markAllNotificationsRead(user.uid))} disabled={working} className="text-sm text-blue-600 hover:underline bg-transparent border-none disabled:text-gray-400">Mark all as read</button>
+            </div>
+            <div className="flex space-x-2 overflow-x-auto">
+                {categoryTabs.map(([key, label]) => (
+                    <button key={key} onClick={() => setCategory(key)} className={`px-4 py-2 rounded-md text-sm font-medium whitespace-nowrap ${category === key ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-100'}`}>{label}</button>
+                ))}
+                <button onClick={() => setShowArchived(!showArchived)} className={`px-4 py-2 rounded-md text-sm font-medium whitespace-nowrap ${showArchived ? 'bg-gray-700 text-white' : 'bg-white text-gray-700 hover:bg-gray-100'}`}>Archived</button>
+            </div>
+            <div className="bg-white rounded-lg shadow-md">
+                <div className="p-4 border-b flex flex-wrap items-center gap-3">
+                    <label className="flex items-center text-sm"><input type="checkbox" checked={allSelected} onChange={() => setSelected(allSelected ? [] : visible.map(n => n.id))} className="mr-2"/> Select all</label>
+                    {selected.length > 0 && (
+                        <>
+                            <button onClick={() => runBulk(ids => updateNotifications(ids, { read: true }))} disabled={working} className="text-sm bg-blue-100 text-blue-800 px-3 py-1 rounded-md hover:bg-blue-200">Mark read</button>
+                            <button onClick={() => runBulk(ids => updateNotifications(ids, { archived: !showArchived }))} disabled={working} className="text-sm bg-gray-100 text-gray-800 px-3 py-1 rounded-md hover:bg-gray-200">{showArchived ? 'Unarchive' : 'Archive'}</button>
+                            <button onClick={() => runBulk(deleteNotifications)} disabled={working} className="text-sm bg-red-100 text-red-800 px-3 py-1 rounded-md hover:bg-red-200">Delete</button>
+                            <span className="text-sm text-gray-500">{selected.length} selected</span>
+                        </>
+                    )}
+                </div>
+                {visible.length === 0 ? (
+                    <p className="text-gray-500 p-6">Nothing here.</p>
+                ) : visible.map(notif => (
+                    <div key={notif.id} className={`p-4 border-b flex items-start ${!notif.read ? 'bg-blue-50' : ''}`}>
+                        <input type="checkbox" checked={selected.includes(notif.id)} onChange={() => toggleSelected(notif.id)} className="mt-1 mr-3"/>
+                        <div onClick={() => handleOpen(notif)} className="flex-grow cursor-pointer">
+                            <div className="flex justify-between">
+                                <p className="font-semibold">{notif.title}</p>
+                                <span className="text-xs text-gray-500 ml-4 flex-shrink-0">{notif.createdAt?.toDate().toLocaleString()}</span>
+                            </div>
+                            <p className="text-sm text-gray-600">{notif.message}</p>
+                        </div>
+                    </div>
+                ))}
+                {hasMoreNotifications && <button onClick={loadMoreNotifications} className="w-full p-3 text-sm font-semibold text-blue-600 hover:bg-gray-100">Load More</button>}
+            </div>
+            <NotificationPreferences />
+        </div>
+    );
+};
+
+const NotificationPreferences = () => {
+    const { user, userData, showToast } = useApp();
+    const [prefs, setPrefs] = useState(() => getNotificationPrefs(userData));
+    const [saving, setSaving] = useState(false);
+
+    const toggleCategory = (category, channel) => setPrefs(current => ({
+        ...current,
+        categories: { ...current.categories, [category]: { ...current.categories[category], [channel]: !current.categories[category][channel] } },
+    }));
+
+    const handleSave = async () => {
+        setSaving(true);
+        try {
+            await updateDoc(doc(db, 'users', user.uid), { notificationPrefs: prefs });
+            showToast("Notification preferences saved.");
+        } catch (error) {
+            console.error("Error saving notification preferences:", error);
+            showToast("Failed to save preferences.", "error");
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    return (
+        <div className="bg-white p-6 rounded-lg shadow-md">
+            <h2 className="text-xl font-bold mb-4">Preferences</h2>
+            <table className="w-full text-sm mb-4">
+                <thead><tr className="text-left text-gray-500"><th className="py-2">Category</th><th className="py-2">In the app</th><th className="py-2">In the email digest</th></tr></thead>
+                <tbody>
+                    {Object.entries(NOTIFICATION_CATEGORY_LABELS).map(([category, label]) => (
+                        <tr key={category} className="border-t">
+                            <td className="py-2">{label}</td>
+                            <td className="py-2"><input type="checkbox" checked={prefs.categories[category].inApp} onChange={() => toggleCategory(category, 'inApp')}/></td>
+                            <td className="py-2"><input type="checkbox" checked={prefs.categories[category].email} onChange={() => toggleCategory(category, 'email')}/></td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+            {userData.role === 'student' && (
+                <div className="mb-4">
+                    <label htmlFor="gigMatchThreshold" className="block text-sm font-medium text-gray-700">Alert me about new gigs matching at least</label>
+                    <select id="gigMatchThreshold" value={prefs.gigMatchThreshold || DEFAULT_MATCH_THRESHOLD} onChange={e => setPrefs(current => ({ ...current, gigMatchThreshold: Number(e.target.value) }))} className="mt-1 p-2 border rounded-md">
+                        {MATCH_THRESHOLD_OPTIONS.map(count => <option key={count} value={count}>{count} of my skills</option>)}
+                    </select>
+                </div>
+            )}
+            <label className="flex items-center mb-4"><input type="checkbox" checked={prefs.emailDigest} onChange={() => setPrefs(current => ({ ...current, emailDigest: !current.emailDigest }))} className="mr-2"/> Send me a daily email digest of unread notifications</label>
+            <button onClick={handleSave} disabled={saving} className="bg-blue-600 text-white px-4 py-2 rounded-md hover:bg-blue-700 disabled:bg-gray-400">{saving ? 'Saving...' : 'Save Preferences'}</button>
+        </div>
+    );
+};
+
+const InboxPage = () => {
+    const { user, chats, navigate, queryParams } = useApp();
+    const [filter, setFilter] = useState('all');
+    const openThread = chats.find(chat => chat.id === queryParams.thread);
+    const threads = sortThreads(chats).filter(chat => filter === 'all' || (filter === 'unread' ? getUnreadCount(chat, user.uid) > 0 : chat.kind === filter));
+    const filterTabs = [['all', 'All'], ['unread', 'Unread'], [THREAD_KIND.GIG, 'Gig Chats'], [THREAD_KIND.PROPOSAL, 'Proposal Q&A']];
+
+    return (
+        <div className="max-w-4xl mx-auto py-12 px-4 sm:px-6 lg:px-8">
+            {openThread && <ChatModal thread={openThread} onClose={() => navigate('inbox', { replace: true })} />}
+            <h1 className="text-3xl font-bold text-gray-900 mb-6">Inbox</h1>
+            <div className="flex space-x-2 mb-6 overflow-x-auto">
+                {filterTabs.map(([key, label]) => (
+                    <button key={key} onClick={() => setFilter(key)} className={`px-4 py-2 rounded-md text-sm font-medium whitespace-nowrap ${filter === key ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-100'}`}>{label}</button>
+                ))}
+            </div>
+            <div className="bg-white rounded-lg shadow-md divide-y">
+                {threads.length === 0 ? (
+                    <p className="text-gray-500 p-6">No conversations here yet.</p>
+                ) : threads.map(chat => {
+                    const unread = getUnreadCount(chat, user.uid);
+                    return (
+                        <div key={chat.id} onClick={() => navigate(`inbox?thread=${chat.id}`)} className={`p-4 hover:bg-gray-50 cursor-pointer flex justify-between items-center ${unread > 0 ? 'bg-blue-50' : ''}`}>
+                            <div className="min-w-0">
+                                <p className="font-semibold truncate">{chat.gigTitle}</p>
+                                <p className="text-xs text-gray-500 mb-1">{chat.kind === THREAD_KIND.PROPOSAL ? 'Proposal Q&A' : 'Gig Chat'}</p>
+                                <p className="text-sm text-gray-600 truncate">{chat.lastMessageText || 'No messages yet.'}</p>
+                            </div>
+                            <div className="text-right flex-shrink-0 ml-4">
+                                {chat.lastMessageAt && <p className="text-xs text-gray-500">{chat.lastMessageAt.toDate().toLocaleString()}</p>}
+                                {unread > 0 && <span className="inline-block mt-1 bg-red-500 text-white text-xs rounded-full px-2">{unread}</span>}
+                            </div>
+                        </div>
+                    );
+                })}
+            </div>
+        </div>
+    );
+};
+
+const ModerationActionModal = ({ title, withDuration = false, submitting, onSubmit, onClose }) => {
+    const [reason, setReason] = useState('');
+    const [days, setDays] = useState(SUSPENSION_DAYS_OPTIONS[2]);
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+            <div className="bg-white rounded-lg shadow-xl w-full max-w-md">
+                <div className="p-4 border-b flex justify-between items-center"><h2 className="text-xl font-bold">{title}</h2><button onClick={onClose}><X className="w-6 h-6"/></button></div>
+                <form onSubmit={e => { e.preventDefault(); onSubmit({ reason: reason.trim(), days: Number(days) }); }} className="p-4 space-y-4">
+                    {withDuration && (
+                        <div><label htmlFor="suspensionDays" className="block font-medium">Duration</label><select id="suspensionDays" value={days} onChange={e => setDays(e.target.value)} className="w-full mt-1 p-2 border rounded-md">{SUSPENSION_DAYS_OPTIONS.map(d => <option key={d} value={d}>{d} day{d === 1 ? '' : 's'}</option>)}</select></div>
+                    )}
+                    <div><label htmlFor="moderationReason" className="block font-medium">Reason (recorded in the audit log)</label><textarea id="moderationReason" value={reason} onChange={e => setReason(e.target.value)} rows="3" className="w-full mt-1 p-2 border rounded-md" required></textarea></div>
+                    <button type="submit" disabled={submitting} className="w-full bg-red-600 text-white py-2 rounded-md hover:bg-red-700 disabled:bg-gray-400">{submitting ? 'Saving...' : 'Confirm'}</button>
+                </form>
+            </div>
+        </div>
+    );
+};
+
+// Suspend / ban / reinstate controls for one account, shown to admins.
+const AccountModerationPanel = ({ account }) => {
+    const { user, userData, showToast } = useApp();
+    const [pendingAction, setPendingAction] = useState(null);
+    const [submitting, setSubmitting] = useState(false);
+    // Profile pages read the account once, so show the outcome of our own action straight away.
+    const [updated, setUpdated] = useState(null);
+    const moderation = updated || account.moderation;
+    const status = getAccountStatus({ moderation });
+
+    const handleSubmit = async ({ reason, days }) => {
+        setSubmitting(true);
+        try {
+            setUpdated(await moderateAccount({ uid: user.uid, name: userData.name }, pendingAction, account, { reason, days }));
+            showToast(`${MODERATION_ACTIONS[pendingAction]}.`);
+            setPendingAction(null);
+        } catch (error) {
+            console.error("Error moderating account:", error);
+            showToast("Failed to update the account.", "error");
+        }
+        setSubmitting(false);
+    };
+
+    return (
+        <div className="flex flex-wrap items-center gap-2">
+            <span className={`text-xs font-semibold px-2 py-1 rounded-full ${status === 'active' ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800'}`}>
+                {status === 'suspended' ? `Suspended until ${getSuspendedUntil({ moderation }).toLocaleDateString()}` : status === 'banned' ? 'Banned' : 'Active'}
+            </span>
+            {status !== 'banned' && <button onClick={() => setPendingAction('suspendUser')} className="text-sm bg-yellow-100 text-yellow-800 px-3 py-1 rounded-md hover:bg-yellow-200">Suspend</button>}
+            {status !== 'banned' && <button onClick={() => setPendingAction('banUser')} className="text-sm bg-red-100 text-red-800 px-3 py-1 rounded-md hover:bg-red-200">Ban</button>}
+            {status !== 'active' && <button onClick={() => setPendingAction('reinstateUser')} className="text-sm bg-green-100 text-green-800 px-3 py-1 rounded-md hover:bg-green-200">Reinstate</button>}
+            {pendingAction && <ModerationActionModal title={`${MODERATION_ACTIONS[pendingAction]}: ${account.name || account.email}`} withDuration={pendingAction === 'suspendUser'} submitting={submitting} onSubmit={handleSubmit} onClose={() => setPendingAction(null)} />}
+        </div>
+    );
+};
+
+const ADMIN_TABS = [['reports', 'Reports'], ['users', 'Users'], ['gigs', 'Taken Down Gigs'], ['knowledge', 'Chatbot Knowledge'], ['campuses', 'Campuses'], ['audit', 'Audit Log']];
+
+const AdminPage = () => {
+    const { queryParams, navigate } = useApp();
+    const tab = ADMIN_TABS.some(([key]) => key === queryParams.tab) ? queryParams.tab : 'reports';
+    return (
+        <div className="max-w-6xl mx-auto py-12 px-4 sm:px-6 lg:px-8 space-y-6">
+            <h1 className="text-3xl font-bold text-gray-900 flex items-center"><Shield className="w-8 h-8 mr-2 text-blue-600"/> Admin Console</h1>
+            <div className="flex space-x-2 overflow-x-auto border-b">
+                {ADMIN_TABS.map(([key, label]) => (
+                    <button key={key} onClick={() => navigate(`admin?tab=${key}`)} className={`py-2 px-4 font-semibold whitespace-nowrap ${tab === key ? 'border-b-2 border-blue-600 text-blue-600' : 'text-gray-500'}`}>{label}</button>
+                ))}
+            </div>
+            {tab === 'reports' && <AdminReports />}
+            {tab === 'users' && <AdminUsers />}
+            {tab === 'gigs' && <AdminGigs />}
+            {tab === 'knowledge' && <AdminKnowledge />}
+            {tab === 'campuses' && <AdminCampuses />}
+            {tab === 'audit' && <AdminAuditLog />}
+        </div>
+    );
+};
+
+const AdminReports = () => {
+    const { user, userData, navigate, showToast } = useApp();
+    const [status, setStatus] = useState(REPORT_STATUS.OPEN);
+    const [reports, setReports] = useState([]);
+    const [pending, setPending] = useState(null); // { group, action }
+    const [submitting, setSubmitting] = useState(false);
+    const admin = { uid: user.uid, name: userData.name };
+
+    useEffect(() => {
+        const q = query(collection(db, 'reports'), where('status', '==', status), orderBy('createdAt', 'desc'), limit(200));
+        return onSnapshot(q, snap => setReports(snap.docs.map(d => ({ id: d.id, ...d.data() }))));
+    }, [status]);
+
+    // Enforcement actions resolve the reports they answer; dismiss closes them without action.
+    const runAction = async ({ reason, days }) => {
+        const { group, action } = pending;
+        const { latest } = group;
+        setSubmitting(true);
+        try {
+            if (action === 'takeDownGig') {
+                const gigSnap = await getDoc(doc(db, 'gigs', group.targetId));
+                if (gigSnap.exists() && !isTakenDown(gigSnap.data())) await moderateGig(admin, action, { id: gigSnap.id, ...gigSnap.data() }, reason);
+            } else if (action === 'removeMessage') {
+                await removeChatMessage(admin, latest.chatId, group.targetId, reason);
+            } else if (action === 'suspendUser' || action === 'banUser') {
+                const ownerSnap = await getDoc(doc(db, 'users', latest.targetOwnerId));
+                await moderateAccount(admin, action, { id: ownerSnap.id, ...ownerSnap.data() }, { reason, days });
+            }
+            const outcome = action === 'dismissReport' ? REPORT_STATUS.DISMISSED : REPORT_STATUS.RESOLVED;
+            await closeReports(admin, group, outcome, action === 'dismissReport' || action === 'resolveReport' ? reason : `${MODERATION_ACTIONS[action]}: ${reason}`);
+            showToast("Reports updated.");
+            setPending(null);
+        } catch (error) {
+            console.error("Error handling report:", error);
+            showToast("Failed to handle the report.", "error");
+        }
+        setSubmitting(false);
+    };
+
+    const actionsFor = (group) => [
+        group.targetType === 'gig' && ['takeDownGig', 'Take Down Gig'],
+        group.targetType === 'message' && ['removeMessage', 'Remove Message'],
+        group.latest.targetOwnerId && ['suspendUser', 'Suspend Author'],
+        group.latest.targetOwnerId && ['banUser', 'Ban Author'],
+        ['resolveReport', 'Resolve'],
+        ['dismissReport', 'Dismiss'],
+    ].filter(Boolean);
+
+    return (
+        <div className="space-y-4">
+            <div className="flex space-x-2">
+                {Object.values(REPORT_STATUS).map(value => (
+                    <button key={value} onClick={() => setStatus(value)} className={`px-4 py-2 rounded-md text-sm font-medium capitalize ${status === value ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-100'}`}>{value}</button>
+                ))}
+            </div>
+            {groupReports(reports).map(group => (
+                <div key={group.key} className="bg-white rounded-lg shadow-md p-4">
+                    <div className="flex justify-between items-start">
+                        <div>
+                            <p className="text-xs font-semibold uppercase text-gray-500">{REPORT_TARGET_LABELS[group.targetType]} &middot; {group.count} report{group.count === 1 ? '' : 's'}</p>
+                            <p className="font-semibold text-gray-800">{group.latest.targetLabel}</p>
+                            {group.latest.snapshot && <p className="text-sm text-gray-600 mt-1 whitespace-pre-wrap border-l-4 pl-2">{group.latest.snapshot}</p>}
+                        </div>
+                        {group.latest.link && <button onClick={() => navigate(group.latest.link)} className="text-sm text-blue-600 hover:underline bg-transparent border-none flex items-center flex-shrink-0"><ExternalLink className="w-4 h-4 mr-1"/> Open</button>}
+                    </div>
+                    <div className="flex flex-wrap gap-2 mt-3">{Object.entries(group.reasons).map(([reason, count]) => <span key={reason} className="text-xs bg-red-50 text-red-700 px-2 py-1 rounded-full">{REPORT_REASONS[reason] || reason} ({count})</span>)}</div>
+                    <ul className="mt-2 text-sm text-gray-600 list-disc ml-5">{group.reports.filter(r => r.details).map(r => <li key={r.id}>{r.details}</li>)}</ul>
+                    {status === REPORT_STATUS.OPEN ? (
+                        <div className="flex flex-wrap gap-2 mt-3">
+                            {actionsFor(group).map(([action, label]) => <button key={action} onClick={() => setPending({ group, action })} className="text-sm bg-gray-100 text-gray-800 px-3 py-1 rounded-md hover:bg-gray-200">{label}</button>)}
+                        </div>
+                    ) : (
+                        <p className="text-sm text-gray-500 mt-3">Outcome: {group.latest.resolution || '—'}</p>
+                    )}
+                </div>
+            ))}
+            {reports.length === 0 && <p className="text-gray-500">No {status} reports.</p>}
+            {pending && <ModerationActionModal title={pending.action === 'dismissReport' ? 'Dismiss Reports' : pending.action === 'resolveReport' ? 'Resolve Reports' : MODERATION_ACTIONS[pending.action]} withDuration={pending.action === 'suspendUser'} submitting={submitting} onSubmit={runAction} onClose={() => setPending(null)} />}
+        </div>
+    );
+};
+
+const AdminUsers = () => {
+    const [email, setEmail] = useState('');
+    const [results, setResults] = useState(null);
+    const [restricted, setRestricted] = useState([]);
+
+    useEffect(() => {
+        const q = query(collection(db, 'users'), where('moderation.status', 'in', ['suspended', 'banned']));
+        return onSnapshot(q, snap => setRestricted(snap.docs.map(d => ({ id: d.id, ...d.data() }))));
+    }, []);
+
+    const handleSearch = async (e) => {
+        e.preventDefault();
+        const snapshot = await getDocs(query(collection(db, 'users'), where('email', '==', email.trim())));
+        setResults(snapshot.docs.map(d => ({ id: d.id, ...d.data() })));
+    };
+
+    const renderAccount = (account) => (
+        <div key={account.id} className="bg-white rounded-lg shadow-md p-4 flex flex-wrap justify-between items-center gap-2">
+            <div><p className="font-semibold">{account.name} <span className="text-xs text-gray-500 capitalize">({account.role})</span></p><p className="text-sm text-gray-500">{account.email}</p>{account.moderation?.reason && <p className="text-sm text-gray-600">Reason: {account.moderation.reason}</p>}</div>
+            <AccountModerationPanel account={account} />
+        </div>
+    );
+
+    return (
+        <div className="space-y-6">
+            <form onSubmit={handleSearch} className="flex gap-2"><input type="email" value={email} onChange={e => setEmail(e.target.value)} placeholder="Find a user by email" className="flex-grow p-2 border rounded-md" required/><button type="submit" className="bg-blue-600 text-white px-4 py-2 rounded-md hover:bg-blue-700"><Search className="w-5 h-5"/></button></form>
+            {results && <div className="space-y-2">{results.length > 0 ? results.map(renderAccount) : <p className="text-gray-500">No user with that email.</p>}</div>}
+            <div><h2 className="text-xl font-semibold mb-2">Suspended and Banned</h2><div className="space-y-2">{restricted.length > 0 ? restricted.map(renderAccount) : <p className="text-gray-500">No restricted accounts.</p>}</div></div>
+        </div>
+    );
+};
+
+const AdminGigs = () => {
+    const { navigate } = useApp();
+    const [gigs, setGigs] = useState([]);
+
+    useEffect(() => {
+        const q = query(collection(db, 'gigs'), where('moderation.takenDown', '==', true));
+        return onSnapshot(q, snap => setGigs(snap.docs.map(d => ({ id: d.id, ...d.data() }))));
+    }, []);
+
+    return (
+        <div className="space-y-2">
+            {gigs.length > 0 ? gigs.map(gig => (
+                <div key={gig.id} className="bg-white rounded-lg shadow-md p-4 flex justify-between items-center">
+                    <div><p className="font-semibold">{gig.title}</p><p className="text-sm text-gray-500">Taken down {gig.moderation.at?.toDate().toLocaleDateString()} &middot; {gig.moderation.reason}</p></div>
+                    <button onClick={() => navigate(`gig/${gig.id}`)} className="text-sm text-blue-600 hover:underline bg-transparent border-none">Review</button>
+                </div>
+            )) : <p className="text-gray-500">No gigs are taken down. Take a gig down from its page or from a report.</p>}
+        </div>
+    );
+};
+
+const AdminKnowledge = () => {
+    const { user, userData, showToast } = useApp();
+    const [entries, setEntries] = useState([]);
+    const [drafts, setDrafts] = useState({});
+    const [newText, setNewText] = useState('');
+    const admin = { uid: user.uid, name: userData.name };
+
+    useEffect(() => onSnapshot(collection(db, 'chatbot_knowledge'), snap => setEntries(snap.docs.map(d => ({ id: d.id, ...d.data() })))), []);
+
+    const save = async (id, text) => {
+        try {
+            const ref = id ? doc(db, 'chatbot_knowledge', id) : doc(collection(db, 'chatbot_knowledge'));
+            await moderate(admin, 'saveKnowledge', { targetType: 'chatbot_knowledge', targetId: ref.id, targetLabel: text.slice(0, 60) }, '', batch => batch.set(ref, { text }));
+            if (id) setDrafts(({ [id]: _, ...rest }) => rest); else setNewText('');
+            showToast("Knowledge saved.");
+        } catch (error) { console.error("Error saving knowledge:", error); showToast("Failed to save.", "error"); }
+    };
+
+    const remove = async (entry) => {
+        try {
+            await moderate(admin, 'deleteKnowledge', { targetType: 'chatbot_knowledge', targetId: entry.id, targetLabel: entry.text.slice(0, 60) }, '', batch => batch.delete(doc(db, 'chatbot_knowledge', entry.id)));
+        } catch (error) { console.error("Error deleting knowledge:", error); showToast("Failed to delete.", "error"); }
+    };
+
+    return (
+        <div className="space-y-3">
+            <p className="text-gray-600">Each entry is one fact the help chatbot can use when answering questions.</p>
+            {entries.map(entry => (
+                <div key={entry.id} className="bg-white rounded-lg shadow-md p-4 flex gap-2 items-start">
+                    <textarea value={drafts[entry.id] ?? entry.text} onChange={e => setDrafts({ ...drafts, [entry.id]: e.target.value })} rows="2" className="flex-grow p-2 border rounded-md"></textarea>
+                    <button onClick={() => save(entry.id, drafts[entry.id])} disabled={drafts[entry.id] === undefined || !drafts[entry.id].trim()} className="bg-blue-600 text-white px-3 py-2 rounded-md hover:bg-blue-700 disabled:bg-gray-400">Save</button>
+                    <button onClick={() => remove(entry)} className="bg-red-100 text-red-700 p-2 rounded-md hover:bg-red-200"><Trash2 className="w-5 h-5"/></button>
+                </div>
+            ))}
+            <div className="bg-white rounded-lg shadow-md p-4 flex gap-2 items-start">
+                <textarea value={newText} onChange={e => setNewText(e.target.value)} rows="2" placeholder="Add a new fact..." className="flex-grow p-2 border rounded-md"></textarea>
+                <button onClick={() => save(null, newText.trim())} disabled={!newText.trim()} className="bg-green-600 text-white px-3 py-2 rounded-md hover:bg-green-700 disabled:bg-gray-400">Add</button>
+            </div>
+        </div>
+    );
+};
+
+const AdminCampuses = () => {
+    const { user, userData, showToast } = useApp();
+    const [campuses, setCampuses] = useState([]);
+    const [form, setForm] = useState({ id: '', name: '', domains: '' });
+    const admin = { uid: user.uid, name: userData.name };
+
+    useEffect(() => onSnapshot(query(collection(db, 'campuses'), orderBy('name')), snap => setCampuses(snap.docs.map(d => ({ id: d.id, ...d.data() })))), []);
+
+    const handleSave = async (e) => {
+        e.preventDefault();
+        const domains = normalizeDomains(form.domains);
+        const id = form.id.trim().toLowerCase();
+        if (!id || !form.name.trim() || domains.length === 0) return showToast("Fill in an id, a name and at least one domain.", "error");
+        try {
+            await moderate(admin, 'saveCampus', { targetType: 'campus', targetId: id, targetLabel: form.name.trim() }, domains.join(', '), batch => batch.set(doc(db, 'campuses', id), { name: form.name.trim(), domains }));
+            setForm({ id: '', name: '', domains: '' });
+            showToast("Campus saved.");
+        } catch (error) { console.error("Error saving campus:", error); showToast("Failed to save campus.", "error"); }
+    };
+
+    const remove = async (campus) => {
+        try {
+            await moderate(admin, 'deleteCampus', { targetType: 'campus', targetId: campus.id, targetLabel: campus.name }, '', batch => batch.delete(doc(db, 'campuses', campus.id)));
+        } catch (error) { console.error("Error deleting campus:", error); showToast("Failed to delete campus.", "error"); }
+    };
+
+    return (
+        <div className="space-y-3">
+            {campuses.map(campus => (
+                <div key={campus.id} className="bg-white rounded-lg shadow-md p-4 flex justify-between items-center">
+                    <div><p className="font-semibold">{campus.name} <span className="text-xs text-gray-500">({campus.id})</span></p><p className="text-sm text-gray-500">{(campus.domains || []).join(', ')}</p></div>
+                    <div className="flex gap-2">
+                        <button onClick={() => setForm({ id: campus.id, name: campus.name, domains: (campus.domains || []).join(', ') })} className="text-sm bg-gray-100 px-3 py-1 rounded-md hover:bg-gray-200">Edit</button>
+                        <button onClick={() => remove(campus)} className="bg-red-100 text-red-700 p-2 rounded-md hover:bg-red-200"><Trash2 className="w-4 h-4"/></button>
+                    </div>
+                </div>
+            ))}
+            <form onSubmit={handleSave} className="bg-white rounded-lg shadow-md p-4 grid md:grid-cols-4 gap-2">
+                <input type="text" value={form.id} onChange={e => setForm({ ...form, id: e.target.value })} placeholder="id (e.g. mit)" className="p-2 border rounded-md"/>
+                <input type="text" value={form.name} onChange={e => setForm({ ...form, name: e.target.value })} placeholder="Campus name" className="p-2 border rounded-md"/>
+                <input type="text" value={form.domains} onChange={e => setForm({ ...form, domains: e.target.value })} placeholder="Email domains, comma separated" className="p-2 border rounded-md"/>
+                <button type="submit" className="bg-green-600 text-white px-3 py-2 rounded-md hover:bg-green-700">Save Campus</button>
+            </form>
+        </div>
+    );
+};
+
+const AUDIT_PAGE_SIZE = 50;
+
+const AdminAuditLog = () => {
+    const [entries, setEntries] = useState([]);
+    const [cursor, setCursor] = useState(null);
+    const [hasMore, setHasMore] = useState(false);
+
+    const loadPage = useCallback(async (after = null) => {
+        const constraints = [orderBy('createdAt', 'desc'), ...(after ? [startAfter(after)] : []), limit(AUDIT_PAGE_SIZE)];
+        const snapshot = await getDocs(query(collection(db, 'auditLog'), ...constraints));
+        const page = snapshot.docs.map(d => ({ id: d.id, ...d.data() }));
+        setEntries(current => (after ? [...current, ...page] : page));
+        setCursor(snapshot.docs[snapshot.docs.length - 1] || null);
+        setHasMore(snapshot.docs.length === AUDIT_PAGE_SIZE);
+    }, []);
+
+    useEffect(() => {
+        loadPage().catch(error => console.error("Error loading audit log:", error));
+    }, [loadPage]);
+
+    return (
+        <div className="bg-white rounded-lg shadow-md">
+            {entries.length === 0 && <p className="text-gray-500 p-4">No moderation actions yet.</p>}
+            {entries.map(entry => (
+                <div key={entry.id} className="p-4 border-b flex justify-between gap-4">
+                    <p className="text-sm text-gray-800">{describeAuditEntry(entry)}</p>
+                    <p className="text-xs text-gray-500 flex-shrink-0">{entry.adminName} &middot; {entry.createdAt?.toDate().toLocaleString()}</p>
+                </div>
+            ))}
+            {hasMore && <button onClick={() => loadPage(cursor)} className="w-full p-3 text-sm font-semibold text-blue-600 hover:bg-gray-100">Load More</button>}
+        </div>
+    );
+};
+
+const AccountRestrictedPage = () => {
+    const { userData } = useApp();
+    const suspended = getAccountStatus(userData) === 'suspended';
+    return (
+        <div className="max-w-2xl mx-auto py-24 px-4 text-center">
+            <h1 className="text-4xl font-extrabold text-gray-800 mb-4">{suspended ? 'Account Suspended' : 'Account Banned'}</h1>
+            <p className="text-xl text-gray-600 mb-4">{suspended ? `Your account is suspended until ${getSuspendedUntil(userData).toLocaleString()}.` : 'Your account has been banned from CampusGig.'}</p>
+            {userData.moderation.reason && <p className="text-gray-600 mb-8">Reason: {userData.moderation.reason}</p>}
+            <button onClick={() => signOut(auth)} className="bg-red-500 text-white px-6 py-3 rounded-md font-semibold hover:bg-red-600">Logout</button>
+        </div>
+    );
+};
+
+const NotFoundPage = () => {
+    const { navigate } = useApp();
+    return (
+        <div className="max-w-2xl mx-auto py-24 px-4 text-center">
+            <h1 className="text-6xl font-extrabold text-blue-600 mb-4">404</h1>
+            <p className="text-xl text-gray-600 mb-8">We couldn't find the page you were looking for.</p>
+            <button onClick={() => navigate('home')} className="bg-blue-600 text-white px-6 py-3 rounded-md font-semibold hover:bg-blue-700">Back to Home</button>
+        </div>
+    );
+};
+
+const AccessDeniedPage = () => {
+    const { navigate } = useApp();
+    return (
+        <div className="max-w-2xl mx-auto py-24 px-4 text-center">
+            <h1 className="text-4xl font-extrabold text-gray-800 mb-4">Access Denied</h1>
+            <p className="text-xl text-gray-600 mb-8">Your account doesn't have access to this page.</p>
+            <button onClick={() => navigate('home')} className="bg-blue-600 text-white px-6 py-3 rounded-md font-semibold hover:bg-blue-700">Back to Home</button>
+        </div>
+    );
+};
+
 const LoginPage = () => <AuthForm isLogin={true} />;
 const SignUpPage = () => <AuthForm isLogin={false} />;
 
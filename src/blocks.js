@@ -0,0 +1,15 @@
+// --- Blocking ---
+// A block is a private `blocks/{blockerId}_{blockedId}` doc. The blocker stops seeing the blocked user's gigs,
+// proposals and chat threads; the rules stop the blocked user from proposing to or messaging the blocker.
+
+export const getBlockId = (blockerId, blockedId) => `${blockerId}_${blockedId}`;
+
+export const buildBlock = (blockerId, blockedId, createdAt) => ({ blockerId, blockedId, createdAt });
+
+export const isBlocked = (blockedIds, userId) => Boolean(userId) && blockedIds.includes(userId);
+
+export const filterBlockedGigs = (gigs, blockedIds) => gigs.filter(gig => !isBlocked(blockedIds, gig.clientId));
+
+export const filterBlockedProposals = (proposals, blockedIds) => proposals.filter(proposal => !isBlocked(blockedIds, proposal.studentId));
+
+export const filterBlockedThreads = (threads, blockedIds, uid) => threads.filter(thread => !(thread.participants || []).some(id => id !== uid && isBlocked(blockedIds, id)));
@@ -0,0 +1,16 @@
+import { filterBlockedGigs, filterBlockedProposals, filterBlockedThreads, getBlockId, isBlocked } from './blocks';
+
+const blockedIds = ['spammer'];
+
+test('keys blocks by blocker and blocked user', () => {
+    expect(getBlockId('me', 'spammer')).toBe('me_spammer');
+    expect(isBlocked(blockedIds, 'spammer')).toBe(true);
+    expect(isBlocked(blockedIds, undefined)).toBe(false);
+});
+
+test("hides the blocked user's gigs, proposals and threads", () => {
+    expect(filterBlockedGigs([{ id: 'g1', clientId: 'spammer' }, { id: 'g2', clientId: 'c1' }], blockedIds).map(g => g.id)).toEqual(['g2']);
+    expect(filterBlockedProposals([{ id: 'p1', studentId: 'spammer' }, { id: 'p2', studentId: 's1' }], blockedIds).map(p => p.id)).toEqual(['p2']);
+    const threads = [{ id: 't1', participants: ['me', 'spammer'] }, { id: 't2', participants: ['me', 'c1'] }];
+    expect(filterBlockedThreads(threads, blockedIds, 'me').map(t => t.id)).toEqual(['t2']);
+});
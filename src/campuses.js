@@ -0,0 +1,39 @@
+// --- Campuses ---
+// Admins keep a `campuses` collection of { name, domains }. Students join a campus by confirming a sign-in email
+// on one of its domains (exact match, so list subdomains such as "alum.mit.edu" separately). Gigs carry a
+// `campusScope`: the campus ids they are restricted to, or [ALL_CAMPUSES] when anyone may apply.
+
+import { getEmailDomain } from './clients.js';
+
+export const ALL_CAMPUSES = 'all';
+
+// Accepts a comma/space separated string or a list, e.g. "@MIT.edu, alum.mit.edu".
+export const normalizeDomains = (domains = []) => {
+    const list = Array.isArray(domains) ? domains : domains.split(/[\s,]+/);
+    return [...new Set(list.map(domain => domain.trim().toLowerCase().replace(/^@/, '')).filter(Boolean))];
+};
+
+export const findCampusByEmail = (campuses, email) => {
+    const domain = getEmailDomain(email);
+    return (domain && campuses.find(campus => (campus.domains || []).includes(domain))) || null;
+};
+
+export const buildCampusMembership = (campus, email, verifiedAt) => ({ id: campus.id, name: campus.name, domain: getEmailDomain(email), verifiedAt });
+
+export const isVerifiedStudent = (userData) => userData?.role === 'student' && Boolean(userData.campus?.id);
+
+export const getCampusScope = (campusIds = []) => (campusIds.length > 0 ? [...new Set(campusIds)] : [ALL_CAMPUSES]);
+
+// Campus ids a gig is restricted to; empty when it is open to everyone (including gigs from before scoping).
+export const getRestrictedCampusIds = (gig) => (gig?.campusScope || []).filter(id => id !== ALL_CAMPUSES);
+
+export const isOpenToCampus = (gig, campusId) => {
+    const restricted = getRestrictedCampusIds(gig);
+    return restricted.length === 0 || restricted.includes(campusId);
+};
+
+export const describeCampusScope = (gig, campuses = []) => {
+    const restricted = getRestrictedCampusIds(gig);
+    if (restricted.length === 0) return 'All campuses';
+    return restricted.map(id => campuses.find(campus => campus.id === id)?.name || id).join(', ');
+};
@@ -0,0 +1,33 @@
+import { ALL_CAMPUSES, buildCampusMembership, describeCampusScope, findCampusByEmail, getCampusScope, isOpenToCampus, isVerifiedStudent, normalizeDomains } from './campuses';
+
+const campuses = [
+    { id: 'mit', name: 'MIT', domains: ['mit.edu', 'alum.mit.edu'] },
+    { id: 'bu', name: 'Boston University', domains: ['bu.edu'] },
+];
+
+test('normalizes campus email domains', () => {
+    expect(normalizeDomains('@MIT.edu, alum.mit.edu  mit.edu')).toEqual(['mit.edu', 'alum.mit.edu']);
+    expect(normalizeDomains(['BU.edu', ''])).toEqual(['bu.edu']);
+});
+
+test('matches a student email to its campus by exact domain', () => {
+    expect(findCampusByEmail(campuses, 'sam@Alum.MIT.edu')?.id).toBe('mit');
+    expect(findCampusByEmail(campuses, 'sam@cs.bu.edu')).toBeNull();
+    expect(findCampusByEmail(campuses, 'sam@gmail.com')).toBeNull();
+    const membership = buildCampusMembership(campuses[1], 'sam@bu.edu', new Date(0));
+    expect(membership).toEqual({ id: 'bu', name: 'Boston University', domain: 'bu.edu', verifiedAt: new Date(0) });
+    expect(isVerifiedStudent({ role: 'student', campus: membership })).toBe(true);
+    expect(isVerifiedStudent({ role: 'student' })).toBe(false);
+});
+
+test('scopes gigs to campuses', () => {
+    expect(getCampusScope([])).toEqual([ALL_CAMPUSES]);
+    const gig = { campusScope: getCampusScope(['mit', 'bu', 'mit']) };
+    expect(gig.campusScope).toEqual(['mit', 'bu']);
+    expect(isOpenToCampus(gig, 'bu')).toBe(true);
+    expect(isOpenToCampus(gig, 'harvard')).toBe(false);
+    expect(isOpenToCampus(gig, undefined)).toBe(false);
+    expect(isOpenToCampus({}, undefined)).toBe(true);
+    expect(describeCampusScope(gig, campuses)).toBe('MIT, Boston University');
+    expect(describeCampusScope({ campusScope: [ALL_CAMPUSES] }, campuses)).toBe('All campuses');
+});
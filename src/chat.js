@@ -0,0 +1,102 @@
+// --- Chat ---
+
+export const ATTACHMENT_MAX_BYTES = 10 * 1024 * 1024;
+export const ATTACHMENT_TYPES = [
+    'image/png', 'image/jpeg', 'image/gif', 'image/webp',
+    'application/pdf', 'text/plain', 'application/zip',
+    'application/msword', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+];
+export const TYPING_TIMEOUT_MS = 5000;
+export const PRESENCE_TIMEOUT_MS = 60 * 1000;
+
+const toMillis = (value) => (value?.toMillis ? value.toMillis() : value instanceof Date ? value.getTime() : 0);
+
+// Threads are keyed to a gig (client <-> accepted student) or to a proposal (pre-acceptance Q&A).
+export const THREAD_KIND = { GIG: 'gig', PROPOSAL: 'proposal' };
+
+export const getThreadId = ({ gigId, proposalId = null }) => (proposalId ? `proposal_${proposalId}` : `gig_${gigId}`);
+
+// The fields stored on the chat doc that identify the thread; the security rules check them against the gig or proposal.
+const threadFields = (kind, gig, studentId, proposalId = null) => ({
+    kind,
+    gigId: gig.id,
+    gigTitle: gig.title,
+    proposalId,
+    clientId: gig.clientId,
+    studentId,
+    participants: [gig.clientId, studentId],
+});
+
+export const buildGigThread = (gig) => ({ id: getThreadId({ gigId: gig.id }), ...threadFields(THREAD_KIND.GIG, gig, gig.acceptedStudentId) });
+
+export const buildProposalThread = (gig, proposal) => ({
+    id: getThreadId({ gigId: gig.id, proposalId: proposal.id }),
+    ...threadFields(THREAD_KIND.PROPOSAL, gig, proposal.studentId, proposal.id),
+});
+
+// Strips presence, unread and last-message state from a chat doc so it can be written back safely.
+export const toThread = (chat) => ({
+    id: chat.id,
+    kind: chat.kind,
+    gigId: chat.gigId,
+    gigTitle: chat.gigTitle,
+    proposalId: chat.proposalId || null,
+    clientId: chat.clientId,
+    studentId: chat.studentId,
+    participants: chat.participants,
+});
+
+export const describeThread = (thread) => (thread.kind === THREAD_KIND.PROPOSAL ? `Questions about "${thread.gigTitle}"` : `Chat for "${thread.gigTitle}"`);
+
+export const sortThreads = (chats) => [...chats].sort((a, b) => toMillis(b.lastMessageAt) - toMillis(a.lastMessageAt));
+
+// --- Legacy pair-keyed chats ---
+// Before threads, one chat per client/student pair lived at chats/{sorted uids joined with '_'}.
+
+export const getLegacyChatId = (clientId, studentId) => [clientId, studentId].sort().join('_');
+
+export const isLegacyChatId = (chatId) => !chatId.startsWith('gig_') && !chatId.startsWith('proposal_');
+
+// When the student was hired, from the gig's status history; falls back to the posting date.
+const getAcceptedAt = (gig) => toMillis(gig.statusHistory?.find(entry => entry.action === 'accept')?.at || gig.postedAt);
+
+// Splits a legacy conversation across the pair's gigs: each message goes to the latest gig accepted
+// at or before it was sent, and anything older than every gig goes to the first one.
+export const assignLegacyMessages = (messages, gigs) => {
+    const ordered = [...gigs].sort((a, b) => getAcceptedAt(a) - getAcceptedAt(b));
+    const assignments = {};
+    if (ordered.length === 0) return assignments;
+    messages.forEach(message => {
+        const sentAt = toMillis(message.createdAt);
+        const gig = [...ordered].reverse().find(candidate => getAcceptedAt(candidate) <= sentAt) || ordered[0];
+        const threadId = getThreadId({ gigId: gig.id });
+        (assignments[threadId] = assignments[threadId] || []).push(message);
+    });
+    return assignments;
+};
+
+export const validateAttachment = (file) => {
+    if (!file) return null;
+    if (!ATTACHMENT_TYPES.includes(file.type)) return 'Only images, PDFs, Word documents, text and zip files can be attached.';
+    if (file.size > ATTACHMENT_MAX_BYTES) return `Attachments must be smaller than ${formatFileSize(ATTACHMENT_MAX_BYTES)}.`;
+    return null;
+};
+
+export const isImageAttachment = (attachment) => attachment?.contentType?.startsWith('image/');
+
+export const formatFileSize = (bytes) => {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+    return `${Math.round((bytes / (1024 * 1024)) * 10) / 10} MB`;
+};
+
+export const getOtherParticipant = (chat, uid) => chat?.participants?.find(id => id !== uid) || null;
+
+export const getUnreadCount = (chat, uid) => chat?.unreadCounts?.[uid] || 0;
+
+export const isTyping = (chat, uid, now = Date.now()) => now - toMillis(chat?.typing?.[uid]) < TYPING_TIMEOUT_MS;
+
+export const isPresent = (chat, uid, now = Date.now()) => now - toMillis(chat?.activeAt?.[uid]) < PRESENCE_TIMEOUT_MS;
+
+// Only the first message a recipient misses while away triggers a notification.
+export const shouldNotifyRecipient = (chat, recipientId, now = Date.now()) => !isPresent(chat, recipientId, now) && getUnreadCount(chat, recipientId) === 0;
@@ -0,0 +1,46 @@
+import { assignLegacyMessages, buildGigThread, buildProposalThread, formatFileSize, getLegacyChatId, isLegacyChatId, isTyping, shouldNotifyRecipient, toThread, validateAttachment } from './chat';
+
+test('validates attachment type and size', () => {
+    expect(validateAttachment({ type: 'image/png', size: 2048 })).toBeNull();
+    expect(validateAttachment({ type: 'application/x-msdownload', size: 10 })).toMatch(/Only images/);
+    expect(validateAttachment({ type: 'application/pdf', size: 11 * 1024 * 1024 })).toMatch(/smaller than 10 MB/);
+    expect(formatFileSize(1536)).toBe('2 KB');
+});
+
+test('keys threads to the gig or the proposal', () => {
+    const gig = { id: 'g1', title: 'Logo', clientId: 'c1', acceptedStudentId: 's1' };
+    expect(buildGigThread(gig)).toMatchObject({ id: 'gig_g1', kind: 'gig', participants: ['c1', 's1'] });
+    expect(buildProposalThread(gig, { id: 'p9', studentId: 's2' })).toMatchObject({ id: 'proposal_p9', kind: 'proposal', studentId: 's2', participants: ['c1', 's2'] });
+    expect(toThread({ ...buildGigThread(gig), unreadCounts: { c1: 2 }, lastMessageText: 'Hi' })).toEqual(buildGigThread(gig));
+});
+
+test('splits legacy pair chats across the gigs they covered', () => {
+    expect(getLegacyChatId('zed', 'amy')).toBe('amy_zed');
+    expect(isLegacyChatId('amy_zed')).toBe(true);
+    expect(isLegacyChatId('gig_g1')).toBe(false);
+    const gigs = [
+        { id: 'g2', statusHistory: [{ action: 'accept', at: new Date(5000) }] },
+        { id: 'g1', postedAt: new Date(1000) },
+    ];
+    const messages = [{ text: 'early', createdAt: new Date(500) }, { text: 'first', createdAt: new Date(2000) }, { text: 'second', createdAt: new Date(6000) }];
+    expect(assignLegacyMessages(messages, gigs)).toEqual({
+        gig_g1: [messages[0], messages[1]],
+        gig_g2: [messages[2]],
+    });
+    expect(assignLegacyMessages(messages, [])).toEqual({});
+});
+
+test('typing indicators expire', () => {
+    const now = 100000;
+    const chat = { typing: { s1: new Date(now - 2000), c1: new Date(now - 9000) } };
+    expect(isTyping(chat, 's1', now)).toBe(true);
+    expect(isTyping(chat, 'c1', now)).toBe(false);
+    expect(isTyping(chat, 'nobody', now)).toBe(false);
+});
+
+test('notifies a recipient only for the first message missed while away', () => {
+    const now = 10 * 60 * 1000;
+    expect(shouldNotifyRecipient({ activeAt: { c1: new Date(now - 1000) } }, 'c1', now)).toBe(false);
+    expect(shouldNotifyRecipient({ activeAt: { c1: null } }, 'c1', now)).toBe(true);
+    expect(shouldNotifyRecipient({ activeAt: {}, unreadCounts: { c1: 2 } }, 'c1', now)).toBe(false);
+});
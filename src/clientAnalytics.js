@@ -0,0 +1,164 @@
+// --- Client Analytics ---
+// Per-gig and overall stats for a client's dashboard, built only from the gig docs and the client's payment
+// ledger. Submitting a proposal bumps running counters on the gig (see buildProposalStatsUpdate), so no proposal
+// is read to draw the dashboard. Withdrawals and bid edits move the bid stats with them (buildBidStatsChange).
+
+export const ANALYTICS_DAYS = 30;
+export const ANALYTICS_MONTHS = 6;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const toDate = (value) => {
+    if (!value) return null;
+    if (typeof value.toDate === 'function') return value.toDate();
+    return value instanceof Date ? value : new Date(value);
+};
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// Local calendar day / month keys; they double as Firestore map keys, so they must not contain dots.
+export const toDayKey = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+export const toMonthKey = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}`;
+
+// The counters a new proposal adds to its gig, as { field path: amount to increment by } plus the proposal's id
+// (the security rules check the bump against it) and, for the gig's first proposal, when it arrived. Bids are
+// bucketed by whole dollars so a median can be taken without the proposals.
+export const buildProposalStatsUpdate = (gig, bidAmount, submittedAt, proposalId) => ({
+    increments: {
+        proposalCount: 1,
+        bidTotal: Number(bidAmount),
+        [`bidCounts.${Math.round(Number(bidAmount))}`]: 1,
+        [`proposalsByDay.${toDayKey(submittedAt)}`]: 1,
+    },
+    fields: { lastProposalId: proposalId, ...(gig.firstProposalAt ? {} : { firstProposalAt: submittedAt }) },
+});
+
+const toBidKey = (bid) => Math.round(Number(bid));
+
+// The bid counters to increment when a pending proposal is withdrawn (newBid null) or its bid edited. Bids a gig
+// never counted, from before the counters, change nothing.
+export const buildBidStatsChange = (gig, oldBid, newBid) => {
+    const oldKey = toBidKey(oldBid);
+    if (!((gig.bidCounts || {})[oldKey] > 0)) return {};
+    if (newBid === null) return { bidTotal: -Number(oldBid), [`bidCounts.${oldKey}`]: -1 };
+    const newKey = toBidKey(newBid);
+    return { bidTotal: Number(newBid) - Number(oldBid), ...(newKey === oldKey ? {} : { [`bidCounts.${oldKey}`]: -1, [`bidCounts.${newKey}`]: 1 }) };
+};
+
+export const medianFromCounts = (counts = {}) => {
+    const values = Object.entries(counts).map(([bid, count]) => [Number(bid), count]).filter(([, count]) => count > 0).sort((a, b) => a[0] - b[0]);
+    const total = values.reduce((sum, [, count]) => sum + count, 0);
+    if (total === 0) return null;
+    const valueAt = (index) => {
+        let seen = 0;
+        for (const [bid, count] of values) {
+            seen += count;
+            if (index < seen) return bid;
+        }
+        return null;
+    };
+    return total % 2 === 1 ? valueAt((total - 1) / 2) : (valueAt(total / 2 - 1) + valueAt(total / 2)) / 2;
+};
+
+const mergeCounts = (maps) => {
+    const merged = {};
+    maps.forEach(map => Object.entries(map || {}).forEach(([key, count]) => { merged[key] = (merged[key] || 0) + count; }));
+    return merged;
+};
+
+const hoursBetween = (from, to) => (from && to ? Math.max(0, (to - from) / HOUR_MS) : null);
+
+const getHiredAt = (gig) => toDate(gig.statusHistory?.find(entry => entry.action === 'accept')?.at);
+
+const average = (values) => {
+    const present = values.filter(value => value !== null);
+    return present.length > 0 ? present.reduce((sum, value) => sum + value, 0) / present.length : null;
+};
+
+// Gigs posted before the counters existed only have proposalCount, so their bid stats are empty.
+export const summarizeGig = (gig) => {
+    const bids = Object.values(gig.bidCounts || {}).reduce((sum, count) => sum + count, 0);
+    const averageBid = bids > 0 ? gig.bidTotal / bids : null;
+    return {
+        id: gig.id,
+        title: gig.title,
+        status: gig.status,
+        budget: gig.budget,
+        views: gig.viewCount || 0,
+        proposals: gig.proposalCount || 0,
+        averageBid,
+        medianBid: medianFromCounts(gig.bidCounts),
+        bidToBudget: averageBid !== null && gig.budget > 0 ? averageBid / gig.budget : null,
+        hoursToFirstProposal: hoursBetween(toDate(gig.postedAt), toDate(gig.firstProposalAt)),
+        hoursToHire: hoursBetween(toDate(gig.postedAt), getHiredAt(gig)),
+    };
+};
+
+export const summarizeGigs = (gigs) => {
+    const summaries = gigs.map(summarizeGig);
+    const bidTotal = gigs.reduce((sum, gig) => sum + (gig.bidTotal || 0), 0);
+    const bidCounts = mergeCounts(gigs.map(gig => gig.bidCounts));
+    const bids = Object.values(bidCounts).reduce((sum, count) => sum + count, 0);
+    const budgets = summaries.filter(s => s.averageBid !== null && s.budget > 0);
+    return {
+        gigs: summaries.length,
+        views: summaries.reduce((sum, s) => sum + s.views, 0),
+        proposals: summaries.reduce((sum, s) => sum + s.proposals, 0),
+        averageBid: bids > 0 ? bidTotal / bids : null,
+        medianBid: medianFromCounts(bidCounts),
+        averageBudget: budgets.length > 0 ? budgets.reduce((sum, s) => sum + s.budget, 0) / budgets.length : null,
+        hoursToFirstProposal: average(summaries.map(s => s.hoursToFirstProposal)),
+        hoursToHire: average(summaries.map(s => s.hoursToHire)),
+    };
+};
+
+// Proposals received per day over the last `days` days, oldest first, zero-filled.
+export const getProposalsOverTime = (gigs, days = ANALYTICS_DAYS, now = new Date()) => {
+    const merged = mergeCounts(gigs.map(gig => gig.proposalsByDay));
+    return Array.from({ length: days }, (_, i) => {
+        const date = new Date(now.getFullYear(), now.getMonth(), now.getDate() - (days - 1 - i));
+        const key = toDayKey(date);
+        return { key, count: merged[key] || 0 };
+    });
+};
+
+// Sums { date, amount } entries per month over the last `months` months, oldest first, zero-filled.
+export const sumByMonth = (entries, months = ANALYTICS_MONTHS, now = new Date()) => {
+    const totals = {};
+    entries.forEach(({ date, amount }) => {
+        const key = toMonthKey(toDate(date));
+        totals[key] = Math.round(((totals[key] || 0) + Number(amount)) * 100) / 100;
+    });
+    return Array.from({ length: months }, (_, i) => {
+        const key = toMonthKey(new Date(now.getFullYear(), now.getMonth() - (months - 1 - i), 1));
+        return { key, amount: totals[key] || 0 };
+    });
+};
+
+// Money released to students per month.
+export const getSpendByMonth = (payments, months = ANALYTICS_MONTHS, now = new Date()) =>
+    sumByMonth(payments.filter(p => p.type === 'release').map(p => ({ date: p.createdAt, amount: p.amount })), months, now);
+
+export const formatHours = (hours) => {
+    if (hours === null || hours === undefined) return '—';
+    if (hours < 1) return '<1 hr';
+    if (hours < 48) return `${Math.round(hours)} hr${Math.round(hours) === 1 ? '' : 's'}`;
+    return `${Math.round(hours / 24)} days`;
+};
+
+const CSV_COLUMNS = [
+    ['title', 'Gig'], ['status', 'Status'], ['budget', 'Budget'], ['views', 'Views'], ['proposals', 'Proposals'],
+    ['averageBid', 'Average bid'], ['medianBid', 'Median bid'], ['hoursToFirstProposal', 'Hours to first proposal'], ['hoursToHire', 'Hours to hire'],
+];
+
+// Text starting with =, +, -, @ (or a tab or CR) would run as a formula in a spreadsheet, so it gets a leading '.
+const csvCell = (value) => {
+    if (value === null || value === undefined) return '';
+    const text = typeof value === 'number' ? String(Math.round(value * 100) / 100) : String(value).replace(/^[=+\-@\t\r]/, "'$&");
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toAnalyticsCsv = (summaries) => [
+    CSV_COLUMNS.map(([, label]) => label).join(','),
+    ...summaries.map(summary => CSV_COLUMNS.map(([key]) => csvCell(summary[key])).join(',')),
+].join('\n');
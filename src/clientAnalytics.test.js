@@ -0,0 +1,70 @@
+import { buildBidStatsChange, buildProposalStatsUpdate, formatHours, getProposalsOverTime, getSpendByMonth, medianFromCounts, summarizeGig, summarizeGigs, toAnalyticsCsv } from './clientAnalytics';
+
+const postedAt = new Date('2024-05-01T09:00:00');
+const gig = {
+    id: 'g1', title: 'Logo, v2', status: 'in-progress', budget: 100, postedAt, viewCount: 40, proposalCount: 3,
+    bidTotal: 270, bidCounts: { 80: 1, 90: 1, 100: 1 }, proposalsByDay: { '2024-05-01': 2, '2024-05-03': 1 },
+    firstProposalAt: new Date('2024-05-01T12:00:00'),
+    statusHistory: [{ action: 'accept', at: { toDate: () => new Date('2024-05-03T09:00:00') } }],
+};
+
+test('a proposal bumps the gig counters, recording the first one', () => {
+    const submittedAt = new Date('2024-05-02T10:00:00');
+    expect(buildProposalStatsUpdate({}, '85.4', submittedAt, 'p1')).toEqual({
+        increments: { proposalCount: 1, bidTotal: 85.4, 'bidCounts.85': 1, 'proposalsByDay.2024-05-02': 1 },
+        fields: { lastProposalId: 'p1', firstProposalAt: submittedAt },
+    });
+    expect(buildProposalStatsUpdate(gig, 90, submittedAt, 'p2').fields).toEqual({ lastProposalId: 'p2' });
+});
+
+test('withdrawn and edited bids move the bid counters', () => {
+    const counted = { bidTotal: 170, bidCounts: { 80: 1, 90: 1 } };
+    expect(buildBidStatsChange(counted, 90, null)).toEqual({ bidTotal: -90, 'bidCounts.90': -1 });
+    expect(buildBidStatsChange(counted, 90, 120)).toEqual({ bidTotal: 30, 'bidCounts.90': -1, 'bidCounts.120': 1 });
+    expect(buildBidStatsChange(counted, 90, 90.2)).toEqual({ bidTotal: 90.2 - 90 });
+    expect(buildBidStatsChange({ proposalCount: 2 }, 90, null)).toEqual({});
+});
+
+test('takes medians from bid counts', () => {
+    expect(medianFromCounts({ 80: 1, 90: 1, 100: 1 })).toBe(90);
+    expect(medianFromCounts({ 80: 2, 100: 2 })).toBe(90);
+    expect(medianFromCounts({ 100: 3, 5: 1 })).toBe(100);
+    expect(medianFromCounts({})).toBeNull();
+});
+
+test('summarizes gigs individually and together', () => {
+    expect(summarizeGig(gig)).toMatchObject({ views: 40, proposals: 3, averageBid: 90, medianBid: 90, bidToBudget: 0.9, hoursToFirstProposal: 3, hoursToHire: 48 });
+    expect(summarizeGig({ id: 'old', title: 'Old', budget: 50, proposalCount: 2 })).toMatchObject({ views: 0, proposals: 2, averageBid: null, hoursToHire: null });
+
+    const other = { id: 'g2', title: 'Poster', status: 'open', budget: 50, postedAt, bidTotal: 40, bidCounts: { 40: 1 }, proposalCount: 1 };
+    expect(summarizeGigs([gig, other])).toMatchObject({ gigs: 2, views: 40, proposals: 4, averageBid: 77.5, medianBid: 85, averageBudget: 75, hoursToFirstProposal: 3, hoursToHire: 48 });
+});
+
+test('buckets proposals by day and released payments by month', () => {
+    const now = new Date('2024-05-03T18:00:00');
+    expect(getProposalsOverTime([gig], 3, now)).toEqual([{ key: '2024-05-01', count: 2 }, { key: '2024-05-02', count: 0 }, { key: '2024-05-03', count: 1 }]);
+    const payments = [
+        { type: 'fund', amount: 100, createdAt: new Date('2024-04-10') },
+        { type: 'release', amount: 60.1, createdAt: new Date('2024-04-20') },
+        { type: 'release', amount: 40.2, createdAt: new Date('2024-04-28') },
+        { type: 'release', amount: 10, createdAt: new Date('2024-05-02') },
+    ];
+    expect(getSpendByMonth(payments, 3, now)).toEqual([{ key: '2024-03', amount: 0 }, { key: '2024-04', amount: 100.3 }, { key: '2024-05', amount: 10 }]);
+});
+
+test('formats durations and exports CSV', () => {
+    expect(formatHours(null)).toBe('—');
+    expect(formatHours(0.5)).toBe('<1 hr');
+    expect(formatHours(1)).toBe('1 hr');
+    expect(formatHours(72)).toBe('3 days');
+    const csv = toAnalyticsCsv([summarizeGig(gig)]).split('\n');
+    expect(csv[0]).toBe('Gig,Status,Budget,Views,Proposals,Average bid,Median bid,Hours to first proposal,Hours to hire');
+    expect(csv[1]).toBe('"Logo, v2",in-progress,100,40,3,90,90,3,48');
+});
+
+test('neutralizes gig titles that a spreadsheet would run as formulas', () => {
+    const titles = ['=HYPERLINK("http://evil.example","x")', '+1', '-2', '@SUM(A1)', 'Plain'];
+    const rows = toAnalyticsCsv(titles.map(title => ({ title, averageBid: -5 }))).split('\n').slice(1);
+    expect(rows.map(row => row.split(',')[0])).toEqual(['"\'=HYPERLINK(""http://evil.example""', "'+1", "'-2", "'@SUM(A1)", 'Plain']);
+    expect(rows[1].split(',')[5]).toBe('-5');
+});
@@ -0,0 +1,43 @@
+// --- Clients ---
+// Hiring history stats for public client profiles, and organization-domain verification. A client is verified
+// once their sign-in email is confirmed and sits on their organization's own domain (not a webmail provider).
+// FREE_EMAIL_DOMAINS is mirrored in firestore.rules.
+
+export const FREE_EMAIL_DOMAINS = [
+    'gmail.com', 'googlemail.com', 'yahoo.com', 'outlook.com', 'hotmail.com', 'live.com', 'msn.com',
+    'icloud.com', 'me.com', 'aol.com', 'proton.me', 'protonmail.com', 'gmx.com', 'mail.com', 'yandex.com',
+];
+
+export const VERIFICATION_STATUS = { VERIFIED: 'verified' };
+
+export const getEmailDomain = (email = '') => email.split('@')[1]?.trim().toLowerCase() || '';
+
+// Why this email can't verify an organization, or null if it can.
+export const getVerificationError = (email) => {
+    const domain = getEmailDomain(email);
+    if (!domain) return 'Your account needs an email address to verify your organization.';
+    if (FREE_EMAIL_DOMAINS.includes(domain)) return `${domain} is a personal email provider. Sign in with your organization's email address to get verified.`;
+    return null;
+};
+
+export const buildVerification = (email, verifiedAt) => ({ status: VERIFICATION_STATUS.VERIFIED, domain: getEmailDomain(email), verifiedAt });
+
+export const isVerifiedClient = (userData) => userData?.verification?.status === VERIFICATION_STATUS.VERIFIED;
+
+const HIRED_STATUSES = ['in-progress', 'submitted', 'completed', 'disputed'];
+
+// hireRate: share of gigs no longer open that ended up with a hire; averagePayout: mean agreed price of completed gigs.
+export const summarizeClientHistory = (gigs = []) => {
+    const decided = gigs.filter(gig => gig.status !== 'open');
+    const hired = decided.filter(gig => HIRED_STATUSES.includes(gig.status) || (gig.status === 'cancelled' && gig.acceptedStudentId));
+    const completed = gigs.filter(gig => gig.status === 'completed');
+    const payouts = completed.map(gig => Number(gig.finalBid ?? gig.budget)).filter(amount => amount > 0);
+    return {
+        posted: gigs.length,
+        open: gigs.length - decided.length,
+        hired: hired.length,
+        completed: completed.length,
+        hireRate: decided.length > 0 ? hired.length / decided.length : null,
+        averagePayout: payouts.length > 0 ? payouts.reduce((sum, amount) => sum + amount, 0) / payouts.length : null,
+    };
+};
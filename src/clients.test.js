@@ -0,0 +1,27 @@
+import { buildVerification, getEmailDomain, getVerificationError, isVerifiedClient, summarizeClientHistory } from './clients';
+
+test('only organizational email domains can be verified', () => {
+    expect(getEmailDomain('Jane@Robotics.Example.edu')).toBe('robotics.example.edu');
+    expect(getVerificationError('jane@robotics.example.edu')).toBeNull();
+    expect(getVerificationError('jane@gmail.com')).toMatch(/personal email provider/);
+    expect(getVerificationError('')).toMatch(/needs an email/);
+});
+
+test('recognizes verified clients', () => {
+    const verification = buildVerification('jane@acme.org', new Date(0));
+    expect(verification).toEqual({ status: 'verified', domain: 'acme.org', verifiedAt: new Date(0) });
+    expect(isVerifiedClient({ verification })).toBe(true);
+    expect(isVerifiedClient({})).toBe(false);
+});
+
+test('summarizes hiring history', () => {
+    const summary = summarizeClientHistory([
+        { status: 'open', budget: 100 },
+        { status: 'completed', budget: 100, finalBid: 80 },
+        { status: 'completed', budget: 200 },
+        { status: 'in-progress', budget: 50 },
+        { status: 'cancelled', budget: 70 },
+    ]);
+    expect(summary).toEqual({ posted: 5, open: 1, hired: 3, completed: 2, hireRate: 0.75, averagePayout: 140 });
+    expect(summarizeClientHistory([])).toMatchObject({ hireRate: null, averagePayout: null });
+});
@@ -0,0 +1,65 @@
+// --- Matching Gig Alerts ---
+// When a gig is posted, students whose profile skills overlap it get a "matching gig" notification, sent by
+// scripts/send-gig-alerts.mjs. Students choose how many skills must match; everyone gets at most
+// GIG_ALERT_DAILY_LIMIT alerts a day.
+
+import { isOpenToCampus } from './campuses.js';
+import { NOTIFICATION_CATEGORIES, getNotificationPrefs } from './notifications.js';
+import { getSkillOverlap } from './proposals.js';
+import { normalizeSkill } from './skills.js';
+
+export const DEFAULT_MATCH_THRESHOLD = 1;
+export const MATCH_THRESHOLD_OPTIONS = [1, 2, 3, 4, 5];
+export const GIG_ALERT_DAILY_LIMIT = 5;
+export const GIG_ALERT_WINDOW_MS = 24 * 60 * 60 * 1000;
+// Firestore caps array-contains-any at 30 values.
+export const MAX_ALERT_QUERY_SKILLS = 30;
+
+const toMillis = (value) => (value?.toMillis ? value.toMillis() : value instanceof Date ? value.getTime() : Number(value) || 0);
+
+export const getMatchThreshold = (userData) => {
+    const threshold = Number(userData?.notificationPrefs?.gigMatchThreshold);
+    return MATCH_THRESHOLD_OPTIONS.includes(threshold) ? threshold : DEFAULT_MATCH_THRESHOLD;
+};
+
+// Canonical names first, then skills as typed and lowercased for profiles saved before the catalogue,
+// since the user query matches skills exactly.
+export const getAlertQuerySkills = (gigSkills = []) => [...new Set([
+    ...gigSkills.map(normalizeSkill),
+    ...gigSkills.flatMap(skill => [skill.trim(), skill.trim().toLowerCase()]),
+])].filter(Boolean).slice(0, MAX_ALERT_QUERY_SKILLS);
+
+// Alert timestamps still inside the rate-limit window.
+export const getRecentAlerts = (userData, now = Date.now()) => (userData?.gigAlertLog || []).filter(sentAt => now - toMillis(sentAt) < GIG_ALERT_WINDOW_MS);
+
+export const isAlertRateLimited = (userData, now = Date.now()) => getRecentAlerts(userData, now).length >= GIG_ALERT_DAILY_LIMIT;
+
+// students: [{ id, ...userData }]. Returns [{ student, matched }] for everyone who should be alerted.
+export const selectAlertRecipients = (gig, students, now = Date.now()) => students
+    .filter(student => student.id !== gig.clientId && student.role === 'student')
+    .filter(student => isOpenToCampus(gig, student.campus?.id))
+    .filter(student => getNotificationPrefs(student).categories[NOTIFICATION_CATEGORIES.GIG_MATCHES].inApp)
+    .filter(student => !isAlertRateLimited(student, now))
+    .map(student => ({ student, matched: getSkillOverlap(student.skills, gig.skills).matched }))
+    .filter(({ student, matched }) => matched.length >= getMatchThreshold(student));
+
+export const describeGigAlert = (gig, matched) => ({
+    title: 'New Gig Matches Your Skills',
+    message: `"${gig.title}" needs ${matched.join(', ')}.`,
+});
+
+// Plans one alert run over newly posted gigs, oldest first. An alert for one gig counts against the student's
+// daily limit for the next, so `logs` holds each alerted student's updated gigAlertLog.
+// candidatesByGig: { [gigId]: [{ id, ...userData }] }.
+export const planGigAlerts = (gigs, candidatesByGig, now = Date.now()) => {
+    const logs = {};
+    const alerts = [];
+    [...gigs].sort((a, b) => toMillis(a.postedAt) - toMillis(b.postedAt)).forEach(gig => {
+        const candidates = (candidatesByGig[gig.id] || []).map(student => (logs[student.id] ? { ...student, gigAlertLog: logs[student.id] } : student));
+        selectAlertRecipients(gig, candidates, now).forEach(({ student, matched }) => {
+            logs[student.id] = [...getRecentAlerts(student, now), new Date(now)];
+            alerts.push({ gig, student, matched });
+        });
+    });
+    return { alerts, logs };
+};
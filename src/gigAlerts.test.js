@@ -0,0 +1,53 @@
+import { GIG_ALERT_DAILY_LIMIT, GIG_ALERT_WINDOW_MS, getAlertQuerySkills, getMatchThreshold, getRecentAlerts, planGigAlerts, selectAlertRecipients } from './gigAlerts';
+
+const now = 10 * GIG_ALERT_WINDOW_MS;
+const gig = { id: 'g1', clientId: 'c1', title: 'Landing page', skills: ['React', 'CSS', 'Figma'] };
+
+test('queries canonical skills, then skills as typed and lowercased', () => {
+    expect(getAlertQuerySkills([' reactjs ', 'css'])).toEqual(['React', 'CSS', 'reactjs', 'css']);
+});
+
+test('reads the match threshold from the student preferences', () => {
+    expect(getMatchThreshold({})).toBe(1);
+    expect(getMatchThreshold({ notificationPrefs: { gigMatchThreshold: 3 } })).toBe(3);
+    expect(getMatchThreshold({ notificationPrefs: { gigMatchThreshold: 99 } })).toBe(1);
+});
+
+test('alerts students who meet their threshold and are under the daily limit', () => {
+    const students = [
+        { id: 's1', role: 'student', skills: ['react'] },
+        { id: 's2', role: 'student', skills: ['React'], notificationPrefs: { gigMatchThreshold: 2 } },
+        { id: 's3', role: 'student', skills: ['React', 'css'], notificationPrefs: { gigMatchThreshold: 2 } },
+        { id: 's4', role: 'student', skills: ['Figma'], gigAlertLog: Array(GIG_ALERT_DAILY_LIMIT).fill(new Date(now - 1000)) },
+        { id: 's5', role: 'student', skills: ['Figma'], notificationPrefs: { categories: { gigMatches: { inApp: false } } } },
+        { id: 'c1', role: 'student', skills: ['React'] },
+    ];
+    const recipients = selectAlertRecipients(gig, students, now);
+    expect(recipients.map(({ student, matched }) => [student.id, matched])).toEqual([
+        ['s1', ['React']],
+        ['s3', ['React', 'CSS']],
+    ]);
+});
+
+test('old alerts fall out of the rate-limit window', () => {
+    const student = { gigAlertLog: [new Date(now - GIG_ALERT_WINDOW_MS - 1), new Date(now - 1000)] };
+    expect(getRecentAlerts(student, now)).toHaveLength(1);
+});
+
+test('only alerts students at the campuses a gig is restricted to', () => {
+    const students = [
+        { id: 's1', role: 'student', skills: ['React'], campus: { id: 'mit' } },
+        { id: 's2', role: 'student', skills: ['React'], campus: { id: 'bu' } },
+        { id: 's3', role: 'student', skills: ['React'] },
+    ];
+    const recipients = selectAlertRecipients({ ...gig, campusScope: ['mit'] }, students, now);
+    expect(recipients.map(({ student }) => student.id)).toEqual(['s1']);
+});
+
+test('alerts from earlier gigs in a run count against the daily limit', () => {
+    const student = { id: 's1', role: 'student', skills: ['React'], gigAlertLog: Array(GIG_ALERT_DAILY_LIMIT - 1).fill(new Date(now - 1000)) };
+    const gigs = [{ ...gig, id: 'g2', postedAt: new Date(now - 10) }, { ...gig, id: 'g1', postedAt: new Date(now - 20) }];
+    const { alerts, logs } = planGigAlerts(gigs, { g1: [student], g2: [student] }, now);
+    expect(alerts.map(alert => alert.gig.id)).toEqual(['g1']);
+    expect(logs.s1).toHaveLength(GIG_ALERT_DAILY_LIMIT);
+});
@@ -0,0 +1,84 @@
+// --- Gig Expiry ---
+// Open gigs close on their own so abandoned ones leave search. A gig expires at its `applicationDeadline` if the
+// client set one, otherwise after a stretch of client inactivity (posting, editing, extending or reopening).
+// scripts/expire-gigs.mjs applies planExpiryRun once a day; clients are reminded shortly before expiry, and no gig
+// is closed until EXPIRY_REMINDER_DAYS after its reminder, so gigs that were already overdue (say, legacy gigs from
+// before expiry) get the reminder first.
+
+export const GIG_INACTIVITY_DAYS = 30;
+export const EXPIRY_REMINDER_DAYS = 3;
+export const EXTENSION_DAYS = 14;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toDate = (value) => {
+    if (!value) return null;
+    if (typeof value.toDate === 'function') return value.toDate();
+    return value instanceof Date ? value : new Date(value);
+};
+
+export const getLastActivity = (gig) => {
+    const dates = [toDate(gig.postedAt), toDate(gig.lastActivityAt)].filter(Boolean);
+    return dates.length > 0 ? new Date(Math.max(...dates)) : null;
+};
+
+// An explicit deadline stands (the rules refuse proposals after it). Inactivity expiry is held off until
+// reminderDays after the reminder.
+export const getExpiresAt = (gig, { inactivityDays = GIG_INACTIVITY_DAYS, reminderDays = EXPIRY_REMINDER_DAYS } = {}) => {
+    const deadline = toDate(gig.applicationDeadline);
+    if (deadline) return deadline;
+    const lastActivity = getLastActivity(gig);
+    if (!lastActivity) return null;
+    const reminderSentAt = toDate(gig.expiryReminderSentAt);
+    const dates = [lastActivity.getTime() + inactivityDays * DAY_MS, reminderSentAt && reminderSentAt.getTime() + reminderDays * DAY_MS];
+    return new Date(Math.max(...dates.filter(Boolean)));
+};
+
+const isGraceOver = (gig, now, { reminderDays = EXPIRY_REMINDER_DAYS } = {}) => {
+    const reminderSentAt = toDate(gig.expiryReminderSentAt);
+    return Boolean(reminderSentAt) && now - reminderSentAt >= reminderDays * DAY_MS;
+};
+
+export const isPastExpiry = (gig, now = new Date(), options) => {
+    const expiresAt = getExpiresAt(gig, options);
+    return gig.status === 'open' && Boolean(expiresAt) && expiresAt <= now;
+};
+
+// Open, not yet expired, inside the reminder window and not reminded since the last extension.
+export const isExpiringSoon = (gig, now = new Date(), { reminderDays = EXPIRY_REMINDER_DAYS, ...options } = {}) => {
+    const expiresAt = getExpiresAt(gig, options);
+    return gig.status === 'open' && Boolean(expiresAt) && expiresAt > now && expiresAt - now <= reminderDays * DAY_MS;
+};
+
+// Overdue gigs that were never reminded are reminded rather than expired; they expire on a later run.
+export const planExpiryRun = (gigs, now = new Date(), options = {}) => ({
+    expire: gigs.filter(gig => isPastExpiry(gig, now, options) && isGraceOver(gig, now, options)),
+    remind: gigs.filter(gig => (isExpiringSoon(gig, now, options) || isPastExpiry(gig, now, options)) && !gig.expiryReminderSentAt),
+});
+
+// Pushes the deadline EXTENSION_DAYS past the current expiry (or past now, if that has already gone by).
+export const buildExtension = (gig, now = new Date(), options) => {
+    const expiresAt = getExpiresAt(gig, options);
+    const from = expiresAt && expiresAt > now ? expiresAt : now;
+    return { applicationDeadline: new Date(from.getTime() + EXTENSION_DAYS * DAY_MS), lastActivityAt: now, expiryReminderSentAt: null };
+};
+
+export const buildExpiryUpdates = (now = new Date()) => ({ status: 'expired', expiredAt: now });
+
+// Appended to the gig's statusHistory; `by: 'system'` marks transitions made by scheduled jobs.
+export const buildExpiryHistoryEntry = (gig, now = new Date()) => ({ from: gig.status, to: 'expired', action: 'expire', by: 'system', at: now });
+
+export const describeExpiryReminder = (gig, expiresAt) => ({
+    title: 'Gig Expiring Soon',
+    message: `"${gig.title}" stops accepting proposals on ${expiresAt.toLocaleDateString()}. Extend it from the gig page to keep it open.`,
+});
+
+export const describeGigExpired = (gig) => ({
+    title: 'Gig Expired',
+    message: `"${gig.title}" has expired and no longer appears in search. You can reopen it from the gig page.`,
+});
+
+export const describeProposalExpired = (gig) => ({
+    title: 'Proposal Expired',
+    message: `"${gig.title}" closed without a hire, so your proposal has expired.`,
+});
@@ -0,0 +1,57 @@
+import { EXPIRY_REMINDER_DAYS, buildExpiryHistoryEntry, buildExtension, getExpiresAt, isExpiringSoon, isPastExpiry, planExpiryRun } from './gigExpiry';
+
+const DAY = 24 * 60 * 60 * 1000;
+const now = new Date('2024-06-01T12:00:00Z');
+const daysFromNow = (days) => new Date(now.getTime() + days * DAY);
+
+test('gigs expire at their application deadline, or after a stretch of client inactivity', () => {
+    expect(getExpiresAt({ applicationDeadline: daysFromNow(2), postedAt: daysFromNow(-90) })).toEqual(daysFromNow(2));
+    expect(getExpiresAt({ postedAt: daysFromNow(-10) })).toEqual(daysFromNow(20));
+    expect(getExpiresAt({ postedAt: daysFromNow(-40), lastActivityAt: { toDate: () => daysFromNow(-5) } })).toEqual(daysFromNow(25));
+    expect(getExpiresAt({ postedAt: daysFromNow(-10) }, { inactivityDays: 7 })).toEqual(daysFromNow(-3));
+    expect(getExpiresAt({})).toBeNull();
+});
+
+test('inactivity expiry waits out the grace period after the reminder', () => {
+    expect(getExpiresAt({ postedAt: daysFromNow(-400), expiryReminderSentAt: daysFromNow(-1) })).toEqual(daysFromNow(EXPIRY_REMINDER_DAYS - 1));
+    expect(getExpiresAt({ postedAt: daysFromNow(-28), expiryReminderSentAt: daysFromNow(-1) })).toEqual(daysFromNow(2));
+    expect(getExpiresAt({ applicationDeadline: daysFromNow(-1), expiryReminderSentAt: daysFromNow(-1) })).toEqual(daysFromNow(-1));
+});
+
+test('only open gigs expire or get reminders', () => {
+    const stale = { status: 'open', postedAt: daysFromNow(-31) };
+    expect(isPastExpiry(stale, now)).toBe(true);
+    expect(isPastExpiry({ ...stale, status: 'in-progress' }, now)).toBe(false);
+    const soon = { status: 'open', applicationDeadline: daysFromNow(EXPIRY_REMINDER_DAYS - 1) };
+    expect(isExpiringSoon(soon, now)).toBe(true);
+    expect(isExpiringSoon({ ...soon, applicationDeadline: daysFromNow(EXPIRY_REMINDER_DAYS + 1) }, now)).toBe(false);
+    expect(isExpiringSoon(stale, now)).toBe(false);
+});
+
+test('plans a run, skipping gigs that were already reminded', () => {
+    const gigs = [
+        { id: 'stale', status: 'open', postedAt: daysFromNow(-31), expiryReminderSentAt: daysFromNow(-EXPIRY_REMINDER_DAYS) },
+        { id: 'soon', status: 'open', applicationDeadline: daysFromNow(1) },
+        { id: 'reminded', status: 'open', applicationDeadline: daysFromNow(1), expiryReminderSentAt: daysFromNow(-1) },
+        { id: 'fresh', status: 'open', postedAt: now },
+    ];
+    const { expire, remind } = planExpiryRun(gigs, now);
+    expect(expire.map(g => g.id)).toEqual(['stale']);
+    expect(remind.map(g => g.id)).toEqual(['soon']);
+});
+
+test('overdue gigs are reminded before they expire', () => {
+    const legacy = { id: 'legacy', status: 'open', postedAt: daysFromNow(-400) };
+    const lateDeadline = { id: 'late', status: 'open', applicationDeadline: daysFromNow(-1), expiryReminderSentAt: daysFromNow(-1) };
+    expect(planExpiryRun([legacy, lateDeadline], now)).toEqual({ expire: [], remind: [legacy] });
+    const reminded = { ...legacy, expiryReminderSentAt: now };
+    expect(planExpiryRun([reminded], daysFromNow(EXPIRY_REMINDER_DAYS - 1))).toEqual({ expire: [], remind: [] });
+    expect(planExpiryRun([reminded], daysFromNow(EXPIRY_REMINDER_DAYS)).expire).toEqual([reminded]);
+    expect(planExpiryRun([lateDeadline], daysFromNow(EXPIRY_REMINDER_DAYS - 1)).expire).toEqual([lateDeadline]);
+});
+
+test('extending pushes the deadline out and re-arms the reminder', () => {
+    expect(buildExtension({ applicationDeadline: daysFromNow(2) }, now)).toEqual({ applicationDeadline: daysFromNow(16), lastActivityAt: now, expiryReminderSentAt: null });
+    expect(buildExtension({ postedAt: daysFromNow(-40) }, now).applicationDeadline).toEqual(daysFromNow(14));
+    expect(buildExpiryHistoryEntry({ status: 'open' }, now)).toEqual({ from: 'open', to: 'expired', action: 'expire', by: 'system', at: now });
+});
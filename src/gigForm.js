@@ -0,0 +1,149 @@
+// --- Gig form ---
+// Shared by PostGigPage, EditGigModal, drafts and templates. The form holds input-friendly values (strings, a
+// 'YYYY-MM-DD' deadline); buildGigFields turns it into what is stored on the gig. Hourly gigs also store their
+// estimated total as `budget`, so budget filters, escrow and payout stats keep working for both pricing types.
+import { getCampusScope, getRestrictedCampusIds } from './campuses.js';
+import { normalizeSkills } from './skills.js';
+
+export const PRICING_TYPES = { FIXED: 'fixed', HOURLY: 'hourly' };
+export const PRICING_LABELS = { fixed: 'Fixed price', hourly: 'Hourly' };
+
+export const WORK_MODES = { REMOTE: 'remote', ON_CAMPUS: 'on-campus', IN_PERSON: 'in-person' };
+export const WORK_MODE_LABELS = { remote: 'Remote', 'on-campus': 'On campus', 'in-person': 'In person' };
+
+export const MAX_OPENINGS = 20;
+export const MAX_GIG_ATTACHMENTS = 5;
+export const DRAFT_AUTOSAVE_MS = 1500;
+
+export const EMPTY_GIG_FORM = {
+    title: '',
+    description: '',
+    skills: [],
+    pricingType: PRICING_TYPES.FIXED,
+    budget: '',
+    hourlyRate: '',
+    estimatedHours: '',
+    deadline: '',
+    applicationDeadline: '',
+    workMode: WORK_MODES.REMOTE,
+    location: '',
+    openings: '1',
+    attachments: [],
+    campusIds: [],
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toDate = (value) => {
+    if (!value) return null;
+    if (typeof value.toDate === 'function') return value.toDate();
+    return value instanceof Date ? value : new Date(value);
+};
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// Dates are entered and shown in the client's local time zone; a deadline lasts until the end of its day.
+export const toDateInput = (value) => {
+    const date = toDate(value);
+    return date ? `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` : '';
+};
+
+export const fromDateInput = (value) => (value ? new Date(`${value}T23:59:59`) : null);
+
+const toNumber = (value) => (value === '' || value === null || value === undefined ? null : Number(value));
+
+export const gigToForm = (gig) => ({
+    ...EMPTY_GIG_FORM,
+    title: gig.title || '',
+    description: gig.description || '',
+    skills: normalizeSkills(gig.skills || []),
+    pricingType: gig.pricingType || PRICING_TYPES.FIXED,
+    budget: gig.budget === undefined || gig.budget === null ? '' : String(gig.budget),
+    hourlyRate: gig.hourlyRate ? String(gig.hourlyRate) : '',
+    estimatedHours: gig.estimatedHours ? String(gig.estimatedHours) : '',
+    deadline: toDateInput(gig.deadline),
+    applicationDeadline: toDateInput(gig.applicationDeadline),
+    workMode: gig.workMode || WORK_MODES.REMOTE,
+    location: gig.location || '',
+    openings: String(gig.openings || 1),
+    attachments: gig.attachments || [],
+    campusIds: getRestrictedCampusIds(gig),
+});
+
+// The first problem with the form, or null if it can be posted.
+export const validateGigForm = (form, now = new Date()) => {
+    const hours = toNumber(form.estimatedHours);
+    const openings = Number(form.openings);
+    if (!form.title.trim()) return 'Give your gig a title.';
+    if (!form.description.trim()) return 'Describe the work.';
+    if (form.skills.length === 0) return 'Add at least one skill.';
+    if (form.pricingType === PRICING_TYPES.HOURLY) {
+        if (!(Number(form.hourlyRate) > 0)) return 'Enter an hourly rate.';
+        if (!(hours > 0)) return 'Hourly gigs need an estimate of the hours involved.';
+    } else if (!(Number(form.budget) > 0)) {
+        return 'Enter a budget.';
+    }
+    if (hours !== null && !(hours > 0)) return 'Estimated hours must be more than zero.';
+    if (form.deadline && fromDateInput(form.deadline) < now) return 'The deadline has already passed.';
+    if (form.applicationDeadline && fromDateInput(form.applicationDeadline) < now) return 'The application deadline has already passed.';
+    if (form.applicationDeadline && form.deadline && form.applicationDeadline > form.deadline) return 'Stop accepting proposals before the work is due.';
+    if (form.workMode === WORK_MODES.IN_PERSON && !form.location.trim()) return 'Say where the work happens.';
+    if (!Number.isInteger(openings) || openings < 1 || openings > MAX_OPENINGS) return `Openings must be a whole number from 1 to ${MAX_OPENINGS}.`;
+    if (form.attachments.length > MAX_GIG_ATTACHMENTS) return `Attach at most ${MAX_GIG_ATTACHMENTS} files.`;
+    return null;
+};
+
+// The gig fields a form produces; search fields and ownership are added by the caller.
+export const buildGigFields = (form) => {
+    const hourly = form.pricingType === PRICING_TYPES.HOURLY;
+    const estimatedHours = toNumber(form.estimatedHours);
+    const hourlyRate = hourly ? Number(form.hourlyRate) : null;
+    return {
+        title: form.title.trim(),
+        description: form.description.trim(),
+        skills: normalizeSkills(form.skills),
+        pricingType: form.pricingType,
+        budget: hourly ? Math.round(hourlyRate * estimatedHours) : Number(form.budget),
+        hourlyRate,
+        estimatedHours,
+        deadline: fromDateInput(form.deadline),
+        applicationDeadline: fromDateInput(form.applicationDeadline),
+        workMode: form.workMode,
+        location: form.workMode === WORK_MODES.REMOTE ? '' : form.location.trim(),
+        openings: Number(form.openings),
+        attachments: form.attachments,
+        campusScope: getCampusScope(form.campusIds),
+    };
+};
+
+export const isDraftEmpty = (form) => Object.keys(EMPTY_GIG_FORM).every(key => JSON.stringify(form[key]) === JSON.stringify(EMPTY_GIG_FORM[key]));
+
+export const buildDraft = (clientId, form, updatedAt) => ({ clientId, title: form.title.trim(), form, updatedAt });
+
+// Templates are reused for many postings, so they don't keep dates.
+export const buildTemplate = (clientId, name, form, createdAt) => ({ clientId, name: name.trim(), form: { ...form, deadline: '', applicationDeadline: '' }, createdAt });
+
+export const applyTemplate = (template) => ({ ...EMPTY_GIG_FORM, ...template.form, deadline: '', applicationDeadline: '' });
+
+export const describePrice = (gig) => (gig.pricingType === PRICING_TYPES.HOURLY ? `$${gig.hourlyRate}/hr` : `$${gig.budget}`);
+
+export const describeEstimate = (gig) => {
+    if (!gig.estimatedHours) return '';
+    const hours = `${gig.estimatedHours} hr${gig.estimatedHours === 1 ? '' : 's'}`;
+    return gig.pricingType === PRICING_TYPES.HOURLY ? `~${hours} (est. $${gig.budget})` : `~${hours}`;
+};
+
+export const describeWorkMode = (gig) => {
+    const label = WORK_MODE_LABELS[gig.workMode] || WORK_MODE_LABELS.remote;
+    return gig.location && gig.workMode !== WORK_MODES.REMOTE ? `${label} · ${gig.location}` : label;
+};
+
+// 'Due today', 'Due in 3 days', 'Deadline passed', or '' for gigs without a deadline.
+export const describeDeadline = (gig, now = new Date()) => {
+    const deadline = toDate(gig.deadline);
+    if (!deadline) return '';
+    if (deadline < now) return 'Deadline passed';
+    const days = Math.floor((deadline - now) / DAY_MS);
+    if (days === 0) return 'Due today';
+    return `Due in ${days} day${days === 1 ? '' : 's'}`;
+};
@@ -0,0 +1,49 @@
+import { EMPTY_GIG_FORM, applyTemplate, buildGigFields, buildTemplate, describeDeadline, describeEstimate, describePrice, describeWorkMode, fromDateInput, gigToForm, isDraftEmpty, validateGigForm } from './gigForm';
+
+const now = new Date('2024-05-01T12:00:00');
+const form = { ...EMPTY_GIG_FORM, title: 'Logo', description: 'A new logo', skills: ['Figma'], budget: '150' };
+
+test('validates fixed and hourly gigs', () => {
+    expect(validateGigForm(form, now)).toBeNull();
+    expect(validateGigForm({ ...form, budget: '' }, now)).toMatch(/budget/);
+    expect(validateGigForm({ ...form, pricingType: 'hourly', hourlyRate: '25' }, now)).toMatch(/hours/);
+    expect(validateGigForm({ ...form, pricingType: 'hourly', hourlyRate: '25', estimatedHours: '8' }, now)).toBeNull();
+    expect(validateGigForm({ ...form, deadline: '2024-04-30' }, now)).toMatch(/passed/);
+    expect(validateGigForm({ ...form, deadline: '2024-05-01' }, now)).toBeNull();
+    expect(validateGigForm({ ...form, applicationDeadline: '2024-05-10', deadline: '2024-05-05' }, now)).toMatch(/before the work is due/);
+    expect(validateGigForm({ ...form, workMode: 'in-person' }, now)).toMatch(/where/);
+    expect(validateGigForm({ ...form, openings: '0' }, now)).toMatch(/Openings/);
+});
+
+test('builds gig fields and round-trips them through the form', () => {
+    const fields = buildGigFields({ ...form, pricingType: 'hourly', hourlyRate: '25', estimatedHours: '8', deadline: '2024-06-01', workMode: 'remote', location: 'Ignored', campusIds: ['mit'] });
+    expect(fields).toMatchObject({ budget: 200, hourlyRate: 25, estimatedHours: 8, location: '', openings: 1, campusScope: ['mit'] });
+    expect(fields.deadline).toEqual(fromDateInput('2024-06-01'));
+    expect(gigToForm(fields)).toMatchObject({ pricingType: 'hourly', hourlyRate: '25', estimatedHours: '8', deadline: '2024-06-01', campusIds: ['mit'] });
+    expect(buildGigFields(form)).toMatchObject({ budget: 150, hourlyRate: null, estimatedHours: null, deadline: null });
+});
+
+test('gigs posted before the richer fields read as fixed-price, remote, single-opening', () => {
+    expect(gigToForm({ title: 'Old', description: 'x', skills: ['react'], budget: 100 })).toMatchObject({ pricingType: 'fixed', budget: '100', workMode: 'remote', openings: '1', campusIds: [] });
+    expect(describeWorkMode({})).toBe('Remote');
+});
+
+test('drafts and templates', () => {
+    expect(isDraftEmpty(EMPTY_GIG_FORM)).toBe(true);
+    expect(isDraftEmpty({ ...EMPTY_GIG_FORM, title: 'L' })).toBe(false);
+    const template = buildTemplate('c1', ' Weekly poster ', { ...form, deadline: '2024-06-01' }, now);
+    expect(template.name).toBe('Weekly poster');
+    expect(applyTemplate(template)).toEqual({ ...form, deadline: '', applicationDeadline: '' });
+});
+
+test('describes price, effort, place and deadline', () => {
+    expect(describePrice({ budget: 150 })).toBe('$150');
+    expect(describePrice({ pricingType: 'hourly', hourlyRate: 25, budget: 200 })).toBe('$25/hr');
+    expect(describeEstimate({ pricingType: 'hourly', estimatedHours: 8, budget: 200 })).toBe('~8 hrs (est. $200)');
+    expect(describeEstimate({})).toBe('');
+    expect(describeWorkMode({ workMode: 'in-person', location: 'Boston' })).toBe('In person · Boston');
+    expect(describeDeadline({ deadline: fromDateInput('2024-05-01') }, now)).toBe('Due today');
+    expect(describeDeadline({ deadline: fromDateInput('2024-05-04') }, now)).toBe('Due in 3 days');
+    expect(describeDeadline({ deadline: new Date('2024-04-01') }, now)).toBe('Deadline passed');
+    expect(describeDeadline({}, now)).toBe('');
+});
@@ -0,0 +1,97 @@
+// --- Gig Lifecycle ---
+// open -> in-progress -> submitted -> completed, with cancel / dispute / reopen side branches. Open gigs also
+// expire on their own (see src/gigExpiry.js) and can be reopened like cancelled ones.
+
+import { normalizeLink } from './links.js';
+
+export const GIG_STATUS = {
+    OPEN: 'open',
+    IN_PROGRESS: 'in-progress',
+    SUBMITTED: 'submitted',
+    COMPLETED: 'completed',
+    CANCELLED: 'cancelled',
+    DISPUTED: 'disputed',
+    EXPIRED: 'expired',
+};
+
+export const GIG_STATUS_LABELS = {
+    'open': 'Open',
+    'in-progress': 'In Progress',
+    'submitted': 'Submitted',
+    'completed': 'Completed',
+    'cancelled': 'Cancelled',
+    'disputed': 'Disputed',
+    'expired': 'Expired',
+};
+
+// actor: who may trigger the action - 'client' (gig owner), 'student' (accepted student) or 'either'.
+export const GIG_TRANSITIONS = {
+    submit: { from: ['in-progress'], to: 'submitted', actor: 'student', label: 'Submit Work' },
+    approve: { from: ['submitted', 'disputed'], to: 'completed', actor: 'client', label: 'Approve & Complete' },
+    requestRevision: { from: ['submitted'], to: 'in-progress', actor: 'client', label: 'Request Revision' },
+    cancel: { from: ['open', 'in-progress', 'disputed'], to: 'cancelled', actor: 'client', label: 'Cancel Gig' },
+    dispute: { from: ['in-progress', 'submitted'], to: 'disputed', actor: 'either', label: 'Open Dispute' },
+    reopen: { from: ['cancelled', 'expired'], to: 'open', actor: 'client', label: 'Reopen Gig' },
+};
+
+export const getGigRole = (gig, uid) => {
+    if (!gig || !uid) return null;
+    if (gig.clientId === uid) return 'client';
+    if (gig.acceptedStudentId === uid) return 'student';
+    return null;
+};
+
+export const canTransition = (gig, action, uid) => {
+    const transition = GIG_TRANSITIONS[action];
+    if (!transition || !transition.from.includes(gig?.status)) return false;
+    // Gigs taken down by a moderator stay put until an admin restores them.
+    if (gig.moderation?.takenDown) return false;
+    // Reopening clears the milestones, so anything still in escrow has to be refunded first.
+    if (action === 'reopen' && (gig.milestones || []).some(m => m.status === 'funded')) return false;
+    // Approving pays the student out of escrow, so there has to be escrow to pay from.
+    if (action === 'approve' && (gig.milestones || []).length === 0) return false;
+    const role = getGigRole(gig, uid);
+    if (!role) return false;
+    return transition.actor === 'either' || transition.actor === role;
+};
+
+export const getAvailableActions = (gig, uid) => Object.keys(GIG_TRANSITIONS).filter(action => canTransition(gig, action, uid));
+
+// Fields written to the gig alongside the new status.
+export const getTransitionUpdates = (gig, action, { note = '', links = [] } = {}) => {
+    switch (action) {
+        case 'submit':
+            // Only http(s) links are kept, so a submission can't smuggle in a javascript: URL.
+            return { submission: { note, links: links.map(normalizeLink).filter(Boolean), submittedAt: new Date() }, revisionNote: '' };
+        case 'requestRevision':
+            return { revisionNote: note };
+        case 'dispute':
+            return { disputeReason: note };
+        case 'cancel':
+            return { cancelReason: note };
+        case 'reopen':
+            // Reopening counts as fresh activity, so the gig doesn't expire again straight away.
+            return {
+                acceptedStudentId: null, acceptedProposalId: null, finalBid: null, milestones: [], submission: null, revisionNote: '', disputeReason: '', cancelReason: '',
+                applicationDeadline: null, lastActivityAt: new Date(), expiryReminderSentAt: null,
+            };
+        default:
+            return {};
+    }
+};
+
+// The other party on the gig, who gets told about the transition.
+export const getTransitionRecipients = (gig, uid) => [gig.clientId, gig.acceptedStudentId].filter(id => id && id !== uid);
+
+export const describeTransition = (action, gigTitle, note = '') => {
+    const suffix = note ? ` Note: "${note}"` : '';
+    switch (action) {
+        case 'submit': return { title: 'Work Submitted', message: `Work for "${gigTitle}" has been submitted for your review.${suffix}` };
+        case 'approve': return { title: 'Gig Completed!', message: `"${gigTitle}" has been approved and marked as completed.` };
+        case 'requestRevision': return { title: 'Revision Requested', message: `The client requested changes on "${gigTitle}".${suffix}` };
+        case 'cancel': return { title: 'Gig Cancelled', message: `"${gigTitle}" has been cancelled.${suffix}` };
+        case 'dispute': return { title: 'Dispute Opened', message: `A dispute was opened on "${gigTitle}".${suffix}` };
+        case 'reopen': return { title: 'Gig Reopened', message: `"${gigTitle}" is open for proposals again.` };
+        default: return { title: 'Gig Updated', message: `"${gigTitle}" was updated.` };
+    }
+};
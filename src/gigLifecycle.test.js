@@ -0,0 +1,51 @@
+import { canTransition, getAvailableActions, getTransitionRecipients, getTransitionUpdates } from './gigLifecycle';
+
+const gig = { clientId: 'client1', acceptedStudentId: 'student1', status: 'in-progress', title: 'Logo design' };
+
+test('only the accepted student can submit work on an in-progress gig', () => {
+    expect(canTransition(gig, 'submit', 'student1')).toBe(true);
+    expect(canTransition(gig, 'submit', 'client1')).toBe(false);
+    expect(canTransition(gig, 'submit', 'someoneElse')).toBe(false);
+    expect(canTransition({ ...gig, status: 'open' }, 'submit', 'student1')).toBe(false);
+});
+
+test('the client approves or requests revisions on submitted work', () => {
+    const submitted = { ...gig, status: 'submitted', milestones: [{ id: 'm1', status: 'funded' }] };
+    expect(getAvailableActions(submitted, 'client1')).toEqual(['approve', 'requestRevision', 'dispute']);
+    expect(getAvailableActions(submitted, 'student1')).toEqual(['dispute']);
+});
+
+test('work can only be approved once escrow is funded', () => {
+    expect(canTransition({ ...gig, status: 'submitted' }, 'approve', 'client1')).toBe(false);
+    expect(canTransition({ ...gig, status: 'submitted', milestones: [] }, 'approve', 'client1')).toBe(false);
+});
+
+test('cancelled gigs can only be reopened by the client', () => {
+    const cancelled = { ...gig, status: 'cancelled' };
+    expect(getAvailableActions(cancelled, 'client1')).toEqual(['reopen']);
+    expect(getAvailableActions(cancelled, 'student1')).toEqual([]);
+    expect(getTransitionUpdates(cancelled, 'reopen')).toMatchObject({ acceptedStudentId: null, submission: null });
+    expect(canTransition({ ...cancelled, milestones: [{ id: 'm1', status: 'funded' }] }, 'reopen', 'client1')).toBe(false);
+});
+
+test('expired gigs can be reopened and start a fresh expiry period', () => {
+    const expired = { ...gig, status: 'expired', applicationDeadline: new Date(0) };
+    expect(getAvailableActions(expired, 'client1')).toEqual(['reopen']);
+    expect(getTransitionUpdates(expired, 'reopen')).toMatchObject({ applicationDeadline: null, expiryReminderSentAt: null, lastActivityAt: expect.any(Date) });
+});
+
+test('gigs taken down by a moderator cannot be reopened', () => {
+    const takenDown = { ...gig, status: 'cancelled', moderation: { takenDown: true } };
+    expect(getAvailableActions(takenDown, 'client1')).toEqual([]);
+});
+
+test('notifications go to the other party', () => {
+    expect(getTransitionRecipients(gig, 'client1')).toEqual(['student1']);
+    expect(getTransitionRecipients(gig, 'student1')).toEqual(['client1']);
+    expect(getTransitionRecipients({ ...gig, acceptedStudentId: null }, 'client1')).toEqual([]);
+});
+
+test('submissions keep only http(s) links', () => {
+    const { submission } = getTransitionUpdates(gig, 'submit', { note: 'Done', links: ['github.com/sam/logo', 'data:text/html,<b>hi</b>', 'ftp://files.example.com/logo.zip', 'https://drive.google.com/x'] });
+    expect(submission.links).toEqual(['https://github.com/sam/logo', 'https://drive.google.com/x']);
+});
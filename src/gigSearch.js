@@ -0,0 +1,112 @@
+// --- Gig Search ---
+// Filters <-> URL query string, and filters -> Firestore query constraints (as plain data, so they can be tested
+// without Firestore). Firestore has no full-text search, so gigs carry a `searchKeywords` token array and
+// lowercased `skillTags`; only one array filter is allowed per query, so anything that can't go to the server is
+// re-checked on each fetched page by `matchesFilters`. Skills and keywords that name a catalogued skill are
+// mapped to its canonical form, so "reactjs" finds gigs tagged "React". The campus filter shows gigs open to that
+// campus; it defaults to the viewer's own campus, and "all" in the URL turns it off.
+
+import { ALL_CAMPUSES, isOpenToCampus } from './campuses.js';
+import { toSkillTag } from './skills.js';
+
+export const GIG_PAGE_SIZE = 12;
+export const MAX_SKILL_FILTERS = 10;
+
+export const SORT_OPTIONS = {
+    newest: { label: 'Newest', field: 'postedAt', direction: 'desc' },
+    budgetHigh: { label: 'Budget: High to Low', field: 'budget', direction: 'desc' },
+    budgetLow: { label: 'Budget: Low to High', field: 'budget', direction: 'asc' },
+    fewestProposals: { label: 'Fewest Proposals', field: 'proposalCount', direction: 'asc' },
+};
+
+export const DEFAULT_FILTERS = { q: '', skills: [], min: '', max: '', from: '', to: '', sort: 'newest', campus: '' };
+
+const STOP_WORDS = new Set(['a', 'an', 'and', 'the', 'for', 'of', 'to', 'in', 'on', 'with', 'is', 'at', 'by', 'or']);
+
+export const tokenize = (text = '') => text.toLowerCase().split(/[^a-z0-9+#.]+/).map(t => t.replace(/^\.+|\.+$/g, '')).filter(t => t.length > 1 && !STOP_WORDS.has(t));
+
+// A search term's canonical skill tag, when that tag is itself a single keyword token.
+const canonicalTerm = (term) => {
+    const tag = toSkillTag(term);
+    const [token, ...rest] = tokenize(tag);
+    return token === tag && rest.length === 0 ? tag : term;
+};
+
+const searchTerms = (text) => [...new Set(tokenize(text).map(canonicalTerm))];
+
+// Denormalized fields written on every gig create/edit so the search queries can use them.
+export const buildGigSearchFields = ({ title = '', description = '', skills = [] }) => {
+    const skillTags = [...new Set(skills.map(toSkillTag).filter(Boolean))];
+    const searchKeywords = [...new Set([...tokenize(title), ...tokenize(description), ...skillTags.flatMap(tokenize), ...skillTags])];
+    return { skillTags, searchKeywords };
+};
+
+export const parseSearchParams = (search, { defaultCampus = '' } = {}) => {
+    const params = new URLSearchParams(search);
+    const campus = params.get('campus');
+    const skills = params.getAll('skill').flatMap(s => s.split(',')).map(toSkillTag).filter(Boolean);
+    const numberParam = (key) => (params.get(key) && !Number.isNaN(Number(params.get(key))) ? params.get(key) : '');
+    const dateParam = (key) => (/^\d{4}-\d{2}-\d{2}$/.test(params.get(key) || '') ? params.get(key) : '');
+    return {
+        q: params.get('q') || '',
+        skills: [...new Set(skills)].slice(0, MAX_SKILL_FILTERS),
+        min: numberParam('min'),
+        max: numberParam('max'),
+        from: dateParam('from'),
+        to: dateParam('to'),
+        sort: SORT_OPTIONS[params.get('sort')] ? params.get('sort') : DEFAULT_FILTERS.sort,
+        campus: campus === ALL_CAMPUSES ? '' : campus || defaultCampus,
+    };
+};
+
+export const serializeFilters = (filters, { defaultCampus = '' } = {}) => {
+    const params = new URLSearchParams();
+    if (filters.q) params.set('q', filters.q);
+    filters.skills.forEach(skill => params.append('skill', skill));
+    ['min', 'max', 'from', 'to'].forEach(key => { if (filters[key] !== '') params.set(key, filters[key]); });
+    if (filters.sort !== DEFAULT_FILTERS.sort) params.set('sort', filters.sort);
+    if ((filters.campus || '') !== defaultCampus) params.set('campus', filters.campus || ALL_CAMPUSES);
+    const search = params.toString();
+    return search ? `?${search}` : '';
+};
+
+const startOfDay = (date) => new Date(`${date}T00:00:00`);
+const endOfDay = (date) => new Date(`${date}T23:59:59.999`);
+
+export const buildSearchConstraints = (filters) => {
+    const constraints = [{ type: 'where', field: 'status', op: '==', value: 'open' }];
+    const keyword = searchTerms(filters.q).sort((a, b) => b.length - a.length)[0];
+    if (filters.skills.length > 0) {
+        constraints.push({ type: 'where', field: 'skillTags', op: 'array-contains-any', value: filters.skills.slice(0, MAX_SKILL_FILTERS) });
+    } else if (filters.campus) {
+        constraints.push({ type: 'where', field: 'campusScope', op: 'array-contains-any', value: [filters.campus, ALL_CAMPUSES] });
+    } else if (keyword) {
+        constraints.push({ type: 'where', field: 'searchKeywords', op: 'array-contains', value: keyword });
+    }
+    if (filters.min !== '') constraints.push({ type: 'where', field: 'budget', op: '>=', value: Number(filters.min) });
+    if (filters.max !== '') constraints.push({ type: 'where', field: 'budget', op: '<=', value: Number(filters.max) });
+    if (filters.from) constraints.push({ type: 'where', field: 'postedAt', op: '>=', value: startOfDay(filters.from) });
+    if (filters.to) constraints.push({ type: 'where', field: 'postedAt', op: '<=', value: endOfDay(filters.to) });
+    const { field, direction } = SORT_OPTIONS[filters.sort] || SORT_OPTIONS.newest;
+    constraints.push({ type: 'orderBy', field, direction });
+    if (field !== 'postedAt') constraints.push({ type: 'orderBy', field: 'postedAt', direction: 'desc' });
+    return constraints;
+};
+
+// Client-side check for the keyword terms and campus the server query could not apply.
+export const matchesFilters = (gig, filters) => {
+    if (filters.campus && !isOpenToCampus(gig, filters.campus)) return false;
+    const terms = searchTerms(filters.q);
+    if (terms.length === 0) return true;
+    const haystack = `${gig.title} ${gig.description} ${(gig.skills || []).join(' ')}`.toLowerCase();
+    return terms.every(term => haystack.includes(term));
+};
+
+// The whole search applied to a single gig in memory, for checking new gigs against saved searches.
+export const matchesSearch = (gig, filters) => {
+    if (gig.status !== 'open') return false;
+    if (filters.skills?.length > 0 && !filters.skills.some(skill => (gig.skillTags || []).includes(skill))) return false;
+    if (filters.min !== '' && filters.min !== undefined && gig.budget < Number(filters.min)) return false;
+    if (filters.max !== '' && filters.max !== undefined && gig.budget > Number(filters.max)) return false;
+    return matchesFilters(gig, { ...DEFAULT_FILTERS, ...filters });
+};
@@ -0,0 +1,88 @@
+import indexConfig from '../firestore.indexes.json';
+import { SORT_OPTIONS, buildGigSearchFields, buildSearchConstraints, matchesFilters, matchesSearch, parseSearchParams, serializeFilters } from './gigSearch';
+
+test('round-trips filters through the URL', () => {
+    const filters = parseSearchParams('?skill=React&skill=figma&min=50&sort=budgetHigh&from=2024-01-01&bogus=1');
+    expect(filters).toEqual({ q: '', skills: ['react', 'figma'], min: '50', max: '', from: '2024-01-01', to: '', sort: 'budgetHigh', campus: '' });
+    expect(serializeFilters(filters)).toBe('?skill=react&skill=figma&min=50&from=2024-01-01&sort=budgetHigh');
+    expect(parseSearchParams('?min=abc&sort=nope&from=yesterday')).toMatchObject({ min: '', sort: 'newest', from: '' });
+});
+
+test('builds server constraints for skills, budget range and sort', () => {
+    const constraints = buildSearchConstraints({ q: '', skills: ['react'], min: '50', max: '200', from: '', to: '', sort: 'fewestProposals' });
+    expect(constraints).toEqual([
+        { type: 'where', field: 'status', op: '==', value: 'open' },
+        { type: 'where', field: 'skillTags', op: 'array-contains-any', value: ['react'] },
+        { type: 'where', field: 'budget', op: '>=', value: 50 },
+        { type: 'where', field: 'budget', op: '<=', value: 200 },
+        { type: 'orderBy', field: 'proposalCount', direction: 'asc' },
+        { type: 'orderBy', field: 'postedAt', direction: 'desc' },
+    ]);
+});
+
+test('uses the longest keyword server-side and checks the rest per page', () => {
+    const filters = { q: 'logo design', skills: [], min: '', max: '', from: '', to: '', sort: 'newest' };
+    expect(buildSearchConstraints(filters)[1]).toEqual({ type: 'where', field: 'searchKeywords', op: 'array-contains', value: 'design' });
+    expect(matchesFilters({ title: 'Logo design for club', description: '', skills: [] }, filters)).toBe(true);
+    expect(matchesFilters({ title: 'Website design', description: '', skills: [] }, filters)).toBe(false);
+});
+
+test('derives search fields from a gig', () => {
+    expect(buildGigSearchFields({ title: 'Build a React app', description: 'For the chess club', skills: ['React', 'Node.js'] })).toEqual({
+        skillTags: ['react', 'node.js'],
+        searchKeywords: ['build', 'react', 'app', 'chess', 'club', 'node.js'],
+    });
+});
+
+test('maps skill synonyms to their canonical tags', () => {
+    expect(parseSearchParams('?skill=reactjs&skill=nodejs').skills).toEqual(['react', 'node.js']);
+    const filters = { q: 'ReactJS', skills: [], min: '', max: '', from: '', to: '', sort: 'newest' };
+    expect(buildSearchConstraints(filters)[1]).toMatchObject({ field: 'searchKeywords', value: 'react' });
+    expect(buildGigSearchFields({ title: 'App', skills: ['react.js', 'Photoshop'] }).skillTags).toEqual(['react', 'adobe photoshop']);
+});
+
+test("defaults the campus filter to the viewer's campus", () => {
+    expect(parseSearchParams('', { defaultCampus: 'mit' }).campus).toBe('mit');
+    expect(parseSearchParams('?campus=all', { defaultCampus: 'mit' }).campus).toBe('');
+    expect(serializeFilters({ ...parseSearchParams(''), campus: '' }, { defaultCampus: 'mit' })).toBe('?campus=all');
+    expect(serializeFilters({ ...parseSearchParams(''), campus: 'mit' }, { defaultCampus: 'mit' })).toBe('');
+
+    const filters = { ...parseSearchParams(''), campus: 'mit' };
+    expect(buildSearchConstraints(filters)[1]).toEqual({ type: 'where', field: 'campusScope', op: 'array-contains-any', value: ['mit', 'all'] });
+    expect(buildSearchConstraints({ ...filters, skills: ['react'] })[1]).toMatchObject({ field: 'skillTags' });
+    expect(matchesFilters({ title: 'Logo', campusScope: ['bu'] }, filters)).toBe(false);
+    expect(matchesFilters({ title: 'Logo', campusScope: ['all'] }, filters)).toBe(true);
+});
+
+test('matches a single gig against a whole search', () => {
+    const gig = { status: 'open', title: 'Logo design', description: '', skills: ['Figma'], skillTags: ['figma'], budget: 100, campusScope: ['all'] };
+    expect(matchesSearch(gig, { q: 'logo', skills: ['figma'], min: '50', max: '', campus: 'mit' })).toBe(true);
+    expect(matchesSearch(gig, { q: '', skills: ['react'], min: '', max: '' })).toBe(false);
+    expect(matchesSearch(gig, { q: '', skills: [], min: '', max: '80' })).toBe(false);
+    expect(matchesSearch({ ...gig, status: 'expired' }, { q: '', skills: [], min: '', max: '' })).toBe(false);
+});
+
+// The composite index a search needs: equality, then the array filter, then the sort, then any range field the
+// sort doesn't cover (Firestore orders by it implicitly).
+const requiredIndex = (constraints) => {
+    const wheres = constraints.filter(c => c.type === 'where');
+    const orders = constraints.filter(c => c.type === 'orderBy');
+    const rangeFields = [...new Set(wheres.filter(c => ['<', '<=', '>', '>='].includes(c.op)).map(c => c.field))];
+    return [
+        ...wheres.filter(c => c.op === '==').map(c => ({ fieldPath: c.field, order: 'ASCENDING' })),
+        ...wheres.filter(c => c.op.startsWith('array-contains')).map(c => ({ fieldPath: c.field, arrayConfig: 'CONTAINS' })),
+        ...orders.map(c => ({ fieldPath: c.field, order: c.direction === 'asc' ? 'ASCENDING' : 'DESCENDING' })),
+        ...rangeFields.filter(field => !orders.some(c => c.field === field)).map(field => ({ fieldPath: field, order: 'ASCENDING' })),
+    ];
+};
+
+test('every sort and filter combination has a composite index', () => {
+    const gigIndexes = indexConfig.indexes.filter(index => index.collectionGroup === 'gigs').map(index => JSON.stringify(index.fields));
+    const searches = [{}, { skills: ['react'] }, { campus: 'mit' }, { q: 'logo' }];
+    const ranges = [{}, { min: '50' }, { max: '200', from: '2024-01-01' }, { to: '2024-02-01' }];
+    searches.forEach(search => Object.keys(SORT_OPTIONS).forEach(sort => ranges.forEach(range => {
+        const filters = { ...parseSearchParams(''), ...search, ...range, sort };
+        const fields = requiredIndex(buildSearchConstraints(filters));
+        expect([filters, gigIndexes.includes(JSON.stringify(fields))]).toEqual([filters, true]);
+    })));
+});
@@ -0,0 +1,30 @@
+// --- Links ---
+// Links typed by one user and shown to others (submissions, portfolio projects, client websites) end up in an
+// href, so only http(s) URLs are kept.
+
+// Adds https:// to bare domains; returns '' for anything that isn't an http(s) URL.
+export const normalizeLink = (link) => {
+    const trimmed = typeof link === 'string' ? link.trim() : '';
+    if (!trimmed) return '';
+    const withScheme = /^[a-z][a-z0-9+.-]*:/i.test(trimmed) ? trimmed : `https://${trimmed}`;
+    try {
+        const url = new URL(withScheme);
+        return ['http:', 'https:'].includes(url.protocol) && url.hostname.includes('.') ? url.href : '';
+    } catch {
+        return '';
+    }
+};
+
+// Uploaded files (chat and gig attachments) are linked by their Cloud Storage download URL; anything else stored in
+// their place is not shown. `folder` is the storage path the file must be under, e.g. 'chats/gig_g1/'.
+export const isStorageUrl = (url, folder = '') => {
+    if (typeof url !== 'string') return false;
+    try {
+        const parsed = new URL(url);
+        const [, objectPath] = parsed.pathname.match(/^\/v0\/b\/[^/]+\/o\/([^/]+)$/) || [];
+        return parsed.protocol === 'https:' && parsed.hostname === 'firebasestorage.googleapis.com'
+            && Boolean(objectPath) && decodeURIComponent(objectPath).startsWith(folder);
+    } catch {
+        return false;
+    }
+};
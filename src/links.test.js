@@ -0,0 +1,20 @@
+import { isStorageUrl, normalizeLink } from './links';
+
+test('normalizes links', () => {
+    expect(normalizeLink(' behance.net/sam ')).toBe('https://behance.net/sam');
+    expect(normalizeLink('http://sam.dev')).toBe('http://sam.dev/');
+    expect(normalizeLink('mailto:sam@example.com')).toBe('');
+    expect(normalizeLink('not a link')).toBe('');
+    expect(normalizeLink(undefined)).toBe('');
+});
+
+test('recognizes Cloud Storage download URLs under a folder', () => {
+    const url = 'https://firebasestorage.googleapis.com/v0/b/campus-gig.appspot.com/o/chats%2Fgig_g1%2F1700000000000_brief%20v2.pdf?alt=media&token=abc-123';
+    expect(isStorageUrl(url)).toBe(true);
+    expect(isStorageUrl(url, 'chats/gig_g1/')).toBe(true);
+    expect(isStorageUrl(url, 'chats/gig_g2/')).toBe(false);
+    expect(isStorageUrl(url.replace('https:', 'http:'))).toBe(false);
+    expect(isStorageUrl('https://evil.example/v0/b/x/o/chats%2Fgig_g1%2Ff')).toBe(false);
+    expect(isStorageUrl('data:text/html,firebasestorage.googleapis.com')).toBe(false);
+    expect(isStorageUrl(undefined)).toBe(false);
+});
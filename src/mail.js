@@ -0,0 +1,64 @@
+// --- Mail ---
+// A transport implements send({ to, subject, text }), resolving to { id }.
+
+const assertMessage = ({ to, subject, text } = {}) => {
+    if (!to) throw new Error('Mail needs a recipient.');
+    if (!subject || !text) throw new Error('Mail needs a subject and a body.');
+};
+
+export const createConsoleTransport = (logger = console) => {
+    let counter = 0;
+    return {
+        name: 'console',
+        send: async (message) => {
+            assertMessage(message);
+            logger.log(`[mail] to=${message.to} subject="${message.subject}"\n${message.text}`);
+            return { id: `console_${++counter}` };
+        },
+    };
+};
+
+// Keeps every message in memory instead of delivering it; used by tests and local runs.
+export const createCaptureTransport = () => {
+    const sent = [];
+    return {
+        name: 'capture',
+        sent,
+        send: async (message) => {
+            assertMessage(message);
+            sent.push(message);
+            return { id: `capture_${sent.length}` };
+        },
+    };
+};
+
+// Posts each message as JSON to a mail relay (e.g. a provider's HTTP API behind a small proxy).
+export const createWebhookTransport = (url, fetchImpl = (...args) => fetch(...args)) => {
+    if (!url) throw new Error('The webhook mail transport needs a URL.');
+    return {
+        name: 'webhook',
+        send: async (message) => {
+            assertMessage(message);
+            const response = await fetchImpl(url, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(message) });
+            if (!response.ok) throw new Error(`Mail relay responded with ${response.status}.`);
+            const body = await response.json().catch(() => ({}));
+            return { id: body.id || null };
+        },
+    };
+};
+
+const transportFactories = {
+    console: () => createConsoleTransport(),
+    capture: createCaptureTransport,
+    webhook: () => createWebhookTransport(process.env.MAIL_WEBHOOK_URL),
+};
+
+export const registerMailTransport = (name, factory) => {
+    transportFactories[name] = factory;
+};
+
+export const getMailTransport = (name = process.env.MAIL_TRANSPORT || 'console') => {
+    const factory = transportFactories[name];
+    if (!factory) throw new Error(`Unknown mail transport "${name}".`);
+    return factory();
+};
@@ -0,0 +1,24 @@
+import { createCaptureTransport, createWebhookTransport, getMailTransport, registerMailTransport } from './mail';
+
+test('the capture transport keeps messages instead of sending them', async () => {
+    const transport = createCaptureTransport();
+    await expect(transport.send({ to: 'a@uni.edu', subject: 'Hi', text: 'Hello' })).resolves.toEqual({ id: 'capture_1' });
+    await expect(transport.send({ subject: 'Hi', text: 'Hello' })).rejects.toThrow(/recipient/);
+    expect(transport.sent).toEqual([{ to: 'a@uni.edu', subject: 'Hi', text: 'Hello' }]);
+});
+
+test('the webhook transport posts JSON and surfaces relay errors', async () => {
+    const fetchImpl = jest.fn()
+        .mockResolvedValueOnce({ ok: true, json: async () => ({ id: 'msg_1' }) })
+        .mockResolvedValueOnce({ ok: false, status: 502 });
+    const transport = createWebhookTransport('https://relay.test/send', fetchImpl);
+    await expect(transport.send({ to: 'a@uni.edu', subject: 'Hi', text: 'Hello' })).resolves.toEqual({ id: 'msg_1' });
+    expect(JSON.parse(fetchImpl.mock.calls[0][1].body)).toEqual({ to: 'a@uni.edu', subject: 'Hi', text: 'Hello' });
+    await expect(transport.send({ to: 'a@uni.edu', subject: 'Hi', text: 'Hello' })).rejects.toThrow(/502/);
+});
+
+test('transports are looked up by name', () => {
+    registerMailTransport('test', createCaptureTransport);
+    expect(getMailTransport('test').name).toBe('capture');
+    expect(() => getMailTransport('pigeon')).toThrow(/Unknown mail transport/);
+});
@@ -0,0 +1,132 @@
+// --- Moderation ---
+// Admins review reports, restrict accounts and take down gigs or messages. Every action is written to the
+// `auditLog` collection in the same batch as its effect. Suspensions lapse on their own at `until`; bans don't.
+
+export const REPORT_TARGETS = { USER: 'user', GIG: 'gig', PROPOSAL: 'proposal', MESSAGE: 'message' };
+
+export const REPORT_TARGET_LABELS = { user: 'Profile', gig: 'Gig', proposal: 'Proposal', message: 'Message' };
+
+export const REPORT_REASONS = {
+    spam: 'Spam',
+    scam: 'Scam or fraud',
+    harassment: 'Harassment or abuse',
+    fake: 'Fake profile or impersonation',
+    inappropriate: 'Inappropriate content',
+    other: 'Something else',
+};
+
+export const REPORT_STATUS = { OPEN: 'open', RESOLVED: 'resolved', DISMISSED: 'dismissed' };
+
+export const REPORT_DETAILS_MAX_LENGTH = 1000;
+// Reports keep a copy of what was reported, since admins can't read chats and the content may be edited later.
+export const REPORT_SNAPSHOT_MAX_LENGTH = 2000;
+
+export const ACCOUNT_STATUS = { ACTIVE: 'active', SUSPENDED: 'suspended', BANNED: 'banned' };
+
+export const SUSPENSION_DAYS_OPTIONS = [1, 3, 7, 30];
+
+export const MODERATION_ACTIONS = {
+    suspendUser: 'Suspended user',
+    banUser: 'Banned user',
+    reinstateUser: 'Reinstated user',
+    takeDownGig: 'Took down gig',
+    restoreGig: 'Restored gig',
+    removeMessage: 'Removed message',
+    resolveReport: 'Resolved report',
+    dismissReport: 'Dismissed report',
+    saveKnowledge: 'Saved chatbot knowledge',
+    deleteKnowledge: 'Deleted chatbot knowledge',
+    saveCampus: 'Saved campus',
+    deleteCampus: 'Deleted campus',
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toMillis = (value) => {
+    if (!value) return 0;
+    if (typeof value.toMillis === 'function') return value.toMillis();
+    return new Date(value).getTime();
+};
+
+export const getAccountStatus = (userData, now = Date.now()) => {
+    const moderation = userData?.moderation;
+    if (moderation?.status === ACCOUNT_STATUS.BANNED) return ACCOUNT_STATUS.BANNED;
+    if (moderation?.status === ACCOUNT_STATUS.SUSPENDED && toMillis(moderation.until) > now) return ACCOUNT_STATUS.SUSPENDED;
+    return ACCOUNT_STATUS.ACTIVE;
+};
+
+export const getSuspendedUntil = (userData) => (userData?.moderation?.until ? new Date(toMillis(userData.moderation.until)) : null);
+
+export const isAccountRestricted = (userData, now = Date.now()) => getAccountStatus(userData, now) !== ACCOUNT_STATUS.ACTIVE;
+
+export const validateReport = ({ reason, details = '' }) => {
+    if (!REPORT_REASONS[reason]) return 'Choose a reason for your report.';
+    if (reason === 'other' && !details.trim()) return 'Tell us what is wrong.';
+    if (details.length > REPORT_DETAILS_MAX_LENGTH) return `Keep the details under ${REPORT_DETAILS_MAX_LENGTH} characters.`;
+    return null;
+};
+
+// target: { targetType, targetId, targetOwnerId, targetLabel, snapshot, link, chatId? } describing what is reported.
+export const buildReport = (target, { reason, details = '' }, reporterId, createdAt) => ({
+    targetType: target.targetType,
+    targetId: target.targetId,
+    targetOwnerId: target.targetOwnerId || null,
+    targetLabel: target.targetLabel || '',
+    snapshot: (target.snapshot || '').slice(0, REPORT_SNAPSHOT_MAX_LENGTH),
+    link: target.link || null,
+    chatId: target.chatId || null,
+    reason,
+    details: details.trim(),
+    reporterId,
+    status: REPORT_STATUS.OPEN,
+    createdAt,
+});
+
+// The `moderation` field written on a user for suspendUser / banUser / reinstateUser.
+export const buildAccountModeration = (action, { adminId, reason = '', days = 7, now = new Date() }) => {
+    const base = { reason, by: adminId, at: now };
+    switch (action) {
+        case 'suspendUser': return { ...base, status: ACCOUNT_STATUS.SUSPENDED, until: new Date(now.getTime() + days * DAY_MS) };
+        case 'banUser': return { ...base, status: ACCOUNT_STATUS.BANNED, until: null };
+        default: return { ...base, status: ACCOUNT_STATUS.ACTIVE, until: null };
+    }
+};
+
+// Taking a gig down cancels it (so it leaves search) and remembers its status so it can be restored.
+export const buildGigTakedown = (gig, { adminId, reason = '', now = new Date() }) => ({
+    status: 'cancelled',
+    moderation: { takenDown: true, previousStatus: gig.status, reason, by: adminId, at: now },
+});
+
+export const buildGigRestore = (gig, { adminId, now = new Date() }) => ({
+    status: gig.moderation?.previousStatus || 'open',
+    moderation: { takenDown: false, previousStatus: null, reason: '', by: adminId, at: now },
+});
+
+export const isTakenDown = (item) => item?.moderation?.takenDown === true;
+
+export const buildAuditEntry = (admin, action, { targetType, targetId, targetLabel = '' }, reason, createdAt) => ({
+    action, targetType, targetId, targetLabel, reason, adminId: admin.uid, adminName: admin.name || '', createdAt,
+});
+
+export const describeAuditEntry = (entry) => {
+    const label = MODERATION_ACTIONS[entry.action] || entry.action;
+    const target = entry.targetLabel || `${entry.targetType} ${entry.targetId}`;
+    return `${label}: ${target}${entry.reason ? ` (${entry.reason})` : ''}`;
+};
+
+// Collapses reports about the same thing into one review item, most-reported (then most recent) first.
+export const groupReports = (reports) => {
+    const groups = new Map();
+    reports.forEach(report => {
+        const key = `${report.targetType}:${report.targetId}`;
+        const group = groups.get(key) || { key, targetType: report.targetType, targetId: report.targetId, reports: [], reasons: {}, latestAt: 0 };
+        group.reports.push(report);
+        group.reasons[report.reason] = (group.reasons[report.reason] || 0) + 1;
+        group.latestAt = Math.max(group.latestAt, toMillis(report.createdAt));
+        groups.set(key, group);
+    });
+    return [...groups.values()]
+        .map(group => ({ ...group, count: group.reports.length, latest: group.reports.reduce((a, b) => (toMillis(b.createdAt) > toMillis(a.createdAt) ? b : a)) }))
+        .sort((a, b) => b.count - a.count || b.latestAt - a.latestAt);
+};
@@ -0,0 +1,52 @@
+import { buildAccountModeration, buildAuditEntry, buildReport, validateReport, buildGigRestore, buildGigTakedown, describeAuditEntry, getAccountStatus, getSuspendedUntil, groupReports, isAccountRestricted, isTakenDown } from './moderation';
+
+const now = new Date('2024-05-01T12:00:00Z');
+
+test('suspensions lapse on their own, bans do not', () => {
+    const suspended = { moderation: buildAccountModeration('suspendUser', { adminId: 'a1', reason: 'Spam', days: 3, now }) };
+    expect(getSuspendedUntil(suspended)).toEqual(new Date('2024-05-04T12:00:00Z'));
+    expect(getSuspendedUntil({ moderation: { until: { toMillis: () => 0 } } })).toEqual(new Date(0));
+    expect(getAccountStatus(suspended, now.getTime())).toBe('suspended');
+    expect(isAccountRestricted(suspended, new Date('2024-05-05T00:00:00Z').getTime())).toBe(false);
+
+    const banned = { moderation: buildAccountModeration('banUser', { adminId: 'a1', now }) };
+    expect(getAccountStatus(banned, now.getTime() + 1e12)).toBe('banned');
+    expect(isAccountRestricted({ moderation: buildAccountModeration('reinstateUser', { adminId: 'a1', now }) })).toBe(false);
+    expect(isAccountRestricted({})).toBe(false);
+});
+
+test('takes gigs down and restores their previous status', () => {
+    const gig = { status: 'in-progress' };
+    const takedown = buildGigTakedown(gig, { adminId: 'a1', reason: 'Scam', now });
+    expect(takedown.status).toBe('cancelled');
+    expect(isTakenDown(takedown)).toBe(true);
+    expect(buildGigRestore(takedown, { adminId: 'a1', now }).status).toBe('in-progress');
+});
+
+test('describes audit entries', () => {
+    const entry = buildAuditEntry({ uid: 'a1', name: 'Ada' }, 'banUser', { targetType: 'user', targetId: 'u1', targetLabel: 'Sam' }, 'Fake profile', now);
+    expect(entry).toMatchObject({ adminId: 'a1', adminName: 'Ada', action: 'banUser', createdAt: now });
+    expect(describeAuditEntry(entry)).toBe('Banned user: Sam (Fake profile)');
+    expect(describeAuditEntry({ action: 'takeDownGig', targetType: 'gig', targetId: 'g1', reason: '' })).toBe('Took down gig: gig g1');
+});
+
+test('groups reports about the same target, most reported first', () => {
+    const groups = groupReports([
+        { id: 'r1', targetType: 'gig', targetId: 'g1', reason: 'scam', createdAt: new Date(1) },
+        { id: 'r2', targetType: 'user', targetId: 'u1', reason: 'fake', createdAt: new Date(5) },
+        { id: 'r3', targetType: 'gig', targetId: 'g1', reason: 'spam', createdAt: new Date(3) },
+        { id: 'r4', targetType: 'gig', targetId: 'g1', reason: 'scam', createdAt: new Date(2) },
+    ]);
+    expect(groups.map(g => [g.key, g.count])).toEqual([['gig:g1', 3], ['user:u1', 1]]);
+    expect(groups[0].reasons).toEqual({ scam: 2, spam: 1 });
+    expect(groups[0].latest.id).toBe('r3');
+});
+
+test('validates and builds reports', () => {
+    expect(validateReport({ reason: 'bogus' })).toMatch(/reason/);
+    expect(validateReport({ reason: 'other', details: ' ' })).toMatch(/what is wrong/);
+    expect(validateReport({ reason: 'scam', details: '' })).toBeNull();
+    const report = buildReport({ targetType: 'message', targetId: 'm1', targetOwnerId: 'u2', snapshot: 'x'.repeat(3000), chatId: 'gig_g1' }, { reason: 'harassment', details: ' Rude ' }, 'u1', now);
+    expect(report).toMatchObject({ targetType: 'message', targetOwnerId: 'u2', chatId: 'gig_g1', link: null, details: 'Rude', reporterId: 'u1', status: 'open', createdAt: now });
+    expect(report.snapshot).toHaveLength(2000);
+});
@@ -0,0 +1,99 @@
+// --- Notifications ---
+// Categories, per-user preferences (stored on the user doc as `notificationPrefs`) and the daily email digest.
+
+export const NOTIFICATION_CATEGORIES = {
+    PROPOSALS: 'proposals',
+    CHAT: 'chat',
+    GIG_STATUS: 'gigStatus',
+    PAYMENTS: 'payments',
+    GIG_MATCHES: 'gigMatches',
+    SAVED: 'saved',
+};
+
+export const NOTIFICATION_CATEGORY_LABELS = {
+    proposals: 'Proposals',
+    chat: 'Chat',
+    gigStatus: 'Gig Status',
+    payments: 'Payments',
+    gigMatches: 'Matching Gigs',
+    saved: 'Saved Gigs & Searches',
+};
+
+export const NOTIFICATION_PAGE_SIZE = 20;
+export const DIGEST_INTERVAL_MS = 24 * 60 * 60 * 1000;
+
+export const DEFAULT_NOTIFICATION_PREFS = {
+    categories: Object.fromEntries(Object.values(NOTIFICATION_CATEGORIES).map(category => [category, { inApp: true, email: true }])),
+    emailDigest: false,
+};
+
+const toMillis = (value) => (value?.toMillis ? value.toMillis() : value instanceof Date ? value.getTime() : 0);
+
+export const getNotificationPrefs = (userData) => {
+    const saved = userData?.notificationPrefs || {};
+    const categories = {};
+    Object.entries(DEFAULT_NOTIFICATION_PREFS.categories).forEach(([category, defaults]) => {
+        categories[category] = { ...defaults, ...saved.categories?.[category] };
+    });
+    return { ...DEFAULT_NOTIFICATION_PREFS, ...saved, categories };
+};
+
+// Notifications written before categories existed were all about gig progress.
+export const getCategory = (notification) => (NOTIFICATION_CATEGORY_LABELS[notification.category] ? notification.category : NOTIFICATION_CATEGORIES.GIG_STATUS);
+
+export const isMuted = (notification, prefs) => !prefs.categories[getCategory(notification)].inApp;
+
+// Muted categories stay on the notifications page but are kept out of the bell and its badge.
+export const getBellNotifications = (notifications, prefs) => notifications.filter(n => !n.archived && !isMuted(n, prefs));
+
+export const filterNotifications = (notifications, { category = 'all', archived = false } = {}) => notifications.filter(n =>
+    Boolean(n.archived) === archived && (category === 'all' || getCategory(n) === category));
+
+// --- Email digest ---
+
+export const isDigestDue = (userData, now = Date.now()) =>
+    getNotificationPrefs(userData).emailDigest && Boolean(userData.email) && now - toMillis(userData.lastDigestAt) >= DIGEST_INTERVAL_MS;
+
+export const buildDigest = (userData, notifications, appUrl = '') => {
+    const prefs = getNotificationPrefs(userData);
+    const pending = notifications.filter(n => !n.read && !n.archived && prefs.categories[getCategory(n)].email);
+    if (pending.length === 0) return null;
+
+    const sections = Object.keys(NOTIFICATION_CATEGORY_LABELS)
+        .map(category => ({ category, items: pending.filter(n => getCategory(n) === category) }))
+        .filter(section => section.items.length > 0)
+        .map(({ category, items }) => [
+            `${NOTIFICATION_CATEGORY_LABELS[category]} (${items.length})`,
+            ...items.map(n => `- ${n.title}: ${n.message}${n.link ? ` ${appUrl}/${n.link}` : ''}`),
+        ].join('\n'));
+
+    return {
+        to: userData.email,
+        subject: `You have ${pending.length} unread notification${pending.length === 1 ? '' : 's'} on CampusGig`,
+        text: [`Hi ${userData.name || 'there'},`, ...sections, `Manage your email preferences at ${appUrl}/notifications`].join('\n\n'),
+        count: pending.length,
+    };
+};
+
+// users: [{ id, ...userData }]; loadNotifications(user, since) resolves to that user's notifications created after `since`.
+// Returns one result per user whose digest was due, so the caller can record lastDigestAt for those without an error.
+export const sendDigests = async (users, loadNotifications, transport, { now = Date.now(), appUrl = '' } = {}) => {
+    const results = [];
+    for (const user of users) {
+        if (!isDigestDue(user, now)) continue;
+        const notifications = await loadNotifications(user, user.lastDigestAt || null);
+        const digest = buildDigest(user, notifications, appUrl);
+        if (!digest) {
+            results.push({ userId: user.id, sent: 0 });
+            continue;
+        }
+        const { count, ...message } = digest;
+        try {
+            await transport.send(message);
+            results.push({ userId: user.id, sent: count });
+        } catch (error) {
+            results.push({ userId: user.id, sent: 0, error: error.message });
+        }
+    }
+    return results;
+};
@@ -0,0 +1,48 @@
+import { createCaptureTransport } from './mail';
+import { DIGEST_INTERVAL_MS, buildDigest, filterNotifications, getBellNotifications, getCategory, getNotificationPrefs, sendDigests } from './notifications';
+
+const notifications = [
+    { id: 'n1', category: 'proposals', title: 'New Proposal', message: 'Sam applied.', link: 'gig/g1', read: false },
+    { id: 'n2', category: 'chat', title: 'New message', message: 'Hi', link: 'inbox', read: false },
+    { id: 'n3', title: 'Gig Completed!', message: 'Done.', link: 'gig/g2', read: true },
+    { id: 'n4', category: 'payments', title: 'Payment Released', message: '$50', link: 'dashboard', read: false, archived: true },
+];
+
+test('fills in default preferences and categorizes older notifications', () => {
+    const prefs = getNotificationPrefs({ notificationPrefs: { categories: { chat: { inApp: false } } } });
+    expect(prefs.categories.chat).toEqual({ inApp: false, email: true });
+    expect(prefs.categories.payments).toEqual({ inApp: true, email: true });
+    expect(prefs.emailDigest).toBe(false);
+    expect(getCategory(notifications[2])).toBe('gigStatus');
+});
+
+test('keeps muted and archived notifications out of the bell', () => {
+    const prefs = getNotificationPrefs({ notificationPrefs: { categories: { chat: { inApp: false } } } });
+    expect(getBellNotifications(notifications, prefs).map(n => n.id)).toEqual(['n1', 'n3']);
+    expect(filterNotifications(notifications, { archived: true }).map(n => n.id)).toEqual(['n4']);
+    expect(filterNotifications(notifications, { category: 'gigStatus' }).map(n => n.id)).toEqual(['n3']);
+});
+
+test('digests group unread notifications from categories with email enabled', () => {
+    const user = { name: 'Sam', email: 'sam@uni.edu', notificationPrefs: { emailDigest: true, categories: { chat: { email: false } } } };
+    const digest = buildDigest(user, notifications, 'https://campusgig.app');
+    expect(digest.subject).toBe('You have 1 unread notification on CampusGig');
+    expect(digest.text).toContain('Proposals (1)\n- New Proposal: Sam applied. https://campusgig.app/gig/g1');
+    expect(digest.text).not.toContain('New message');
+    expect(buildDigest(user, [notifications[2]])).toBeNull();
+});
+
+test('sends digests only to opted-in users once per interval', async () => {
+    const now = 10 * DIGEST_INTERVAL_MS;
+    const transport = createCaptureTransport();
+    const users = [
+        { id: 'u1', name: 'Sam', email: 'sam@uni.edu', notificationPrefs: { emailDigest: true } },
+        { id: 'u2', name: 'Alex', email: 'alex@uni.edu', notificationPrefs: { emailDigest: true }, lastDigestAt: new Date(now - 1000) },
+        { id: 'u3', name: 'Kim', email: 'kim@uni.edu' },
+    ];
+    const loadNotifications = jest.fn(async () => notifications);
+    const results = await sendDigests(users, loadNotifications, transport, { now });
+    expect(results).toEqual([{ userId: 'u1', sent: 2 }]);
+    expect(loadNotifications).toHaveBeenCalledTimes(1);
+    expect(transport.sent.map(message => message.to)).toEqual(['sam@uni.edu']);
+});
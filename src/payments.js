@@ -0,0 +1,119 @@
+// --- Payments ---
+// Escrow is held per milestone: the client funds milestones up front, which are later released to the
+// student or refunded to the client. Money movement goes through a provider; the ledger lives in Firestore.
+
+export const MILESTONE_STATUS = {
+    UNFUNDED: 'unfunded',
+    FUNDED: 'funded',
+    RELEASED: 'released',
+    REFUNDED: 'refunded',
+};
+
+// Ledger entry type -> the milestone status it requires and the status it leaves behind.
+export const PAYMENT_TRANSITIONS = {
+    fund: { from: 'unfunded', to: 'funded' },
+    release: { from: 'funded', to: 'released' },
+    refund: { from: 'funded', to: 'refunded' },
+};
+
+// Gig actions that settle whatever is still in escrow: approving releases it to the student, cancelling refunds it.
+export const TRANSITION_SETTLEMENTS = { approve: 'release', cancel: 'refund' };
+
+const toCents = (amount) => Math.round(Number(amount) * 100);
+const fromCents = (cents) => cents / 100;
+
+export const splitIntoMilestones = (total, count) => {
+    const totalCents = toCents(total);
+    const share = Math.floor(totalCents / count);
+    return Array.from({ length: count }, (_, i) => ({
+        id: `m${i + 1}`,
+        title: count === 1 ? 'Full payment' : `Milestone ${i + 1}`,
+        amount: fromCents(i === count - 1 ? totalCents - share * (count - 1) : share),
+        status: MILESTONE_STATUS.UNFUNDED,
+    }));
+};
+
+export const validateMilestones = (milestones, total) => {
+    if (milestones.length === 0) return 'Add at least one milestone.';
+    if (milestones.some(m => !m.title?.trim())) return 'Every milestone needs a title.';
+    if (milestones.some(m => !(toCents(m.amount) > 0))) return 'Every milestone needs an amount greater than zero.';
+    const sum = milestones.reduce((acc, m) => acc + toCents(m.amount), 0);
+    if (sum !== toCents(total)) return `Milestones must add up to the accepted bid of $${fromCents(toCents(total)).toFixed(2)}.`;
+    return null;
+};
+
+export const getSettleableMilestones = (milestones = [], type) => milestones.filter(m => m.status === PAYMENT_TRANSITIONS[type].from);
+
+export const applyPayment = (milestones, type, references) => milestones.map(m => (
+    references[m.id] && m.status === PAYMENT_TRANSITIONS[type].from
+        ? { ...m, status: PAYMENT_TRANSITIONS[type].to, [`${type}Reference`]: references[m.id] }
+        : m
+));
+
+// A milestone moves through each ledger type at most once, so its entries get predictable ids; the security rules
+// match every entry to the milestone it moves in the same write.
+export const getLedgerEntryId = (gigId, milestoneId, type) => `${gigId}_${milestoneId}_${type}`;
+
+export const buildLedgerEntries = (gig, type, references, { provider, createdAt }) => gig.milestones.flatMap((m, milestoneIndex) => (
+    references[m.id] && m.status === PAYMENT_TRANSITIONS[type].from
+        ? [{
+            id: getLedgerEntryId(gig.id, m.id, type),
+            entry: { gigId: gig.id, gigTitle: gig.title, clientId: gig.clientId, studentId: gig.acceptedStudentId, milestoneId: m.id, milestoneIndex, milestoneTitle: m.title, type, amount: m.amount, provider, reference: references[m.id], createdAt },
+        }]
+        : []
+));
+
+export const summarizeLedger = (entries) => {
+    const cents = { fund: 0, release: 0, refund: 0 };
+    entries.forEach(entry => { if (entry.type in cents) cents[entry.type] += toCents(entry.amount); });
+    return {
+        funded: fromCents(cents.fund),
+        released: fromCents(cents.release),
+        refunded: fromCents(cents.refund),
+        inEscrow: fromCents(cents.fund - cents.release - cents.refund),
+    };
+};
+
+export const groupLedgerByGig = (entries) => {
+    const groups = {};
+    entries.forEach(entry => {
+        if (!groups[entry.gigId]) groups[entry.gigId] = { gigId: entry.gigId, gigTitle: entry.gigTitle, entries: [] };
+        groups[entry.gigId].entries.push(entry);
+    });
+    return Object.values(groups).map(group => ({ ...group, ...summarizeLedger(group.entries) }));
+};
+
+// --- Providers ---
+// A provider implements createEscrow, release and refund, each resolving to { reference }.
+
+export const createMockPaymentProvider = () => {
+    let counter = 0;
+    const settled = new Set();
+    const nextReference = (prefix) => `${prefix}_mock_${Date.now().toString(36)}_${++counter}`;
+    const settle = (prefix, escrowReference) => {
+        if (settled.has(escrowReference)) throw new Error(`Escrow ${escrowReference} has already been settled.`);
+        settled.add(escrowReference);
+        return { reference: nextReference(prefix) };
+    };
+    return {
+        name: 'mock',
+        createEscrow: async ({ amount }) => {
+            if (!(amount > 0)) throw new Error('Escrow amount must be greater than zero.');
+            return { reference: nextReference('esc') };
+        },
+        release: async ({ escrowReference }) => settle('rel', escrowReference),
+        refund: async ({ escrowReference }) => settle('ref', escrowReference),
+    };
+};
+
+const providerFactories = { mock: createMockPaymentProvider };
+
+export const registerPaymentProvider = (name, factory) => {
+    providerFactories[name] = factory;
+};
+
+export const getPaymentProvider = (name = process.env.REACT_APP_PAYMENT_PROVIDER || 'mock') => {
+    const factory = providerFactories[name];
+    if (!factory) throw new Error(`Unknown payment provider "${name}".`);
+    return factory();
+};
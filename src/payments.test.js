@@ -0,0 +1,44 @@
+import { applyPayment, buildLedgerEntries, createMockPaymentProvider, getPaymentProvider, groupLedgerByGig, splitIntoMilestones, validateMilestones } from './payments';
+
+test('splits a bid into milestones that add up to the cent', () => {
+    const milestones = splitIntoMilestones(100, 3);
+    expect(milestones.map(m => m.amount)).toEqual([33.33, 33.33, 33.34]);
+    expect(validateMilestones(milestones, 100)).toBeNull();
+    expect(validateMilestones([{ ...milestones[0], amount: 50 }], 100)).toMatch(/add up/);
+});
+
+test('only moves milestones that are in the expected state', () => {
+    const milestones = [{ id: 'm1', status: 'funded' }, { id: 'm2', status: 'released' }];
+    const refunded = applyPayment(milestones, 'refund', { m1: 'ref_1', m2: 'ref_2' });
+    expect(refunded).toEqual([{ id: 'm1', status: 'refunded', refundReference: 'ref_1' }, { id: 'm2', status: 'released' }]);
+});
+
+test('builds one ledger entry per milestone moved, with predictable ids', () => {
+    const gig = { id: 'g1', title: 'Logo', clientId: 'c1', acceptedStudentId: 's1', milestones: [{ id: 'm1', title: 'Draft', amount: 40, status: 'released' }, { id: 'm2', title: 'Final', amount: 60, status: 'funded' }] };
+    const entries = buildLedgerEntries(gig, 'release', { m1: 'rel_1', m2: 'rel_2' }, { provider: 'mock', createdAt: 'now' });
+    expect(entries).toEqual([{
+        id: 'g1_m2_release',
+        entry: { gigId: 'g1', gigTitle: 'Logo', clientId: 'c1', studentId: 's1', milestoneId: 'm2', milestoneIndex: 1, milestoneTitle: 'Final', type: 'release', amount: 60, provider: 'mock', reference: 'rel_2', createdAt: 'now' },
+    }]);
+});
+
+test('summarizes the ledger per gig', () => {
+    const [summary] = groupLedgerByGig([
+        { gigId: 'g1', gigTitle: 'Logo', type: 'fund', amount: 60 },
+        { gigId: 'g1', gigTitle: 'Logo', type: 'fund', amount: 40 },
+        { gigId: 'g1', gigTitle: 'Logo', type: 'release', amount: 60 },
+    ]);
+    expect(summary).toMatchObject({ gigId: 'g1', funded: 100, released: 60, refunded: 0, inEscrow: 40 });
+});
+
+test('the mock provider refuses to settle an escrow twice', async () => {
+    const provider = createMockPaymentProvider();
+    const { reference } = await provider.createEscrow({ amount: 25 });
+    await expect(provider.release({ escrowReference: reference })).resolves.toHaveProperty('reference');
+    await expect(provider.refund({ escrowReference: reference })).rejects.toThrow(/already been settled/);
+});
+
+test('unknown providers are rejected', () => {
+    expect(getPaymentProvider('mock').name).toBe('mock');
+    expect(() => getPaymentProvider('nope')).toThrow(/Unknown payment provider/);
+});
@@ -0,0 +1,75 @@
+// --- Portfolio ---
+// Students show a profile photo (`photoURL`) and a list of projects (`portfolioProjects`) on their profile. Files
+// are uploaded to Cloud Storage under users/{uid}/; images are shrunk in the browser first, so the size limit applies
+// to what the student picks, before resizing. Profiles saved before projects existed only have a `portfolio` URL.
+import { formatFileSize } from './chat.js';
+import { normalizeLink } from './links.js';
+
+export const PHOTO_TYPES = ['image/png', 'image/jpeg', 'image/webp'];
+export const PORTFOLIO_FILE_TYPES = [...PHOTO_TYPES, 'image/gif', 'application/pdf'];
+export const UPLOAD_MAX_BYTES = 10 * 1024 * 1024;
+
+export const PHOTO_MAX_DIMENSION = 400;
+export const PORTFOLIO_IMAGE_MAX_DIMENSION = 1600;
+
+export const MAX_PORTFOLIO_PROJECTS = 12;
+export const MAX_PROJECT_FILES = 8;
+export const MAX_PROJECT_LINKS = 5;
+
+export const validatePhoto = (file) => {
+    if (!PHOTO_TYPES.includes(file.type)) return 'Profile photos must be PNG, JPEG or WebP images.';
+    if (file.size > UPLOAD_MAX_BYTES) return `Photos must be smaller than ${formatFileSize(UPLOAD_MAX_BYTES)}.`;
+    return null;
+};
+
+export const validatePortfolioFile = (file) => {
+    if (!PORTFOLIO_FILE_TYPES.includes(file.type)) return 'Only images and PDFs can be added to a project.';
+    if (file.size > UPLOAD_MAX_BYTES) return `Files must be smaller than ${formatFileSize(UPLOAD_MAX_BYTES)}.`;
+    return null;
+};
+
+// GIFs would lose their animation on a canvas, so they are uploaded as picked.
+export const isResizableImage = (file) => PHOTO_TYPES.includes(file.type);
+
+// Scales width x height down to fit inside maxDimension on both sides, keeping the aspect ratio; never scales up.
+export const getResizedDimensions = (width, height, maxDimension) => {
+    const scale = Math.min(1, maxDimension / Math.max(width, height));
+    return { width: Math.round(width * scale), height: Math.round(height * scale) };
+};
+
+export const EMPTY_PROJECT = { title: '', description: '', files: [], links: [], gigs: [] };
+
+export const createProject = () => ({ ...EMPTY_PROJECT, id: `project_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 7)}` });
+
+export const validateProject = (project) => {
+    if (!project.title.trim()) return 'Every project needs a title.';
+    if (project.files.length > MAX_PROJECT_FILES) return `Add at most ${MAX_PROJECT_FILES} files to a project.`;
+    if (project.links.length > MAX_PROJECT_LINKS) return `Add at most ${MAX_PROJECT_LINKS} links to a project.`;
+    const badLink = project.links.find(link => link.trim() && !normalizeLink(link));
+    if (badLink) return `"${badLink}" isn't a valid web link.`;
+    return null;
+};
+
+export const validatePortfolio = (projects) => {
+    if (projects.length > MAX_PORTFOLIO_PROJECTS) return `Add at most ${MAX_PORTFOLIO_PROJECTS} projects.`;
+    return projects.map(validateProject).find(Boolean) || null;
+};
+
+// What is stored on the profile: trimmed text, normalized links, and blank links dropped.
+export const buildPortfolio = (projects) => projects.map(project => ({
+    id: project.id,
+    title: project.title.trim(),
+    description: project.description.trim(),
+    files: project.files,
+    links: project.links.map(normalizeLink).filter(Boolean),
+    gigs: project.gigs.map(gig => ({ id: gig.id, title: gig.title })),
+}));
+
+export const getPortfolioProjects = (profile) => {
+    if (Array.isArray(profile.portfolioProjects)) return profile.portfolioProjects;
+    const legacyLink = typeof profile.portfolio === 'string' ? normalizeLink(profile.portfolio) : '';
+    return legacyLink ? [{ ...EMPTY_PROJECT, id: 'legacy', title: 'Portfolio', links: [legacyLink] }] : [];
+};
+
+// A completed gig can be linked only if the student did the work.
+export const getLinkableGigs = (gigs, studentId) => gigs.filter(gig => gig.status === 'completed' && gig.acceptedStudentId === studentId);
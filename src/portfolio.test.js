@@ -0,0 +1,35 @@
+import { EMPTY_PROJECT, MAX_PROJECT_LINKS, buildPortfolio, getLinkableGigs, getPortfolioProjects, getResizedDimensions, validatePhoto, validatePortfolio, validatePortfolioFile } from './portfolio';
+
+test('validates photos and project files', () => {
+    expect(validatePhoto({ type: 'image/jpeg', size: 1000 })).toBeNull();
+    expect(validatePhoto({ type: 'image/gif', size: 1000 })).toMatch(/PNG, JPEG or WebP/);
+    expect(validatePhoto({ type: 'image/png', size: 20 * 1024 * 1024 })).toMatch(/smaller than 10 MB/);
+    expect(validatePortfolioFile({ type: 'application/pdf', size: 1000 })).toBeNull();
+    expect(validatePortfolioFile({ type: 'application/zip', size: 1000 })).toMatch(/images and PDFs/);
+});
+
+test('shrinks images to fit without scaling up', () => {
+    expect(getResizedDimensions(4000, 3000, 1600)).toEqual({ width: 1600, height: 1200 });
+    expect(getResizedDimensions(900, 1800, 400)).toEqual({ width: 200, height: 400 });
+    expect(getResizedDimensions(300, 200, 400)).toEqual({ width: 300, height: 200 });
+});
+
+test('validates and builds projects', () => {
+    const project = { ...EMPTY_PROJECT, id: 'p1', title: ' Logo set ', description: ' For a club ', links: ['sam.dev', ' '], gigs: [{ id: 'g1', title: 'Logo', budget: 50 }] };
+    expect(validatePortfolio([project])).toBeNull();
+    expect(validatePortfolio([{ ...project, title: ' ' }])).toMatch(/needs a title/);
+    expect(validatePortfolio([{ ...project, links: ['ftp://x'] }])).toMatch(/isn't a valid web link/);
+    expect(validatePortfolio([{ ...project, links: Array(MAX_PROJECT_LINKS + 1).fill('sam.dev') }])).toMatch(/at most 5 links/);
+    expect(buildPortfolio([project])).toEqual([{ id: 'p1', title: 'Logo set', description: 'For a club', files: [], links: ['https://sam.dev/'], gigs: [{ id: 'g1', title: 'Logo' }] }]);
+});
+
+test('reads projects, falling back to the old portfolio link', () => {
+    expect(getPortfolioProjects({ portfolioProjects: [], portfolio: 'sam.dev' })).toEqual([]);
+    expect(getPortfolioProjects({ portfolio: 'sam.dev' })).toEqual([{ ...EMPTY_PROJECT, id: 'legacy', title: 'Portfolio', links: ['https://sam.dev/'] }]);
+    expect(getPortfolioProjects({ portfolio: '' })).toEqual([]);
+});
+
+test('only completed gigs the student did can be linked', () => {
+    const gigs = [{ id: 'g1', status: 'completed', acceptedStudentId: 's1' }, { id: 'g2', status: 'in-progress', acceptedStudentId: 's1' }, { id: 'g3', status: 'completed', acceptedStudentId: 's2' }];
+    expect(getLinkableGigs(gigs, 's1').map(gig => gig.id)).toEqual(['g1']);
+});
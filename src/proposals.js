@@ -0,0 +1,54 @@
+// --- Proposals ---
+
+import { toSkillTag } from './skills.js';
+
+export const PROPOSAL_STATUS = {
+    PENDING: 'pending',
+    ACCEPTED: 'accepted',
+    REJECTED: 'rejected',
+    DECLINED: 'declined',
+    WITHDRAWN: 'withdrawn',
+    EXPIRED: 'expired',
+    // The client cancelled the gig while the proposal was pending.
+    CLOSED: 'closed',
+};
+
+// A student counts as having applied unless they withdrew or the proposal expired or closed with the gig.
+export const hasActiveProposal = (proposals, uid) => proposals.some(p => p.studentId === uid && ![PROPOSAL_STATUS.WITHDRAWN, PROPOSAL_STATUS.EXPIRED, PROPOSAL_STATUS.CLOSED].includes(p.status));
+
+export const canWithdraw = (proposal, uid) => proposal.studentId === uid && proposal.status === PROPOSAL_STATUS.PENDING;
+
+export const canDecide = (proposal, gig, uid) => gig?.clientId === uid && gig.status === 'open' && proposal.status === PROPOSAL_STATUS.PENDING;
+
+// The other proposals that lose out when `acceptedProposalId` is accepted: every one that is still pending.
+export const getProposalsToReject = (proposals, acceptedProposalId) => proposals.filter(p => p.id !== acceptedProposalId && p.status === PROPOSAL_STATUS.PENDING);
+
+// What accepting a proposal writes, worked out from the gig and proposals as read in acceptProposal's transaction.
+// Throws if the gig is no longer open or the proposal no longer pending, so a second accept changes nothing.
+export const planAcceptance = (gig, proposal, others, uid, at) => {
+    if (!gig || gig.clientId !== uid) throw new Error('Only the gig owner can accept proposals.');
+    if (gig.status !== 'open') throw new Error('This gig is no longer open.');
+    if (!proposal || proposal.gigId !== gig.id || proposal.status !== PROPOSAL_STATUS.PENDING) throw new Error('This proposal can no longer be accepted.');
+    return {
+        gigUpdate: { status: 'in-progress', acceptedStudentId: proposal.studentId, acceptedProposalId: proposal.id, finalBid: proposal.bidAmount },
+        historyEntry: { from: 'open', to: 'in-progress', action: 'accept', by: uid, at },
+        rejected: getProposalsToReject(others, proposal.id),
+    };
+};
+
+// Editing a pending proposal notifies the client at most once an hour, so a string of small edits doesn't
+// flood them; the security rules hold students to the same interval.
+export const PROPOSAL_EDIT_NOTIFY_INTERVAL_MS = 60 * 60 * 1000;
+
+export const shouldNotifyProposalEdit = (proposal, now = Date.now()) => {
+    const lastNotifiedAt = proposal.editNotifiedAt?.toMillis ? proposal.editNotifiedAt.toMillis() : 0;
+    return now - lastNotifiedAt >= PROPOSAL_EDIT_NOTIFY_INTERVAL_MS;
+};
+
+// Which of the gig's skills the student has, and which are missing.
+export const getSkillOverlap = (studentSkills = [], gigSkills = []) => {
+    const owned = new Set(studentSkills.map(toSkillTag));
+    const matched = gigSkills.filter(skill => owned.has(toSkillTag(skill)));
+    const missing = gigSkills.filter(skill => !owned.has(toSkillTag(skill)));
+    return { matched, missing, ratio: gigSkills.length > 0 ? matched.length / gigSkills.length : 0 };
+};
@@ -0,0 +1,62 @@
+import { PROPOSAL_EDIT_NOTIFY_INTERVAL_MS, canDecide, canWithdraw, getProposalsToReject, getSkillOverlap, hasActiveProposal, planAcceptance, shouldNotifyProposalEdit } from './proposals';
+
+test('students can withdraw only their own pending proposals', () => {
+    expect(canWithdraw({ studentId: 's1', status: 'pending' }, 's1')).toBe(true);
+    expect(canWithdraw({ studentId: 's1', status: 'accepted' }, 's1')).toBe(false);
+    expect(canWithdraw({ studentId: 's1', status: 'pending' }, 's2')).toBe(false);
+});
+
+test('a withdrawn, expired or closed proposal lets the student apply again', () => {
+    expect(hasActiveProposal([{ studentId: 's1', status: 'withdrawn' }], 's1')).toBe(false);
+    expect(hasActiveProposal([{ studentId: 's1', status: 'expired' }], 's1')).toBe(false);
+    expect(hasActiveProposal([{ studentId: 's1', status: 'closed' }], 's1')).toBe(false);
+    expect(hasActiveProposal([{ studentId: 's1', status: 'declined' }], 's1')).toBe(true);
+});
+
+test('only the owner of an open gig decides on pending proposals', () => {
+    const gig = { clientId: 'c1', status: 'open' };
+    expect(canDecide({ status: 'pending' }, gig, 'c1')).toBe(true);
+    expect(canDecide({ status: 'pending' }, gig, 'c2')).toBe(false);
+    expect(canDecide({ status: 'pending' }, { ...gig, status: 'in-progress' }, 'c1')).toBe(false);
+});
+
+test('accepting a proposal hires its student and rejects the other pending proposals', () => {
+    const at = new Date('2024-05-01T12:00:00Z');
+    const gig = { id: 'g1', clientId: 'c1', status: 'open', title: 'Logo' };
+    const proposal = { id: 'p1', gigId: 'g1', studentId: 's1', bidAmount: 90, status: 'pending' };
+    const others = [{ id: 'p2', status: 'pending' }, { id: 'p3', status: 'withdrawn' }, { id: 'p4', status: 'pending' }];
+    expect(planAcceptance(gig, proposal, others, 'c1', at)).toEqual({
+        gigUpdate: { status: 'in-progress', acceptedStudentId: 's1', acceptedProposalId: 'p1', finalBid: 90 },
+        historyEntry: { from: 'open', to: 'in-progress', action: 'accept', by: 'c1', at },
+        rejected: [others[0], others[2]],
+    });
+});
+
+test('a proposal can only be accepted once, by the owner of an open gig', () => {
+    const gig = { id: 'g1', clientId: 'c1', status: 'open' };
+    const proposal = { id: 'p1', gigId: 'g1', studentId: 's1', bidAmount: 90, status: 'pending' };
+    expect(() => planAcceptance(gig, proposal, [], 'c2')).toThrow(/Only the gig owner/);
+    expect(() => planAcceptance(null, proposal, [], 'c1')).toThrow(/Only the gig owner/);
+    expect(() => planAcceptance({ ...gig, status: 'in-progress' }, proposal, [], 'c1')).toThrow(/no longer open/);
+    expect(() => planAcceptance(gig, { ...proposal, status: 'accepted' }, [], 'c1')).toThrow(/can no longer be accepted/);
+    expect(() => planAcceptance(gig, { ...proposal, gigId: 'g2' }, [], 'c1')).toThrow(/can no longer be accepted/);
+    expect(() => planAcceptance(gig, null, [], 'c1')).toThrow(/can no longer be accepted/);
+});
+
+test('stragglers swept up after an accept leave the accepted proposal alone', () => {
+    const pending = [{ id: 'p1', status: 'pending' }, { id: 'p5', status: 'pending' }, { id: 'p6', status: 'declined' }];
+    expect(getProposalsToReject(pending, 'p1').map(p => p.id)).toEqual(['p5']);
+});
+
+test('compares skills case-insensitively', () => {
+    expect(getSkillOverlap(['react', 'Figma'], ['React', 'Node', 'figma'])).toEqual({ matched: ['React', 'figma'], missing: ['Node'], ratio: 2 / 3 });
+    expect(getSkillOverlap(undefined, [])).toEqual({ matched: [], missing: [], ratio: 0 });
+});
+
+test('proposal edits notify the client at most once an hour', () => {
+    const now = 10 * PROPOSAL_EDIT_NOTIFY_INTERVAL_MS;
+    const notifiedAt = (ms) => ({ editNotifiedAt: { toMillis: () => ms } });
+    expect(shouldNotifyProposalEdit({}, now)).toBe(true);
+    expect(shouldNotifyProposalEdit(notifiedAt(now - 1000), now)).toBe(false);
+    expect(shouldNotifyProposalEdit(notifiedAt(now - PROPOSAL_EDIT_NOTIFY_INTERVAL_MS), now)).toBe(true);
+});
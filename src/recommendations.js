@@ -0,0 +1,67 @@
+// --- Recommendations ---
+// Scores open gigs against what a student has shown they can do: their profile skills, the skills of gigs they
+// were hired for, and (more weakly) the skills of gigs they applied to. Each match is explained by its source.
+
+import { isOpenToCampus } from './campuses.js';
+import { toSkillTag } from './skills.js';
+
+export const RECOMMENDATION_LIMIT = 6;
+// Firestore caps array-contains-any at 30 values.
+export const MAX_RECOMMENDATION_TAGS = 30;
+
+export const SKILL_SOURCES = {
+    profile: { weight: 3, label: 'your profile' },
+    work: { weight: 2, label: 'gigs you were hired for' },
+    proposals: { weight: 1, label: 'gigs you applied to' },
+};
+
+const toMillis = (value) => (value?.toMillis ? value.toMillis() : value instanceof Date ? value.getTime() : 0);
+
+// Map of normalized skill -> { weight, sources }, where weight is the strongest source that mentions it.
+export const buildSkillProfile = ({ skills = [], workGigs = [], proposalGigs = [] }) => {
+    const profile = new Map();
+    const add = (skill, source) => {
+        const key = toSkillTag(skill);
+        if (!key) return;
+        const entry = profile.get(key) || { weight: 0, sources: [] };
+        if (!entry.sources.includes(source)) entry.sources.push(source);
+        entry.weight = Math.max(entry.weight, SKILL_SOURCES[source].weight);
+        profile.set(key, entry);
+    };
+    skills.forEach(skill => add(skill, 'profile'));
+    workGigs.forEach(gig => gig.skills?.forEach(skill => add(skill, 'work')));
+    proposalGigs.forEach(gig => gig.skills?.forEach(skill => add(skill, 'proposals')));
+    return profile;
+};
+
+// The tags to query candidate gigs with, strongest first.
+export const getProfileTags = (profile) => [...profile.entries()]
+    .sort((a, b) => b[1].weight - a[1].weight)
+    .map(([skill]) => skill)
+    .slice(0, MAX_RECOMMENDATION_TAGS);
+
+// 1 means every skill the gig asks for is on the student's profile.
+export const scoreGig = (gig, profile) => {
+    const skills = gig.skills || [];
+    const matched = skills.filter(skill => profile.has(toSkillTag(skill)))
+        .map(skill => ({ skill, sources: profile.get(toSkillTag(skill)).sources }));
+    const total = matched.reduce((sum, { skill }) => sum + profile.get(toSkillTag(skill)).weight, 0);
+    return { score: skills.length > 0 ? total / (SKILL_SOURCES.profile.weight * skills.length) : 0, matched };
+};
+
+export const explainRecommendation = (matched) => {
+    const bySource = Object.keys(SKILL_SOURCES)
+        .map(source => ({ source, skills: matched.filter(m => m.sources[0] === source).map(m => m.skill) }))
+        .filter(group => group.skills.length > 0);
+    return bySource.map(({ source, skills }) => `${skills.join(', ')} from ${SKILL_SOURCES[source].label}`).join('; ');
+};
+
+// Open gigs the student hasn't applied to, best match first, newest first on ties.
+export const recommendGigs = (gigs, profile, { studentId = null, campusId = null, excludeGigIds = [], limit = RECOMMENDATION_LIMIT } = {}) => gigs
+    .filter(gig => gig.status === 'open' && gig.clientId !== studentId && !excludeGigIds.includes(gig.id))
+    .filter(gig => isOpenToCampus(gig, campusId))
+    .map(gig => ({ gig, ...scoreGig(gig, profile) }))
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score || toMillis(b.gig.postedAt) - toMillis(a.gig.postedAt))
+    .slice(0, limit)
+    .map(result => ({ ...result, explanation: explainRecommendation(result.matched) }));
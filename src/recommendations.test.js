@@ -0,0 +1,47 @@
+import { buildSkillProfile, explainRecommendation, getProfileTags, recommendGigs, scoreGig } from './recommendations';
+
+const profile = buildSkillProfile({
+    skills: ['React', 'CSS'],
+    workGigs: [{ skills: ['Figma', 'css'] }],
+    proposalGigs: [{ skills: ['Python'] }],
+});
+
+test('weights skills by where the student showed them', () => {
+    expect(profile.get('css')).toEqual({ weight: 3, sources: ['profile', 'work'] });
+    expect(profile.get('figma')).toEqual({ weight: 2, sources: ['work'] });
+    expect(getProfileTags(profile)).toEqual(['react', 'css', 'figma', 'python']);
+});
+
+test('scores a gig by how much of it the student covers', () => {
+    expect(scoreGig({ skills: ['React', 'CSS'] }, profile).score).toBe(1);
+    expect(scoreGig({ skills: ['Python', 'Go'] }, profile).score).toBeCloseTo(1 / 6);
+    expect(scoreGig({ skills: [] }, profile).score).toBe(0);
+});
+
+test('explains matches by source', () => {
+    const { matched } = scoreGig({ skills: ['React', 'Figma', 'Python'] }, profile);
+    expect(explainRecommendation(matched)).toBe('React from your profile; Figma from gigs you were hired for; Python from gigs you applied to');
+});
+
+test('recommends open gigs the student has not applied to, best first', () => {
+    const gigs = [
+        { id: 'g1', status: 'open', skills: ['Python'], postedAt: new Date(3) },
+        { id: 'g2', status: 'open', skills: ['React'], postedAt: new Date(1) },
+        { id: 'g3', status: 'open', skills: ['React'], postedAt: new Date(2) },
+        { id: 'g4', status: 'in-progress', skills: ['React'] },
+        { id: 'g5', status: 'open', skills: ['Go'] },
+        { id: 'g6', status: 'open', skills: ['React'] },
+    ];
+    const results = recommendGigs(gigs, profile, { excludeGigIds: ['g6'] });
+    expect(results.map(r => r.gig.id)).toEqual(['g3', 'g2', 'g1']);
+    expect(results[0].explanation).toBe('React from your profile');
+});
+
+test('skips gigs restricted to other campuses', () => {
+    const gigs = [
+        { id: 'g1', status: 'open', skills: ['React'], campusScope: ['mit'] },
+        { id: 'g2', status: 'open', skills: ['React'], campusScope: ['all'] },
+    ];
+    expect(recommendGigs(gigs, profile, { campusId: 'bu' }).map(r => r.gig.id)).toEqual(['g2']);
+    expect(recommendGigs(gigs, profile, { campusId: 'mit' })).toHaveLength(2);
+});
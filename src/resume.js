@@ -0,0 +1,168 @@
+// --- Résumé ---
+// Students print their profile as a résumé (the browser's "Save as PDF" makes the file), and pre-fill their
+// experience, education and skills from an existing résumé. JSON Resume files (https://jsonresume.org/schema) and
+// plain text are parsed here; PDFs are turned into JSON Resume by Gemini first. Imports are merged into the edit
+// form, never saved straight away, so the student can fix what the parser got wrong.
+import { formatFileSize } from './chat.js';
+import { normalizeSkills } from './skills.js';
+
+export const RESUME_TEMPLATES = { classic: 'Classic', modern: 'Modern', compact: 'Compact' };
+export const DEFAULT_RESUME_TEMPLATE = 'classic';
+
+export const getResumeTemplate = (name) => (name in RESUME_TEMPLATES ? name : DEFAULT_RESUME_TEMPLATE);
+
+export const RESUME_IMPORT_TYPES = { json: 'application/json', text: 'text/plain', pdf: 'application/pdf' };
+export const RESUME_IMPORT_MAX_BYTES = 5 * 1024 * 1024;
+
+const EMPTY_EXPERIENCE = { title: '', company: '', duration: '', description: '' };
+const EMPTY_EDUCATION = { school: '', degree: '', year: '' };
+
+// Browsers don't always know a .json file's type, so the extension decides as well.
+export const getResumeFileKind = (file) => {
+    const extension = file.name.split('.').pop().toLowerCase();
+    return Object.keys(RESUME_IMPORT_TYPES).find(kind => file.type === RESUME_IMPORT_TYPES[kind] || extension === (kind === 'text' ? 'txt' : kind)) || null;
+};
+
+export const validateResumeFile = (file) => {
+    if (!getResumeFileKind(file)) return 'Import a PDF, a plain text file or a JSON Resume (.json) file.';
+    if (file.size > RESUME_IMPORT_MAX_BYTES) return `Résumés must be smaller than ${formatFileSize(RESUME_IMPORT_MAX_BYTES)}.`;
+    return null;
+};
+
+const isBlankEntry = (entry) => Object.values(entry).every(value => !String(value ?? '').trim());
+
+// The parts of a profile a résumé shows, without the blank rows the edit form starts with.
+export const getResumeSections = (profile) => ({
+    experience: (profile.experience || []).filter(entry => !isBlankEntry(entry)),
+    education: (profile.education || []).filter(entry => !isBlankEntry(entry)),
+    skills: profile.skills || [],
+});
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// JSON Resume dates are 'YYYY', 'YYYY-MM' or 'YYYY-MM-DD'.
+const formatResumeDate = (date) => {
+    const [year, month] = String(date || '').split('-');
+    if (!year) return '';
+    return month && MONTHS[Number(month) - 1] ? `${MONTHS[Number(month) - 1]} ${year}` : year;
+};
+
+const formatDuration = (startDate, endDate) => {
+    const start = formatResumeDate(startDate);
+    if (!start) return formatResumeDate(endDate);
+    return `${start} - ${formatResumeDate(endDate) || 'Present'}`;
+};
+
+const asList = (value) => (Array.isArray(value) ? value : []);
+
+export const parseJsonResume = (resume) => {
+    if (!resume || typeof resume !== 'object' || Array.isArray(resume)) throw new Error("This file isn't a JSON Resume.");
+    return {
+        experience: asList(resume.work).map(job => ({
+            title: job.position || '',
+            company: job.name || job.company || '',
+            duration: formatDuration(job.startDate, job.endDate),
+            description: [job.summary, ...asList(job.highlights).map(highlight => `• ${highlight}`)].filter(Boolean).join('\n'),
+        })).filter(entry => !isBlankEntry(entry)),
+        education: asList(resume.education).map(school => ({
+            school: school.institution || '',
+            degree: [school.studyType, school.area].filter(Boolean).join(' in '),
+            year: formatResumeDate(school.endDate).split(' ').pop() || '',
+        })).filter(entry => !isBlankEntry(entry)),
+        skills: normalizeSkills(asList(resume.skills).flatMap(skill => (typeof skill === 'string' ? [skill] : [skill.name, ...asList(skill.keywords)])).filter(Boolean)),
+    };
+};
+
+const SECTION_HEADINGS = [
+    ['experience', /^(work |professional |relevant )?(experience|employment( history)?|work history)$/i],
+    ['education', /^education$/i],
+    ['skills', /^(technical |key )?skills( & tools)?$/i],
+    ['other', /^(summary|profile|objective|about( me)?|projects|awards|certifications|interests|languages|references|volunteer(ing)?|activities)$/i],
+];
+
+const DATE_RANGE = /((jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\.?\s+)?(19|20)\d{2}\s*[-–—to]+\s*(((jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\.?\s+)?(19|20)\d{2}|present|current|now)/i;
+const DEGREE = /\b(b\.?a\.?|b\.?s\.?c?|bachelor|m\.?a\.?|m\.?s\.?c?|master|ph\.?d|mba|associate|diploma|certificate|major|minor)\b/i;
+const BULLET = /^[•\-*·▪◦]\s*/;
+
+const toBlocks = (lines) => lines.reduce((blocks, line) => {
+    if (!line) blocks.push([]);
+    else blocks[blocks.length - 1].push(line);
+    return blocks;
+}, [[]]).filter(block => block.length > 0);
+
+const parseJobBlock = (block) => {
+    const entry = { ...EMPTY_EXPERIENCE };
+    const rest = [];
+    block.forEach(line => {
+        const range = line.match(DATE_RANGE);
+        if (range && !entry.duration) {
+            entry.duration = range[0].replace(/\s*[-–—]\s*|\s+to\s+/i, ' - ');
+            const remainder = line.replace(range[0], '').replace(/[|,()\s]+$|^[|,()\s]+/g, '');
+            if (remainder) rest.push(remainder);
+        } else {
+            rest.push(line);
+        }
+    });
+    const [heading = '', ...description] = rest;
+    const [title, company = ''] = heading.split(/\s+at\s+|\s*[|,]\s*|\s+[-–—]\s+/i);
+    entry.title = title.trim();
+    entry.company = company.trim();
+    entry.description = description.map(line => (BULLET.test(line) ? `• ${line.replace(BULLET, '')}` : line)).join('\n');
+    return entry;
+};
+
+const parseSchoolBlock = (block) => {
+    const entry = { ...EMPTY_EDUCATION };
+    block.forEach(line => {
+        const years = line.match(/\b(19|20)\d{2}\b/g);
+        const text = line.replace(/\b(19|20)\d{2}\b/g, '').replace(/[-–—|,()]+\s*$|^\s*[-–—|,()]+/g, '').trim();
+        if (years) entry.year = years[years.length - 1];
+        if (!text) return;
+        if (!entry.degree && DEGREE.test(text)) entry.degree = text;
+        else if (!entry.school) entry.school = text;
+    });
+    return entry;
+};
+
+// Best effort: finds the Experience, Education and Skills sections by their headings, and reads entries separated
+// by blank lines. Anything outside those sections is ignored.
+export const parseTextResume = (text) => {
+    const sections = { experience: [], education: [], skills: [], other: [] };
+    let current = 'other';
+    text.split(/\r?\n/).map(line => line.trim()).forEach(line => {
+        const heading = SECTION_HEADINGS.find(([, pattern]) => pattern.test(line.replace(/:$/, '')));
+        if (heading) current = heading[0];
+        else sections[current].push(line);
+    });
+    return {
+        experience: toBlocks(sections.experience).map(parseJobBlock).filter(entry => !isBlankEntry(entry)),
+        education: toBlocks(sections.education).map(parseSchoolBlock).filter(entry => !isBlankEntry(entry)),
+        skills: normalizeSkills(sections.skills.join(',').split(/[,;|•·\n]/).map(skill => skill.replace(BULLET, '').trim()).filter(Boolean)),
+    };
+};
+
+export const RESUME_EXTRACTION_PROMPT = 'Extract the work experience, education and skills from this résumé. Reply with only a JSON object in the JSON Resume format (https://jsonresume.org/schema) with the keys "work", "education" and "skills"; leave out anything the résumé does not say.';
+
+// Gemini sometimes wraps its JSON in a ```json fence or adds a sentence around it.
+export const parseAiResume = (text) => {
+    const start = text.indexOf('{');
+    const end = text.lastIndexOf('}');
+    if (start === -1 || end < start) throw new Error("Couldn't read that résumé.");
+    return parseJsonResume(JSON.parse(text.slice(start, end + 1)));
+};
+
+const sameEntry = (fields) => (a, b) => fields.every(field => String(a[field] || '').trim().toLowerCase() === String(b[field] || '').trim().toLowerCase());
+
+const mergeEntries = (existing, imported, isSame, empty) => {
+    const kept = existing.filter(entry => !isBlankEntry(entry));
+    const merged = [...kept, ...imported.filter(entry => !kept.some(other => isSame(entry, other)))];
+    return merged.length > 0 ? merged : [{ ...empty }];
+};
+
+// Adds imported entries the form doesn't have yet and drops its blank placeholder rows.
+export const mergeImportedProfile = (formData, imported) => ({
+    ...formData,
+    experience: mergeEntries(formData.experience, imported.experience, sameEntry(['title', 'company']), EMPTY_EXPERIENCE),
+    education: mergeEntries(formData.education, imported.education, sameEntry(['school', 'degree']), EMPTY_EDUCATION),
+    skills: normalizeSkills([...formData.skills, ...imported.skills]),
+});
@@ -0,0 +1,77 @@
+import { getResumeFileKind, getResumeSections, getResumeTemplate, mergeImportedProfile, parseAiResume, parseJsonResume, parseTextResume, validateResumeFile } from './resume';
+
+const jsonResume = {
+    basics: { name: 'Sam Student' },
+    work: [
+        { name: 'Campus Library', position: 'Web Assistant', startDate: '2022-09', summary: 'Kept the library site up to date.', highlights: ['Rebuilt the events page'] },
+        { name: 'Cafe', position: 'Barista', startDate: '2021-06-01', endDate: '2022-08-31' },
+    ],
+    education: [{ institution: 'State University', studyType: 'BSc', area: 'Computer Science', endDate: '2025-05' }],
+    skills: [{ name: 'Web Development', keywords: ['reactjs', 'CSS'] }, 'Figma'],
+};
+
+test('accepts JSON, text and PDF résumés under the size limit', () => {
+    expect(getResumeFileKind({ name: 'resume.json', type: '' })).toBe('json');
+    expect(getResumeFileKind({ name: 'resume.txt', type: 'text/plain' })).toBe('text');
+    expect(getResumeFileKind({ name: 'CV.PDF', type: 'application/pdf' })).toBe('pdf');
+    expect(validateResumeFile({ name: 'resume.docx', type: 'application/msword', size: 100 })).toMatch(/PDF, a plain text file or a JSON Resume/);
+    expect(validateResumeFile({ name: 'resume.pdf', type: 'application/pdf', size: 6 * 1024 * 1024 })).toMatch(/smaller than 5 MB/);
+});
+
+test('reads JSON Resume files', () => {
+    expect(parseJsonResume(jsonResume)).toEqual({
+        experience: [
+            { title: 'Web Assistant', company: 'Campus Library', duration: 'Sep 2022 - Present', description: 'Kept the library site up to date.\n• Rebuilt the events page' },
+            { title: 'Barista', company: 'Cafe', duration: 'Jun 2021 - Aug 2022', description: '' },
+        ],
+        education: [{ school: 'State University', degree: 'BSc in Computer Science', year: '2025' }],
+        skills: ['Web Development', 'React', 'CSS', 'Figma'],
+    });
+    expect(() => parseJsonResume([])).toThrow(/isn't a JSON Resume/);
+});
+
+test('reads plain text résumés by their section headings', () => {
+    const text = [
+        'Sam Student', 'sam@example.edu', '',
+        'EXPERIENCE', 'Web Assistant at Campus Library', 'Sep 2022 - Present', '- Rebuilt the events page', '',
+        'Barista, Cafe (2021 to 2022)', '',
+        'Education:', 'State University', 'BSc Computer Science, 2025', '',
+        'Skills', 'React, CSS; Figma', '',
+        'Interests', 'Hiking',
+    ].join('\n');
+    expect(parseTextResume(text)).toEqual({
+        experience: [
+            { title: 'Web Assistant', company: 'Campus Library', duration: 'Sep 2022 - Present', description: '• Rebuilt the events page' },
+            { title: 'Barista', company: 'Cafe', duration: '2021 - 2022', description: '' },
+        ],
+        education: [{ school: 'State University', degree: 'BSc Computer Science', year: '2025' }],
+        skills: ['React', 'CSS', 'Figma'],
+    });
+});
+
+test('reads JSON Resume replies from the AI, fenced or not', () => {
+    expect(parseAiResume('```json\n{"skills": ["Python"]}\n```').skills).toEqual(['Python']);
+    expect(() => parseAiResume('Sorry, I cannot help with that.')).toThrow(/Couldn't read/);
+});
+
+test('merges imports into the edit form without duplicates or blank rows', () => {
+    const form = {
+        name: 'Sam',
+        skills: ['React'],
+        experience: [{ title: 'barista', company: 'cafe', duration: '', description: 'Coffee' }],
+        education: [{ school: '', degree: '', year: '' }],
+    };
+    const merged = mergeImportedProfile(form, parseJsonResume(jsonResume));
+    expect(merged.name).toBe('Sam');
+    expect(merged.experience.map(entry => entry.title)).toEqual(['barista', 'Web Assistant']);
+    expect(merged.education).toEqual([{ school: 'State University', degree: 'BSc in Computer Science', year: '2025' }]);
+    expect(merged.skills).toEqual(['React', 'Web Development', 'CSS', 'Figma']);
+    expect(mergeImportedProfile({ ...form, experience: [] }, { experience: [], education: [], skills: [] }).experience).toEqual([{ title: '', company: '', duration: '', description: '' }]);
+});
+
+test('picks a template and skips blank rows when printing', () => {
+    expect(getResumeTemplate('modern')).toBe('modern');
+    expect(getResumeTemplate('fancy')).toBe('classic');
+    expect(getResumeSections({ experience: [{ title: '', company: '', duration: '', description: '' }], education: [{ school: 'MIT', degree: '', year: '' }] }))
+        .toEqual({ experience: [], education: [{ school: 'MIT', degree: '', year: '' }], skills: [] });
+});
@@ -0,0 +1,21 @@
+// --- Reviews ---
+// One review per reviewer per gig: the doc id is `${gigId}_${reviewerId}`, so each pair reviews each other once.
+
+export const getReviewId = (gigId, reviewerId) => `${gigId}_${reviewerId}`;
+
+// Reviews unlock for the client and the accepted student once the gig is completed.
+export const getReviewTarget = (gig, uid) => {
+    if (!gig || gig.status !== 'completed' || !uid) return null;
+    if (uid === gig.clientId && gig.acceptedStudentId) return { revieweeId: gig.acceptedStudentId, revieweeRole: 'student' };
+    if (uid === gig.acceptedStudentId) return { revieweeId: gig.clientId, revieweeRole: 'client' };
+    return null;
+};
+
+export const isValidRating = (rating) => Number.isInteger(rating) && rating >= 1 && rating <= 5;
+
+export const summarizeRatings = (reviews) => {
+    const rated = reviews.filter(r => isValidRating(r.rating));
+    if (rated.length === 0) return { average: 0, count: 0 };
+    const total = rated.reduce((sum, r) => sum + r.rating, 0);
+    return { average: Math.round((total / rated.length) * 10) / 10, count: rated.length };
+};
@@ -0,0 +1,15 @@
+import { getReviewTarget, summarizeRatings } from './reviews';
+
+const gig = { clientId: 'client1', acceptedStudentId: 'student1', status: 'completed' };
+
+test('reviews unlock for both parties only once the gig is completed', () => {
+    expect(getReviewTarget(gig, 'client1')).toEqual({ revieweeId: 'student1', revieweeRole: 'student' });
+    expect(getReviewTarget(gig, 'student1')).toEqual({ revieweeId: 'client1', revieweeRole: 'client' });
+    expect(getReviewTarget(gig, 'stranger')).toBeNull();
+    expect(getReviewTarget({ ...gig, status: 'submitted' }, 'client1')).toBeNull();
+});
+
+test('summarizes ratings to one decimal and ignores invalid scores', () => {
+    expect(summarizeRatings([])).toEqual({ average: 0, count: 0 });
+    expect(summarizeRatings([{ rating: 5 }, { rating: 4 }, { rating: 4 }, { rating: 9 }])).toEqual({ average: 4.3, count: 3 });
+});
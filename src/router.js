@@ -0,0 +1,69 @@
+// --- Router ---
+// Route table, path matching and access guards. Paths may carry `:params`; the query string is parsed separately.
+
+export const ROUTES = [
+    { name: 'home', path: '/' },
+    { name: 'gigs', path: '/gigs' },
+    { name: 'gig', path: '/gig/:gigId', requiresProfile: true },
+    { name: 'student', path: '/student/:studentId', requiresProfile: true },
+    { name: 'resume', path: '/student/:studentId/resume', requiresProfile: true },
+    { name: 'client', path: '/client/:clientId', requiresProfile: true },
+    { name: 'dashboard', path: '/dashboard', requiresAuth: true, requiresProfile: true },
+    { name: 'inbox', path: '/inbox', requiresAuth: true, requiresProfile: true },
+    { name: 'notifications', path: '/notifications', requiresAuth: true, requiresProfile: true },
+    { name: 'post-gig', path: '/post-gig', requiresAuth: true, requiresProfile: true, roles: ['client'] },
+    { name: 'admin', path: '/admin', requiresAuth: true, requiresProfile: true, roles: ['admin'] },
+    { name: 'login', path: '/login' },
+    { name: 'signup', path: '/signup' },
+];
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const compiledRoutes = ROUTES.map(route => {
+    const keys = [];
+    const pattern = route.path.split('/').map(segment => {
+        if (!segment.startsWith(':')) return escapeRegExp(segment);
+        keys.push(segment.slice(1));
+        return '([^/]+)';
+    }).join('/');
+    return { route, keys, regex: new RegExp(`^${pattern || '/'}$`) };
+});
+
+export const matchRoute = (pathname) => {
+    const normalized = pathname.replace(/\/+$/, '') || '/';
+    for (const { route, keys, regex } of compiledRoutes) {
+        const match = normalized.match(regex);
+        if (match) {
+            const params = {};
+            keys.forEach((key, i) => { params[key] = decodeURIComponent(match[i + 1]); });
+            return { route, params };
+        }
+    }
+    return null;
+};
+
+export const parseQuery = (search) => Object.fromEntries(new URLSearchParams(search));
+
+// Accepts the page-style targets used throughout the app ('home', 'gig/123', 'gigs?skill=react') as well as absolute paths.
+export const toPath = (target) => {
+    if (!target || target === 'home') return '/';
+    return target.startsWith('/') ? target : `/${target}`;
+};
+
+// Only same-origin paths are allowed as post-login redirects. Browsers read '/\host' as '//host' and drop tabs and
+// newlines from URLs, so a backslash after the leading slash, or any control character, is refused too.
+export const getSafeRedirect = (search) => {
+    const redirect = new URLSearchParams(search).get('redirect');
+    // eslint-disable-next-line no-control-regex
+    return redirect && /^\/(?![/\\])/.test(redirect) && !/[\u0000-\u001f]/.test(redirect) ? redirect : null;
+};
+
+export const getLoginRedirect = (location) => `/login?redirect=${encodeURIComponent(`${location.pathname}${location.search}`)}`;
+
+// Decides what to render for a matched route given the auth state.
+export const resolveAccess = (route, { user, userData }) => {
+    if (route.requiresAuth && !user) return { type: 'login' };
+    if (route.requiresProfile && user && !userData) return { type: 'select-role' };
+    if (route.roles && !route.roles.includes(userData?.role)) return { type: 'forbidden' };
+    return { type: 'allow' };
+};
@@ -0,0 +1,40 @@
+import { getLoginRedirect, getSafeRedirect, matchRoute, resolveAccess, toPath } from './router';
+
+test('matches static and parameterized routes', () => {
+    expect(matchRoute('/').route.name).toBe('home');
+    expect(matchRoute('/gigs/').route.name).toBe('gigs');
+    expect(matchRoute('/gig/abc%20123')).toMatchObject({ route: { name: 'gig' }, params: { gigId: 'abc 123' } });
+    expect(matchRoute('/student/s1').params).toEqual({ studentId: 's1' });
+    expect(matchRoute('/student/s1/resume')).toMatchObject({ route: { name: 'resume' }, params: { studentId: 's1' } });
+    expect(matchRoute('/gig/abc/extra')).toBeNull();
+    expect(matchRoute('/nowhere')).toBeNull();
+});
+
+test('turns page-style targets into paths', () => {
+    expect(toPath('home')).toBe('/');
+    expect(toPath('gig/1')).toBe('/gig/1');
+    expect(toPath('gigs?skill=react')).toBe('/gigs?skill=react');
+    expect(toPath('/dashboard')).toBe('/dashboard');
+});
+
+test('guards routes by sign-in, profile and role', () => {
+    const postGig = matchRoute('/post-gig').route;
+    expect(resolveAccess(postGig, { user: null, userData: null })).toEqual({ type: 'login' });
+    expect(resolveAccess(postGig, { user: { uid: 'u1' }, userData: null })).toEqual({ type: 'select-role' });
+    expect(resolveAccess(postGig, { user: { uid: 'u1' }, userData: { role: 'student' } })).toEqual({ type: 'forbidden' });
+    expect(resolveAccess(postGig, { user: { uid: 'u1' }, userData: { role: 'client' } })).toEqual({ type: 'allow' });
+    expect(resolveAccess(matchRoute('/gigs').route, { user: null, userData: null })).toEqual({ type: 'allow' });
+    expect(resolveAccess(matchRoute('/admin').route, { user: { uid: 'u1' }, userData: { role: 'client' } })).toEqual({ type: 'forbidden' });
+    expect(resolveAccess(matchRoute('/admin').route, { user: { uid: 'u1' }, userData: { role: 'admin' } })).toEqual({ type: 'allow' });
+});
+
+test('only redirects back to same-origin paths after login', () => {
+    const login = getLoginRedirect({ pathname: '/gigs', search: '?skill=react' });
+    expect(login).toBe('/login?redirect=%2Fgigs%3Fskill%3Dreact');
+    expect(getSafeRedirect(login.slice(login.indexOf('?')))).toBe('/gigs?skill=react');
+    expect(getSafeRedirect('?redirect=//evil.example')).toBeNull();
+    expect(getSafeRedirect('?redirect=https://evil.example')).toBeNull();
+    expect(getSafeRedirect(`?redirect=${encodeURIComponent('/\\evil.example')}`)).toBeNull();
+    expect(getSafeRedirect(`?redirect=${encodeURIComponent('/\t/evil.example')}`)).toBeNull();
+    expect(getSafeRedirect('?redirect=/gig/1')).toBe('/gig/1');
+});
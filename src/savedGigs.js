@@ -0,0 +1,79 @@
+// --- Saved Gigs & Searches ---
+// Students bookmark gigs (savedGigs/{userId}_{gigId}) and save searches (savedSearches). scripts/send-saved-alerts.mjs
+// notifies them when a newly posted gig matches a saved search, and warns once per change when a saved gig is
+// about to close or stops being available.
+
+import { isExpiringSoon } from './gigExpiry.js';
+import { DEFAULT_FILTERS, matchesSearch, serializeFilters } from './gigSearch.js';
+
+export const SAVED_SEARCH_LIMIT = 10;
+
+const toMillis = (value) => (value?.toMillis ? value.toMillis() : value instanceof Date ? value.getTime() : 0);
+
+export const getSavedGigId = (userId, gigId) => `${userId}_${gigId}`;
+
+export const buildSavedGig = (userId, gig, savedAt) => ({ userId, gigId: gig.id, gigTitle: gig.title, savedAt, warning: null });
+
+export const isGigSaved = (savedGigs, gigId) => savedGigs.some(saved => saved.gigId === gigId);
+
+// A saved search keeps what the student looks for; the date range and sort order only matter while browsing.
+export const toSavedFilters = (filters) => ({
+    q: filters.q.trim(),
+    skills: filters.skills,
+    min: filters.min,
+    max: filters.max,
+    campus: filters.campus,
+});
+
+export const describeSearch = (filters) => {
+    const parts = [];
+    if (filters.q?.trim()) parts.push(`"${filters.q.trim()}"`);
+    if (filters.skills?.length > 0) parts.push(filters.skills.join(', '));
+    if (filters.min !== '' && filters.max !== '') parts.push(`$${filters.min}–$${filters.max}`);
+    else if (filters.min !== '') parts.push(`$${filters.min}+`);
+    else if (filters.max !== '') parts.push(`up to $${filters.max}`);
+    return parts.length > 0 ? parts.join(' · ') : 'All gigs';
+};
+
+export const buildSavedSearch = (userId, name, filters, createdAt) => {
+    const saved = toSavedFilters(filters);
+    return { userId, name: name.trim() || describeSearch(saved), filters: saved, createdAt, lastCheckedAt: createdAt };
+};
+
+// Gigs posted since the search was last checked that match it.
+export const findNewMatches = (search, gigs) => gigs.filter(gig =>
+    toMillis(gig.postedAt) > toMillis(search.lastCheckedAt) && matchesSearch(gig, search.filters));
+
+// Always spells out the campus (including "all"), since GigsPage otherwise defaults to the viewer's campus.
+export const getSearchLink = (filters) => `gigs${serializeFilters({ ...DEFAULT_FILTERS, ...filters }, { defaultCampus: null })}`;
+
+export const SAVED_GIG_WARNINGS = { CLOSING: 'closing', TAKEN: 'taken', CLOSED: 'closed' };
+
+export const SAVED_GIG_WARNING_LABELS = { closing: 'Closing soon', taken: 'Taken', closed: 'Closed' };
+
+// Why a saved gig needs the student's attention, or null. Gigs the student was hired for are never "taken".
+export const getSavedGigWarning = (saved, gig, now = new Date(), options) => {
+    if (!gig || ['cancelled', 'expired'].includes(gig.status)) return SAVED_GIG_WARNINGS.CLOSED;
+    if (gig.status !== 'open') return gig.acceptedStudentId === saved.userId ? null : SAVED_GIG_WARNINGS.TAKEN;
+    return isExpiringSoon(gig, now, options) ? SAVED_GIG_WARNINGS.CLOSING : null;
+};
+
+// gigsById: { [gigId]: gig }, with deleted gigs missing. Each warning is sent once; a new one replaces it.
+export const planSavedGigWarnings = (savedGigs, gigsById, now = new Date(), options) => savedGigs
+    .map(saved => ({ saved, warning: getSavedGigWarning(saved, gigsById[saved.gigId], now, options) }))
+    .filter(({ saved, warning }) => warning && warning !== saved.warning);
+
+export const describeSearchMatches = (search, gigs) => ({
+    title: 'New Gigs for Your Saved Search',
+    message: gigs.length === 1
+        ? `"${gigs[0].title}" matches your saved search "${search.name}".`
+        : `${gigs.length} new gigs match your saved search "${search.name}", including "${gigs[0].title}".`,
+});
+
+export const describeSavedGigWarning = (saved, warning) => {
+    switch (warning) {
+        case SAVED_GIG_WARNINGS.CLOSING: return { title: 'Saved Gig Closing Soon', message: `"${saved.gigTitle}" stops accepting proposals soon. Apply before it closes.` };
+        case SAVED_GIG_WARNINGS.TAKEN: return { title: 'Saved Gig Taken', message: `"${saved.gigTitle}" has been given to another student.` };
+        default: return { title: 'Saved Gig Closed', message: `"${saved.gigTitle}" is no longer available.` };
+    }
+};
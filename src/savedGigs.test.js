@@ -0,0 +1,40 @@
+import { buildSavedSearch, describeSearch, describeSearchMatches, findNewMatches, getSavedGigWarning, getSearchLink, planSavedGigWarnings } from './savedGigs';
+import { DEFAULT_FILTERS } from './gigSearch';
+
+const now = new Date('2024-06-01T12:00:00Z');
+const gig = (id, fields = {}) => ({ id, title: `Gig ${id}`, description: '', status: 'open', budget: 100, skills: ['React'], skillTags: ['react'], postedAt: now, ...fields });
+
+test('saved searches keep the query and filters but not the date range or sort', () => {
+    const search = buildSavedSearch('s1', ' ', { ...DEFAULT_FILTERS, q: ' logo ', skills: ['figma'], min: '50', from: '2024-01-01', sort: 'budgetHigh' }, now);
+    expect(search.filters).toEqual({ q: 'logo', skills: ['figma'], min: '50', max: '', campus: '' });
+    expect(search.name).toBe('"logo" · figma · $50+');
+    expect(search.lastCheckedAt).toBe(now);
+    expect(describeSearch({ q: '', skills: [], min: '', max: '' })).toBe('All gigs');
+    expect(getSearchLink(search.filters)).toBe('gigs?q=logo&skill=figma&min=50&campus=all');
+});
+
+test('finds gigs posted since the last check that match', () => {
+    const search = { name: 'React', filters: { q: '', skills: ['react'], min: '', max: '150', campus: '' }, lastCheckedAt: new Date(now.getTime() - 1000) };
+    const gigs = [
+        gig('new'),
+        gig('old', { postedAt: new Date(now.getTime() - 5000) }),
+        gig('pricey', { budget: 500 }),
+        gig('vue', { skills: ['Vue'], skillTags: ['vue'] }),
+        gig('taken', { status: 'in-progress' }),
+    ];
+    const matches = findNewMatches(search, gigs);
+    expect(matches.map(g => g.id)).toEqual(['new']);
+    expect(describeSearchMatches(search, matches).message).toBe('"Gig new" matches your saved search "React".');
+});
+
+test('warns once about saved gigs that close or are taken by someone else', () => {
+    const saved = { userId: 's1', gigId: 'g1', gigTitle: 'Logo', warning: null };
+    expect(getSavedGigWarning(saved, gig('g1'), now)).toBeNull();
+    expect(getSavedGigWarning(saved, gig('g1', { applicationDeadline: new Date(now.getTime() + 3600000) }), now)).toBe('closing');
+    expect(getSavedGigWarning(saved, gig('g1', { status: 'in-progress', acceptedStudentId: 's2' }), now)).toBe('taken');
+    expect(getSavedGigWarning(saved, gig('g1', { status: 'in-progress', acceptedStudentId: 's1' }), now)).toBeNull();
+    expect(getSavedGigWarning(saved, undefined, now)).toBe('closed');
+
+    const plan = planSavedGigWarnings([saved, { ...saved, gigId: 'g2', warning: 'taken' }], { g2: gig('g2', { status: 'completed' }) }, now);
+    expect(plan).toEqual([{ saved, warning: 'closed' }]);
+});
@@ -0,0 +1,132 @@
+// --- Skills Catalogue ---
+// Canonical skill names with synonyms and categories. Lookups ignore case, spaces, dots, dashes and underscores,
+// so "ReactJS", "react.js" and "React" all resolve to "React". Skills not in the catalogue are kept as typed.
+
+export const SKILL_CATEGORIES = {
+    development: 'Development',
+    design: 'Design',
+    writing: 'Writing & Translation',
+    marketing: 'Marketing',
+    data: 'Data & Analytics',
+    media: 'Video, Audio & Photo',
+    business: 'Business & Admin',
+    tutoring: 'Tutoring',
+};
+
+export const SKILL_CATALOGUE = [
+    { name: 'JavaScript', category: 'development', synonyms: ['js', 'ecmascript', 'es6'] },
+    { name: 'TypeScript', category: 'development', synonyms: ['ts'] },
+    { name: 'React', category: 'development', synonyms: ['react.js', 'reactjs'] },
+    { name: 'React Native', category: 'development', synonyms: ['rn'] },
+    { name: 'Vue', category: 'development', synonyms: ['vue.js', 'vuejs'] },
+    { name: 'Angular', category: 'development', synonyms: ['angularjs', 'angular.js'] },
+    { name: 'Node.js', category: 'development', synonyms: ['node', 'nodejs'] },
+    { name: 'Express', category: 'development', synonyms: ['express.js', 'expressjs'] },
+    { name: 'Next.js', category: 'development', synonyms: ['next', 'nextjs'] },
+    { name: 'HTML', category: 'development', synonyms: ['html5'] },
+    { name: 'CSS', category: 'development', synonyms: ['css3'] },
+    { name: 'Tailwind CSS', category: 'development', synonyms: ['tailwind', 'tailwindcss'] },
+    { name: 'Python', category: 'development', synonyms: ['py', 'python3'] },
+    { name: 'Django', category: 'development', synonyms: [] },
+    { name: 'Flask', category: 'development', synonyms: [] },
+    { name: 'Java', category: 'development', synonyms: [] },
+    { name: 'C', category: 'development', synonyms: ['c language'] },
+    { name: 'C++', category: 'development', synonyms: ['cpp'] },
+    { name: 'C#', category: 'development', synonyms: ['csharp', 'c sharp'] },
+    { name: 'Go', category: 'development', synonyms: ['golang'] },
+    { name: 'Rust', category: 'development', synonyms: [] },
+    { name: 'PHP', category: 'development', synonyms: [] },
+    { name: 'WordPress', category: 'development', synonyms: ['wp'] },
+    { name: 'Swift', category: 'development', synonyms: ['ios development'] },
+    { name: 'Kotlin', category: 'development', synonyms: ['android development'] },
+    { name: 'Flutter', category: 'development', synonyms: ['dart'] },
+    { name: 'Firebase', category: 'development', synonyms: ['firestore'] },
+    { name: 'SQL', category: 'data', synonyms: ['mysql', 'postgresql', 'postgres', 'sqlite'] },
+    { name: 'MongoDB', category: 'data', synonyms: ['mongo'] },
+    { name: 'Git', category: 'development', synonyms: ['github', 'version control'] },
+    { name: 'Data Analysis', category: 'data', synonyms: ['data analytics', 'analytics'] },
+    { name: 'Excel', category: 'data', synonyms: ['microsoft excel', 'spreadsheets', 'google sheets'] },
+    { name: 'Machine Learning', category: 'data', synonyms: ['ml'] },
+    { name: 'Statistics', category: 'data', synonyms: ['stats'] },
+    { name: 'R', category: 'data', synonyms: ['r language', 'rstats'] },
+    { name: 'Tableau', category: 'data', synonyms: [] },
+    { name: 'Figma', category: 'design', synonyms: [] },
+    { name: 'UI/UX Design', category: 'design', synonyms: ['ui', 'ux', 'ui design', 'ux design', 'ui/ux', 'user experience'] },
+    { name: 'Graphic Design', category: 'design', synonyms: ['graphics'] },
+    { name: 'Logo Design', category: 'design', synonyms: ['logos', 'branding'] },
+    { name: 'Illustration', category: 'design', synonyms: ['drawing'] },
+    { name: 'Adobe Photoshop', category: 'design', synonyms: ['photoshop', 'ps'] },
+    { name: 'Adobe Illustrator', category: 'design', synonyms: ['illustrator', 'ai design'] },
+    { name: 'Canva', category: 'design', synonyms: [] },
+    { name: '3D Modeling', category: 'design', synonyms: ['3d', 'blender'] },
+    { name: 'Copywriting', category: 'writing', synonyms: ['copy'] },
+    { name: 'Content Writing', category: 'writing', synonyms: ['blogging', 'blog writing', 'article writing'] },
+    { name: 'Technical Writing', category: 'writing', synonyms: ['documentation'] },
+    { name: 'Proofreading', category: 'writing', synonyms: ['editing', 'copy editing'] },
+    { name: 'Translation', category: 'writing', synonyms: ['translating'] },
+    { name: 'Social Media Marketing', category: 'marketing', synonyms: ['social media', 'smm', 'instagram marketing'] },
+    { name: 'SEO', category: 'marketing', synonyms: ['search engine optimization'] },
+    { name: 'Email Marketing', category: 'marketing', synonyms: ['newsletters', 'mailchimp'] },
+    { name: 'Market Research', category: 'marketing', synonyms: ['surveys'] },
+    { name: 'Video Editing', category: 'media', synonyms: ['premiere pro', 'final cut', 'video production'] },
+    { name: 'Photography', category: 'media', synonyms: ['photo', 'photos'] },
+    { name: 'Animation', category: 'media', synonyms: ['motion graphics', 'after effects'] },
+    { name: 'Audio Editing', category: 'media', synonyms: ['podcast editing', 'sound editing'] },
+    { name: 'Data Entry', category: 'business', synonyms: ['typing'] },
+    { name: 'Virtual Assistance', category: 'business', synonyms: ['virtual assistant', 'va'] },
+    { name: 'Event Planning', category: 'business', synonyms: ['events'] },
+    { name: 'Presentation Design', category: 'business', synonyms: ['powerpoint', 'slides', 'google slides'] },
+    { name: 'Math Tutoring', category: 'tutoring', synonyms: ['maths tutoring', 'calculus tutoring'] },
+    { name: 'Science Tutoring', category: 'tutoring', synonyms: ['physics tutoring', 'chemistry tutoring', 'biology tutoring'] },
+    { name: 'Language Tutoring', category: 'tutoring', synonyms: ['english tutoring', 'spanish tutoring', 'esl'] },
+    { name: 'Programming Tutoring', category: 'tutoring', synonyms: ['coding tutoring'] },
+];
+
+// Case, whitespace and separators don't distinguish skills; "+" and "#" do (C, C++, C#).
+export const getSkillKey = (text = '') => text.toLowerCase().replace(/[\s._-]+/g, '');
+
+const catalogueByKey = new Map();
+SKILL_CATALOGUE.forEach(entry => {
+    [entry.name, ...entry.synonyms].forEach(alias => catalogueByKey.set(getSkillKey(alias), entry));
+});
+
+export const findSkill = (text) => catalogueByKey.get(getSkillKey(text)) || null;
+
+export const normalizeSkill = (text = '') => {
+    const trimmed = text.trim().replace(/\s+/g, ' ');
+    return findSkill(trimmed)?.name || trimmed;
+};
+
+// The lowercased canonical name, as stored in a gig's `skillTags`.
+export const toSkillTag = (text) => normalizeSkill(text).toLowerCase();
+
+// Canonical names, deduplicated, in the order given; blanks dropped.
+export const normalizeSkills = (skills = []) => {
+    const seen = new Set();
+    return skills.map(normalizeSkill).filter(skill => {
+        const key = getSkillKey(skill);
+        if (!key || seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+};
+
+export const getSkillCategory = (skill) => findSkill(skill)?.category || null;
+
+// Autocomplete: names or synonyms starting with the query rank above ones that merely contain it.
+export const searchSkills = (text, { exclude = [], limit = 8 } = {}) => {
+    const key = getSkillKey(text);
+    if (!key) return [];
+    const excluded = new Set(exclude.map(skill => getSkillKey(normalizeSkill(skill))));
+    return SKILL_CATALOGUE
+        .filter(entry => !excluded.has(getSkillKey(entry.name)))
+        .map(entry => {
+            const aliases = [entry.name, ...entry.synonyms].map(getSkillKey);
+            const rank = aliases.some(alias => alias.startsWith(key)) ? 0 : aliases.some(alias => alias.includes(key)) ? 1 : null;
+            return { entry, rank };
+        })
+        .filter(({ rank }) => rank !== null)
+        .sort((a, b) => a.rank - b.rank || a.entry.name.localeCompare(b.entry.name))
+        .slice(0, limit)
+        .map(({ entry }) => entry);
+};
@@ -0,0 +1,28 @@
+import { findSkill, getSkillCategory, normalizeSkill, normalizeSkills, searchSkills } from './skills';
+
+test('resolves synonyms and spelling variants to the canonical name', () => {
+    expect(normalizeSkill('reactjs')).toBe('React');
+    expect(normalizeSkill(' React.js ')).toBe('React');
+    expect(normalizeSkill('nodejs')).toBe('Node.js');
+    expect(normalizeSkill('c sharp')).toBe('C#');
+    expect(normalizeSkill('C++')).toBe('C++');
+    expect(normalizeSkill('Underwater  Basket Weaving')).toBe('Underwater Basket Weaving');
+    expect(findSkill('cpp').name).toBe('C++');
+    expect(findSkill('c').name).toBe('C');
+});
+
+test('deduplicates a skill list by canonical name', () => {
+    expect(normalizeSkills(['React', 'reactjs', 'Photoshop', '', 'knitting', 'Knitting'])).toEqual(['React', 'Adobe Photoshop', 'knitting']);
+});
+
+test('knows the category of catalogued skills', () => {
+    expect(getSkillCategory('figma')).toBe('design');
+    expect(getSkillCategory('knitting')).toBeNull();
+});
+
+test('suggests prefix matches first and skips skills already chosen', () => {
+    expect(searchSkills('reac').map(s => s.name)).toEqual(['React', 'React Native']);
+    expect(searchSkills('reac', { exclude: ['reactjs'] }).map(s => s.name)).toEqual(['React Native']);
+    expect(searchSkills('photo').map(s => s.name)).toEqual(['Adobe Photoshop', 'Photography']);
+    expect(searchSkills('  ')).toEqual([]);
+});
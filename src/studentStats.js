@@ -0,0 +1,73 @@
+// --- Student Stats ---
+// The overview on a student's dashboard and the filters on their proposals list. Works on the dashboard's
+// proposals, each joined with its gig as `proposal.gig`. Earnings are the accepted bids of completed gigs, dated
+// by when the client approved the work; money moved through escrow is listed separately under Payments.
+
+import { sumByMonth } from './clientAnalytics.js';
+import { PROPOSAL_STATUS } from './proposals.js';
+
+export const EARNINGS_MONTHS = 6;
+
+// Proposals lost when another student was hired count as rejected, like ones the client declined.
+const isRejected = (proposal) => proposal.status === PROPOSAL_STATUS.REJECTED || proposal.status === PROPOSAL_STATUS.DECLINED;
+
+export const PROPOSAL_FILTERS = {
+    all: { label: 'All', matches: () => true },
+    pending: { label: 'Pending', matches: (p) => p.status === PROPOSAL_STATUS.PENDING },
+    accepted: { label: 'Accepted', matches: (p) => p.status === PROPOSAL_STATUS.ACCEPTED },
+    rejected: { label: 'Rejected', matches: isRejected },
+    closed: { label: 'Withdrawn / Closed', matches: (p) => [PROPOSAL_STATUS.WITHDRAWN, PROPOSAL_STATUS.EXPIRED, PROPOSAL_STATUS.CLOSED].includes(p.status) },
+};
+
+const toDate = (value) => {
+    if (!value) return null;
+    if (typeof value.toDate === 'function') return value.toDate();
+    return value instanceof Date ? value : new Date(value);
+};
+
+const toMillis = (value) => toDate(value)?.getTime() ?? 0;
+
+export const PROPOSAL_SORTS = {
+    newest: { label: 'Newest first', compare: (a, b) => toMillis(b.submittedAt) - toMillis(a.submittedAt) },
+    oldest: { label: 'Oldest first', compare: (a, b) => toMillis(a.submittedAt) - toMillis(b.submittedAt) },
+    highest: { label: 'Highest bid', compare: (a, b) => b.bidAmount - a.bidAmount },
+    lowest: { label: 'Lowest bid', compare: (a, b) => a.bidAmount - b.bidAmount },
+};
+
+export const filterProposals = (proposals, filter = 'all', sort = 'newest') =>
+    proposals.filter((PROPOSAL_FILTERS[filter] || PROPOSAL_FILTERS.all).matches).sort((PROPOSAL_SORTS[sort] || PROPOSAL_SORTS.newest).compare);
+
+// Win rate is accepted out of decided proposals, so pending, withdrawn, expired and closed ones don't drag it down.
+export const summarizeProposals = (proposals) => {
+    const count = (filter) => proposals.filter(PROPOSAL_FILTERS[filter].matches).length;
+    const accepted = count('accepted');
+    const rejected = count('rejected');
+    const ratios = proposals.filter(p => p.gig?.budget > 0).map(p => p.bidAmount / p.gig.budget);
+    return {
+        total: proposals.length,
+        pending: count('pending'),
+        accepted,
+        rejected,
+        winRate: accepted + rejected > 0 ? accepted / (accepted + rejected) : null,
+        bidToBudget: ratios.length > 0 ? ratios.reduce((sum, ratio) => sum + ratio, 0) / ratios.length : null,
+    };
+};
+
+const getCompletedAt = (gig) => toDate(gig.statusHistory?.find(entry => entry.to === 'completed')?.at);
+
+// One entry per completed gig the student was hired for: { gigId, title, amount, completedAt }.
+export const getCompletedEarnings = (proposals, studentId) => proposals
+    .filter(p => p.status === PROPOSAL_STATUS.ACCEPTED && p.gig?.status === 'completed' && p.gig.acceptedStudentId === studentId)
+    .map(p => ({ gigId: p.gigId, title: p.gig.title, amount: Number(p.gig.finalBid ?? p.bidAmount), completedAt: getCompletedAt(p.gig) || toDate(p.submittedAt) }));
+
+// Earnings per month over the last `months` months, oldest first, zero-filled.
+export const getEarningsByMonth = (earnings, months = EARNINGS_MONTHS, now = new Date()) =>
+    sumByMonth(earnings.map(({ amount, completedAt }) => ({ date: completedAt, amount })), months, now);
+
+const ACTIVE_GIG_STATUSES = ['in-progress', 'submitted', 'disputed'];
+
+// Gigs the student is working on that have a due date, soonest (or most overdue) first.
+export const getUpcomingDeadlines = (proposals, studentId) => proposals
+    .filter(p => p.status === PROPOSAL_STATUS.ACCEPTED && ACTIVE_GIG_STATUSES.includes(p.gig?.status) && p.gig.acceptedStudentId === studentId && p.gig.deadline)
+    .map(p => p.gig)
+    .sort((a, b) => toMillis(a.deadline) - toMillis(b.deadline));
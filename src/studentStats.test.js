@@ -0,0 +1,35 @@
+import { filterProposals, getCompletedEarnings, getEarningsByMonth, getUpcomingDeadlines, summarizeProposals } from './studentStats';
+
+const proposals = [
+    { id: 'p1', gigId: 'g1', status: 'accepted', bidAmount: 90, submittedAt: new Date('2024-03-01'), gig: { title: 'Logo', status: 'completed', acceptedStudentId: 's1', budget: 100, finalBid: 90, statusHistory: [{ to: 'completed', at: new Date('2024-04-15') }] } },
+    { id: 'p2', gigId: 'g2', status: 'accepted', bidAmount: 200, submittedAt: new Date('2024-04-01'), gig: { title: 'Site', status: 'in-progress', acceptedStudentId: 's1', budget: 250, deadline: new Date('2024-06-01') } },
+    { id: 'p3', gigId: 'g3', status: 'rejected', bidAmount: 60, submittedAt: new Date('2024-04-10'), gig: { title: 'Poster', status: 'in-progress', acceptedStudentId: 's2', budget: 40 } },
+    { id: 'p4', gigId: 'g4', status: 'declined', bidAmount: 30, submittedAt: new Date('2024-04-20'), gig: { title: 'Flyer', status: 'open' } },
+    { id: 'p5', gigId: 'g5', status: 'pending', bidAmount: 120, submittedAt: new Date('2024-05-01'), gig: { title: 'Video', status: 'open', budget: 100 } },
+    { id: 'p6', gigId: 'g6', status: 'withdrawn', bidAmount: 10, submittedAt: new Date('2024-05-02'), gig: { title: 'Gig not found' } },
+];
+
+test('filters and sorts the proposals list', () => {
+    expect(filterProposals(proposals).map(p => p.id)).toEqual(['p6', 'p5', 'p4', 'p3', 'p2', 'p1']);
+    expect(filterProposals(proposals, 'rejected', 'highest').map(p => p.id)).toEqual(['p3', 'p4']);
+    expect(filterProposals(proposals, 'closed').map(p => p.id)).toEqual(['p6']);
+    expect(filterProposals(proposals, 'all', 'lowest')[0].id).toBe('p6');
+});
+
+test('summarizes counts, win rate and bids relative to budgets', () => {
+    const summary = summarizeProposals(proposals);
+    expect(summary).toMatchObject({ total: 6, pending: 1, accepted: 2, rejected: 2, winRate: 0.5 });
+    expect(summary.bidToBudget).toBeCloseTo((0.9 + 0.8 + 1.5 + 1.2) / 4);
+    expect(summarizeProposals([])).toMatchObject({ winRate: null, bidToBudget: null });
+});
+
+test('counts earnings from completed gigs by month', () => {
+    const earnings = getCompletedEarnings(proposals, 's1');
+    expect(earnings).toEqual([{ gigId: 'g1', title: 'Logo', amount: 90, completedAt: new Date('2024-04-15') }]);
+    expect(getEarningsByMonth(earnings, 2, new Date('2024-05-10'))).toEqual([{ key: '2024-04', amount: 90 }, { key: '2024-05', amount: 0 }]);
+});
+
+test('lists deadlines of gigs the student is working on', () => {
+    expect(getUpcomingDeadlines(proposals, 's1').map(gig => gig.title)).toEqual(['Site']);
+    expect(getUpcomingDeadlines(proposals, 's2')).toEqual([]);
+});
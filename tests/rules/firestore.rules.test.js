@@ -0,0 +1,668 @@
+/**
+ * Security rules tests. These run against the local Firestore emulator:
+ *   npm run test:rules
+ */
+const fs = require('fs');
+const path = require('path');
+const { initializeTestEnvironment, assertFails, assertSucceeds } = require('@firebase/rules-unit-testing');
+const { doc, getDoc, setDoc, updateDoc, deleteDoc, addDoc, collection, query, where, getDocs, increment, writeBatch, serverTimestamp } = require('firebase/firestore');
+
+const PROJECT_ID = 'demo-campusgig';
+
+let testEnv;
+
+const seed = async (data) => {
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+        const db = context.firestore();
+        for (const [docPath, value] of Object.entries(data)) {
+            await setDoc(doc(db, docPath), value);
+        }
+    });
+};
+
+const dbFor = (uid) => (uid ? testEnv.authenticatedContext(uid) : testEnv.unauthenticatedContext()).firestore();
+
+beforeAll(async () => {
+    testEnv = await initializeTestEnvironment({
+        projectId: PROJECT_ID,
+        firestore: { rules: fs.readFileSync(path.resolve(__dirname, '../../firestore.rules'), 'utf8') },
+    });
+});
+
+afterAll(async () => {
+    await testEnv?.cleanup();
+});
+
+beforeEach(async () => {
+    await testEnv.clearFirestore();
+    await seed({
+        'users/client1': { uid: 'client1', role: 'client', name: 'Casey Client' },
+        'users/client2': { uid: 'client2', role: 'client', name: 'Other Client' },
+        'users/student1': { uid: 'student1', role: 'student', name: 'Sam Student' },
+        'users/student2': { uid: 'student2', role: 'student', name: 'Alex Student' },
+        'gigs/open1': { clientId: 'client1', title: 'Logo', status: 'open', budget: 100, proposalCount: 0 },
+        'gigs/active1': { clientId: 'client1', title: 'Website', status: 'in-progress', acceptedStudentId: 'student1', finalBid: 300, budget: 300 },
+        'gigs/done1': { clientId: 'client1', title: 'Poster', status: 'completed', acceptedStudentId: 'student1', budget: 50 },
+        'proposals/p1': { gigId: 'open1', clientId: 'client1', studentId: 'student1', status: 'pending', bidAmount: 90, coverLetter: 'Hi' },
+        'proposals/p2': { gigId: 'open1', clientId: 'client1', studentId: 'student2', status: 'pending', bidAmount: 80, coverLetter: 'Hello' },
+        'notifications/n1': { userId: 'student1', title: 'Hi', message: 'Hello', link: 'home', read: false },
+        'campuses/mit': { name: 'MIT', domains: ['mit.edu'] },
+    });
+});
+
+describe('users', () => {
+    test('users can edit their own profile', async () => {
+        await assertSucceeds(updateDoc(doc(dbFor('student1'), 'users/student1'), { bio: 'Designer' }));
+    });
+
+    test("users cannot edit someone else's profile", async () => {
+        await assertFails(updateDoc(doc(dbFor('student1'), 'users/student2'), { bio: 'Hacked' }));
+    });
+
+    test('users cannot change their role', async () => {
+        await assertFails(updateDoc(doc(dbFor('student1'), 'users/student1'), { role: 'client' }));
+    });
+
+    test('the gig alert log is left to the alerts script', async () => {
+        await assertFails(updateDoc(doc(dbFor('client1'), 'users/student1'), { gigAlertLog: [new Date()] }));
+        await assertFails(updateDoc(doc(dbFor('student1'), 'users/student1'), { gigAlertLog: [] }));
+    });
+
+    test('clients verify their organization only from a confirmed, non-webmail email', async () => {
+        const verifiedDb = (email, emailVerified = true) => testEnv.authenticatedContext('client1', { email, email_verified: emailVerified }).firestore();
+        const verification = (domain) => ({ verification: { status: 'verified', domain, verifiedAt: new Date() } });
+        await assertFails(updateDoc(doc(verifiedDb('casey@acme.org', false), 'users/client1'), verification('acme.org')));
+        await assertFails(updateDoc(doc(verifiedDb('casey@gmail.com'), 'users/client1'), verification('gmail.com')));
+        await assertFails(updateDoc(doc(verifiedDb('casey@acme.org'), 'users/client1'), verification('mit.edu')));
+        await assertSucceeds(updateDoc(doc(verifiedDb('casey@acme.org'), 'users/client1'), verification('acme.org')));
+    });
+
+    test('students join a campus only from a confirmed email on its domain', async () => {
+        const studentDb = (email, emailVerified = true) => testEnv.authenticatedContext('student1', { email, email_verified: emailVerified }).firestore();
+        const campus = { campus: { id: 'mit', name: 'MIT', domain: 'mit.edu', verifiedAt: new Date() } };
+        await assertFails(updateDoc(doc(studentDb('sam@mit.edu', false), 'users/student1'), campus));
+        await assertFails(updateDoc(doc(studentDb('sam@bu.edu'), 'users/student1'), campus));
+        await assertSucceeds(updateDoc(doc(studentDb('sam@mit.edu'), 'users/student1'), campus));
+    });
+
+    test('portfolios hold at most 12 projects', async () => {
+        const project = (i) => ({ id: `p${i}`, title: `Project ${i}`, description: '', files: [], links: [], gigs: [] });
+        await assertSucceeds(updateDoc(doc(dbFor('student1'), 'users/student1'), { portfolioProjects: [project(1)], photoURL: 'https://example.com/me.jpg' }));
+        await assertFails(updateDoc(doc(dbFor('student1'), 'users/student1'), { portfolioProjects: Array.from({ length: 13 }, (_, i) => project(i)) }));
+    });
+
+    test('portfolio links must be http(s)', async () => {
+        const project = (links) => ({ id: 'p1', title: 'Logo set', description: '', files: [], links, gigs: [] });
+        await assertSucceeds(updateDoc(doc(dbFor('student1'), 'users/student1'), { portfolioProjects: [project(['https://sam.dev/'])] }));
+        await assertFails(updateDoc(doc(dbFor('student1'), 'users/student1'), { portfolioProjects: [project(['https://sam.dev/']), project(['data:text/html,hi'])] }));
+    });
+
+    test('new users must pick a valid role', async () => {
+        await assertSucceeds(setDoc(doc(dbFor('newUser'), 'users/newUser'), { uid: 'newUser', role: 'student' }));
+        await assertFails(setDoc(doc(dbFor('newUser2'), 'users/newUser2'), { uid: 'newUser2', role: 'admin' }));
+    });
+});
+
+describe('gigs', () => {
+    test('anyone can browse gigs', async () => {
+        await assertSucceeds(getDoc(doc(dbFor(null), 'gigs/open1')));
+    });
+
+    test('only clients can post gigs, as themselves', async () => {
+        await assertSucceeds(addDoc(collection(dbFor('client1'), 'gigs'), { clientId: 'client1', title: 'New', status: 'open' }));
+        await assertFails(addDoc(collection(dbFor('client1'), 'gigs'), { clientId: 'client2', title: 'New', status: 'open' }));
+        await assertFails(addDoc(collection(dbFor('student1'), 'gigs'), { clientId: 'student1', title: 'New', status: 'open' }));
+    });
+
+    test('only verified clients can show the verified badge on their gigs', async () => {
+        await assertFails(addDoc(collection(dbFor('client1'), 'gigs'), { clientId: 'client1', title: 'New', status: 'open', clientVerified: true }));
+        await assertFails(updateDoc(doc(dbFor('client1'), 'gigs/open1'), { clientVerified: true }));
+        await seed({ 'users/client1': { uid: 'client1', role: 'client', name: 'Casey Client', verification: { status: 'verified', domain: 'acme.org' } } });
+        await assertSucceeds(updateDoc(doc(dbFor('client1'), 'gigs/open1'), { clientVerified: true }));
+    });
+
+    test('gig attachments must be files the client uploaded', async () => {
+        const url = 'https://firebasestorage.googleapis.com/v0/b/demo-campusgig.appspot.com/o/gigs%2Fclient1%2F1700000000000_brief.pdf?alt=media&token=0f1e2d3c-aaaa-bbbb';
+        const attachment = { url, name: 'brief.pdf', size: 1000, contentType: 'application/pdf', path: 'gigs/client1/1700000000000_brief.pdf' };
+        await assertSucceeds(addDoc(collection(dbFor('client1'), 'gigs'), { clientId: 'client1', title: 'New', status: 'open', attachments: [attachment] }));
+        await assertFails(addDoc(collection(dbFor('client1'), 'gigs'), { clientId: 'client1', title: 'New', status: 'open', attachments: [{ ...attachment, url: 'data:text/html,hi' }] }));
+        await assertFails(updateDoc(doc(dbFor('client1'), 'gigs/open1'), { attachments: [{ ...attachment, url: url.replace('client1', 'client2') }] }));
+        await assertSucceeds(updateDoc(doc(dbFor('client1'), 'gigs/open1'), { attachments: [attachment] }));
+    });
+
+    test("clients cannot update another client's gig", async () => {
+        await assertSucceeds(updateDoc(doc(dbFor('client1'), 'gigs/open1'), { budget: 120 }));
+        await assertFails(updateDoc(doc(dbFor('client2'), 'gigs/open1'), { budget: 1 }));
+    });
+
+    test('the accepted student can submit work but not complete the gig', async () => {
+        const db = dbFor('student1');
+        await assertFails(updateDoc(doc(db, 'gigs/active1'), { status: 'completed' }));
+        await assertSucceeds(updateDoc(doc(db, 'gigs/active1'), { status: 'submitted', submission: { note: 'Done', links: [] } }));
+    });
+
+    test('other students cannot move the gig', async () => {
+        await assertFails(updateDoc(doc(dbFor('student2'), 'gigs/active1'), { status: 'submitted' }));
+    });
+
+    describe('proposal counters', () => {
+        const today = new Date().toISOString().slice(0, 10);
+        const stats = (proposalId, bid) => ({ proposalCount: increment(1), bidTotal: increment(bid), [`bidCounts.${bid}`]: increment(1), [`proposalsByDay.${today}`]: increment(1), lastProposalId: proposalId });
+        const propose = (uid, proposalId, bid, gigUpdates) => {
+            const db = dbFor(uid);
+            const batch = writeBatch(db);
+            batch.set(doc(db, 'proposals', proposalId), { gigId: 'open1', clientId: 'client1', studentId: uid, coverLetter: 'Hi', bidAmount: bid, status: 'pending', submittedAt: new Date() });
+            batch.update(doc(db, 'gigs/open1'), gigUpdates);
+            return batch.commit();
+        };
+
+        beforeEach(async () => {
+            await seed({ 'users/student3': { uid: 'student3', role: 'student', name: 'Jo Student' } });
+        });
+
+        test('the counters only move with a new proposal, by its bid', async () => {
+            await assertFails(updateDoc(doc(dbFor('student3'), 'gigs/open1'), { proposalCount: increment(1) }));
+            await assertFails(updateDoc(doc(dbFor('student3'), 'gigs/open1'), stats('p1', 90)));
+            await assertFails(propose('student3', 'p3', 90, { ...stats('p3', 90), bidTotal: increment(5000) }));
+            await assertFails(propose('student3', 'p3', 90, { ...stats('p3', 90), 'bidCounts.1': increment(1) }));
+            await assertFails(propose('student3', 'p3', 90, { ...stats('p3', 90), 'proposalsByDay.2020-01-01': increment(1) }));
+            await assertSucceeds(propose('student3', 'p3', 90, { ...stats('p3', 90), firstProposalAt: new Date() }));
+        });
+
+        test('withdrawing a pending proposal takes it off the count', async () => {
+            await seed({ 'gigs/open1': { clientId: 'client1', title: 'Logo', status: 'open', budget: 100, proposalCount: 2 } });
+            const withdraw = (uid, proposalId) => {
+                const db = dbFor(uid);
+                const batch = writeBatch(db);
+                batch.update(doc(db, 'proposals', proposalId), { status: 'withdrawn', withdrawnAt: new Date() });
+                batch.update(doc(db, 'gigs/open1'), { proposalCount: increment(-1), lastWithdrawnProposalId: proposalId });
+                return batch.commit();
+            };
+            await assertFails(updateDoc(doc(dbFor('student1'), 'gigs/open1'), { proposalCount: increment(-1), lastWithdrawnProposalId: 'p1' }));
+            await assertFails(withdraw('student1', 'p2'));
+            await assertSucceeds(withdraw('student1', 'p1'));
+        });
+
+        test('withdrawing a counted bid takes it off the bid counters', async () => {
+            await seed({ 'gigs/open1': { clientId: 'client1', title: 'Logo', status: 'open', budget: 100, proposalCount: 2, bidTotal: 170, bidCounts: { 80: 1, 90: 1 } } });
+            const withdraw = (gigUpdates) => {
+                const db = dbFor('student1');
+                const batch = writeBatch(db);
+                batch.update(doc(db, 'proposals/p1'), { status: 'withdrawn', withdrawnAt: new Date() });
+                batch.update(doc(db, 'gigs/open1'), { proposalCount: increment(-1), lastWithdrawnProposalId: 'p1', ...gigUpdates });
+                return batch.commit();
+            };
+            await assertFails(withdraw({}));
+            await assertFails(withdraw({ bidTotal: increment(-80), 'bidCounts.80': increment(-1) }));
+            await assertSucceeds(withdraw({ bidTotal: increment(-90), 'bidCounts.90': increment(-1) }));
+        });
+
+        test('editing a counted bid moves it in the bid counters', async () => {
+            await seed({ 'gigs/open1': { clientId: 'client1', title: 'Logo', status: 'open', budget: 100, proposalCount: 2, bidTotal: 170, bidCounts: { 80: 1, 90: 1 } } });
+            const edit = (bid, gigUpdates) => {
+                const db = dbFor('student1');
+                const batch = writeBatch(db);
+                batch.update(doc(db, 'proposals/p1'), { bidAmount: bid });
+                batch.update(doc(db, 'gigs/open1'), { lastEditedProposalId: 'p1', ...gigUpdates });
+                return batch.commit();
+            };
+            await assertFails(updateDoc(doc(dbFor('student1'), 'proposals/p1'), { bidAmount: 75 }));
+            await assertFails(edit(75, { bidTotal: increment(-15) }));
+            await assertFails(edit(75, { bidTotal: increment(-15), 'bidCounts.90': increment(-1), 'bidCounts.80': increment(1) }));
+            await assertSucceeds(edit(75, { bidTotal: increment(-15), 'bidCounts.90': increment(-1), 'bidCounts.75': increment(1) }));
+        });
+
+        test('firstProposalAt is stamped once', async () => {
+            await seed({ 'gigs/open1': { clientId: 'client1', title: 'Logo', status: 'open', budget: 100, proposalCount: 1, firstProposalAt: new Date() } });
+            await assertFails(propose('student3', 'p3', 90, { ...stats('p3', 90), firstProposalAt: new Date() }));
+            await assertSucceeds(propose('student3', 'p3', 90, stats('p3', 90)));
+        });
+    });
+
+    test("clients accept a proposal only with that proposal's student and bid", async () => {
+        const accepted = { status: 'in-progress', acceptedProposalId: 'p1', acceptedStudentId: 'student1' };
+        await assertFails(updateDoc(doc(dbFor('client1'), 'gigs/open1'), { ...accepted, finalBid: 1 }));
+        await assertFails(updateDoc(doc(dbFor('client1'), 'gigs/open1'), { ...accepted, acceptedStudentId: 'student2', finalBid: 90 }));
+        await assertSucceeds(updateDoc(doc(dbFor('client1'), 'gigs/open1'), { ...accepted, finalBid: 90 }));
+    });
+
+    test('signed-in visitors other than the owner count one view each', async () => {
+        const view = (uid, viewCount = increment(1)) => {
+            const db = dbFor(uid);
+            const batch = writeBatch(db);
+            batch.set(doc(db, `gigs/open1/viewers/${uid}`), { viewedAt: serverTimestamp() });
+            batch.update(doc(db, 'gigs/open1'), { viewCount });
+            return batch.commit();
+        };
+        await assertFails(updateDoc(doc(dbFor('student2'), 'gigs/open1'), { viewCount: increment(1) }));
+        await assertFails(view('student2', 50));
+        await assertFails(view('client1'));
+        await assertSucceeds(view('student2'));
+        await assertFails(view('student2'));
+        await assertFails(updateDoc(doc(dbFor('student2'), 'gigs/open1'), { viewCount: increment(1) }));
+    });
+});
+
+describe('proposals', () => {
+    test('students submit proposals only as themselves on open gigs', async () => {
+        const proposal = { gigId: 'open1', clientId: 'client1', studentId: 'student2', status: 'pending', bidAmount: 70, coverLetter: 'Me!' };
+        await assertSucceeds(addDoc(collection(dbFor('student2'), 'proposals'), proposal));
+        await assertFails(addDoc(collection(dbFor('student2'), 'proposals'), { ...proposal, studentId: 'student1' }));
+        await assertFails(addDoc(collection(dbFor('student2'), 'proposals'), { ...proposal, status: 'accepted' }));
+        await assertFails(addDoc(collection(dbFor('student2'), 'proposals'), { ...proposal, gigId: 'active1' }));
+    });
+
+    test('gigs stop taking proposals after their application deadline', async () => {
+        const proposal = { gigId: 'open1', clientId: 'client1', studentId: 'student2', status: 'pending', bidAmount: 80 };
+        await seed({ 'gigs/open1': { clientId: 'client1', title: 'Logo', status: 'open', budget: 100, applicationDeadline: null } });
+        await assertSucceeds(addDoc(collection(dbFor('student2'), 'proposals'), proposal));
+        await seed({ 'gigs/open1': { clientId: 'client1', title: 'Logo', status: 'open', budget: 100, applicationDeadline: new Date(Date.now() - 60000) } });
+        await assertFails(addDoc(collection(dbFor('student2'), 'proposals'), proposal));
+    });
+
+    test('campus-restricted gigs only take proposals from students at that campus', async () => {
+        await seed({
+            'gigs/mitOnly': { clientId: 'client1', title: 'Lab site', status: 'open', campusScope: ['mit'] },
+            'users/student2': { uid: 'student2', role: 'student', name: 'Alex Student', campus: { id: 'mit', name: 'MIT', domain: 'mit.edu' } },
+        });
+        const proposal = { gigId: 'mitOnly', clientId: 'client1', status: 'pending', bidAmount: 70, coverLetter: 'Me!' };
+        await assertFails(addDoc(collection(dbFor('student1'), 'proposals'), { ...proposal, studentId: 'student1' }));
+        await assertSucceeds(addDoc(collection(dbFor('student2'), 'proposals'), { ...proposal, studentId: 'student2' }));
+    });
+
+    // Accepts the way acceptProposal in src/App.js does: the gig and the proposal in one write.
+    const accept = (uid, proposalId, studentId, finalBid) => {
+        const db = dbFor(uid);
+        const batch = writeBatch(db);
+        batch.update(doc(db, 'gigs/open1'), { status: 'in-progress', acceptedProposalId: proposalId, acceptedStudentId: studentId, finalBid });
+        batch.update(doc(db, `proposals/${proposalId}`), { status: 'accepted' });
+        return batch.commit();
+    };
+
+    test('only the gig owner can accept a proposal, together with the gig', async () => {
+        await assertFails(updateDoc(doc(dbFor('student1'), 'proposals/p1'), { status: 'accepted' }));
+        await assertFails(accept('client2', 'p1', 'student1', 90));
+        await assertFails(updateDoc(doc(dbFor('client1'), 'proposals/p1'), { status: 'accepted' }));
+        await assertSucceeds(accept('client1', 'p1', 'student1', 90));
+    });
+
+    test('a second accept fails once the gig is no longer open', async () => {
+        await assertSucceeds(accept('client1', 'p1', 'student1', 90));
+        await assertFails(accept('client1', 'p2', 'student2', 80));
+        await assertFails(updateDoc(doc(dbFor('client1'), 'proposals/p2'), { status: 'accepted' }));
+        // The straggler sweep can still turn the others down.
+        await assertSucceeds(updateDoc(doc(dbFor('client1'), 'proposals/p2'), { status: 'rejected' }));
+    });
+
+    test('students can edit their own pending proposal', async () => {
+        await assertSucceeds(updateDoc(doc(dbFor('student1'), 'proposals/p1'), { bidAmount: 85 }));
+        await assertFails(updateDoc(doc(dbFor('student2'), 'proposals/p1'), { bidAmount: 1 }));
+    });
+
+    test('students can withdraw but not accept their own proposal', async () => {
+        await seed({ 'gigs/open1': { clientId: 'client1', title: 'Logo', status: 'open', budget: 100, proposalCount: 2 } });
+        const db = dbFor('student1');
+        const batch = writeBatch(db);
+        batch.update(doc(db, 'proposals/p1'), { status: 'withdrawn' });
+        batch.update(doc(db, 'gigs/open1'), { proposalCount: increment(-1), lastWithdrawnProposalId: 'p1' });
+        await assertFails(updateDoc(doc(db, 'proposals/p1'), { status: 'accepted' }));
+        await assertFails(updateDoc(doc(db, 'proposals/p1'), { status: 'withdrawn' }));
+        await assertSucceeds(batch.commit());
+    });
+
+    test('cancelling an open gig closes its pending proposals and notifies their students', async () => {
+        const db = dbFor('client1');
+        const batch = writeBatch(db);
+        batch.update(doc(db, 'gigs/open1'), { status: 'cancelled', cancelReason: 'Found someone in-house' });
+        batch.update(doc(db, 'proposals/p1'), { status: 'closed' });
+        batch.set(doc(collection(db, 'notifications')), { userId: 'student1', title: 'Gig Cancelled', message: 'Logo', link: 'gig/open1', category: 'proposals', proposalId: 'p1', read: false, archived: false, createdAt: new Date() });
+        await assertSucceeds(batch.commit());
+        await assertFails(updateDoc(doc(dbFor('client2'), 'proposals/p2'), { status: 'closed' }));
+    });
+
+    test('the gig owner can shortlist and decline proposals', async () => {
+        await assertSucceeds(updateDoc(doc(dbFor('client1'), 'proposals/p1'), { shortlisted: true }));
+        await assertSucceeds(updateDoc(doc(dbFor('client1'), 'proposals/p2'), { status: 'declined', declineReason: 'Budget' }));
+        await assertFails(updateDoc(doc(dbFor('client1'), 'proposals/p1'), { bidAmount: 1 }));
+    });
+
+    test("students cannot read each other's proposals", async () => {
+        await assertSucceeds(getDocs(query(collection(dbFor('student1'), 'proposals'), where('gigId', '==', 'open1'), where('studentId', '==', 'student1'))));
+        await assertFails(getDoc(doc(dbFor('student1'), 'proposals/p2')));
+        await assertFails(getDocs(query(collection(dbFor('student1'), 'proposals'), where('gigId', '==', 'open1'))));
+    });
+
+    test('the gig owner can list all proposals on their gig', async () => {
+        await assertSucceeds(getDocs(query(collection(dbFor('client1'), 'proposals'), where('gigId', '==', 'open1'))));
+    });
+});
+
+describe('chats', () => {
+    const gigThread = { kind: 'gig', gigId: 'active1', gigTitle: 'Website', proposalId: null, clientId: 'client1', studentId: 'student1', participants: ['client1', 'student1'] };
+    const proposalThread = { kind: 'proposal', gigId: 'open1', gigTitle: 'Logo', proposalId: 'p2', clientId: 'client1', studentId: 'student2', participants: ['client1', 'student2'] };
+    const messages = (uid) => collection(dbFor(uid), 'chats', 'gig_active1', 'messages');
+
+    beforeEach(async () => {
+        await seed({ 'chats/gig_active1': gigThread });
+    });
+
+    test('participants can read and send messages', async () => {
+        await assertSucceeds(addDoc(messages('student1'), { text: 'Hi', senderId: 'student1' }));
+        await assertSucceeds(getDocs(messages('client1')));
+    });
+
+    test('outsiders cannot read or write the chat', async () => {
+        await assertFails(getDocs(messages('student2')));
+        await assertFails(addDoc(messages('student2'), { text: 'Hi', senderId: 'student2' }));
+        await assertFails(getDoc(doc(dbFor('student2'), 'chats/gig_active1')));
+    });
+
+    test('participants cannot send messages as the other party', async () => {
+        await assertFails(addDoc(messages('student1'), { text: 'Hi', senderId: 'client1' }));
+    });
+
+    test('attachments must be files uploaded to the chat', async () => {
+        const url = 'https://firebasestorage.googleapis.com/v0/b/demo-campusgig.appspot.com/o/chats%2Fgig_active1%2F1700000000000_brief.pdf?alt=media&token=0f1e2d3c-aaaa-bbbb';
+        const attachment = { url, name: 'brief.pdf', size: 1000, contentType: 'application/pdf', path: 'chats/gig_active1/1700000000000_brief.pdf' };
+        await assertSucceeds(addDoc(messages('student1'), { text: '', senderId: 'student1', attachment }));
+        await assertFails(addDoc(messages('student1'), { text: '', senderId: 'student1', attachment: { ...attachment, url: 'data:text/html,hi' } }));
+        await assertFails(addDoc(messages('student1'), { text: '', senderId: 'student1', attachment: { ...attachment, url: url.replace('gig_active1', 'gig_done1') } }));
+    });
+
+    test('only the recipient can mark a message read', async () => {
+        await seed({ 'chats/gig_active1/messages/m1': { text: 'Hi', senderId: 'client1', readAt: null } });
+        await assertFails(updateDoc(doc(dbFor('client1'), 'chats/gig_active1/messages/m1'), { readAt: new Date() }));
+        await assertFails(updateDoc(doc(dbFor('student1'), 'chats/gig_active1/messages/m1'), { text: 'Edited' }));
+        await assertSucceeds(updateDoc(doc(dbFor('student1'), 'chats/gig_active1/messages/m1'), { readAt: new Date() }));
+    });
+
+    test('gig threads are only opened for the accepted student', async () => {
+        await assertFails(setDoc(doc(dbFor('student2'), 'chats/gig_open1'), { ...gigThread, gigId: 'open1', studentId: 'student2', participants: ['client1', 'student2'] }));
+        await testEnv.withSecurityRulesDisabled((context) => deleteDoc(doc(context.firestore(), 'chats/gig_active1')));
+        await assertSucceeds(setDoc(doc(dbFor('student1'), 'chats/gig_active1'), gigThread));
+    });
+
+    test('proposal threads let a client and applicant talk before acceptance', async () => {
+        await assertSucceeds(setDoc(doc(dbFor('student2'), 'chats/proposal_p2'), proposalThread));
+        await assertFails(setDoc(doc(dbFor('student1'), 'chats/proposal_p2'), { ...proposalThread, studentId: 'student1', participants: ['client1', 'student1'] }));
+        await assertSucceeds(addDoc(collection(dbFor('client1'), 'chats', 'proposal_p2', 'messages'), { text: 'Questions?', senderId: 'client1' }));
+    });
+
+    test('participants cannot rewrite who is in a thread', async () => {
+        await assertSucceeds(updateDoc(doc(dbFor('student1'), 'chats/gig_active1'), { unreadCounts: { client1: 1 } }));
+        await assertFails(updateDoc(doc(dbFor('student1'), 'chats/gig_active1'), { participants: ['student1', 'student2'] }));
+    });
+});
+
+describe('escrow', () => {
+    const milestone = { id: 'm1', title: 'Full payment', amount: 300, status: 'funded', fundReference: 'esc_1' };
+    const entry = { gigId: 'active1', gigTitle: 'Website', clientId: 'client1', studentId: 'student1', milestoneId: 'm1', milestoneIndex: 0, milestoneTitle: 'Full payment', type: 'fund', amount: 300, provider: 'mock', reference: 'esc_1', createdAt: new Date() };
+
+    const settle = (uid, gigUpdates, entries) => {
+        const db = dbFor(uid);
+        const batch = writeBatch(db);
+        if (gigUpdates) batch.update(doc(db, 'gigs/active1'), gigUpdates);
+        Object.entries(entries).forEach(([id, data]) => batch.set(doc(db, 'payments', id), data));
+        return batch.commit();
+    };
+
+    test('clients fund the accepted bid together with its ledger entries', async () => {
+        await assertFails(settle('client1', null, { active1_m1_fund: entry }));
+        await assertFails(settle('client1', { milestones: [milestone] }, {}));
+        await assertFails(settle('client1', { milestones: [{ ...milestone, amount: 30 }] }, { active1_m1_fund: { ...entry, amount: 30 } }));
+        await assertFails(settle('client1', { milestones: [milestone] }, { 'active1_m1_fund-2': entry }));
+        await assertFails(settle('student1', { milestones: [milestone] }, { active1_m1_fund: { ...entry, clientId: 'student1' } }));
+        await assertSucceeds(settle('client1', { milestones: [milestone] }, { active1_m1_fund: entry }));
+    });
+
+    test('funded milestones are released while the gig runs and refunded only when it is cancelled', async () => {
+        await seed({ 'gigs/active1': { clientId: 'client1', title: 'Website', status: 'in-progress', acceptedStudentId: 'student1', finalBid: 300, milestones: [milestone] } });
+        const refunded = { ...milestone, status: 'refunded', refundReference: 'ref_1' };
+        await assertFails(settle('client1', { milestones: [refunded] }, { active1_m1_refund: { ...entry, type: 'refund', reference: 'ref_1' } }));
+        await assertSucceeds(settle('client1', { milestones: [refunded], status: 'cancelled' }, { active1_m1_refund: { ...entry, type: 'refund', reference: 'ref_1' } }));
+    });
+
+    test('a milestone is released once, for its own amount', async () => {
+        await seed({ 'gigs/active1': { clientId: 'client1', title: 'Website', status: 'submitted', acceptedStudentId: 'student1', finalBid: 300, milestones: [milestone] } });
+        const released = { ...milestone, status: 'released', releaseReference: 'rel_1' };
+        const release = { ...entry, type: 'release', reference: 'rel_1' };
+        await assertFails(settle('client1', { milestones: [{ ...released, amount: 3000 }] }, { active1_m1_release: { ...release, amount: 3000 } }));
+        await assertSucceeds(settle('client1', { milestones: [released] }, { active1_m1_release: release }));
+        await assertFails(settle('client1', null, { active1_m1_release: release }));
+    });
+
+    test('clients follow the gig lifecycle, so escrow is only refunded from a cancellable state', async () => {
+        await seed({ 'gigs/active1': { clientId: 'client1', title: 'Website', status: 'submitted', acceptedStudentId: 'student1', finalBid: 300, milestones: [milestone] } });
+        const refunded = { ...milestone, status: 'refunded', refundReference: 'ref_1' };
+        await assertFails(settle('client1', { milestones: [refunded], status: 'cancelled' }, { active1_m1_refund: { ...entry, type: 'refund', reference: 'ref_1' } }));
+        await assertFails(updateDoc(doc(dbFor('client1'), 'gigs/active1'), { status: 'cancelled' }));
+        await assertFails(updateDoc(doc(dbFor('client1'), 'gigs/open1'), { status: 'completed' }));
+        await assertSucceeds(updateDoc(doc(dbFor('client1'), 'gigs/active1'), { status: 'in-progress', revisionNote: 'More contrast' }));
+    });
+
+    test('approval needs funded escrow and releases what is left of it', async () => {
+        await seed({ 'gigs/active1': { clientId: 'client1', title: 'Website', status: 'submitted', acceptedStudentId: 'student1', finalBid: 300 } });
+        await assertFails(updateDoc(doc(dbFor('client1'), 'gigs/active1'), { status: 'completed' }));
+        await seed({ 'gigs/active1': { clientId: 'client1', title: 'Website', status: 'submitted', acceptedStudentId: 'student1', finalBid: 300, milestones: [milestone] } });
+        await assertFails(updateDoc(doc(dbFor('client1'), 'gigs/active1'), { status: 'completed' }));
+        const released = { ...milestone, status: 'released', releaseReference: 'rel_1' };
+        await assertSucceeds(settle('client1', { milestones: [released], status: 'completed' }, { active1_m1_release: { ...entry, type: 'release', reference: 'rel_1' } }));
+    });
+
+    test('reopening clears milestones only once nothing is left in escrow', async () => {
+        await seed({ 'gigs/active1': { clientId: 'client1', title: 'Website', status: 'cancelled', acceptedStudentId: 'student1', finalBid: 300, milestones: [milestone] } });
+        await assertFails(updateDoc(doc(dbFor('client1'), 'gigs/active1'), { status: 'open', acceptedStudentId: null, acceptedProposalId: null, finalBid: null, milestones: [] }));
+    });
+});
+
+describe('notifications', () => {
+    test("users cannot read or mark someone else's notifications", async () => {
+        await assertFails(getDoc(doc(dbFor('student2'), 'notifications/n1')));
+        await assertFails(updateDoc(doc(dbFor('student2'), 'notifications/n1'), { read: true }));
+    });
+
+    test('users can mark their own notifications read or archived, and nothing else', async () => {
+        await assertSucceeds(updateDoc(doc(dbFor('student1'), 'notifications/n1'), { read: true }));
+        await assertSucceeds(updateDoc(doc(dbFor('student1'), 'notifications/n1'), { archived: true }));
+        await assertFails(updateDoc(doc(dbFor('student1'), 'notifications/n1'), { userId: 'student2' }));
+    });
+
+    test('users only notify their counterparties on a gig or proposal', async () => {
+        const notification = { userId: 'client1', title: 'Hi', message: 'Hello', link: 'gig/active1', read: false };
+        await assertSucceeds(addDoc(collection(dbFor('student1'), 'notifications'), { ...notification, gigId: 'active1' }));
+        await assertFails(addDoc(collection(dbFor('student2'), 'notifications'), { ...notification, gigId: 'active1' }));
+        await assertSucceeds(addDoc(collection(dbFor('student2'), 'notifications'), { ...notification, proposalId: 'p2' }));
+        await assertFails(addDoc(collection(dbFor('student2'), 'notifications'), { ...notification, userId: 'student1', proposalId: 'p2' }));
+        await assertFails(addDoc(collection(dbFor('student2'), 'notifications'), notification));
+    });
+
+    test('proposal edits notify the client at most once an hour', async () => {
+        const notify = (db) => {
+            const batch = writeBatch(db);
+            batch.update(doc(db, 'proposals/p1'), { bidAmount: 85, editNotifiedAt: serverTimestamp() });
+            batch.set(doc(collection(db, 'notifications')), { userId: 'client1', title: 'Proposal Updated', message: 'New bid', link: 'gig/open1', proposalId: 'p1', read: false });
+            return batch.commit();
+        };
+        await assertSucceeds(notify(dbFor('student1')));
+        await assertFails(notify(dbFor('student1')));
+        await assertSucceeds(updateDoc(doc(dbFor('student1'), 'proposals/p1'), { bidAmount: 80 }));
+    });
+
+    test('notification links stay inside the app', async () => {
+        const notification = { userId: 'client1', title: 'Hi', message: 'Hello', read: false, gigId: 'active1' };
+        await assertFails(addDoc(collection(dbFor('student1'), 'notifications'), { ...notification, link: 'https://example.com/login' }));
+    });
+
+    test('users can delete only their own notifications', async () => {
+        await assertFails(deleteDoc(doc(dbFor('student2'), 'notifications/n1')));
+        await assertSucceeds(deleteDoc(doc(dbFor('student1'), 'notifications/n1')));
+    });
+});
+
+describe('reviews', () => {
+    const review = { gigId: 'done1', reviewerId: 'client1', revieweeId: 'student1', revieweeRole: 'student', rating: 5, comment: 'Great' };
+
+    test('parties review a completed gig once per reviewer id', async () => {
+        await assertSucceeds(setDoc(doc(dbFor('client1'), 'reviews/done1_client1'), review));
+        await assertFails(setDoc(doc(dbFor('client1'), 'reviews/done1_client1'), { ...review, rating: 1 }));
+    });
+
+    test('reviews are rejected for unfinished gigs or outsiders', async () => {
+        await assertFails(setDoc(doc(dbFor('client1'), 'reviews/active1_client1'), { ...review, gigId: 'active1' }));
+        await assertFails(setDoc(doc(dbFor('student2'), 'reviews/done1_student2'), { ...review, reviewerId: 'student2', revieweeId: 'client1' }));
+    });
+});
+
+describe('moderation', () => {
+    beforeEach(async () => {
+        await seed({ 'users/admin1': { uid: 'admin1', role: 'admin', name: 'Ada Admin' } });
+    });
+
+    // Commits `apply` the way moderate() in src/App.js does: with an audit entry about `target` and the admin's
+    // audit cursor pointing at it.
+    const moderate = (uid, target, apply, entry = {}) => {
+        const db = dbFor(uid);
+        const batch = writeBatch(db);
+        const entryRef = doc(collection(db, 'auditLog'));
+        apply(batch, db);
+        batch.set(entryRef, { action: 'banUser', targetLabel: '', reason: '', adminId: uid, adminName: '', createdAt: serverTimestamp(), ...target, ...entry });
+        batch.set(doc(db, `auditCursors/${uid}`), { entryId: entryRef.id });
+        return batch.commit();
+    };
+
+    test('admins suspend accounts, and suspended users cannot post or lift it themselves', async () => {
+        const suspension = { moderation: { status: 'suspended', until: new Date(Date.now() + 86400000), reason: 'Spam', by: 'admin1' } };
+        const suspend = (batch, db) => batch.update(doc(db, 'users/client1'), suspension);
+        await assertFails(updateDoc(doc(dbFor('client2'), 'users/client1'), suspension));
+        await assertSucceeds(moderate('admin1', { targetType: 'user', targetId: 'client1' }, suspend, { action: 'suspendUser' }));
+        await assertFails(moderate('admin1', { targetType: 'user', targetId: 'client1' }, (batch, db) => batch.update(doc(db, 'users/client1'), { role: 'admin' })));
+        await assertFails(updateDoc(doc(dbFor('client1'), 'users/client1'), { moderation: { status: 'active' } }));
+        await assertFails(addDoc(collection(dbFor('client1'), 'gigs'), { clientId: 'client1', title: 'New', status: 'open' }));
+    });
+
+    test('moderation writes need a new audit entry about the same target', async () => {
+        const ban = (batch, db) => batch.update(doc(db, 'users/student1'), { moderation: { status: 'banned', reason: 'Fake', by: 'admin1' } });
+        await assertFails(updateDoc(doc(dbFor('admin1'), 'users/student1'), { moderation: { status: 'banned', reason: 'Fake', by: 'admin1' } }));
+        await assertFails(moderate('admin1', { targetType: 'user', targetId: 'student2' }, ban));
+        await assertFails(moderate('admin1', { targetType: 'gig', targetId: 'student1' }, ban));
+        await assertSucceeds(moderate('admin1', { targetType: 'user', targetId: 'student1' }, ban));
+        // The cursor now points at an entry that already exists, so it can't vouch for another write.
+        await assertFails(updateDoc(doc(dbFor('admin1'), 'users/student1'), { moderation: { status: 'active', by: 'admin1' } }));
+    });
+
+    test('new profiles cannot carry moderation or verification fields', async () => {
+        await assertFails(setDoc(doc(dbFor('newUser'), 'users/newUser'), { uid: 'newUser', role: 'student', moderation: { status: 'active' } }));
+        await assertFails(setDoc(doc(dbFor('newUser'), 'users/newUser'), { uid: 'newUser', role: 'client', verification: { status: 'verified' } }));
+    });
+
+    test('admins take gigs down, freezing them for their owner', async () => {
+        const target = { targetType: 'gig', targetId: 'open1' };
+        await assertFails(moderate('admin1', target, (batch, db) => batch.update(doc(db, 'gigs/open1'), { title: 'Renamed' }), { action: 'takeDownGig' }));
+        await assertFails(updateDoc(doc(dbFor('admin1'), 'gigs/open1'), { status: 'cancelled', moderation: { takenDown: true, previousStatus: 'open' } }));
+        await assertSucceeds(moderate('admin1', target, (batch, db) => batch.update(doc(db, 'gigs/open1'), { status: 'cancelled', moderation: { takenDown: true, previousStatus: 'open' } }), { action: 'takeDownGig' }));
+        await assertFails(updateDoc(doc(dbFor('client1'), 'gigs/open1'), { status: 'open' }));
+    });
+
+    test('admins can blank a message but not read the chat', async () => {
+        await seed({
+            'chats/gig_active1': { kind: 'gig', gigId: 'active1', clientId: 'client1', studentId: 'student1', participants: ['client1', 'student1'] },
+            'chats/gig_active1/messages/m1': { senderId: 'student1', text: 'Abuse' },
+        });
+        const target = { targetType: 'message', targetId: 'm1' };
+        await assertFails(getDoc(doc(dbFor('admin1'), 'chats/gig_active1/messages/m1')));
+        await assertFails(moderate('admin1', target, (batch, db) => batch.update(doc(db, 'chats/gig_active1/messages/m1'), { text: 'Edited' }), { action: 'removeMessage' }));
+        await assertFails(updateDoc(doc(dbFor('admin1'), 'chats/gig_active1/messages/m1'), { removed: true, text: '', attachment: null }));
+        await assertSucceeds(moderate('admin1', target, (batch, db) => batch.update(doc(db, 'chats/gig_active1/messages/m1'), { removed: true, text: '', attachment: null }), { action: 'removeMessage' }));
+    });
+
+    test('the audit log is admin-only and append-only', async () => {
+        const entry = { action: 'banUser', targetType: 'user', targetId: 'student1', targetLabel: '', adminId: 'admin1', adminName: '', reason: 'Fake', createdAt: serverTimestamp() };
+        const noop = () => {};
+        await assertFails(addDoc(collection(dbFor('admin1'), 'auditLog'), entry));
+        await assertFails(moderate('client1', { targetType: 'user', targetId: 'student1' }, noop));
+        await assertFails(moderate('admin1', { targetType: 'user', targetId: 'student1' }, noop, { adminId: 'someoneElse' }));
+        await assertFails(moderate('admin1', { targetType: 'user', targetId: 'student1' }, noop, { action: 'deleteEverything' }));
+        await assertFails(moderate('admin1', { targetType: 'user', targetId: 'student1' }, noop, { createdAt: new Date(0) }));
+        await assertSucceeds(moderate('admin1', { targetType: 'user', targetId: 'student1' }, noop));
+        const { entryId } = (await getDoc(doc(dbFor('admin1'), 'auditCursors/admin1'))).data();
+        await assertFails(updateDoc(doc(dbFor('admin1'), `auditLog/${entryId}`), { reason: 'Edited' }));
+        await assertFails(getDoc(doc(dbFor('client1'), `auditLog/${entryId}`)));
+        await assertFails(setDoc(doc(dbFor('admin1'), 'auditCursors/admin1'), { entryId: 'made-up' }));
+    });
+
+    test('only admins edit the chatbot knowledge base and campuses', async () => {
+        await assertFails(setDoc(doc(dbFor('client1'), 'chatbot_knowledge/k1'), { text: 'Fees are 0%' }));
+        await assertFails(setDoc(doc(dbFor('admin1'), 'chatbot_knowledge/k1'), { text: 'Fees are 0%' }));
+        await assertSucceeds(moderate('admin1', { targetType: 'chatbot_knowledge', targetId: 'k1' }, (batch, db) => batch.set(doc(db, 'chatbot_knowledge/k1'), { text: 'Fees are 0%' }), { action: 'saveKnowledge' }));
+        await assertSucceeds(moderate('admin1', { targetType: 'campus', targetId: 'bu' }, (batch, db) => batch.set(doc(db, 'campuses/bu'), { name: 'BU', domains: ['bu.edu'] }), { action: 'saveCampus' }));
+        await assertSucceeds(moderate('admin1', { targetType: 'campus', targetId: 'bu' }, (batch, db) => batch.delete(doc(db, 'campuses/bu')), { action: 'deleteCampus' }));
+        await assertFails(setDoc(doc(dbFor('student1'), 'campuses/bu'), { name: 'BU', domains: ['gmail.com'] }));
+    });
+});
+
+describe('reports and blocks', () => {
+    const report = { targetType: 'gig', targetId: 'open1', targetOwnerId: 'client1', reason: 'scam', details: '', snapshot: 'Logo', reporterId: 'student1', status: 'open', createdAt: new Date() };
+
+    test('users file reports but cannot read them or report themselves', async () => {
+        const ref = await assertSucceeds(addDoc(collection(dbFor('student1'), 'reports'), report));
+        await assertFails(getDoc(doc(dbFor('student1'), `reports/${ref.id}`)));
+        await assertFails(addDoc(collection(dbFor('student1'), 'reports'), { ...report, reporterId: 'student2' }));
+        await assertFails(addDoc(collection(dbFor('student1'), 'reports'), { ...report, status: 'resolved' }));
+        await assertFails(addDoc(collection(dbFor('client1'), 'reports'), { ...report, reporterId: 'client1' }));
+    });
+
+    test('blocks are private to the blocker', async () => {
+        await assertFails(setDoc(doc(dbFor('client1'), 'blocks/client1_student2'), { blockerId: 'client1', blockedId: 'student1' }));
+        await assertFails(setDoc(doc(dbFor('client1'), 'blocks/client1_client1'), { blockerId: 'client1', blockedId: 'client1' }));
+        await assertSucceeds(setDoc(doc(dbFor('client1'), 'blocks/client1_student1'), { blockerId: 'client1', blockedId: 'student1' }));
+        await assertFails(getDoc(doc(dbFor('student1'), 'blocks/client1_student1')));
+        await assertSucceeds(deleteDoc(doc(dbFor('client1'), 'blocks/client1_student1')));
+    });
+
+    test('blocked students cannot propose or message', async () => {
+        await seed({
+            'blocks/client1_student2': { blockerId: 'client1', blockedId: 'student2' },
+            'chats/proposal_p2': { kind: 'proposal', gigId: 'open1', proposalId: 'p2', clientId: 'client1', studentId: 'student2', participants: ['client1', 'student2'] },
+        });
+        await assertFails(addDoc(collection(dbFor('student2'), 'proposals'), { gigId: 'open1', clientId: 'client1', studentId: 'student2', status: 'pending', bidAmount: 80 }));
+        await assertSucceeds(addDoc(collection(dbFor('student1'), 'proposals'), { gigId: 'open1', clientId: 'client1', studentId: 'student1', status: 'pending', bidAmount: 80 }));
+        await assertFails(addDoc(collection(dbFor('student2'), 'chats', 'proposal_p2', 'messages'), { text: 'Hello?', senderId: 'student2' }));
+    });
+});
+
+describe('gig drafts and templates', () => {
+    test('drafts and templates are private to the client who saved them', async () => {
+        const draft = { clientId: 'client1', title: 'Logo', form: { title: 'Logo' }, updatedAt: new Date() };
+        await assertFails(setDoc(doc(dbFor('student1'), 'gigDrafts/d1'), { ...draft, clientId: 'student1' }));
+        await assertFails(setDoc(doc(dbFor('client2'), 'gigDrafts/d1'), draft));
+        await assertSucceeds(setDoc(doc(dbFor('client1'), 'gigDrafts/d1'), draft));
+        await assertSucceeds(setDoc(doc(dbFor('client1'), 'gigDrafts/d1'), { ...draft, title: 'Logo v2' }));
+        await assertFails(getDoc(doc(dbFor('client2'), 'gigDrafts/d1')));
+        await assertFails(updateDoc(doc(dbFor('client1'), 'gigDrafts/d1'), { clientId: 'client2' }));
+        await assertSucceeds(deleteDoc(doc(dbFor('client1'), 'gigDrafts/d1')));
+
+        await assertSucceeds(setDoc(doc(dbFor('client1'), 'gigTemplates/t1'), { clientId: 'client1', name: 'Poster', form: {}, createdAt: new Date() }));
+        await assertFails(getDocs(query(collection(dbFor('client2'), 'gigTemplates'), where('clientId', '==', 'client1'))));
+        await assertSucceeds(getDocs(query(collection(dbFor('client1'), 'gigTemplates'), where('clientId', '==', 'client1'))));
+    });
+});
+
+describe('saved gigs and searches', () => {
+    test('students bookmark gigs privately under their own id', async () => {
+        const saved = { userId: 'student1', gigId: 'open1', gigTitle: 'Logo', savedAt: new Date(), warning: null };
+        await assertFails(setDoc(doc(dbFor('student1'), 'savedGigs/student1_done1'), saved));
+        await assertFails(setDoc(doc(dbFor('client1'), 'savedGigs/client1_open1'), { ...saved, userId: 'client1' }));
+        await assertSucceeds(setDoc(doc(dbFor('student1'), 'savedGigs/student1_open1'), saved));
+        await assertFails(getDoc(doc(dbFor('student2'), 'savedGigs/student1_open1')));
+        await assertFails(updateDoc(doc(dbFor('student1'), 'savedGigs/student1_open1'), { warning: 'closed' }));
+        await assertSucceeds(deleteDoc(doc(dbFor('student1'), 'savedGigs/student1_open1')));
+    });
+
+    test('saved searches belong to the student who saved them', async () => {
+        const search = { userId: 'student1', name: 'Logos', filters: { q: 'logo', skills: [], min: '', max: '', campus: '' }, createdAt: new Date(), lastCheckedAt: new Date() };
+        await assertFails(addDoc(collection(dbFor('student2'), 'savedSearches'), search));
+        const ref = await assertSucceeds(addDoc(collection(dbFor('student1'), 'savedSearches'), search));
+        await assertFails(getDoc(doc(dbFor('student2'), `savedSearches/${ref.id}`)));
+        await assertFails(updateDoc(doc(dbFor('student1'), `savedSearches/${ref.id}`), { lastCheckedAt: new Date(0) }));
+    });
+});
@@ -0,0 +1,5 @@
+module.exports = {
+    rootDir: __dirname,
+    testEnvironment: 'node',
+    setupFiles: ['<rootDir>/setup.js'],
+};
@@ -0,0 +1,4 @@
+// Jest's node environment does not expose the web stream globals the Firebase SDK's fetch polyfill expects.
+const { ReadableStream, WritableStream, TransformStream } = require('stream/web');
+
+Object.assign(global, { ReadableStream, WritableStream, TransformStream });